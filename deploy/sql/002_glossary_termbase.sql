@@ -0,0 +1,12 @@
+-- Termbase fields for glossary_terms (TBX/CSV import and export) (idempotent)
+
+alter table if exists public.glossary_terms add column if not exists src_lang text;
+alter table if exists public.glossary_terms add column if not exists tgt_lang text;
+alter table if exists public.glossary_terms add column if not exists pos text;
+alter table if exists public.glossary_terms add column if not exists definition text;
+alter table if exists public.glossary_terms add column if not exists forbidden text[] not null default '{}';
+alter table if exists public.glossary_terms add column if not exists concept_id text;
+alter table if exists public.glossary_terms add column if not exists updated_at timestamptz;
+
+-- Import diffing and per-language export read a user's terms by target language
+create index if not exists idx_glossary_terms_user_tgt_lang on public.glossary_terms (user_id, tgt_lang);
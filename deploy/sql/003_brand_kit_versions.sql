@@ -0,0 +1,33 @@
+-- Brand kit versions and per-language overrides (idempotent)
+
+alter table if exists public.brand_kits add column if not exists overrides jsonb default '{}'::jsonb;
+alter table if exists public.brand_kits add column if not exists version integer not null default 1;
+alter table if exists public.brand_kits add column if not exists updated_at timestamptz;
+
+-- Immutable snapshots: rows are only ever inserted
+create table if not exists public.brand_kit_versions (
+  id uuid primary key default gen_random_uuid(),
+  kit_id uuid not null references public.brand_kits (id) on delete cascade,
+  user_id uuid not null,
+  version integer not null,
+  name text not null,
+  tone text[] not null default '{}',
+  forbidden_words text[] not null default '{}',
+  style_notes text,
+  overrides jsonb default '{}'::jsonb,
+  change_note text,
+  created_at timestamptz default now(),
+  unique (kit_id, version)
+);
+create index if not exists idx_brand_kit_versions_user_id on public.brand_kit_versions (user_id);
+
+-- Owners may read and add versions, never change or remove them (kit deletion cascades)
+alter table if exists public.brand_kit_versions enable row level security;
+drop policy if exists "brand_kit_versions_select_own" on public.brand_kit_versions;
+create policy "brand_kit_versions_select_own"
+on public.brand_kit_versions for select to authenticated
+using ((select auth.uid()) = user_id);
+drop policy if exists "brand_kit_versions_insert_own" on public.brand_kit_versions;
+create policy "brand_kit_versions_insert_own"
+on public.brand_kit_versions for insert to authenticated
+with check ((select auth.uid()) = user_id);
@@ -1,11 +1,23 @@
 // file-translation-system.js - Advanced file translation system
-// Handles PDF, DOCX, PPTX with layout preservation
+// Handles PDF, DOCX, PPTX, XLSX with layout preservation, plus XLIFF exchange files, gettext catalogs,
+// JSON/YAML i18n resource bundles and Android/iOS string resources
 
 const JSZip = require('jszip');
-const { XMLParser, XMLBuilder } = require('fast-xml-parser');
-const { PDFDocument, rgb } = require('pdf-lib');
 const { storageService } = require('./storage');
 const { recordMetrics } = require('./metrics');
+const xliff = require('./formats/xliff');
+const po = require('./formats/po');
+const resourceBundle = require('./formats/resource-bundle');
+const docx = require('./formats/docx');
+const pptx = require('./formats/pptx');
+const xlsx = require('./formats/xlsx');
+const pdf = require('./formats/pdf');
+const mobileStrings = require('./formats/mobile-strings');
+const epub = require('./formats/epub');
+const glossaryCheck = require('./formats/glossary-check');
+const { validateInlineTags } = require('./formats/inline-codes');
+const segmentation = require('./formats/segmentation');
+const langId = require('./formats/language-id');
 const log = require('./logger');
 const fs = require('fs').promises;
 const path = require('path');
@@ -20,7 +32,20 @@ class FileTranslationSystem {
     this.handlers = {
       pdf: new PDFHandler(),
       docx: new DOCXHandler(), 
-      pptx: new PPTXHandler()
+      pptx: new PPTXHandler(),
+      xlsx: new XLSXHandler(),
+      xlf: new XLIFFHandler(),
+      xliff: new XLIFFHandler(),
+      po: new POHandler(),
+      pot: new POHandler(),
+      json: new ResourceBundleHandler(),
+      arb: new ResourceBundleHandler(),
+      yaml: new ResourceBundleHandler(),
+      yml: new ResourceBundleHandler(),
+      xml: new MobileStringsHandler('android'),
+      strings: new MobileStringsHandler('strings'),
+      stringsdict: new MobileStringsHandler('stringsdict'),
+      epub: new EPUBHandler()
     };
     this.queueService = null; // Will be injected
     this.progressEmitter = null; // Will be injected
@@ -37,7 +62,7 @@ class FileTranslationSystem {
   /**
    * Start processing a file translation job
    */
-  async processJob(jobId, userId, fileBuffer, filename, srcLang, tgtLang, options = {}) {
+  async processJob(jobId, userId, fileBuffer, filename, requestedSrcLang, tgtLang, options = {}) {
     const startTime = Date.now();
     const ext = path.extname(filename).toLowerCase().replace('.', '');
     
@@ -57,14 +82,36 @@ class FileTranslationSystem {
       
       // Update job with content profile
       await this.updateJobMetadata(jobId, { content_profile: contentProfile });
+      // Handlers that write locale-specific output (e.g. XLIFF target-language) or consult TM read these
+      contentProfile.srcLang = requestedSrcLang;
+      contentProfile.tgtLang = tgtLang;
+      contentProfile.mode = options.mode || 'formal';
+      contentProfile.subStyle = options.subStyle || 'general';
+      contentProfile.autoFit = !!options.autoFit; // PPTX: shrink frames the translation overflows
+      contentProfile.xlsx = options.xlsx || null; // XLSX: { sheets, headerRow, columns } spec
       
       // Segment content for translation
       await this.emitProgress(jobId, 30, 'segmenting');
       const segments = await handler.extractSegments(fileBuffer, filename, contentProfile);
+      // "auto": the language the file declares (XLIFF), else the one its text is written in
+      const srcLang = /^auto$/i.test(requestedSrcLang || 'auto') && contentProfile.sourceLanguage
+        ? contentProfile.sourceLanguage
+        : langId.resolve(requestedSrcLang, segments);
+      contentProfile.srcLang = srcLang;
+      // TM pre-fill (PO) looks matches up under the resolved source language, never "auto"
+      if (handler.applyTranslationMemory) await handler.applyTranslationMemory(segments, contentProfile);
+      // Sentence-level segmentation: paragraphs are translated (and leveraged) sentence by sentence
+      const sentenceLevel = (options.segmentation || process.env.FILE_SEGMENTATION || 'paragraph') === 'sentence';
+      const units = sentenceLevel ? this.splitSentences(segments, srcLang) : segments;
       
       // Translate segments using existing translation system
       await this.emitProgress(jobId, 55, 'translating');
-      const translatedSegments = await this.translateSegments(segments, srcLang, tgtLang, userId, options);
+      const translatedUnits = units.some(s => s.chapter)
+        ? await this.translateChapters(jobId, units, srcLang, tgtLang, userId, options)
+        : await this.translateSegments(units, srcLang, tgtLang, userId, options);
+      const leverage = this.leverageReport(translatedUnits);
+      const translatedSegments = sentenceLevel ? this.joinSentences(segments, translatedUnits) : translatedUnits;
+      const glossary = await this.applyGlossary(translatedSegments, srcLang, tgtLang, options);
       
       // Reconstruct file with translated content
       await this.emitProgress(jobId, 75, 'reconstructing');
@@ -74,14 +121,20 @@ class FileTranslationSystem {
       await this.emitProgress(jobId, 90, 'validating');
       const fitReport = await handler.generateFitReport(outputBuffer, translatedSegments, contentProfile);
       
-      // Store output file
-      const outputKey = storageService.generateFileKey(userId, filename.replace(/\.[^.]+$/, `.translated.${ext}`), 'output');
-      const outputResult = await storageService.uploadFile(outputBuffer, outputKey, {
-        type: 'translated',
-        jobId,
-        originalFilename: filename,
-        ttl: '7d'
-      });
+      // Store output file; queued jobs pass options.outputPath and keep it next to their input
+      let outputUrl = null;
+      if (options.outputPath) {
+        await fs.writeFile(options.outputPath, outputBuffer);
+      } else {
+        const outputKey = storageService.generateFileKey(userId, filename.replace(/\.[^.]+$/, `.translated.${ext}`), 'output');
+        const outputResult = await storageService.uploadFile(outputBuffer, outputKey, {
+          type: 'translated',
+          jobId,
+          originalFilename: filename,
+          ttl: '7d'
+        });
+        outputUrl = outputResult.url;
+      }
       
       // Generate visual diff if applicable
       let previewUrl = null;
@@ -95,9 +148,12 @@ class FileTranslationSystem {
       recordMetrics('file_translation_completed', 1, { ext, duration, segments: segments.length });
       
       return {
-        outputUrl: outputResult.url,
+        outputUrl,
+        outputPath: options.outputPath || null,
         previewUrl,
         fitReport,
+        glossary,
+        leverage,
         segments: segments.length,
         pages: contentProfile.pages || 0,
         charCount: segments.reduce((sum, s) => sum + (s.src?.length || 0), 0)
@@ -112,23 +168,44 @@ class FileTranslationSystem {
   }
 
   /**
-   * Translate content segments using existing translation infrastructure
+   * Translate content segments using existing translation infrastructure. With
+   * options.leverageFirst (default FILE_LEVERAGE_FIRST) segments are pre-translated from TM and
+   * cache first and only the rest reach the engine; every segment then carries its `origin`.
    */
   async translateSegments(segments, srcLang, tgtLang, userId, options) {
     const { cacheAwareTranslation } = require('./translation-cache');
-    const translatedSegments = [];
+    const translated = new Map();
+    
+    // Segments a handler already filled (e.g. from translation memory) skip the engine
+    let pending = segments.filter(s => s.tgt == null);
+    
+    const leverageFirst = options.leverageFirst ?? process.env.FILE_LEVERAGE_FIRST === 'true';
+    const leverage = leverageFirst ? await this.pretranslate(pending, srcLang, tgtLang, options) : null;
+    if (leverage) {
+      leverage.applied.forEach((tgt, segment) => translated.set(segment, tgt));
+      pending = leverage.pending;
+    }
     
     // Group segments for batch translation
     const batchSize = 10;
-    for (let i = 0; i < segments.length; i += batchSize) {
-      const batch = segments.slice(i, i + batchSize);
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
       const batchTexts = batch.map(s => s.src).filter(Boolean);
       
       if (batchTexts.length === 0) {
-        translatedSegments.push(...batch.map(s => ({ ...s, tgt: s.src })));
+        batch.forEach(s => translated.set(s, s.src));
         continue;
       }
       
+      // Per-segment notes (msgctxt, comments, plural form) change the result, so they join the cache key
+      const contexts = batch.map(s => s.context || '');
+      const contextKey = contexts.some(Boolean) ? `\n${contexts.join('\n')}` : '';
+      // So do the fuzzy TM matches offered as references
+      const references = batch.map(s => (leverage && leverage.references.get(s)) || null);
+      const referenceKey = references.some(Boolean)
+        ? `\n${references.map(r => (r ? `${r.source}\t${r.target}` : '')).join('\n')}`
+        : '';
+      
       // Use existing translation function with batch processing
       const translationResult = await cacheAwareTranslation(
         this.callTranslationAPI.bind(this),
@@ -137,7 +214,7 @@ class FileTranslationSystem {
           mode: options.mode || 'formal',
           targetLanguage: tgtLang,
           subStyle: options.subStyle || 'general',
-          injections: options.injections || ''
+          injections: (options.injections || '') + contextKey + referenceKey
         },
         {
           text: batchTexts.join('\n\n---SEG---\n\n'),
@@ -145,6 +222,8 @@ class FileTranslationSystem {
           targetLanguage: tgtLang,
           subStyle: options.subStyle || 'general',
           injections: options.injections || '',
+          contexts,
+          references,
           userId
         }
       );
@@ -154,21 +233,274 @@ class FileTranslationSystem {
       // Map translations back to segments
       for (let j = 0; j < batch.length; j++) {
         const segment = batch[j];
-        const translated = translatedTexts[j] || segment.src;
-        translatedSegments.push({
+        translated.set(segment, translatedTexts[j] || segment.src);
+      }
+    }
+    
+    if (leverage) {
+      leverage.repeats.forEach((first, segment) => translated.set(segment, translated.get(first)));
+      await this.storeLeveraged(segments, pending, translated, srcLang, tgtLang, userId, options);
+    }
+    
+    return segments.map(segment => {
+      const out = translated.has(segment) ? { ...segment, tgt: translated.get(segment) } : { ...segment };
+      return leverage && leverage.origins.has(segment) ? { ...out, ...leverage.origins.get(segment) } : out;
+    });
+  }
+
+  /**
+   * Leverage-first step of translateSegments. Exact TM and cache hits are applied (unless they
+   * would break the segment's inline tags), fuzzy matches above TM_REFERENCE_THRESHOLD become
+   * prompt references, and repeats of a segment wait for the first one's translation.
+   * @returns {Promise<{ pending: object[], applied: Map, references: Map, repeats: Map, origins: Map }|null>}
+   *   null when the translation memory is unavailable (every segment then goes to the engine)
+   */
+  async pretranslate(pending, srcLang, tgtLang, options = {}) {
+    let plans;
+    try {
+      const { translationMemory } = require('./translation-memory');
+      plans = await translationMemory.pretranslate(
+        pending.map(s => ({ text: s.src || '', context: s.context || '' })),
+        {
+          sourceLang: srcLang || 'auto',
+          targetLang: tgtLang,
+          mode: options.mode || 'formal',
+          subStyle: options.subStyle || 'general',
+          cache: { injections: options.injections || '' },
+          referenceThreshold: options.referenceThreshold
+        }
+      );
+    } catch (error) {
+      log.error('Leverage-first pre-translation failed', { error: error.message });
+      return null;
+    }
+    
+    const result = { pending: [], applied: new Map(), references: new Map(), repeats: new Map(), origins: new Map() };
+    const firsts = new Map();
+    pending.forEach((segment, i) => {
+      const plan = plans[i] || { origin: 'mt' };
+      const usable = plan.tgt != null && (!segment.tags || validateInlineTags(plan.tgt, segment.tags).ok);
+      const origin = usable ? plan.origin : (plan.origin === 'tm-fuzzy' ? 'tm-fuzzy' : 'mt');
+      result.origins.set(segment, {
+        origin,
+        tmId: usable || origin === 'tm-fuzzy' ? plan.tmId : null,
+        tmSimilarity: usable || origin === 'tm-fuzzy' ? plan.similarity : null
+      });
+      if (usable) {
+        result.applied.set(segment, plan.tgt);
+        return;
+      }
+      // The same source under the same notes is translated once
+      const key = `${segment.src || ''}\u0000${segment.context || ''}`;
+      if (segment.src && firsts.has(key)) {
+        result.repeats.set(segment, firsts.get(key));
+        result.origins.set(segment, { ...result.origins.get(firsts.get(key)) });
+        return;
+      }
+      firsts.set(key, segment);
+      if (origin === 'tm-fuzzy' && plan.reference) result.references.set(segment, plan.reference);
+      result.pending.push(segment);
+    });
+    return result;
+  }
+
+  /**
+   * Write engine output from a leverage-first run back to the per-segment cache and, when
+   * TM_AUTO_UPDATE allows, to the translation memory, so the next run of similar content
+   * finds it. Failures are logged and never fail the job.
+   */
+  async storeLeveraged(segments, engineSegments, translated, srcLang, tgtLang, userId, options = {}) {
+    try {
+      const { translationCache } = require('./translation-cache');
+      const { translationMemory } = require('./translation-memory');
+      const mode = options.mode || 'formal';
+      const subStyle = options.subStyle || 'general';
+      const order = new Map(segments.map((s, i) => [s, i]));
+      for (const segment of engineSegments) {
+        const tgt = translated.get(segment);
+        if (!segment.src || !tgt || tgt === segment.src) continue;
+        if (segment.tags && !validateInlineTags(tgt, segment.tags).ok) continue;
+        const injections = (options.injections || '') + (segment.context ? `\n${segment.context}` : '');
+        await translationCache.setTranslation(segment.src, mode, tgtLang, tgt, subStyle, injections);
+        if (!translationMemory.config.autoUpdate) continue;
+        const i = order.get(segment);
+        await translationMemory.storeTranslation(segment.src, tgt, {
+          sourceLang: srcLang || 'auto',
+          targetLang: tgtLang,
+          mode,
+          subStyle,
+          createdBy: userId || null,
+          origin: 'mt',
+          context: { preceding: segments[i - 1]?.src || '', following: segments[i + 1]?.src || '' }
+        });
+      }
+    } catch (error) {
+      log.warn('Storing leverage-first translations failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Split untranslated segments into sentences with the SRX rules for srcLang. A segment stays
+   * whole when a paired inline code would span two sentences; each piece keeps its parent's
+   * fields (blockId, chapter, context) and every unit records the `sentenceOf` index (plus the
+   * whitespace around a sentence piece) for joinSentences.
+   */
+  splitSentences(segments, srcLang) {
+    const units = [];
+    segments.forEach((segment, index) => {
+      const src = typeof segment.src === 'string' ? segment.src : '';
+      const spans = segment.tgt == null && src ? segmentation.segmentSpans(src, srcLang || 'auto') : [];
+      const tags = segment.tags || {};
+      const tagsOf = (text) => {
+        const ids = [...new Set([...text.matchAll(/\[\[\/?([gx]\d+)\]\]/g)].map(m => m[1]))];
+        return Object.fromEntries(ids.filter(id => tags[id]).map(id => [id, tags[id]]));
+      };
+      const balanced = spans.every(span => Object.entries(tagsOf(span.text))
+        .every(([id, def]) => !def.open || (span.text.includes(`[[${id}]]`) && span.text.includes(`[[/${id}]]`))));
+      if (spans.length < 2 || !balanced) {
+        units.push({ ...segment, sentenceOf: index, sentence: null });
+        return;
+      }
+      let end = 0;
+      spans.forEach((span, k) => {
+        units.push({
           ...segment,
-          tgt: translated
+          src: span.text,
+          tags: segment.tags ? tagsOf(span.text) : segment.tags,
+          sentenceOf: index,
+          sentence: k,
+          gapBefore: src.slice(end, span.start)
         });
+        end = span.end;
+      });
+      units[units.length - 1].gapAfter = src.slice(end);
+    });
+    return units;
+  }
+
+  /**
+   * Rebuild the extracted segments from translated sentence pieces, keeping the source's
+   * whitespace between sentences; a segment is tagged with an origin only when all its pieces share it
+   */
+  joinSentences(segments, units) {
+    const pieces = new Map();
+    units.forEach(unit => {
+      if (!pieces.has(unit.sentenceOf)) pieces.set(unit.sentenceOf, []);
+      pieces.get(unit.sentenceOf).push(unit);
+    });
+    return segments.map((segment, index) => {
+      const parts = (pieces.get(index) || []).sort((a, b) => a.sentence - b.sentence);
+      if (!parts.length) return segment;
+      if (parts[0].sentence == null) {
+        const unit = { ...parts[0] };
+        delete unit.sentenceOf;
+        delete unit.sentence;
+        return unit;
       }
+      const tgt = parts.map(p => `${p.gapBefore}${p.tgt ?? p.src}${p.gapAfter || ''}`).join('');
+      const origins = new Set(parts.map(p => p.origin || null));
+      const out = { ...segment, tgt, sentences: parts.length };
+      return origins.size === 1 && parts[0].origin ? { ...out, origin: parts[0].origin } : out;
+    });
+  }
+
+  /**
+   * Per-segment origin of a leverage-first run: { summary: { 'tm-exact': n, ... }, segments },
+   * or null when the run did not record origins
+   */
+  leverageReport(segments) {
+    const recorded = segments.filter(s => s.origin);
+    if (!recorded.length) return null;
+    const summary = { 'tm-exact': 0, 'tm-fuzzy': 0, cache: 0, mt: 0 };
+    recorded.forEach(s => { summary[s.origin] = (summary[s.origin] || 0) + 1; });
+    return {
+      summary,
+      segments: segments.map((s, index) => ({ index, blockId: s.blockId ?? null, origin: s.origin || null, tmId: s.tmId ?? null, similarity: s.tmSimilarity ?? null }))
+        .filter(s => s.origin)
+    };
+  }
+
+  /**
+   * Translate chaptered content (EPUB) one chapter at a time, reporting progress between
+   * 'translating' (55) and 'reconstructing' (75) after each chapter
+   */
+  async translateChapters(jobId, segments, srcLang, tgtLang, userId, options) {
+    const chapters = new Map();
+    for (const segment of segments) {
+      const key = segment.chapter || '';
+      if (!chapters.has(key)) chapters.set(key, []);
+      chapters.get(key).push(segment);
     }
     
-    return translatedSegments;
+    const translated = new Map();
+    let index = 0;
+    for (const [chapter, group] of chapters) {
+      const out = await this.translateSegments(group, srcLang, tgtLang, userId, options);
+      out.forEach((segment, i) => translated.set(group[i], segment));
+      index++;
+      await this.emitProgress(jobId, 55 + Math.round((20 * index) / chapters.size), 'translating_chapter', {
+        chapter,
+        title: group[0].chapterTitle || chapter,
+        index,
+        total: chapters.size,
+        segments: group.length
+      });
+    }
+    
+    return segments.map(segment => translated.get(segment));
+  }
+
+  /**
+   * Glossary compliance for translated segments. options.glossary holds the user's glossary_terms
+   * rows; segments breaking a locked term get one targeted re-prompt (kept only if inline tags
+   * survive) and are updated in place. Returns the { summary, segments } report, or null.
+   */
+  async applyGlossary(segments, srcLang, tgtLang, options = {}) {
+    const terms = glossaryCheck.selectTerms(options.glossary || [], { tgtLang });
+    const checkable = segments.filter(s => s.src && s.tgt != null);
+    if (!terms.length || !checkable.length) return null;
+    
+    const repair = async (prompt, { index }) => {
+      const gemini = require('./gemini');
+      const out = await gemini.generateContent({
+        text: prompt,
+        system: 'You are an expert localization and translation assistant.',
+        model: process.env.GEMINI_FLASH_MODEL || 'gemini-2.5-flash'
+      });
+      const raw = String(out?.text || '');
+      const m = raw.match(/<result>([\s\S]*?)<\/result>/i);
+      const text = (m ? m[1] : raw).trim();
+      const tags = checkable[index].tags;
+      return tags && !validateInlineTags(text, tags).ok ? null : text;
+    };
+    
+    try {
+      const { outputs, report } = await glossaryCheck.enforceCompliance({
+        sources: checkable.map(s => s.src),
+        outputs: checkable.map(s => s.tgt),
+        terms,
+        srcLang,
+        tgtLang,
+        repair,
+        maxRepairs: Number(process.env.GLOSSARY_REPAIR_LIMIT || 20)
+      });
+      checkable.forEach((segment, i) => { segment.tgt = outputs[i]; });
+      return {
+        summary: report.summary,
+        segments: report.segments
+          .filter(s => s.status !== 'n/a')
+          .map(s => ({ ...s, blockId: checkable[s.index].blockId ?? null }))
+      };
+    } catch (error) {
+      log.error('Glossary compliance check failed', { error: error.message });
+      return null;
+    }
   }
 
   /**
    * Call the translation API (wrapper for existing system)
    */
-  async callTranslationAPI({ text, mode, targetLanguage, subStyle, injections, userId }) {
+  async callTranslationAPI({ text, mode, targetLanguage, subStyle, injections, contexts, references, userId }) {
     // Switch to Gemini 2.5 Flash
     const gemini = require('./gemini');
     const items = text.split('\n\n---SEG---\n\n');
@@ -178,7 +510,9 @@ class FileTranslationSystem {
       subStyle,
       targetLanguage,
       rephrase: false,
-      injections
+      injections,
+      contexts,
+      references
     });
     const out = await gemini.generateContent({
       text: prompt,
@@ -191,14 +525,24 @@ class FileTranslationSystem {
   /**
    * Build batch translation prompt
    */
-  buildBatchPrompt({ items, mode, subStyle, targetLanguage, rephrase, injections }) {
+  buildBatchPrompt({ items, mode, subStyle, targetLanguage, rephrase, injections, contexts = [], references = [] }) {
+    const notes = (contexts || [])
+      .map((c, i) => (c ? `- Segment ${i + 1}: ${c}` : ''))
+      .filter(Boolean)
+      .join('\n');
+    const refs = (references || [])
+      .map((r, i) => (r ? `- Segment ${i + 1} (${Math.round(r.similarity * 100)}% match): "${r.source}" => "${r.target}"` : ''))
+      .filter(Boolean)
+      .join('\n');
     const basePrompt = `Translate the following text segments to ${targetLanguage}.
 Style: ${mode} - ${subStyle}
 ${rephrase ? 'Focus on rephrasing rather than literal translation.' : ''}
 ${injections ? `Additional instructions: ${injections}` : ''}
 
 Preserve the original structure and return each segment on a separate line, separated by "---SEG---".
-
+Keep inline placeholder tokens such as [[g1]], [[/g1]] and [[x2]] exactly as written, in a sensible position.
+${notes ? `\nContext for individual segments (use it to choose wording; never translate or output these notes):\n${notes}\n` : ''}
+${refs ? `\nTranslation memory references for similar, already approved segments (reuse their wording and terminology, translate only what differs; never output the references):\n${refs}\n` : ''}
 Segments to translate:`;
     
     return basePrompt + '\n\n' + items.join('\n\n---SEG---\n\n');
@@ -328,7 +672,6 @@ class PDFHandler extends FileHandler {
         for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
           const page = await pdf.getPage(pageNum);
           const textContent = await page.getTextContent();
-          const annotations = await page.getAnnotations();
           
           totalTextItems += textContent.items.length;
           
@@ -392,33 +735,22 @@ class PDFHandler extends FileHandler {
     try {
       if (this.pdfjsLib && !contentProfile.isImageOnly) {
         // Advanced text extraction with position information
-        const loadingTask = this.pdfjsLib({ data: buffer });
-        const pdf = await loadingTask.promise;
+        const parsed = await pdf.parsePdf(buffer);
         
-        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-          const page = await pdf.getPage(pageNum);
-          const textContent = await page.getTextContent();
-          const viewport = page.getViewport({ scale: 1.0 });
-          
-          // Group text items into blocks
-          const blocks = this.groupTextIntoBlocks(textContent.items, viewport);
-          
-          blocks.forEach((block, blockIndex) => {
-            if (block.text.trim().length > 0) {
-              segments.push({
-                blockId: `page_${pageNum}_block_${blockIndex}`,
-                src: block.text.trim(),
-                type: 'text_block',
-                page: pageNum,
-                style: {
-                  fontSize: block.fontSize,
-                  fontFamily: block.fontName,
-                  color: block.color
-                },
-                rect: block.rect,
-                lines: block.lines
-              });
-            }
+        for (const unit of parsed.units) {
+          segments.push({
+            blockId: unit.key,
+            src: unit.text,
+            type: 'text_block',
+            page: unit.page,
+            style: {
+              fontSize: unit.fontSize,
+              fontFamily: unit.fontName,
+              color: '#000000'
+            },
+            rect: unit.rect,
+            maxWidth: unit.maxWidth,
+            lines: unit.lines
           });
         }
       } else {
@@ -446,109 +778,29 @@ class PDFHandler extends FileHandler {
   }
   
   groupTextIntoBlocks(textItems, viewport) {
-    if (!textItems.length) return [];
-    
-    // Sort items by position (top to bottom, left to right)
-    const sortedItems = textItems.sort((a, b) => {
-      const yDiff = Math.abs(a.transform[5] - b.transform[5]);
-      if (yDiff < 3) { // Same line
-        return a.transform[4] - b.transform[4]; // Sort by x position
-      }
-      return b.transform[5] - a.transform[5]; // Sort by y position (top to bottom)
-    });
-    
-    const blocks = [];
-    let currentBlock = null;
-    
-    for (const item of sortedItems) {
-      const x = item.transform[4];
-      const y = item.transform[5];
-      const fontSize = item.transform[0];
-      const text = item.str;
-      
-      if (!currentBlock || Math.abs(currentBlock.rect.y - y) > fontSize * 1.5) {
-        // Start new block
-        if (currentBlock && currentBlock.text.trim()) {
-          blocks.push(currentBlock);
-        }
-        
-        currentBlock = {
-          text: text,
-          rect: { x, y, width: item.width, height: fontSize },
-          fontSize,
-          fontName: item.fontName || 'Arial',
-          color: '#000000',
-          lines: [{ text, y, fontSize }]
-        };
-      } else {
-        // Add to current block
-        currentBlock.text += (text.trim() ? ' ' : '') + text;
-        currentBlock.rect.width = Math.max(currentBlock.rect.width, x + item.width - currentBlock.rect.x);
-        currentBlock.lines.push({ text, y, fontSize });
-      }
-    }
-    
-    if (currentBlock && currentBlock.text.trim()) {
-      blocks.push(currentBlock);
-    }
-    
-    return blocks;
+    return pdf.groupTextIntoBlocks(textItems, viewport);
   }
   
   async reconstructFile(originalBuffer, filename, segments, contentProfile) {
     try {
-      const pdfDoc = await PDFDocument.load(originalBuffer);
-      const pages = pdfDoc.getPages();
+      // Overlay: original pages kept, each translated block re-set in its own rectangle
+      const units = segments.filter(s => s.rect).map(s => ({
+        key: s.blockId,
+        text: s.src,
+        page: s.page || 1,
+        rect: s.rect,
+        maxWidth: s.maxWidth,
+        fontSize: s.style?.fontSize || 12
+      }));
+      const translations = segments.filter(s => s.tgt).map(s => ({ id: s.blockId, text: s.tgt }));
+      const result = await pdf.buildPdf(originalBuffer, translations, { targetLang: contentProfile.tgtLang, units });
       
-      // Load font for text rendering (use built-in fonts for now)
-      let font = null;
-      try {
-        font = await pdfDoc.embedFont('Helvetica');
-      } catch (error) {
-        log.debug('Could not embed custom font, using default');
+      // generateFitReport reads what the overlay actually did (sizes used, blocks left over)
+      contentProfile.overlay = { script: result.script, blocks: result.blocks };
+      if (result.unfitted.length) {
+        log.warn('PDF blocks could not be fitted', { count: result.unfitted.length, blocks: result.unfitted.slice(0, 20).map(b => `${b.key}:${b.reason}`) });
       }
-      
-      // Process each page
-      for (const segment of segments) {
-        if (!segment.tgt || segment.tgt === segment.src) continue;
-        
-        const pageIndex = (segment.page || 1) - 1;
-        if (pageIndex >= pages.length) continue;
-        
-        const page = pages[pageIndex];
-        const { width: pageWidth, height: pageHeight } = page.getSize();
-        
-        // Calculate text positioning
-        const rect = segment.rect || { x: 50, y: 100, width: 500, height: 18 };
-        const fontSize = Math.max(8, Math.min(24, segment.style?.fontSize || 12));
-        
-        // Cover original text with white rectangle
-        page.drawRectangle({
-          x: rect.x - 2,
-          y: pageHeight - rect.y - rect.height - 2,
-          width: rect.width + 4,
-          height: rect.height + 4,
-          color: rgb(1, 1, 1)
-        });
-        
-        // Draw translated text with line breaking
-        const lines = this.fitTextInRect(segment.tgt, rect, fontSize, font);
-        let yOffset = 0;
-        
-        for (const line of lines) {
-          page.drawText(line, {
-            x: rect.x,
-            y: pageHeight - rect.y - yOffset - fontSize,
-            size: fontSize,
-            font: font || undefined,
-            color: rgb(0, 0, 0)
-          });
-          yOffset += fontSize * 1.2;
-        }
-      }
-      
-      const pdfBytes = await pdfDoc.save();
-      return Buffer.from(pdfBytes);
+      return result.buffer;
     } catch (error) {
       log.error('PDF reconstruction failed', { error: error.message });
       return originalBuffer; // Fallback to original
@@ -556,27 +808,7 @@ class PDFHandler extends FileHandler {
   }
   
   fitTextInRect(text, rect, fontSize, font) {
-    const lines = [];
-    const words = text.split(' ');
-    let currentLine = '';
-    
-    for (const word of words) {
-      const testLine = currentLine ? `${currentLine} ${word}` : word;
-      const estimatedWidth = testLine.length * fontSize * 0.6; // Rough character width
-      
-      if (estimatedWidth <= rect.width || !currentLine) {
-        currentLine = testLine;
-      } else {
-        if (currentLine) lines.push(currentLine);
-        currentLine = word;
-      }
-    }
-    
-    if (currentLine) lines.push(currentLine);
-    
-    // Limit lines to fit in height
-    const maxLines = Math.floor(rect.height / (fontSize * 1.2));
-    return lines.slice(0, maxLines);
+    return pdf.fitTextInRect(text, rect, fontSize, font);
   }
   
   async generateFitReport(buffer, segments, contentProfile) {
@@ -585,40 +817,44 @@ class PDFHandler extends FileHandler {
       passThreshold: 0.98,
       overallFitRatio: 0,
       lineOverflowCount: 0,
+      missingGlyphCount: 0,
       segmentReports: []
     };
     
+    const overlay = new Map((contentProfile.overlay?.blocks || []).map(b => [b.key, b]));
     let totalFitRatio = 0;
+    let measured = 0;
     
     for (const segment of segments) {
       if (!segment.tgt || !segment.rect) continue;
       
-      const originalLength = segment.src.length;
-      const translatedLength = segment.tgt.length;
-      const lengthRatio = translatedLength / originalLength;
-      
-      // Estimate if text fits in original rect
-      const estimatedLines = Math.ceil(translatedLength * 0.6 * (segment.style?.fontSize || 12) / segment.rect.width);
-      const maxLines = Math.floor(segment.rect.height / ((segment.style?.fontSize || 12) * 1.2));
-      const fitRatio = maxLines > 0 ? Math.min(1, maxLines / estimatedLines) : 0;
+      const fontSize = segment.style?.fontSize || 12;
+      const rect = { ...segment.rect, width: segment.maxWidth || segment.rect.width };
+      const placed = overlay.get(segment.blockId);
+      // Without an overlay entry (unchanged text, or no overlay ran) measure with estimated widths
+      const fit = placed || pdf.fitBlock(segment.tgt, rect, fontSize, null);
+      const fitted = placed ? placed.fitted : fit.fitted;
+      const requiredHeight = placed ? placed.requiredHeightPt : fit.requiredHeight;
+      const fitRatio = fitted ? 1 : (requiredHeight ? Math.min(1, segment.rect.height / requiredHeight) : 0);
       
       totalFitRatio += fitRatio;
-      
-      if (fitRatio < 1) {
-        report.lineOverflowCount++;
-      }
+      measured++;
+      if (placed?.reason === 'missing_glyphs') report.missingGlyphCount++;
+      else if (!fitted) report.lineOverflowCount++;
       
       report.segmentReports.push({
         blockId: segment.blockId,
-        lengthRatio,
+        page: segment.page,
+        lengthRatio: segment.tgt.length / Math.max(1, segment.src.length),
         fitRatio,
-        estimatedLines,
-        maxLines,
-        overflows: fitRatio < 1
+        fontScale: placed ? placed.scale : fit.scale,
+        overflows: !fitted,
+        reason: fitted ? null : (placed?.reason || 'overflow'),
+        missing: placed?.missing
       });
     }
     
-    report.overallFitRatio = segments.length > 0 ? totalFitRatio / segments.length : 1;
+    report.overallFitRatio = measured > 0 ? totalFitRatio / measured : 1;
     report.passesThreshold = report.overallFitRatio >= report.passThreshold;
     
     return report;
@@ -626,7 +862,8 @@ class PDFHandler extends FileHandler {
 }
 
 /**
- * DOCX Handler - Preserves formatting while replacing text in runs
+ * DOCX Handler - Translates paragraph by paragraph (body, tables, text boxes, headers/footers,
+ * notes, comments) with run formatting carried as inline tokens
  */
 class DOCXHandler extends FileHandler {
   async analyzeContent(buffer, filename) {
@@ -637,136 +874,80 @@ class DOCXHandler extends FileHandler {
     const docXml = await archive.file('word/document.xml')?.async('string');
     if (!docXml) throw new Error('Invalid DOCX file');
     
-    const parser = new XMLParser({ ignoreAttributes: false });
-    const doc = parser.parse(docXml);
-    
-    // Count elements
-    let paragraphs = 0;
-    let tables = 0;
-    let runs = 0;
-    
-    // Simple counting - in full implementation, traverse DOM properly
+    const parsed = await docx.parseDocx(archive);
     const xmlString = docXml.toLowerCase();
-    paragraphs = (xmlString.match(/<w:p[\s>]/g) || []).length;
-    tables = (xmlString.match(/<w:tbl[\s>]/g) || []).length;
-    runs = (xmlString.match(/<w:r[\s>]/g) || []).length;
+    const tables = (xmlString.match(/<w:tbl[\s>]/g) || []).length;
+    const runs = (xmlString.match(/<w:r[\s>]/g) || []).length;
     
     return {
       pages: Math.ceil(runs / 50), // Rough estimate
-      paragraphs,
+      paragraphs: parsed.units.length,
       tables,
       runs,
+      parts: parsed.parts,
+      inlineCodes: parsed.units.reduce((sum, u) => sum + Object.keys(u.tags).length, 0),
       hasImages: xmlString.includes('w:drawing'),
       textRuns: runs
     };
   }
   
   async extractSegments(buffer, filename, contentProfile) {
-    const zip = new JSZip();
-    const archive = await zip.loadAsync(buffer);
-    
-    // Extract text from document.xml and related files
-    const segments = [];
-    const files = ['word/document.xml', 'word/header1.xml', 'word/footer1.xml'];
-    
-    for (const filePath of files) {
-      const file = archive.file(filePath);
-      if (!file) continue;
-      
-      const xmlContent = await file.async('string');
-      const textRuns = this.extractTextRuns(xmlContent);
-      
-      textRuns.forEach((run, index) => {
-        if (run.text.trim()) {
-          segments.push({
-            blockId: `${filePath}_run_${index}`,
-            src: run.text.trim(),
-            type: 'text_run',
-            filePath,
-            runIndex: index,
-            style: run.style || {}
-          });
-        }
-      });
-    }
+    // One segment per paragraph; run formatting, links and fields travel as inline tokens
+    const parsed = await docx.parseDocx(buffer);
     
-    return segments;
-  }
-  
-  extractTextRuns(xmlContent) {
-    // Simple regex-based text extraction
-    // In full implementation, use proper XML parsing
-    const runs = [];
-    const textMatches = xmlContent.match(/<w:t[^>]*>(.*?)<\/w:t>/g) || [];
-    
-    textMatches.forEach((match, index) => {
-      const text = match.replace(/<w:t[^>]*>(.*?)<\/w:t>/, '$1')
-                      .replace(/&lt;/g, '<')
-                      .replace(/&gt;/g, '>')
-                      .replace(/&amp;/g, '&');
-      
-      if (text.trim()) {
-        runs.push({
-          text: text,
-          style: {},
-          index
-        });
-      }
-    });
-    
-    return runs;
+    return parsed.units.map(u => ({
+      blockId: u.key,
+      src: u.text,
+      type: 'paragraph',
+      filePath: u.key.split('#')[0],
+      context: u.context || undefined,
+      tags: u.tags
+    }));
   }
   
   async reconstructFile(originalBuffer, filename, segments, contentProfile) {
     try {
-      const zip = new JSZip();
-      const archive = await zip.loadAsync(originalBuffer);
-      
-      // Process each file that contains text
-      const filesToUpdate = ['word/document.xml', 'word/header1.xml', 'word/footer1.xml'];
-      
-      for (const filePath of filesToUpdate) {
-        const file = archive.file(filePath);
-        if (!file) continue;
-        
-        let xmlContent = await file.async('string');
-        
-        // Find segments for this file
-        const fileSegments = segments.filter(s => s.filePath === filePath);
-        
-        // Replace text in runs (preserving run boundaries)
-        fileSegments.forEach(segment => {
-          if (segment.tgt && segment.src !== segment.tgt) {
-            xmlContent = xmlContent.replace(
-              new RegExp(`<w:t[^>]*>${this.escapeXml(segment.src)}</w:t>`, 'g'),
-              `<w:t>${this.escapeXml(segment.tgt)}</w:t>`
-            );
-          }
-        });
-        
-        archive.file(filePath, xmlContent);
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
       }
-      
-      const updatedBuffer = await archive.generateAsync({ type: 'nodebuffer' });
-      return updatedBuffer;
+      return await docx.buildDocx(originalBuffer, translations, { targetLang: contentProfile.tgtLang || null });
     } catch (error) {
       log.error('DOCX reconstruction failed', { error: error.message });
       return originalBuffer;
     }
   }
   
-  escapeXml(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+  async generateFitReport(buffer, segments, contentProfile) {
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 0.98,
+      fitRatio: 1.0,
+      lineOverflowCount: 0,
+      placeholderErrorCount: 0,
+      segmentReports: []
+    };
+    
+    // buildDocx repairs broken codes (lost breaks/links re-appended), so flag them for review
+    for (const segment of segments) {
+      if (!segment.tgt || !segment.tags) continue;
+      const check = validateInlineTags(segment.tgt, segment.tags);
+      if (!check.ok) {
+        report.placeholderErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, repaired: true, ...check });
+      }
+    }
+    
+    report.fitRatio = segments.length > 0 ? (segments.length - report.placeholderErrorCount) / segments.length : 1;
+    report.passesThreshold = report.fitRatio >= report.passThreshold;
+    
+    return report;
   }
 }
 
 /**
- * PPTX Handler - Preserves slide layouts while replacing text
+ * PPTX Handler - Translates slide frames, tables, speaker notes and chart labels; reports
+ * frames the translation overflows and can shrink them (options.autoFit)
  */
 class PPTXHandler extends FileHandler {
   async analyzeContent(buffer, filename) {
@@ -775,132 +956,641 @@ class PPTXHandler extends FileHandler {
     
     // Count slides
     const slideFiles = Object.keys(archive.files).filter(path => 
-      path.startsWith('ppt/slides/slide') && path.endsWith('.xml')
+      /^ppt\/slides\/slide\d+\.xml$/.test(path)
     );
     
-    let totalTextFrames = 0;
     let totalBulletPoints = 0;
-    
-    // Analyze each slide
     for (const slidePath of slideFiles) {
       const slideXml = await archive.file(slidePath)?.async('string');
-      if (slideXml) {
-        totalTextFrames += (slideXml.match(/<a:t>/g) || []).length;
-        totalBulletPoints += (slideXml.match(/<a:buFont/g) || []).length;
-      }
+      if (slideXml) totalBulletPoints += (slideXml.match(/<a:buFont/g) || []).length;
     }
     
+    const parsed = await pptx.parsePptx(archive);
+    
     return {
       pages: slideFiles.length,
       slides: slideFiles.length,
-      textFrames: totalTextFrames,
+      textFrames: parsed.frames.length,
+      paragraphs: parsed.units.length,
+      speakerNotes: parsed.parts.filter(p => p.startsWith('ppt/notesSlides/')).length,
+      charts: parsed.parts.filter(p => p.startsWith('ppt/charts/')).length,
       bulletPoints: totalBulletPoints,
       hasAnimations: false // Could be detected by looking for animation XML
     };
   }
   
   async extractSegments(buffer, filename, contentProfile) {
-    const zip = new JSZip();
-    const archive = await zip.loadAsync(buffer);
-    const segments = [];
+    // One segment per paragraph (slides, tables, notes, chart labels); the frame geometry
+    // rides along so generateFitReport can measure the translation against it
+    const parsed = await pptx.parsePptx(buffer);
+    const frames = new Map(parsed.frames.map(f => [f.id, f]));
     
-    // Process each slide
-    const slideFiles = Object.keys(archive.files).filter(path => 
-      path.startsWith('ppt/slides/slide') && path.endsWith('.xml')
-    );
+    return parsed.units.map(u => ({
+      blockId: u.key,
+      src: u.text,
+      type: 'pptx_paragraph',
+      slidePath: u.key.split('#')[0],
+      context: u.context,
+      tags: u.tags,
+      frame: frames.get(u.frame) || null
+    }));
+  }
+  
+  async reconstructFile(originalBuffer, filename, segments, contentProfile) {
+    try {
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+      }
+      return await pptx.buildPptx(originalBuffer, translations, {
+        targetLang: contentProfile.tgtLang || null,
+        autoFit: !!contentProfile.autoFit
+      });
+    } catch (error) {
+      log.error('PPTX reconstruction failed', { error: error.message });
+      return originalBuffer;
+    }
+  }
+  
+  async generateFitReport(buffer, segments, contentProfile) {
+    const frames = [...new Set(segments.map(s => s.frame).filter(Boolean))];
+    const translations = new Map();
+    for (const segment of segments) {
+      if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+    }
+    // Same estimate buildPptx used, so auto-fitted frames report the scale they got
+    const fit = pptx.checkFit(frames, translations, { autoFit: !!contentProfile.autoFit });
     
-    for (const slidePath of slideFiles) {
-      const slideXml = await archive.file(slidePath)?.async('string');
-      if (!slideXml) continue;
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 0.98,
+      fitRatio: frames.length > 0 ? (frames.length - fit.overflowCount) / frames.length : 1.0,
+      lineOverflowCount: fit.overflowCount,
+      autoFittedCount: fit.frames.filter(f => f.autoFitted).length,
+      placeholderErrorCount: 0,
+      segmentReports: fit.frames.filter(f => f.overflow || f.autoFitted)
+    };
+    
+    for (const segment of segments) {
+      if (!segment.tgt || !segment.tags) continue;
+      const check = validateInlineTags(segment.tgt, segment.tags);
+      if (!check.ok) {
+        report.placeholderErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, repaired: true, ...check });
+      }
+    }
+    
+    report.passesThreshold = report.fitRatio >= report.passThreshold;
+    
+    return report;
+  }
+}
+
+/**
+ * XLSX Handler - Translates text cells of the selected sheets/columns (options.xlsx column spec)
+ * into their target columns, leaving formulas, numbers, styles and merged cells alone
+ */
+class XLSXHandler extends FileHandler {
+  async analyzeContent(buffer, filename) {
+    const parsed = await xlsx.parseXlsx(buffer);
+    
+    return {
+      pages: parsed.sheets.length,
+      sheets: parsed.sheets,
+      textCells: parsed.units.length
+    };
+  }
+  
+  async extractSegments(buffer, filename, contentProfile) {
+    const parsed = await xlsx.parseXlsx(buffer, contentProfile.xlsx || {});
+    
+    return parsed.units.map(u => ({
+      blockId: u.key,
+      src: u.text,
+      type: 'cell',
+      sheet: u.sheet,
+      context: u.context,
+      tags: u.tags
+    }));
+  }
+  
+  async reconstructFile(originalBuffer, filename, segments, contentProfile) {
+    try {
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+      }
+      const { buffer, skipped } = await xlsx.buildXlsx(originalBuffer, [{ targetLang: contentProfile.tgtLang || null, translations }], contentProfile.xlsx || {});
+      if (skipped.length) log.warn('XLSX target cells skipped', { count: skipped.length, cells: skipped.slice(0, 10).map(s => s.cell) });
+      return buffer;
+    } catch (error) {
+      log.error('XLSX reconstruction failed', { error: error.message });
+      return originalBuffer;
+    }
+  }
+}
+
+/**
+ * XLIFF Handler - Translates trans-units and writes targets back into the original skeleton
+ */
+class XLIFFHandler extends FileHandler {
+  async analyzeContent(buffer, filename) {
+    const parsed = xliff.parseXliff(buffer.toString('utf8'));
+    const inlineTags = parsed.units.reduce((sum, u) => sum + Object.keys(u.tags).length, 0);
+    const translated = parsed.units.filter(u => ['translated', 'final', 'signed-off', 'reviewed'].includes(u.state)).length;
+    
+    return {
+      pages: 0,
+      version: parsed.version,
+      sourceLanguage: parsed.srcLang,
+      targetLanguage: parsed.tgtLang,
+      units: parsed.units.length,
+      translatedUnits: translated,
+      inlineTags,
+      notes: parsed.units.filter(u => u.notes.length).length
+    };
+  }
+  
+  async extractSegments(buffer, filename, contentProfile) {
+    const parsed = xliff.parseXliff(buffer.toString('utf8'));
+    
+    return parsed.units
+      .filter(u => u.text.trim())
+      .map(u => ({
+        blockId: u.key,
+        src: u.text,
+        type: 'xliff_unit',
+        resname: u.resname,
+        notes: u.notes.map(n => n.text),
+        state: u.state,
+        tags: u.tags
+      }));
+  }
+  
+  async reconstructFile(originalBuffer, filename, segments, contentProfile) {
+    try {
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+      }
+      const out = xliff.buildXliff(originalBuffer.toString('utf8'), translations, {
+        targetLang: contentProfile.tgtLang || contentProfile.targetLanguage || null
+      });
+      return Buffer.from(out, 'utf8');
+    } catch (error) {
+      log.error('XLIFF reconstruction failed', { error: error.message });
+      return originalBuffer;
+    }
+  }
+  
+  async generateFitReport(buffer, segments, contentProfile) {
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 1.0,
+      fitRatio: 1.0,
+      lineOverflowCount: 0,
+      tagErrorCount: 0,
+      segmentReports: []
+    };
+    
+    for (const segment of segments) {
+      if (!segment.tgt || !segment.tags) continue;
+      const check = xliff.validateInlineTags(segment.tgt, segment.tags);
+      if (!check.ok) {
+        report.tagErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, ...check });
+      }
+    }
+    
+    report.fitRatio = segments.length > 0 ? (segments.length - report.tagErrorCount) / segments.length : 1;
+    report.passesThreshold = report.tagErrorCount === 0;
+    
+    return report;
+  }
+}
+
+/**
+ * PO Handler - Gettext catalogs; fills msgstr[n] per the target language's Plural-Forms
+ */
+class POHandler extends FileHandler {
+  async analyzeContent(buffer, filename) {
+    const parsed = po.parsePo(buffer.toString('utf8'));
+    const entries = parsed.entries.filter(e => !e.header && !e.obsolete);
+    
+    return {
+      pages: 0,
+      template: /\.pot$/i.test(filename),
+      language: parsed.language,
+      pluralForms: parsed.pluralForms,
+      entries: entries.length,
+      untranslated: po.translatableEntries(parsed).length,
+      fuzzy: entries.filter(e => e.flags.includes('fuzzy')).length,
+      plurals: entries.filter(e => e.msgidPlural !== null).length,
+      obsolete: parsed.entries.length - entries.length - (parsed.header ? 1 : 0)
+    };
+  }
+  
+  async extractSegments(buffer, filename, contentProfile) {
+    const parsed = po.parsePo(buffer.toString('utf8'));
+    const rule = this.pluralRule(parsed, contentProfile);
+    const examples = po.pluralExamples(rule);
+    const segments = [];
+    
+    for (const entry of po.translatableEntries(parsed)) {
+      const context = this.entryContext(entry);
       
-      // Extract text runs from slides
-      const textRuns = this.extractPPTXTextRuns(slideXml);
+      if (entry.msgidPlural === null) {
+        segments.push({
+          blockId: String(entry.index),
+          entryIndex: entry.index,
+          src: entry.msgid,
+          type: 'po_entry',
+          flags: entry.flags,
+          context
+        });
+        continue;
+      }
       
-      textRuns.forEach((run, index) => {
-        if (run.text.trim()) {
-          segments.push({
-            blockId: `${slidePath}_text_${index}`,
-            src: run.text.trim(),
-            type: 'pptx_text',
-            slidePath,
-            textIndex: index,
-            style: run.style || {}
-          });
-        }
-      });
+      // One segment per target plural form; forms that cover n = 1 start from the singular msgid
+      for (let n = 0; n < rule.nplurals; n++) {
+        const singular = rule.nplurals > 1 && examples[n].includes(1);
+        segments.push({
+          blockId: `${entry.index}[${n}]`,
+          entryIndex: entry.index,
+          pluralIndex: n,
+          src: singular ? entry.msgid : entry.msgidPlural,
+          type: 'po_plural',
+          flags: entry.flags,
+          context: [context, `plural form ${n} of ${rule.nplurals}, used when n is ${examples[n].join(', ')}...`]
+            .filter(Boolean)
+            .join(' | ')
+        });
+      }
     }
     
     return segments;
   }
   
-  extractPPTXTextRuns(xmlContent) {
-    const runs = [];
-    // Extract text from <a:t> elements
-    const textMatches = xmlContent.match(/<a:t[^>]*>(.*?)<\/a:t>/g) || [];
+  /**
+   * Pre-fill singular entries from TM; anything short of an exact match is
+   * written as a fuzzy entry for a translator to review, like msgmerge does.
+   * processJob calls this once the source language is resolved.
+   */
+  async applyTranslationMemory(segments, contentProfile) {
+    if (!contentProfile.tgtLang) return;
     
-    textMatches.forEach((match, index) => {
-      const text = match.replace(/<a:t[^>]*>(.*?)<\/a:t>/, '$1')
-                      .replace(/&lt;/g, '<')
-                      .replace(/&gt;/g, '>')
-                      .replace(/&amp;/g, '&');
+    try {
+      const { translationMemory } = require('./translation-memory');
+      await po.prefillFromMemory(segments, async (text) => (await translationMemory.findFuzzyMatches(
+        text,
+        contentProfile.srcLang || 'auto',
+        contentProfile.tgtLang,
+        contentProfile.mode || 'formal',
+        contentProfile.subStyle || 'general',
+        1
+      ))[0]);
+    } catch (error) {
+      log.error('PO translation memory lookup failed', { error: error.message });
+    }
+  }
+  
+  entryContext(entry) {
+    return [
+      entry.msgctxt ? `context "${entry.msgctxt}"` : '',
+      ...entry.extractedComments.map(c => `developer note: ${c}`),
+      ...entry.translatorComments.filter(Boolean).map(c => `translator note: ${c}`)
+    ].filter(Boolean).join(' | ');
+  }
+  
+  // Target language rule first, then whatever the catalog header declares
+  pluralRule(parsed, contentProfile) {
+    const fromTarget = po.pluralRuleFor(contentProfile.tgtLang);
+    if (fromTarget) return fromTarget;
+    if (parsed.pluralForms) {
+      try {
+        po.compilePluralExpression(parsed.pluralForms.plural);
+        return parsed.pluralForms;
+      } catch {}
+    }
+    return { nplurals: 2, plural: '(n != 1)' };
+  }
+  
+  async reconstructFile(originalBuffer, filename, segments, contentProfile) {
+    try {
+      const text = originalBuffer.toString('utf8');
+      const translations = new Map();
+      const fuzzy = new Set();
+      
+      for (const segment of segments) {
+        if (!segment.tgt) continue;
+        if (segment.type === 'po_plural') {
+          const forms = translations.get(segment.entryIndex) || [];
+          forms[segment.pluralIndex] = segment.tgt;
+          translations.set(segment.entryIndex, forms);
+        } else {
+          translations.set(segment.entryIndex, segment.tgt);
+        }
+        if (segment.fuzzy) fuzzy.add(segment.entryIndex);
+      }
       
-      runs.push({
-        text: text,
-        style: {},
-        index
+      const out = po.buildPo(text, translations, {
+        targetLang: contentProfile.tgtLang || null,
+        pluralForms: this.pluralRule(po.parsePo(text), contentProfile),
+        fuzzy
       });
-    });
+      return Buffer.from(out, 'utf8');
+    } catch (error) {
+      log.error('PO reconstruction failed', { error: error.message });
+      return originalBuffer;
+    }
+  }
+  
+  async generateFitReport(buffer, segments, contentProfile) {
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 1.0,
+      fitRatio: 1.0,
+      lineOverflowCount: 0,
+      fuzzyCount: segments.filter(s => s.fuzzy).length,
+      placeholderErrorCount: 0,
+      segmentReports: []
+    };
+    
+    for (const segment of segments) {
+      if (!segment.tgt) continue;
+      const expected = po.extractPlaceholders(segment.src);
+      const actual = po.extractPlaceholders(segment.tgt);
+      if (expected.join('\u0000') !== actual.join('\u0000')) {
+        report.placeholderErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, expected, actual });
+      }
+    }
+    
+    report.fitRatio = segments.length > 0 ? (segments.length - report.placeholderErrorCount) / segments.length : 1;
+    report.passesThreshold = report.placeholderErrorCount === 0;
+    
+    return report;
+  }
+}
+
+/**
+ * Resource Bundle Handler - JSON/YAML i18n files; only message strings are translated,
+ * placeholders travel as tokens and the file is re-emitted with its original key order
+ */
+class ResourceBundleHandler extends FileHandler {
+  async analyzeContent(buffer, filename) {
+    const parsed = resourceBundle.parseBundle(buffer.toString('utf8'), { format: resourceBundle.formatFor(filename) });
+    
+    return {
+      pages: 0,
+      format: parsed.format,
+      layout: parsed.layout,
+      rootLocale: parsed.rootLocale,
+      strings: parsed.units.length,
+      placeholders: parsed.units.reduce((sum, u) => sum + Object.keys(u.tags).length, 0)
+    };
+  }
+  
+  async extractSegments(buffer, filename, contentProfile) {
+    const parsed = resourceBundle.parseBundle(buffer.toString('utf8'), { format: resourceBundle.formatFor(filename) });
     
-    return runs;
+    return parsed.units.map(u => ({
+      blockId: u.key,
+      src: u.text,
+      type: 'bundle_string',
+      context: u.context,
+      tags: u.tags
+    }));
   }
   
   async reconstructFile(originalBuffer, filename, segments, contentProfile) {
     try {
-      const zip = new JSZip();
-      const archive = await zip.loadAsync(originalBuffer);
-      
-      // Process each slide file
-      const slideFiles = Object.keys(archive.files).filter(path => 
-        path.startsWith('ppt/slides/slide') && path.endsWith('.xml')
-      );
-      
-      for (const slidePath of slideFiles) {
-        const file = archive.file(slidePath);
-        if (!file) continue;
-        
-        let xmlContent = await file.async('string');
-        
-        // Find segments for this slide
-        const slideSegments = segments.filter(s => s.slidePath === slidePath);
-        
-        // Replace text in <a:t> elements
-        slideSegments.forEach(segment => {
-          if (segment.tgt && segment.src !== segment.tgt) {
-            xmlContent = xmlContent.replace(
-              new RegExp(`<a:t[^>]*>${this.escapeXml(segment.src)}</a:t>`, 'g'),
-              `<a:t>${this.escapeXml(segment.tgt)}</a:t>`
-            );
-          }
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+      }
+      const out = resourceBundle.buildBundle(originalBuffer.toString('utf8'), translations, {
+        format: resourceBundle.formatFor(filename),
+        targetLang: contentProfile.tgtLang || null
+      });
+      return Buffer.from(out, 'utf8');
+    } catch (error) {
+      log.error('Resource bundle reconstruction failed', { error: error.message });
+      return originalBuffer;
+    }
+  }
+  
+  async generateFitReport(buffer, segments, contentProfile) {
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 1.0,
+      fitRatio: 1.0,
+      lineOverflowCount: 0,
+      placeholderErrorCount: 0,
+      segmentReports: []
+    };
+    
+    // Failing strings were written back in the source language by buildBundle
+    for (const segment of segments) {
+      if (!segment.tgt || !segment.tags) continue;
+      const check = validateInlineTags(segment.tgt, segment.tags);
+      if (!check.ok) {
+        report.placeholderErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, keptSource: true, ...check });
+      }
+    }
+    
+    report.fitRatio = segments.length > 0 ? (segments.length - report.placeholderErrorCount) / segments.length : 1;
+    report.passesThreshold = report.placeholderErrorCount === 0;
+    
+    return report;
+  }
+}
+
+/**
+ * Mobile Strings Handler - Android strings.xml and iOS .strings/.stringsdict; plural units
+ * follow the target language's CLDR categories and the file keeps its original encoding
+ */
+class MobileStringsHandler extends FileHandler {
+  constructor(format) {
+    super();
+    this.format = format;
+  }
+  
+  parse(buffer, filename, targetLang) {
+    const { text, encoding } = mobileStrings.decodeBuffer(buffer);
+    const format = mobileStrings.mobileFormatFor(filename, text);
+    if (format !== this.format) {
+      throw new Error(`${filename} is not a ${this.format === 'android' ? 'strings.xml resource' : `.${this.format}`} file`);
+    }
+    return { text, encoding, parsed: mobileStrings.parseMobile(text, { format, targetLang }) };
+  }
+  
+  async analyzeContent(buffer, filename) {
+    const { encoding, parsed } = this.parse(buffer, filename, null);
+    
+    return {
+      pages: 0,
+      format: this.format,
+      encoding,
+      strings: parsed.units.length,
+      placeholders: parsed.units.reduce((sum, u) => sum + Object.keys(u.tags).length, 0)
+    };
+  }
+  
+  async extractSegments(buffer, filename, contentProfile) {
+    // Plural units are keyed by the target's categories (e.g. one/few/many/other for Russian)
+    const { parsed } = this.parse(buffer, filename, contentProfile.tgtLang || null);
+    
+    return parsed.units.map(u => ({
+      blockId: u.key,
+      src: u.text,
+      type: 'mobile_string',
+      context: u.context,
+      tags: u.tags
+    }));
+  }
+  
+  async reconstructFile(originalBuffer, filename, segments, contentProfile) {
+    try {
+      const { text, encoding } = mobileStrings.decodeBuffer(originalBuffer);
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+      }
+      const out = mobileStrings.buildMobile(text, translations, {
+        format: this.format,
+        targetLang: contentProfile.tgtLang || null
+      });
+      return mobileStrings.encodeText(out, encoding);
+    } catch (error) {
+      log.error('Mobile strings reconstruction failed', { error: error.message });
+      return originalBuffer;
+    }
+  }
+  
+  async generateFitReport(buffer, segments, contentProfile) {
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 1.0,
+      fitRatio: 1.0,
+      lineOverflowCount: 0,
+      placeholderErrorCount: 0,
+      segmentReports: []
+    };
+    
+    // Failing strings were written back in the source language by buildMobile
+    for (const segment of segments) {
+      if (!segment.tgt || !segment.tags) continue;
+      const check = validateInlineTags(segment.tgt, segment.tags);
+      if (!check.ok) {
+        report.placeholderErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, keptSource: true, ...check });
+      }
+    }
+    
+    report.fitRatio = segments.length > 0 ? (segments.length - report.placeholderErrorCount) / segments.length : 1;
+    report.passesThreshold = report.placeholderErrorCount === 0;
+    
+    return report;
+  }
+}
+
+/**
+ * EPUB Handler - Translates the spine's XHTML chapters, navigation document/NCX and book
+ * metadata; repackages with dc:language set and an uncompressed leading mimetype
+ */
+class EPUBHandler extends FileHandler {
+  async analyzeContent(buffer, filename) {
+    const parsed = await epub.parseEpub(buffer);
+    const chapters = parsed.chapters.filter(c => !c.nav);
+    
+    return {
+      pages: chapters.length,
+      version: parsed.version,
+      language: parsed.lang,
+      title: parsed.title,
+      chapters: chapters.map(c => ({ path: c.path, title: c.title, segments: c.units.length })),
+      hasNavigation: parsed.chapters.some(c => c.nav),
+      inlineCodes: parsed.units.reduce((sum, u) => sum + Object.keys(u.tags).length, 0)
+    };
+  }
+  
+  async extractSegments(buffer, filename, contentProfile) {
+    // Chapter text runs keep inline markup as [[gN]]/[[xN]] tokens; `chapter` groups progress
+    const parsed = await epub.parseEpub(buffer);
+    const segments = [];
+    for (const chapter of parsed.chapters) {
+      for (const u of chapter.units) {
+        segments.push({
+          blockId: u.key,
+          src: u.text,
+          type: chapter.nav ? 'navigation' : 'chapter_text',
+          chapter: chapter.path,
+          chapterTitle: chapter.title,
+          context: u.context,
+          tags: u.tags
         });
-        
-        archive.file(slidePath, xmlContent);
       }
-      
-      const updatedBuffer = await archive.generateAsync({ type: 'nodebuffer' });
-      return updatedBuffer;
+    }
+    // Package metadata (dc:title, dc:description) travels with the first chapter
+    const first = parsed.chapters[0];
+    const metadata = parsed.units.filter(u => !segments.some(s => s.blockId === u.key));
+    return [
+      ...metadata.map(u => ({
+        blockId: u.key,
+        src: u.text,
+        type: 'metadata',
+        chapter: first ? first.path : 'metadata',
+        chapterTitle: first ? first.title : 'metadata',
+        context: u.context,
+        tags: u.tags
+      })),
+      ...segments
+    ];
+  }
+  
+  async reconstructFile(originalBuffer, filename, segments, contentProfile) {
+    try {
+      const translations = new Map();
+      for (const segment of segments) {
+        if (segment.tgt) translations.set(segment.blockId, segment.tgt);
+      }
+      return await epub.buildEpub(originalBuffer, translations, { targetLang: contentProfile.tgtLang || null });
     } catch (error) {
-      log.error('PPTX reconstruction failed', { error: error.message });
+      log.error('EPUB reconstruction failed', { error: error.message });
       return originalBuffer;
     }
   }
   
-  escapeXml(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+  async generateFitReport(buffer, segments, contentProfile) {
+    const report = {
+      totalSegments: segments.length,
+      passThreshold: 0.98,
+      fitRatio: 1.0,
+      lineOverflowCount: 0,
+      placeholderErrorCount: 0,
+      segmentReports: []
+    };
+    
+    // buildEpub repairs broken codes (lost emphasis/links re-appended), so flag them for review
+    for (const segment of segments) {
+      if (!segment.tgt || !segment.tags) continue;
+      const check = validateInlineTags(segment.tgt, segment.tags);
+      if (!check.ok) {
+        report.placeholderErrorCount++;
+        report.segmentReports.push({ blockId: segment.blockId, chapter: segment.chapter, repaired: true, ...check });
+      }
+    }
+    
+    // Readers reject books whose container is malformed, whatever the text quality
+    const pkg = await epub.checkPackage(buffer);
+    report.packageProblems = pkg.problems;
+    
+    report.fitRatio = segments.length > 0 ? (segments.length - report.placeholderErrorCount) / segments.length : 1;
+    report.passesThreshold = pkg.ok && report.fitRatio >= report.passThreshold;
+    
+    return report;
   }
 }
 
@@ -912,5 +1602,11 @@ module.exports = {
   FileTranslationSystem,
   PDFHandler,
   DOCXHandler,  
-  PPTXHandler
+  PPTXHandler,
+  XLSXHandler,
+  XLIFFHandler,
+  POHandler,
+  ResourceBundleHandler,
+  MobileStringsHandler,
+  EPUBHandler
 };
@@ -0,0 +1,235 @@
+// formats/align.js
+/**
+ * Deterministic sentence alignment of a document and its existing translation, for building TM
+ * from legacy translations without a model:
+ *  - splitSentences: paragraphs into sentences with the shared SRX rules (formats/segmentation.js)
+ *  - anchors: numbers, URLs/e-mails, acronyms/product names and glossary terms found in a
+ *    sentence; a pair sharing its anchors is more likely right
+ *  - align: Gale-Church length-based dynamic programming over 1:1, 1:2, 2:1 (and 1:0/0:1 for
+ *    sentences with no counterpart) beads, with an anchor-mismatch cost and a confidence per pair
+ * The length ratio is estimated from the two documents, so CJK against Latin-script text works.
+ */
+const { findTerm } = require('./glossary-check');
+const segmentation = require('./segmentation');
+
+// Bead types with their prior probability (Gale & Church 1993, 2:2 left out)
+const BEADS = [
+  { type: '1:1', s: 1, t: 1, prior: 0.89 },
+  { type: '2:1', s: 2, t: 1, prior: 0.045 },
+  { type: '1:2', s: 1, t: 2, prior: 0.045 },
+  { type: '1:0', s: 1, t: 0, prior: 0.005 },
+  { type: '0:1', s: 0, t: 1, prior: 0.005 }
+];
+const VARIANCE = 6.8;
+// Cost added when a pair's anchors disagree completely (scaled by the share that disagrees)
+const ANCHOR_WEIGHT = 4;
+const MIN_BAND = 40;
+
+/** Sentences of a text, segmented with the shared SRX rules for its language */
+function splitSentences(text, lang = 'auto') {
+  return segmentation.segment(text, lang);
+}
+
+/**
+ * Anchors of one sentence: Map(key -> label). `terms` are glossary rows ({ src, tgt }); a term's
+ * source form anchors a source sentence and its target form a target sentence under one key.
+ */
+function anchors(sentence, { side = 'source', terms = [], lang = null } = {}) {
+  const text = String(sentence || '');
+  const found = new Map();
+  for (const n of text.match(/\d+(?:[.,\u00a0\u202f]\d{3})*(?:[.,]\d+)?/g) || []) {
+    const digits = n.replace(/\D/g, '');
+    if (digits) found.set(`n:${digits}`, n);
+  }
+  for (const u of text.match(/\b(?:https?:\/\/|www\.)\S+|[\w.+-]+@[\w-]+\.[\w.-]+/g) || []) {
+    const clean = u.replace(/[.,;:!?)\]]+$/, '');
+    found.set(`u:${clean.toLowerCase()}`, clean);
+  }
+  // Acronyms and product names ("API", "iPhone", "Win11") are usually kept as they are
+  for (const w of text.match(/(?<![\p{L}\p{N}])(?:\p{Lu}{2,}|\p{Ll}+\p{Lu}[\p{L}\p{N}]*|\p{Lu}\p{Ll}+\p{Lu}[\p{L}\p{N}]*|\p{L}+\d+\p{L}*)(?![\p{L}\p{N}])/gu) || []) {
+    found.set(`w:${w}`, w);
+  }
+  (terms || []).forEach((term, i) => {
+    const form = side === 'source' ? term.src : term.tgt;
+    if (form && findTerm(text, form, side === 'source' ? (term.src_lang || lang) : (term.tgt_lang || lang)).length) {
+      found.set(`t:${term.id ?? i}`, `${term.src} = ${term.tgt}`);
+    }
+  });
+  return found;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 for erf)
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Length difference in standard deviations, target length scaled to source units by `ratio`
+function lengthDelta(srcLen, tgtLen, ratio) {
+  const scaled = tgtLen / ratio;
+  const mean = Math.max(1, (srcLen + scaled) / 2);
+  return (scaled - srcLen) / Math.sqrt(mean * VARIANCE);
+}
+
+function mergeAnchors(list) {
+  const out = new Map();
+  list.forEach(a => a.forEach((label, key) => out.set(key, label)));
+  return out;
+}
+
+function anchorAgreement(a, b) {
+  let matched = 0;
+  a.forEach((_, key) => { if (b.has(key)) matched++; });
+  const union = a.size + b.size - matched;
+  return { matched, union };
+}
+
+const textLength = (s) => s.replace(/\s+/g, '').length;
+
+/**
+ * Align two sentence lists.
+ * @param {string[]} source
+ * @param {string[]} target
+ * @param {{ terms?: object[], srcLang?: string, tgtLang?: string, reviewBelow?: number }} options
+ *   terms are glossary rows used as anchors; pairs under `reviewBelow` (default 0.6) are
+ *   flagged for review
+ * @returns {{ pairs: object[], summary: object }} pairs in document order:
+ *   { index, type, source: [i], target: [j], src, tgt, confidence, anchors: { matched, unmatched }, review }
+ */
+function align(source, target, { terms = [], srcLang = null, tgtLang = null, reviewBelow = 0.6 } = {}) {
+  const src = (source || []).map(s => String(s || ''));
+  const tgt = (target || []).map(s => String(s || ''));
+  const n = src.length;
+  const m = tgt.length;
+  const srcLens = src.map(textLength);
+  const tgtLens = tgt.map(textLength);
+  const totalSrc = srcLens.reduce((a, b) => a + b, 0);
+  const totalTgt = tgtLens.reduce((a, b) => a + b, 0);
+  const ratio = totalSrc && totalTgt ? totalTgt / totalSrc : 1;
+  const srcAnchors = src.map(s => anchors(s, { side: 'source', terms, lang: srcLang }));
+  const tgtAnchors = tgt.map(s => anchors(s, { side: 'target', terms, lang: tgtLang }));
+  // Anchors of each sentence and of each sentence with the next, for 2:1 / 1:2 beads
+  const srcPairs = srcAnchors.slice(1).map((a, k) => mergeAnchors([srcAnchors[k], a]));
+  const tgtPairs = tgtAnchors.slice(1).map((a, k) => mergeAnchors([tgtAnchors[k], a]));
+  const group = (single, paired, end, size) => (size === 1 ? single[end - 1] : paired[end - 2]);
+
+  // Banded DP around the diagonal so thousands of sentences stay linear in time and memory: the
+  // path can only drift from it by about the difference in sentence counts (an empty side needs
+  // the whole other side in its one row)
+  const band = Math.max(MIN_BAND, Math.abs(n - m) + MIN_BAND, n ? 0 : m);
+  const width = band * 2 + 1;
+  const low = (i) => (n ? Math.round((i * m) / n) : 0) - band;
+  const cost = new Float64Array((n + 1) * width).fill(Infinity);
+  const back = new Int8Array((n + 1) * width).fill(-1);
+  const cell = (i, j) => {
+    const off = j - low(i);
+    return i < 0 || j < 0 || j > m || off < 0 || off >= width ? -1 : i * width + off;
+  };
+  cost[cell(0, 0)] = 0;
+
+  const beadCost = (bead, i, j) => {
+    let sl = 0;
+    let tl = 0;
+    for (let k = 0; k < bead.s; k++) sl += srcLens[i - bead.s + k];
+    for (let k = 0; k < bead.t; k++) tl += tgtLens[j - bead.t + k];
+    const delta = lengthDelta(sl, tl, ratio);
+    let c = -Math.log(bead.prior) - Math.log(Math.max(1e-12, 2 * (1 - normalCdf(Math.abs(delta)))));
+    if (bead.s && bead.t) {
+      const { matched, union } = anchorAgreement(group(srcAnchors, srcPairs, i, bead.s), group(tgtAnchors, tgtPairs, j, bead.t));
+      if (union) c += ANCHOR_WEIGHT * (1 - matched / union);
+    }
+    return c;
+  };
+
+  for (let i = 0; i <= n; i++) {
+    const from = Math.max(0, low(i));
+    const to = Math.min(m, low(i) + width - 1);
+    for (let j = from; j <= to; j++) {
+      if (!i && !j) continue;
+      const here = cell(i, j);
+      BEADS.forEach((bead, b) => {
+        if (i < bead.s || j < bead.t) return;
+        const prev = cell(i - bead.s, j - bead.t);
+        if (prev < 0 || cost[prev] === Infinity) return;
+        const c = cost[prev] + beadCost(bead, i, j);
+        if (c < cost[here]) {
+          cost[here] = c;
+          back[here] = b;
+        }
+      });
+    }
+  }
+
+  const beads = [];
+  let i = n;
+  let j = m;
+  while ((i || j) && cell(i, j) >= 0 && back[cell(i, j)] >= 0) {
+    const bead = BEADS[back[cell(i, j)]];
+    beads.push({ bead, i: i - bead.s, j: j - bead.t });
+    i -= bead.s;
+    j -= bead.t;
+  }
+  beads.reverse();
+
+  const pairs = beads.map(({ bead, i: si, j: tj }, index) => {
+    const sIdx = Array.from({ length: bead.s }, (_, k) => si + k);
+    const tIdx = Array.from({ length: bead.t }, (_, k) => tj + k);
+    const a = mergeAnchors(sIdx.map(k => srcAnchors[k]));
+    const b = mergeAnchors(tIdx.map(k => tgtAnchors[k]));
+    const { matched, union } = anchorAgreement(a, b);
+    let confidence = 0;
+    if (bead.s && bead.t) {
+      const delta = lengthDelta(sIdx.reduce((s, k) => s + srcLens[k], 0), tIdx.reduce((s, k) => s + tgtLens[k], 0), ratio);
+      const lengthScore = 2 * (1 - normalCdf(Math.abs(delta) / 2));
+      // Anchors corroborate (or contradict) the length evidence; without any, length alone is weaker
+      confidence = union ? 0.5 * lengthScore + 0.5 * (matched / union) : 0.9 * lengthScore;
+      if (bead.type !== '1:1') confidence *= 0.9;
+    }
+    confidence = Math.round(confidence * 1000) / 1000;
+    return {
+      index,
+      type: bead.type,
+      source: sIdx,
+      target: tIdx,
+      src: sIdx.map(k => src[k]).join(' '),
+      tgt: tIdx.map(k => tgt[k]).join(' '),
+      confidence,
+      anchors: {
+        matched: [...a.keys()].filter(k => b.has(k)).map(k => a.get(k)),
+        unmatched: [...[...a.keys()].filter(k => !b.has(k)).map(k => a.get(k)), ...[...b.keys()].filter(k => !a.has(k)).map(k => b.get(k))]
+      },
+      review: confidence < reviewBelow
+    };
+  });
+
+  const byType = {};
+  pairs.forEach(p => { byType[p.type] = (byType[p.type] || 0) + 1; });
+  const aligned = pairs.filter(p => p.source.length && p.target.length);
+  return {
+    pairs,
+    summary: {
+      sourceSentences: n,
+      targetSentences: m,
+      pairs: aligned.length,
+      unaligned: pairs.length - aligned.length,
+      byType,
+      review: pairs.filter(p => p.review).length,
+      meanConfidence: aligned.length ? Math.round((aligned.reduce((s, p) => s + p.confidence, 0) / aligned.length) * 1000) / 1000 : null,
+      lengthRatio: Math.round(ratio * 1000) / 1000
+    }
+  };
+}
+
+/** Sentences of a document given as text or as paragraphs (strings or { text }) */
+function toSentences(input, lang = 'auto') {
+  return (Array.isArray(input) ? input : [input]).flatMap(p => splitSentences(typeof p === 'string' ? p : p?.text, lang));
+}
+
+module.exports = {
+  splitSentences,
+  anchors,
+  toSentences,
+  align
+};
@@ -0,0 +1,284 @@
+// formats/ass.js
+/**
+ * Advanced SubStation Alpha (.ass) and SubStation Alpha v4 (.ssa) subtitles.
+ *  - parseAss: Dialogue events with their style and actor (Name) fields, plus the styles table
+ *  - only the Text field is translated; [Script Info], [V4+ Styles], [Fonts], [Graphics] and
+ *    every other event field (layer, times, style, actor, margins, effect) are left untouched
+ *  - override blocks ({\i1}, {\pos(10,20)}, {\k20}) and vector drawings become inline-code
+ *    tokens; {\i1}...{\i0} style toggles travel as pairs so the span follows word order
+ *  - \N hard breaks become newlines in segment text; \n and \h stay as standalone codes
+ *  - buildAss: splices translated Text fields into the ORIGINAL file
+ */
+const { validateInlineTags, restoreInline } = require('./inline-codes');
+const { splice } = require('./xml');
+
+const ASS_EXTENSIONS = new Set(['.ass', '.ssa']);
+
+// Used when an [Events] section has no Format line (and for the styles table likewise)
+const DEFAULT_EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+const DEFAULT_SSA_EVENT_FORMAT = ['Marked', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+const DEFAULT_STYLE_FORMAT = ['Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'OutlineColour', 'BackColour',
+  'Bold', 'Italic', 'Underline', 'StrikeOut', 'ScaleX', 'ScaleY', 'Spacing', 'Angle', 'BorderStyle', 'Outline', 'Shadow',
+  'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'];
+
+function isAssFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && ASS_EXTENSIONS.has(m[0]);
+}
+
+/* ---------------- Override tags ---------------- */
+
+const TOGGLE_OPEN_RE = /^\{\\([ibus])1\}$/;
+const TOGGLE_CLOSE_RE = /^\{\\([ibus])0?\}$/;
+const DRAWING_ON_RE = /\\p[1-9]/;
+const DRAWING_OFF_RE = /\\p0/;
+
+/**
+ * Dialogue Text -> { text, tags }. Paired toggles become [[gN]]...[[/gN]], every other
+ * override block, \n, \h and vector drawings (\p1 ... \p0) become [[xN]].
+ */
+function tokenizeText(raw = '') {
+  const tags = {};
+  const stack = [];
+  let counter = 0;
+  let out = '';
+  const standalone = (markup) => {
+    const id = `x${++counter}`;
+    tags[id] = { markup };
+    return `[[${id}]]`;
+  };
+
+  const re = /\{[^}]*\}|\\[Nnh]/g;
+  let last = 0;
+  let drawing = null;
+  let m;
+  while ((m = re.exec(raw))) {
+    const between = raw.slice(last, m.index);
+    const code = m[0];
+    last = re.lastIndex;
+
+    // Everything from a \p1 block to the next \p0 block is one drawing code
+    if (drawing !== null) {
+      drawing += between + code;
+      if (code.startsWith('{') && DRAWING_OFF_RE.test(code)) {
+        out += standalone(drawing);
+        drawing = null;
+      }
+      continue;
+    }
+    out += between;
+    if (code === '\\N') { out += '\n'; continue; }
+    if (code.startsWith('{') && DRAWING_ON_RE.test(code) && !DRAWING_OFF_RE.test(code.slice(code.search(DRAWING_ON_RE)))) {
+      drawing = code;
+      continue;
+    }
+
+    const open = code.match(TOGGLE_OPEN_RE);
+    const close = code.match(TOGGLE_CLOSE_RE);
+    if (open) {
+      const id = `g${++counter}`;
+      tags[id] = { open: code, close: `{\\${open[1]}0}` };
+      stack.push({ id, name: open[1] });
+      out += `[[${id}]]`;
+    } else if (close && stack.length && stack[stack.length - 1].name === close[1]) {
+      const { id } = stack.pop();
+      tags[id].close = code;
+      out += `[[/${id}]]`;
+    } else {
+      out += standalone(code);
+    }
+  }
+  const rest = raw.slice(last);
+  if (drawing !== null) out += standalone(drawing + rest);
+  else out += rest;
+
+  // Toggles left open at the end of the line travel as standalone codes
+  for (const { id } of stack) {
+    const x = `x${id.slice(1)}`;
+    tags[x] = { markup: tags[id].open };
+    delete tags[id];
+    out = out.replace(`[[${id}]]`, `[[${x}]]`);
+  }
+  return { text: out, tags };
+}
+
+// Override blocks cannot be escaped in ASS; stray braces in a translation would open one
+const escapeText = (s) => String(s).replace(/\r/g, '').replace(/\{/g, '(').replace(/\}/g, ')').replace(/\n/g, '\\N');
+
+const hasLetters = (text) => /\p{L}/u.test(text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+
+/* ---------------- Sections ---------------- */
+
+// Lines with their offsets so edits can be spliced into the original text
+function scanLines(text) {
+  const lines = [];
+  const re = /[^\r\n]*(?:\r\n|\n|\r|$)/g;
+  let m;
+  while ((m = re.exec(text)) && m[0]) {
+    const body = m[0].replace(/[\r\n]+$/, '');
+    lines.push({ start: m.index, body });
+  }
+  return lines;
+}
+
+const splitFields = (value, count) => {
+  const parts = value.split(',');
+  if (parts.length <= count) return parts;
+  return [...parts.slice(0, count - 1), parts.slice(count - 1).join(',')];
+};
+
+const parseFormat = (value) => value.split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Parse an .ass/.ssa file into translatable units.
+ * @returns {{ version: 'ass'|'ssa', info: object, styles: object[], units: [{ key, value, text, tags, context, speaker, style, start, end, layer, effect }] }}
+ */
+function parseAss(input = '') {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const offset = String(input).length - text.length;
+  const info = {};
+  const styles = [];
+  const units = [];
+  let version = null;
+  let section = '';
+  let styleFormat = DEFAULT_STYLE_FORMAT;
+  let eventFormat = null;
+  let events = 0;
+
+  for (const line of scanLines(text)) {
+    const body = line.body;
+    const header = body.trim().match(/^\[(.+)\]$/);
+    if (header) {
+      section = header[1].trim().toLowerCase();
+      if (section === 'v4+ styles') version = 'ass';
+      else if (section === 'v4 styles' && !version) version = 'ssa';
+      continue;
+    }
+    const kv = body.match(/^([^:;!][^:]*):\s?(.*)$/);
+    if (!kv) continue;
+    const key = kv[1].trim();
+    const value = kv[2];
+
+    if (section === 'script info') {
+      info[key] = value.trim();
+      if (key.toLowerCase() === 'scripttype' && /v4\.00\+/i.test(value)) version = 'ass';
+    } else if (section === 'v4+ styles' || section === 'v4 styles') {
+      if (key === 'Format') styleFormat = parseFormat(value);
+      else if (key === 'Style') {
+        const fields = splitFields(value, styleFormat.length);
+        styles.push(Object.fromEntries(styleFormat.map((f, i) => [f, (fields[i] || '').trim()])));
+      }
+    } else if (section === 'events') {
+      if (key === 'Format') { eventFormat = parseFormat(value); continue; }
+      if (key !== 'Dialogue' && key !== 'Comment') continue;
+      events++;
+      if (key === 'Comment') continue;
+
+      const format = eventFormat || (version === 'ssa' ? DEFAULT_SSA_EVENT_FORMAT : DEFAULT_EVENT_FORMAT);
+      const fields = splitFields(value, format.length);
+      const field = (name) => {
+        const i = format.findIndex(f => f.toLowerCase() === name.toLowerCase());
+        return i === -1 ? '' : (fields[i] || '');
+      };
+      const textIndex = format.findIndex(f => f.toLowerCase() === 'text');
+      if (textIndex === -1 || fields.length < format.length) continue;
+
+      // Text is the last field and keeps its commas; locate it after the preceding ones
+      const valueStart = line.start + body.length - value.length;
+      const textStart = valueStart + fields.slice(0, textIndex).reduce((n, f) => n + f.length + 1, 0);
+      const raw = fields[textIndex];
+      const { text: tokenized, tags } = tokenizeText(raw);
+      if (!hasLetters(tokenized)) continue;
+
+      const speaker = field('Name').trim();
+      const style = field('Style').trim();
+      units.push({
+        key: `dialogue_${events}`,
+        value: raw,
+        text: tokenized,
+        tags,
+        context: [`Dialogue ${events}`, style && `style ${style}`, speaker && `spoken by ${speaker}`].filter(Boolean).join(', '),
+        speaker,
+        style,
+        start: field('Start').trim(),
+        end: field('End').trim(),
+        layer: field('Layer').trim(),
+        effect: field('Effect').trim(),
+        _loc: { start: offset + textStart, end: offset + textStart + raw.length }
+      });
+    }
+  }
+
+  if (!version && !units.length && !styles.length) throw new Error('Not an ASS/SSA subtitle file');
+  return { version: version || 'ass', info, styles, units };
+}
+
+/* ---------------- Public API ---------------- */
+
+/** Public view of units; start/end/text also work as cues for subtitle fit checks */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    speaker: u.speaker || null,
+    style: u.style,
+    start: u.start,
+    end: u.end,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Units whose tokens did not survive translation (buildAss repairs them) */
+function checkTags(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+/**
+ * Write translations into the original file. Units without a (non-empty) translation keep
+ * their source text.
+ * @param {string} text original .ass/.ssa file (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ */
+function buildAss(text = '', translations = {}) {
+  const src = String(text);
+  const parsed = parseAss(src);
+  const map = normalizeTranslations(translations);
+  const edits = [];
+  for (const unit of parsed.units) {
+    const target = map.get(unit.key);
+    if (target == null || !target.trim()) continue;
+    edits.push({ ...unit._loc, text: restoreInline(target.trim(), unit.tags, escapeText) });
+  }
+  return splice(src, edits);
+}
+
+module.exports = {
+  ASS_EXTENSIONS,
+  isAssFile,
+  tokenizeText,
+  parseAss,
+  toSegments,
+  checkTags,
+  buildAss
+};
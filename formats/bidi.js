@@ -0,0 +1,264 @@
+// formats/bidi.js
+/**
+ * Right-to-left helpers for Arabic, Hebrew, Persian, Urdu and other RTL targets:
+ *  - direction of a language tag or a piece of text
+ *  - Latin runs inside RTL text (DOCX run direction, RLM/LRM marks for subtitles and .txt)
+ *  - visual run order for renderers that only shape (fontkit in pdfkit/pdf-lib shapes and
+ *    reverses a single RTL run but does not reorder mixed-direction lines or mirror brackets)
+ * The reordering is a compact take on the Unicode bidi algorithm for one line with no
+ * explicit embeddings: strong letters, digit runs (with their separators), bracket pairs,
+ * and neutrals that follow their neighbours or the paragraph direction.
+ */
+const { toGettextCode } = require('./po');
+
+const RTL_LANGS = new Set(['ar', 'he', 'iw', 'fa', 'ur', 'ps', 'yi', 'ji', 'dv', 'ckb', 'sd', 'ug', 'syr']);
+const RTL_SCRIPTS = new Set(['arab', 'hebr', 'syrc', 'thaa', 'nkoo', 'adlm', 'rohg']);
+
+const RLM = '\u200F';
+const LRM = '\u200E';
+
+const RTL_LETTER_RE = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Adlam}]/u;
+const isRtlLetter = (ch) => /\p{L}/u.test(ch) && RTL_LETTER_RE.test(ch);
+const isLtrLetter = (ch) => /\p{L}/u.test(ch) && !RTL_LETTER_RE.test(ch);
+
+/** True for RTL language tags or names; an explicit script subtag wins (az-Arab is RTL, ku-Latn is not) */
+function isRtlLang(lang) {
+  const parts = toGettextCode(lang).split('_').filter(Boolean);
+  const script = parts.slice(1).find(p => p.length === 4);
+  if (script) return RTL_SCRIPTS.has(script);
+  return RTL_LANGS.has(parts[0]);
+}
+
+/** True when RTL letters outnumber other letters */
+function isRtlText(text) {
+  let rtl = 0;
+  let ltr = 0;
+  for (const ch of String(text || '')) {
+    if (isRtlLetter(ch)) rtl++;
+    else if (isLtrLetter(ch)) ltr++;
+  }
+  return rtl > ltr;
+}
+
+/** 'rtl' | 'ltr' for output in `lang`; without a language the text decides */
+function direction(lang, text = '') {
+  if (lang) return isRtlLang(lang) ? 'rtl' : 'ltr';
+  return isRtlText(text) ? 'rtl' : 'ltr';
+}
+
+const hasRtl = (text) => [...String(text || '')].some(isRtlLetter);
+
+/* ---------------- Latin runs ---------------- */
+
+// Sentence punctuation at the end of a Latin run belongs to the surrounding RTL sentence
+const TRAILING_PUNCT_RE = /[\s.,;:!?\u2026\u060C\u061B\u061F\u06D4]$/u;
+const CLOSERS = { ')': '(', ']': '[', '}': '{', '>': '<', '\u00BB': '\u00AB' };
+const OPENERS = { '(': ')', '[': ']', '{': '}', '\u00AB': '\u00BB' };
+
+function trimRun(run) {
+  let out = run;
+  for (;;) {
+    const last = out.slice(-1);
+    if (TRAILING_PUNCT_RE.test(last)) { out = out.slice(0, -1); continue; }
+    // An unmatched closing bracket pairs with an opener outside the run
+    if (CLOSERS[last] && out.split(CLOSERS[last]).length <= out.split(last).length - 1) { out = out.slice(0, -1); continue; }
+    return out;
+  }
+}
+
+/**
+ * Split text into Latin (left-to-right) runs and everything else, in logical order.
+ * A run starts at a left-to-right letter and extends to the last such letter, digit or
+ * attached symbol before the next RTL letter or line end (so "C++" and "v2.1" stay whole).
+ * @returns {Array<{ text: string, ltr: boolean }>}
+ */
+function latinRuns(text) {
+  const chars = [...String(text || '')];
+  const out = [];
+  const push = (t, ltr) => {
+    if (!t) return;
+    const prev = out[out.length - 1];
+    if (prev && prev.ltr === ltr) prev.text += t;
+    else out.push({ text: t, ltr });
+  };
+  let i = 0;
+  while (i < chars.length) {
+    if (!isLtrLetter(chars[i])) { push(chars[i++], false); continue; }
+    let j = i;
+    while (j < chars.length && !isRtlLetter(chars[j]) && chars[j] !== '\n') j++;
+    const run = trimRun(chars.slice(i, j).join(''));
+    push(run, true);
+    i += [...run].length;
+  }
+  return out;
+}
+
+// Inline markup in subtitle text: HTML-style tags and ASS override blocks
+const MARKUP_RE = /(<\/?[a-zA-Z][^>]*>|\{\\[^}]*\})/;
+
+/**
+ * Directional marks for plain-text RTL output: each line holding RTL text starts with an RLM
+ * so players using first-strong detection lay it out right to left, and every Latin run is
+ * wrapped in LRM so trailing symbols stay with it. Lines without RTL letters are untouched;
+ * existing marks are replaced.
+ */
+function addDirectionMarks(text) {
+  return String(text || '').split('\n').map(line => {
+    const clean = line.replace(/[\u200E\u200F]/g, '');
+    if (!hasRtl(clean)) return clean;
+    const body = clean.split(MARKUP_RE).map((piece, i) => (i % 2
+      ? piece
+      : latinRuns(piece).map(r => (r.ltr ? `${LRM}${r.text}${LRM}` : r.text)).join(''))).join('');
+    return `${RLM}${body}`;
+  }).join('\n');
+}
+
+/* ---------------- Visual order ---------------- */
+
+function classify(chars) {
+  const types = [];
+  chars.forEach((ch, i) => {
+    if (i && /\p{M}/u.test(ch)) types.push(types[i - 1]);
+    else if (/\p{Nd}/u.test(ch)) types.push('EN');
+    else if (isRtlLetter(ch)) types.push('R');
+    else if (/\p{L}/u.test(ch)) types.push('L');
+    else types.push('N');
+  });
+  return types;
+}
+
+/**
+ * Resolve embedding levels for one line (0/1 paragraph level; digits and Latin inside RTL go to 2).
+ */
+function resolveLevels(chars, rtlBase) {
+  const types = classify(chars);
+  const n = types.length;
+
+  // Separators inside numbers (1,000 / 3.5 / 10:30) and adjacent number signs (50% / $5)
+  for (let i = 0; i < n; i++) {
+    if (types[i] !== 'N') continue;
+    if (/[.,:/\u066B\u066C]/.test(chars[i]) && types[i - 1] === 'EN' && types[i + 1] === 'EN') types[i] = 'EN';
+  }
+  for (let pass = 0; pass < 2; pass++) {
+    for (let i = 0; i < n; i++) {
+      if (types[i] === 'N' && /[%\u2030\u066A$\u20AC\u00A3\u00A5#+\u2212-]/.test(chars[i]) && (types[i - 1] === 'EN' || types[i + 1] === 'EN')) types[i] = 'EN';
+    }
+  }
+
+  // Numbers after Latin text (or at the start of an LTR line) are Latin
+  let strong = rtlBase ? 'R' : 'L';
+  for (let i = 0; i < n; i++) {
+    if (types[i] === 'L' || types[i] === 'R') strong = types[i];
+    else if (types[i] === 'EN' && strong === 'L') types[i] = 'L';
+  }
+
+  const base = rtlBase ? 'R' : 'L';
+  const dirOf = (t) => (t === 'EN' ? 'R' : t);
+
+  // Bracket pairs resolve together: the paragraph direction if it occurs inside, else the
+  // opposite direction when both the inside and the text before the pair use it
+  const stack = [];
+  for (let i = 0; i < n; i++) {
+    if (OPENERS[chars[i]]) stack.push(i);
+    else if (CLOSERS[chars[i]]) {
+      const at = stack.map(o => chars[o]).lastIndexOf(CLOSERS[chars[i]]);
+      if (at === -1) continue;
+      const open = stack[at];
+      stack.length = at;
+      const inside = new Set(types.slice(open + 1, i).filter(t => t !== 'N').map(dirOf));
+      if (!inside.size) continue;
+      let before = base;
+      for (let k = open - 1; k >= 0; k--) if (types[k] !== 'N') { before = dirOf(types[k]); break; }
+      const resolved = inside.has(base) ? base : before;
+      types[open] = resolved;
+      types[i] = resolved;
+    }
+  }
+
+  // Other neutrals take the direction shared by both neighbours, else the paragraph direction
+  for (let i = 0; i < n; i++) {
+    if (types[i] !== 'N') continue;
+    let j = i;
+    while (j < n && types[j] === 'N') j++;
+    const before = i > 0 ? dirOf(types[i - 1]) : base;
+    const after = j < n ? dirOf(types[j]) : base;
+    const resolved = before === after ? before : base;
+    for (let k = i; k < j; k++) types[k] = resolved;
+    i = j - 1;
+  }
+
+  return types.map(t => {
+    if (rtlBase) return t === 'R' ? 1 : 2;
+    if (t === 'R') return 1;
+    return t === 'EN' ? 2 : 0;
+  });
+}
+
+/**
+ * Runs of one line in visual (left-to-right) order. Each run's text is still in logical
+ * order; rtl runs must be laid out right to left (see layoutText).
+ * @returns {Array<{ text: string, rtl: boolean }>}
+ */
+function visualRuns(line, rtlBase) {
+  const chars = [...String(line || '')];
+  if (!chars.length) return [];
+  const levels = resolveLevels(chars, rtlBase);
+
+  const runs = [];
+  chars.forEach((ch, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.level === levels[i]) last.text += ch;
+    else runs.push({ text: ch, level: levels[i] });
+  });
+
+  // Reverse every maximal sequence at or above each odd-or-higher level, highest first
+  const max = Math.max(...runs.map(r => r.level));
+  for (let level = max; level >= 1; level--) {
+    for (let i = 0; i < runs.length; i++) {
+      if (runs[i].level < level) continue;
+      let j = i;
+      while (j < runs.length && runs[j].level >= level) j++;
+      runs.splice(i, j - i, ...runs.slice(i, j).reverse());
+      i = j - 1;
+    }
+  }
+
+  return runs.map(r => ({ text: r.text, rtl: r.level % 2 === 1 }));
+}
+
+const MIRROR = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '\u00AB': '\u00BB', '\u00BB': '\u00AB', '\u2039': '\u203A', '\u203A': '\u2039' };
+
+// fontkit takes a run's direction from its first character with a real script
+function engineRtl(text) {
+  for (const ch of text) {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(ch)) continue;
+    return RTL_LETTER_RE.test(ch);
+  }
+  return false;
+}
+
+const reverseClusters = (text) => (text.match(/\P{M}\p{M}*/gu) || []).reverse().join('');
+
+/**
+ * Text to hand to a shaping engine for one visual run. Brackets are mirrored in RTL runs;
+ * runs the engine would lay out in the wrong direction are pre-reversed: RTL runs of only
+ * spaces and punctuation, and LTR runs in an RTL script (Arabic-Indic digits).
+ */
+function layoutText(run) {
+  if (!run.rtl) return engineRtl(run.text) ? reverseClusters(run.text) : run.text;
+  const mirrored = [...run.text].map(ch => MIRROR[ch] || ch).join('');
+  return engineRtl(run.text) ? mirrored : reverseClusters(mirrored);
+}
+
+module.exports = {
+  RLM,
+  LRM,
+  isRtlLang,
+  isRtlText,
+  direction,
+  hasRtl,
+  latinRuns,
+  addDirectionMarks,
+  visualRuns,
+  layoutText
+};
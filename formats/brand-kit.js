@@ -0,0 +1,378 @@
+// formats/brand-kit.js
+/**
+ * Brand kit enforcement for translated output:
+ *  - builds the BRAND VOICE injection from a brand_kits row server-side (same block the web
+ *    app composes), so API callers only send a brandKitId
+ *  - finds forbidden words in the output, including inflected forms in the target language
+ *  - scores tone with a few explainable checks per descriptor (address register, emoji,
+ *    exclamations, shouting, hedging, sentence length)
+ *  - segments containing forbidden words can be handed to a `repair` callback
+ * Rows are brand_kits records: { id, name, tone[], forbidden_words[], style_notes }, where
+ * style_notes is plain text or the web app's JSON ({ audience, examples, doList, ... }).
+ */
+const { findTerm } = require('./glossary-check');
+const { officeLang } = require('./ooxml');
+
+const primaryLang = (lang) => String(officeLang(lang || '') || lang || '').toLowerCase().split(/[-_]/)[0];
+const list = (v) => (Array.isArray(v) ? v : String(v || '').split(/[\n,]+/)).map(s => String(s || '').trim()).filter(Boolean);
+
+/** style_notes as { audience, examples, doList, notes } whether it holds JSON or free text */
+function parseStyleNotes(notes) {
+  const text = String(notes || '').trim();
+  if (!text) return {};
+  if (text.startsWith('{')) {
+    try {
+      const o = JSON.parse(text);
+      return {
+        audience: o.audience || '',
+        examples: o.examples || '',
+        doList: o.doList || '',
+        notes: o.notes || o.style_notes || ''
+      };
+    } catch {
+      // not JSON after all: keep it as prose
+    }
+  }
+  return { notes: text };
+}
+
+/** The [BRAND VOICE] injection block for a kit ('' when the kit says nothing) */
+function brandInjection(kit) {
+  if (!kit) return '';
+  const name = String(kit.name || '').trim();
+  const tone = list(kit.tone).join(', ');
+  const words = list(kit.forbidden_words);
+  const style = parseStyleNotes(kit.style_notes);
+  if (!tone && !words.length && !style.audience && !style.doList && !style.notes && !style.examples) return '';
+  return [
+    '[BRAND VOICE \u2014 MANDATORY RULES]',
+    name ? `Brand: ${name}` : '',
+    tone ? `Tone (apply consistently): ${tone}` : '',
+    style.audience ? `Audience (write for them): ${style.audience}` : '',
+    style.doList ? `MUST DO:\n- ${String(style.doList).replace(/\r?\n/g, '\n- ')}` : '',
+    words.length ? `DO NOT use these words or any inflected form of them: ${words.map(w => JSON.stringify(w)).join(', ')}` : '',
+    style.notes ? `Style notes: ${style.notes}` : '',
+    style.examples ? `STYLE EXAMPLES (imitate voice, not wording):\n${style.examples}` : '',
+    'Deviations from BRAND VOICE are errors unless they conflict with locked glossary terms.'
+  ].filter(Boolean).join('\n');
+}
+
+/* ---------------- Versions and language overrides ---------------- */
+
+// What a version snapshots; everything else on the row is bookkeeping
+const KIT_FIELDS = ['name', 'tone', 'forbidden_words', 'style_notes', 'overrides'];
+const OVERRIDE_FIELDS = ['tone', 'forbidden_words'];
+
+/**
+ * Per-target-language overrides as { [lang]: { tone?: [], forbidden_words?: [] } } with BCP47
+ * keys ("German" / "de_de" -> "de" / "de-DE"). Throws on anything else, so bad input is a 400.
+ */
+function normalizeOverrides(overrides) {
+  if (overrides == null || overrides === '') return {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('overrides must be an object keyed by language');
+  const out = {};
+  for (const [lang, o] of Object.entries(overrides)) {
+    const key = officeLang(lang);
+    if (!key || key === 'auto') throw new Error(`Unknown override language "${lang}"`);
+    if (!o || typeof o !== 'object' || Array.isArray(o)) throw new Error(`Override for "${lang}" must be an object`);
+    const unknown = Object.keys(o).filter(k => !OVERRIDE_FIELDS.includes(k));
+    if (unknown.length) throw new Error(`Override for "${lang}" only takes tone and forbidden_words (got ${unknown.join(', ')})`);
+    const entry = {};
+    for (const field of OVERRIDE_FIELDS) if (o[field] != null) entry[field] = list(o[field]);
+    if (Object.keys(entry).length) out[key] = entry;
+  }
+  return out;
+}
+
+/** The versioned fields of a kit row, normalized so equal rules compare equal */
+function snapshotOf(kit = {}) {
+  let overrides = kit.overrides;
+  if (typeof overrides === 'string') {
+    try { overrides = JSON.parse(overrides); } catch { overrides = {}; }
+  }
+  return {
+    name: String(kit.name || '').trim(),
+    tone: list(kit.tone),
+    forbidden_words: list(kit.forbidden_words),
+    style_notes: kit.style_notes == null ? '' : String(kit.style_notes),
+    overrides: normalizeOverrides(overrides || {})
+  };
+}
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function listChange(field, from, to) {
+  const added = to.filter(v => !from.includes(v));
+  const removed = from.filter(v => !to.includes(v));
+  return added.length || removed.length || !sameJson(from, to) ? [{ field, from, to, added, removed }] : [];
+}
+
+/**
+ * Field-level changes from snapshot `a` to `b`: [{ field, from, to, added?, removed? }], with
+ * overrides reported per language and field ("overrides.de.tone")
+ */
+function diffVersions(a, b) {
+  const from = snapshotOf(a);
+  const to = snapshotOf(b);
+  const changes = [];
+  for (const field of ['name', 'style_notes']) {
+    if (from[field] !== to[field]) changes.push({ field, from: from[field], to: to[field] });
+  }
+  changes.push(...listChange('tone', from.tone, to.tone), ...listChange('forbidden_words', from.forbidden_words, to.forbidden_words));
+  const langs = [...new Set([...Object.keys(from.overrides), ...Object.keys(to.overrides)])].sort();
+  for (const lang of langs) {
+    for (const field of OVERRIDE_FIELDS) {
+      const x = from.overrides[lang] && from.overrides[lang][field];
+      const y = to.overrides[lang] && to.overrides[lang][field];
+      if (x == null && y == null) continue;
+      if (x == null || y == null) changes.push({ field: `overrides.${lang}.${field}`, from: x || null, to: y || null });
+      else changes.push(...listChange(`overrides.${lang}.${field}`, x, y));
+    }
+  }
+  return changes;
+}
+
+/**
+ * The kit as it applies to one target language. Overrides replace tone and/or forbidden_words
+ * field by field, the exact locale ("de-AT") before the bare language ("de") before the kit.
+ * `language` names the most specific override used (null when none applied).
+ */
+function resolveForLanguage(kit, targetLanguage) {
+  if (!kit) return kit;
+  const snap = snapshotOf(kit);
+  const lang = targetLanguage ? officeLang(targetLanguage) : null;
+  const keys = (lang && lang !== 'auto' ? [...new Set([lang, lang.split('-')[0]])] : []).filter(k => snap.overrides[k]);
+  const pick = (field) => {
+    const key = keys.find(k => snap.overrides[k][field]);
+    return key ? snap.overrides[key][field] : snap[field];
+  };
+  return {
+    ...kit,
+    tone: pick('tone'),
+    forbidden_words: pick('forbidden_words'),
+    language: keys[0] || null
+  };
+}
+
+/* ---------------- Forbidden words ---------------- */
+
+/** Forbidden words present in text: [{ word, found }] with one entry per word */
+function findForbidden(text, words, lang) {
+  const out = [];
+  for (const word of list(words)) {
+    const hits = findTerm(text, word, lang);
+    if (hits.length) out.push({ word, found: hits[0].text, count: hits.length });
+  }
+  return out;
+}
+
+/* ---------------- Tone ---------------- */
+
+// Second-person address by register, for languages that mark it
+const ADDRESS = {
+  de: { formal: /(?<!^|[.!?]\s)\b(Sie|Ihnen|Ihre?[mnrs]?)\b/gu, informal: /\b(du|dich|dir|dein(e[mnrs]?)?)\b/giu },
+  fr: { formal: /\b(vous|votre|vos)\b/giu, informal: /\b(tu|toi|ton|tes)\b|\bt'/giu },
+  es: { formal: /\b(usted(es)?)\b/giu, informal: /(?<!\p{L})(t\u00fa|ti|contigo|vosotr[oa]s|tus?)(?!\p{L})/giu },
+  it: { formal: /\b(Lei|Suo|Sua|Suoi|Sue)\b/gu, informal: /\b(tu|ti|tuo|tua|tuoi|tue)\b/giu },
+  nl: { formal: /\b(u|uw)\b/giu, informal: /\b(jij|je|jouw|jou)\b/giu },
+  ru: { formal: /(?<!\p{L})(\u0412\u044b|\u0412\u0430\u0441|\u0412\u0430\u043c|\u0412\u0430\u0448\p{L}*)(?!\p{L})/gu, informal: /(?<!\p{L})(\u0442\u044b|\u0442\u0435\u0431\u044f|\u0442\u0435\u0431\u0435|\u0442\u0432\u043e\p{L}*)(?!\p{L})/giu }
+};
+const HEDGES = { en: /\b(maybe|perhaps|possibly|might|somewhat|kind of|sort of|i think|i guess)\b/giu };
+const CONTRACTIONS = { en: /\b\p{L}+'(s|re|ve|ll|d|t|m)\b/giu };
+const EMOJI = /\p{Extended_Pictographic}/gu;
+
+const count = (text, re) => (re ? (String(text).match(re) || []).length : 0);
+
+/** Raw tone features of one text */
+function measureTone(text, lang) {
+  const t = String(text || '');
+  const base = primaryLang(lang);
+  const sentences = t.split(/[.!?\u2026\u3002\uff01\uff1f]+/).map(s => s.trim()).filter(Boolean);
+  const words = t.split(/\s+/).filter(w => /\p{L}/u.test(w));
+  const address = ADDRESS[base];
+  return {
+    sentences: sentences.length,
+    avgWords: sentences.length ? Math.round((words.length / sentences.length) * 10) / 10 : 0,
+    exclamations: count(t, /!/g),
+    emoji: count(t, EMOJI),
+    shouting: words.filter(w => { const l = w.replace(/[^\p{L}]/gu, ''); return l.length >= 4 && l === l.toUpperCase() && l !== l.toLowerCase(); }).length,
+    formalAddress: address ? count(t, address.formal) : null,
+    informalAddress: address ? count(t, address.informal) : null,
+    hedges: HEDGES[base] ? count(t, HEDGES[base]) : null,
+    contractions: CONTRACTIONS[base] ? count(t, CONTRACTIONS[base]) : null
+  };
+}
+
+// Each check returns null when it does not apply to the text or language
+const CHECKS = {
+  noEmoji: (m) => ({ ok: !m.emoji, detail: `${m.emoji} emoji` }),
+  fewExclamations: (m) => ({ ok: m.exclamations <= Math.max(1, Math.floor(m.sentences / 4)), detail: `${m.exclamations} exclamation marks` }),
+  noShouting: (m) => ({ ok: !m.shouting, detail: `${m.shouting} all-caps words` }),
+  noHedging: (m) => (m.hedges == null ? null : { ok: !m.hedges, detail: `${m.hedges} hedging phrases` }),
+  noContractions: (m) => (m.contractions == null ? null : { ok: !m.contractions, detail: `${m.contractions} contractions` }),
+  formalAddress: (m) => (!m.informalAddress && !m.formalAddress ? null : { ok: !m.informalAddress, detail: 'informal form of address' }),
+  informalAddress: (m) => (!m.informalAddress && !m.formalAddress ? null : { ok: !m.formalAddress, detail: 'formal form of address' }),
+  shortSentences: (m) => (!m.sentences ? null : { ok: m.avgWords <= 18, detail: `${m.avgWords} words per sentence` }),
+  readableSentences: (m) => (!m.sentences ? null : { ok: m.avgWords <= 25, detail: `${m.avgWords} words per sentence` }),
+  energetic: (m) => (m.sentences < 2 ? null : { ok: m.exclamations + m.emoji > 0, detail: 'no exclamation or emoji' })
+};
+
+// Tone descriptors (as typed into the kit) and the checks they imply; unknown descriptors are not scored
+const TONE_CHECKS = {
+  formal: ['formalAddress', 'noContractions', 'noEmoji', 'fewExclamations'],
+  polite: ['formalAddress', 'noShouting'],
+  respectful: ['formalAddress', 'noShouting'],
+  professional: ['noEmoji', 'fewExclamations', 'noShouting'],
+  serious: ['noEmoji', 'fewExclamations', 'noShouting'],
+  elegant: ['noEmoji', 'fewExclamations', 'noShouting'],
+  luxury: ['noEmoji', 'fewExclamations', 'noShouting'],
+  sophisticated: ['noEmoji', 'fewExclamations', 'noShouting'],
+  calm: ['fewExclamations', 'noShouting'],
+  authoritative: ['noHedging', 'noShouting'],
+  confident: ['noHedging'],
+  direct: ['noHedging', 'shortSentences'],
+  concise: ['shortSentences'],
+  clear: ['readableSentences'],
+  simple: ['shortSentences'],
+  casual: ['informalAddress', 'readableSentences'],
+  informal: ['informalAddress'],
+  conversational: ['informalAddress', 'readableSentences'],
+  friendly: ['readableSentences', 'noShouting'],
+  warm: ['noShouting'],
+  empathetic: ['noShouting'],
+  playful: ['readableSentences'],
+  enthusiastic: ['energetic'],
+  energetic: ['energetic'],
+  excited: ['energetic']
+};
+
+/** Tone descriptors of a kit that can be scored, lower-cased ("Friendly & warm" -> friendly, warm) */
+function toneDescriptors(tone) {
+  const out = new Set();
+  for (const t of list(tone)) {
+    for (const w of t.toLowerCase().split(/[^\p{L}]+/u)) if (TONE_CHECKS[w]) out.add(w);
+  }
+  return [...out];
+}
+
+/** Tone checks for one text: { passed, applicable, issues: [{ tone, check, detail }] } */
+function checkTone(text, tone, lang) {
+  const m = measureTone(text, lang);
+  const result = { passed: 0, applicable: 0, issues: [] };
+  for (const descriptor of toneDescriptors(tone)) {
+    for (const name of TONE_CHECKS[descriptor]) {
+      const r = CHECKS[name](m);
+      if (!r) continue;
+      result.applicable++;
+      if (r.ok) result.passed++;
+      else result.issues.push({ tone: descriptor, check: name, detail: r.detail });
+    }
+  }
+  return result;
+}
+
+/* ---------------- Report ---------------- */
+
+/** Targeted re-prompt for a segment that used forbidden words */
+function repairPrompt({ source, current, forbidden, kit, targetLanguage }) {
+  const tone = list(kit && kit.tone).join(', ');
+  return [
+    `You are editing a ${targetLanguage || 'target-language'} translation to follow a brand's word list.`,
+    `Remove these forbidden words and every inflected form of them: ${forbidden.map(f => JSON.stringify(f.word)).join(', ')}.`,
+    'Replace each with a natural alternative; keep the meaning and change nothing else.',
+    ...(tone ? [`Keep the brand tone: ${tone}.`] : []),
+    'Keep inline tokens such as [[g1]], [[/g1]] and [[x2]] exactly as written.',
+    '',
+    'SOURCE TEXT:',
+    source,
+    '',
+    'CURRENT TRANSLATION:',
+    current,
+    '',
+    'Return only the corrected translation between <result> and </result>.'
+  ].join('\n');
+}
+
+function segmentReport(source, text, kit, tgtLang) {
+  return {
+    forbidden: findForbidden(text, kit.forbidden_words, tgtLang)
+      // Words already in the source (product names, quotes) are not the translation's doing
+      .filter(f => !findTerm(source, f.word, null).length),
+    tone: checkTone(text, kit.tone, tgtLang)
+  };
+}
+
+/**
+ * Scan every output, pass segments with forbidden words to
+ * `repair(prompt, { index, source, current, forbidden })` (kept only when it leaves fewer
+ * forbidden words), then score. score = 0.6 x share of segments free of forbidden words
+ * + 0.4 x share of tone checks passed (forbidden share alone when no tone check applies).
+ * @returns {Promise<{ outputs: string[], report: { kitId, version, language, score, forbiddenScore, toneScore, repaired, violations } }>}
+ */
+async function enforceBrand({ sources, outputs, kit, tgtLang, repair, maxRepairs = 20 }) {
+  const out = (outputs || []).map(t => String(t ?? ''));
+  const reports = out.map((t, i) => segmentReport(sources[i] || '', t, kit, tgtLang));
+  const repaired = new Set();
+
+  if (typeof repair === 'function') {
+    const pending = reports.map((r, i) => i).filter(i => reports[i].forbidden.length).slice(0, Math.max(0, maxRepairs));
+    for (const i of pending) {
+      const prompt = repairPrompt({ source: sources[i] || '', current: out[i], forbidden: reports[i].forbidden, kit, targetLanguage: tgtLang });
+      let text = null;
+      try {
+        text = await repair(prompt, { index: i, source: sources[i] || '', current: out[i], forbidden: reports[i].forbidden });
+      } catch {
+        text = null;
+      }
+      if (!text || !String(text).trim()) continue;
+      const next = segmentReport(sources[i] || '', String(text), kit, tgtLang);
+      if (next.forbidden.length < reports[i].forbidden.length) {
+        out[i] = String(text);
+        reports[i] = next;
+        repaired.add(i);
+      }
+    }
+  }
+
+  const violations = [];
+  let clean = 0; let passed = 0; let applicable = 0;
+  reports.forEach((r, index) => {
+    if (!r.forbidden.length) clean++;
+    passed += r.tone.passed;
+    applicable += r.tone.applicable;
+    r.forbidden.forEach(f => violations.push({ index, type: 'forbidden', word: f.word, found: f.found, count: f.count }));
+    r.tone.issues.forEach(t => violations.push({ index, type: 'tone', ...t }));
+  });
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const forbiddenScore = reports.length ? clean / reports.length : 1;
+  const toneScore = applicable ? passed / applicable : null;
+  return {
+    outputs: out,
+    report: {
+      kitId: kit.id != null ? kit.id : null,
+      version: kit.version != null ? kit.version : null,
+      language: kit.language || null,
+      score: round(toneScore == null ? forbiddenScore : 0.6 * forbiddenScore + 0.4 * toneScore),
+      forbiddenScore: round(forbiddenScore),
+      toneScore: toneScore == null ? null : round(toneScore),
+      repaired: [...repaired],
+      violations
+    }
+  };
+}
+
+module.exports = {
+  KIT_FIELDS,
+  normalizeOverrides,
+  snapshotOf,
+  diffVersions,
+  resolveForLanguage,
+  parseStyleNotes,
+  brandInjection,
+  findForbidden,
+  measureTone,
+  toneDescriptors,
+  checkTone,
+  repairPrompt,
+  enforceBrand
+};
@@ -0,0 +1,98 @@
+// formats/cldr-plurals.js
+/**
+ * CLDR plural categories (zero/one/two/few/many/other) for integer counts.
+ * Android <plurals>, iOS .stringsdict and ICU messages all key plural forms by
+ * these categories, unlike gettext which numbers them (see po.js).
+ */
+const { toGettextCode } = require('./po');
+
+const mod = (n, m) => n % m;
+const between = (v, a, b) => v >= a && v <= b;
+
+// Integer rules per language family; fractional counts fall through to "other"/"many"
+const RULES = {
+  other: () => 'other',
+  one: n => (n === 1 ? 'one' : 'other'),
+  oneZero: n => (n === 0 || n === 1 ? 'one' : 'other'),
+  eastSlavic: n => (mod(n, 10) === 1 && mod(n, 100) !== 11 ? 'one'
+    : between(mod(n, 10), 2, 4) && !between(mod(n, 100), 12, 14) ? 'few' : 'many'),
+  polish: n => (n === 1 ? 'one'
+    : between(mod(n, 10), 2, 4) && !between(mod(n, 100), 12, 14) ? 'few' : 'many'),
+  czech: n => (n === 1 ? 'one' : between(n, 2, 4) ? 'few' : 'other'),
+  lithuanian: n => (mod(n, 10) === 1 && !between(mod(n, 100), 11, 19) ? 'one'
+    : between(mod(n, 10), 2, 9) && !between(mod(n, 100), 11, 19) ? 'few' : 'other'),
+  southSlavic: n => (mod(n, 10) === 1 && mod(n, 100) !== 11 ? 'one'
+    : between(mod(n, 10), 2, 4) && !between(mod(n, 100), 12, 14) ? 'few' : 'other'),
+  romanian: n => (n === 1 ? 'one' : n === 0 || between(mod(n, 100), 2, 19) ? 'few' : 'other'),
+  latvian: n => (mod(n, 10) === 0 || between(mod(n, 100), 11, 19) ? 'zero'
+    : mod(n, 10) === 1 && mod(n, 100) !== 11 ? 'one' : 'other'),
+  slovenian: n => (mod(n, 100) === 1 ? 'one' : mod(n, 100) === 2 ? 'two' : between(mod(n, 100), 3, 4) ? 'few' : 'other'),
+  hebrew: n => (n === 1 ? 'one' : n === 2 ? 'two' : 'other'),
+  irish: n => (n === 1 ? 'one' : n === 2 ? 'two' : between(n, 3, 6) ? 'few' : between(n, 7, 10) ? 'many' : 'other'),
+  maltese: n => (n === 1 ? 'one' : n === 2 ? 'two' : n === 0 || between(mod(n, 100), 3, 10) ? 'few'
+    : between(mod(n, 100), 11, 19) ? 'many' : 'other'),
+  welsh: n => ({ 0: 'zero', 1: 'one', 2: 'two', 3: 'few', 6: 'many' }[n] || 'other'),
+  arabic: n => (n === 0 ? 'zero' : n === 1 ? 'one' : n === 2 ? 'two'
+    : between(mod(n, 100), 3, 10) ? 'few' : between(mod(n, 100), 11, 99) ? 'many' : 'other')
+};
+
+const LANGUAGE_RULES = {
+  other: ['ja', 'zh', 'ko', 'vi', 'th', 'id', 'ms', 'lo', 'km', 'my', 'jv', 'su', 'bo', 'dz'],
+  one: ['en', 'de', 'nl', 'sv', 'da', 'no', 'nb', 'nn', 'fi', 'et', 'it', 'es', 'pt', 'el', 'bg', 'hu', 'tr',
+    'ca', 'eu', 'gl', 'af', 'sw', 'ur', 'ta', 'te', 'ml', 'ne', 'si', 'az', 'kk', 'ky', 'uz', 'mn', 'sq',
+    'eo', 'fy', 'fo', 'ka', 'is', 'mk', 'ps', 'so', 'xh'],
+  oneZero: ['fr', 'pt_br', 'hi', 'bn', 'fa', 'am', 'zu', 'kn', 'gu', 'mr', 'hy', 'fil', 'tl', 'ln', 'ti', 'wa', 'mg'],
+  eastSlavic: ['ru', 'uk', 'be'],
+  polish: ['pl'],
+  czech: ['cs', 'sk'],
+  lithuanian: ['lt'],
+  southSlavic: ['hr', 'sr', 'bs'],
+  romanian: ['ro', 'mo'],
+  latvian: ['lv'],
+  slovenian: ['sl'],
+  hebrew: ['he', 'iw'],
+  irish: ['ga'],
+  maltese: ['mt'],
+  welsh: ['cy'],
+  arabic: ['ar']
+};
+
+const CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Languages whose "other" (or "many") only covers fractional counts
+const FRACTION_CATEGORY = { eastSlavic: 'other', polish: 'other', czech: 'many', lithuanian: 'many' };
+
+function ruleNameFor(lang) {
+  const code = toGettextCode(lang);
+  const base = code.split('_')[0];
+  for (const key of [code, base]) {
+    for (const [name, langs] of Object.entries(LANGUAGE_RULES)) {
+      if (langs.includes(key)) return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Categories a language distinguishes, in CLDR order, with sample counts:
+ * [{ category: 'one', examples: ['1', '21', '31'] }, ...]
+ */
+function pluralCategoriesFor(lang, limit = 4) {
+  const name = ruleNameFor(lang) || 'one';
+  const rule = RULES[name];
+  const examples = {};
+  for (let n = 0; n <= 200; n++) {
+    const cat = rule(n);
+    examples[cat] = examples[cat] || [];
+    if (examples[cat].length < limit) examples[cat].push(String(n));
+  }
+  const fraction = FRACTION_CATEGORY[name];
+  if (fraction) examples[fraction] = ['1.5'];
+  if (!examples.other) examples.other = ['1.5'];
+  return CATEGORY_ORDER.filter(c => examples[c]).map(category => ({ category, examples: examples[category] }));
+}
+
+module.exports = {
+  CATEGORY_ORDER,
+  pluralCategoriesFor
+};
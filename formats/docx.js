@@ -0,0 +1,194 @@
+// formats/docx.js
+/**
+ * DOCX (WordprocessingML) paragraph-level round-trip.
+ * Body, tables, text boxes, headers/footers, footnotes/endnotes and comments are read
+ * paragraph by paragraph through the shared OOXML tokenizer (see ooxml.js); everything
+ * else in the package (styles, numbering, media, relationships) is copied untouched.
+ */
+const JSZip = require('jszip');
+const { findElements, splice } = require('./xml');
+const { validateInlineTags } = require('./inline-codes');
+const { WORD, officeLang, mapParagraphs } = require('./ooxml');
+const { isRtlLang, direction, latinRuns } = require('./bidi');
+
+const PART_RE = /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+const PART_ORDER = ['document', 'header', 'footer', 'footnotes', 'endnotes', 'comments'];
+
+const PART_CONTEXT = {
+  header: 'Page header',
+  footer: 'Page footer',
+  footnotes: 'Footnote',
+  endnotes: 'Endnote',
+  comments: 'Reviewer comment'
+};
+
+function partKind(name) {
+  return name.replace(/^word\//, '').replace(/\d*\.xml$/, '');
+}
+
+function partRank(name) {
+  const num = Number((name.match(/(\d+)\.xml$/) || [])[1] || 0);
+  return PART_ORDER.indexOf(partKind(name)) * 1000 + num;
+}
+
+async function loadParts(buffer) {
+  const zip = buffer instanceof JSZip ? buffer : await JSZip.loadAsync(buffer);
+  if (!zip.file('word/document.xml')) throw new Error('Invalid DOCX file: word/document.xml is missing');
+  const names = Object.keys(zip.files).filter(n => PART_RE.test(n)).sort((a, b) => partRank(a) - partRank(b));
+  const parts = [];
+  for (const name of names) parts.push({ name, xml: await zip.file(name).async('string') });
+  return { zip, parts };
+}
+
+function inTableCell(xml, pos) {
+  const open = Math.max(xml.lastIndexOf('<w:tc>', pos), xml.lastIndexOf('<w:tc ', pos));
+  return open > xml.lastIndexOf('</w:tc>', pos);
+}
+
+function paragraphContext(part, xml, { p, pPr, depth }) {
+  const notes = [];
+  const kind = partKind(part);
+  if (PART_CONTEXT[kind]) notes.push(PART_CONTEXT[kind]);
+  if (depth > 0) notes.push('Text box');
+  else if (inTableCell(xml, p.start)) notes.push('Table cell');
+  const style = (pPr.match(/<w:pStyle\b[^>]*\sw:val="([^"]*)"/) || [])[1];
+  if (style && /^(Heading|Title|Subtitle)/i.test(style)) notes.push(`Style: ${style}`);
+  return notes.join('; ');
+}
+
+// Unit key: part path + paragraph index in document order (text boxes after their anchor)
+const unitKey = (part, index) => `${part}#${index}`;
+
+/**
+ * Read every translatable paragraph.
+ * @returns {Promise<{ parts: string[], units: [{ key, text, tags, context }] }>}
+ */
+async function parseDocx(buffer) {
+  const { parts } = await loadParts(buffer);
+  const units = [];
+  for (const { name, xml } of parts) {
+    const found = [];
+    mapParagraphs(xml, WORD, (info) => {
+      found.push({ index: info.index, key: unitKey(name, info.index), text: info.text, tags: info.tags, context: paragraphContext(name, xml, info) });
+      return null;
+    });
+    // Text boxes are visited before the paragraph anchoring them finishes; list in reading order
+    found.sort((a, b) => a.index - b.index).forEach(({ index, ...unit }) => units.push(unit));
+  }
+  return { parts: parts.map(p => p.name), units };
+}
+
+/** Public view of units */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context || undefined,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Paragraphs whose tokens did not survive; buildDocx repairs them (lost codes re-appended) */
+function checkPlaceholders(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+// Default proofing language lives in styles.xml <w:docDefaults>; RTL languages go in w:bidi
+function setDefaultLanguage(stylesXml, lang, rtl = false) {
+  const defaults = findElements(stylesXml, 'w:docDefaults')[0];
+  if (!defaults) return stylesXml;
+  let inner = defaults.inner.replace(/(<w:lang\b[^>]*?\sw:val=")[^"]*"/, `$1${lang}"`);
+  if (rtl) {
+    inner = inner.replace(/<w:lang\b([^>]*?)(\/?)>/, (m, attrs, slash) => `<w:lang${attrs.replace(/\sw:bidi="[^"]*"/, '')} w:bidi="${lang}"${slash}>`);
+  }
+  return splice(stylesXml, [{ start: defaults.innerStart, end: defaults.innerEnd, text: inner }]);
+}
+
+/**
+ * Write translations into a copy of the original package.
+ * @param {Buffer} buffer original .docx (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ * @param {{ targetLang?: string }} options RTL targets get bidi paragraphs and RTL runs
+ * @returns {Promise<Buffer>}
+ */
+async function buildDocx(buffer, translations = {}, { targetLang = null } = {}) {
+  const { zip, parts } = await loadParts(buffer);
+  const map = normalizeTranslations(translations);
+  const lang = targetLang ? officeLang(targetLang) : null;
+  const rtl = isRtlLang(targetLang);
+
+  for (const { name, xml } of parts) {
+    const out = mapParagraphs(xml, WORD, ({ index }) => {
+      const key = unitKey(name, index);
+      return map.has(key) ? map.get(key) : null;
+    }, { lang, rtl });
+    if (out !== xml) zip.file(name, out);
+  }
+
+  if (lang) {
+    const styles = zip.file('word/styles.xml');
+    if (styles) zip.file('word/styles.xml', setDefaultLanguage(await styles.async('string'), lang, rtl));
+    const core = zip.file('docProps/core.xml');
+    if (core) {
+      const xml = await core.async('string');
+      zip.file('docProps/core.xml', xml.replace(/(<dc:language>)[^<]*(<\/dc:language>)/, `$1${lang}$2`));
+    }
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Plain DOCX from text, for downloads without a source package: blank lines separate
+ * paragraphs, single newlines are line breaks. RTL text gets bidi paragraphs whose Latin
+ * words sit in their own left-to-right runs.
+ * @returns {Promise<Buffer>}
+ */
+async function renderTextDocx(text, { targetLang = null } = {}) {
+  const { Document, Packer, Paragraph, TextRun } = require('docx');
+  const rtl = direction(targetLang, text) === 'rtl';
+  const lang = rtl && targetLang ? officeLang(targetLang) : null;
+  const paragraphs = String(text || '').split(/\r?\n\r?\n/).map(block => {
+    const children = [];
+    block.split(/\r?\n/).forEach((line, i) => {
+      const pieces = rtl && line ? latinRuns(line) : [{ text: line, ltr: !rtl }];
+      pieces.forEach((piece, j) => children.push(new TextRun({
+        text: piece.text,
+        break: i > 0 && j === 0 ? 1 : undefined,
+        rightToLeft: piece.ltr ? undefined : true,
+        language: !piece.ltr && lang ? { bidirectional: lang } : undefined
+      })));
+    });
+    return new Paragraph({ bidirectional: rtl || undefined, children });
+  });
+  const doc = new Document({ sections: [{ properties: {}, children: paragraphs }] });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  parseDocx,
+  buildDocx,
+  renderTextDocx,
+  toSegments,
+  checkPlaceholders
+};
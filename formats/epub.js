@@ -0,0 +1,275 @@
+// formats/epub.js
+/**
+ * EPUB 2/3 round-trip.
+ *  - parseEpub: META-INF/container.xml -> OPF package -> spine; every XHTML chapter in spine
+ *    order goes through the HTML handler (text nodes, alt/title; <pre>/<code> untouched)
+ *  - the EPUB 3 navigation document and the EPUB 2 NCX (navLabel/docTitle) are translated
+ *    too, so the table of contents matches the chapters; dc:title and dc:description as well
+ *  - buildEpub: writes translations into the chapters, sets dc:language (and lang/xml:lang on
+ *    every chapter), bumps dcterms:modified and repackages with `mimetype` as the first,
+ *    uncompressed entry. Images, CSS and fonts are copied byte for byte.
+ * Unit keys are "<zip path>#<unit>", so each segment knows its chapter.
+ */
+const JSZip = require('jszip');
+const path = require('path');
+const { escapeXmlText, unescapeXml, findElements, setAttr, splice } = require('./xml');
+const { validateInlineTags } = require('./inline-codes');
+const { officeLang } = require('./ooxml');
+const { isRtlLang } = require('./bidi');
+const html = require('./html');
+
+const XHTML_TYPES = new Set(['application/xhtml+xml', 'text/html']);
+const NCX_TYPE = 'application/x-dtbncx+xml';
+
+function isEpubFile(name = '') {
+  return /\.epub$/i.test(String(name));
+}
+
+const resolve = (base, href) => path.posix.normalize(path.posix.join(base, decodeURIComponent(String(href || '').split('#')[0])));
+
+async function loadPackage(buffer) {
+  const zip = buffer instanceof JSZip ? buffer : await JSZip.loadAsync(buffer);
+  const container = zip.file('META-INF/container.xml');
+  if (!container) throw new Error('Invalid EPUB file: META-INF/container.xml is missing');
+  const rootfile = findElements(await container.async('string'), 'rootfile')[0];
+  const opfPath = rootfile && rootfile.attrs['full-path'];
+  if (!opfPath || !zip.file(opfPath)) throw new Error('Invalid EPUB file: package document not found');
+  const opf = await zip.file(opfPath).async('string');
+  const base = path.posix.dirname(opfPath) === '.' ? '' : path.posix.dirname(opfPath);
+
+  const manifest = findElements(opf, 'item').map(el => ({
+    id: el.attrs.id,
+    href: resolve(base, el.attrs.href),
+    mediaType: el.attrs['media-type'] || '',
+    properties: String(el.attrs.properties || '').split(/\s+/).filter(Boolean)
+  }));
+  const byId = new Map(manifest.map(item => [item.id, item]));
+  const spineEl = findElements(opf, 'spine')[0];
+  const spine = spineEl
+    ? findElements(spineEl.inner, 'itemref').map(el => byId.get(el.attrs.idref)).filter(Boolean)
+    : [];
+  const nav = manifest.find(item => item.properties.includes('nav')) || null;
+  const ncx = (spineEl && byId.get(spineEl.attrs.toc)) || manifest.find(item => item.mediaType === NCX_TYPE) || null;
+  const version = (opf.match(/<package\b[^>]*\sversion\s*=\s*["']([\d.]+)/) || [])[1] || '2.0';
+
+  // Chapters in reading order, then a navigation document that is not in the spine
+  const chapters = spine.filter(item => XHTML_TYPES.has(item.mediaType));
+  if (nav && !chapters.includes(nav)) chapters.push(nav);
+  return { zip, opfPath, opf, version, manifest, chapters, nav, ncx };
+}
+
+/* ---------------- Package metadata and NCX ---------------- */
+
+// dc:title / dc:description (first of each) as plain-text units
+function metadataUnits(opfPath, opf) {
+  const units = [];
+  for (const name of ['title', 'description']) {
+    const el = findElements(opf, `dc:${name}`)[0];
+    if (!el || el.selfClosing) continue;
+    const text = unescapeXml(el.inner.trim());
+    if (!/\p{L}/u.test(text)) continue;
+    units.push({ key: `${opfPath}#${name}`, text, tags: {}, context: `book ${name}`, _loc: { start: el.innerStart, end: el.innerEnd } });
+  }
+  return units;
+}
+
+// navLabel and docTitle texts of an EPUB 2 NCX
+function ncxUnits(ncxPath, xml) {
+  const units = [];
+  const labels = [
+    ...findElements(xml, 'docTitle').map(el => ({ el, context: 'book title (table of contents)' })),
+    ...findElements(xml, 'navLabel').map(el => ({ el, context: 'table of contents entry' }))
+  ];
+  labels.forEach(({ el, context }, i) => {
+    const text = findElements(el.inner, 'text')[0];
+    if (!text || text.selfClosing) return;
+    const value = unescapeXml(text.inner.trim());
+    if (!/\p{L}/u.test(value)) return;
+    const start = el.innerStart + text.innerStart;
+    units.push({ key: `${ncxPath}#label_${i + 1}`, text: value, tags: {}, context, _loc: { start, end: start + text.inner.length } });
+  });
+  return units;
+}
+
+/* ---------------- Public API ---------------- */
+
+/**
+ * Parse an EPUB into chapters and translatable units.
+ * @returns {Promise<{ version, lang, title, chapters: [{ path, title, units }], units }>}
+ */
+async function parseEpub(buffer) {
+  const pkg = await loadPackage(buffer);
+  const units = metadataUnits(pkg.opfPath, pkg.opf);
+  const chapters = [];
+  for (const item of pkg.chapters) {
+    const file = pkg.zip.file(item.href);
+    if (!file) continue;
+    const xhtml = await file.async('string');
+    const { units: chapterUnits } = html.extractUnits(xhtml, { prefix: `${item.href}#` });
+    const heading = chapterUnits.find(u => /^heading/.test(u.context)) || chapterUnits.find(u => u.context === 'page title');
+    const title = heading ? heading.text.replace(/\[\[\/?[gx]\d+\]\]/g, '') : path.posix.basename(item.href);
+    const label = item === pkg.nav ? 'Table of contents' : `Chapter ${chapters.length + 1} (${path.posix.basename(item.href)})`;
+    for (const u of chapterUnits) u.context = `${label}, ${u.context}`;
+    chapters.push({ path: item.href, title, nav: item === pkg.nav, units: chapterUnits });
+    units.push(...chapterUnits);
+  }
+  if (pkg.ncx && pkg.zip.file(pkg.ncx.href)) {
+    const ncx = ncxUnits(pkg.ncx.href, await pkg.zip.file(pkg.ncx.href).async('string'));
+    if (ncx.length) chapters.push({ path: pkg.ncx.href, title: 'Table of contents (NCX)', nav: true, units: ncx });
+    units.push(...ncx);
+  }
+  const lang = unescapeXml(((findElements(pkg.opf, 'dc:language')[0] || {}).inner || '').trim()) || null;
+  const titleUnit = units.find(u => u.key === `${pkg.opfPath}#title`);
+  return { version: pkg.version, lang, title: titleUnit ? titleUnit.text : null, chapters, units };
+}
+
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Units whose tokens did not survive translation (buildEpub repairs them) */
+function checkTags(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+// Plain-text units (metadata, NCX labels) as splice edits
+function textEdits(units, map) {
+  const edits = [];
+  for (const unit of units) {
+    const target = map.get(unit.key);
+    if (target == null || !target.trim()) continue;
+    edits.push({ ...unit._loc, text: escapeXmlText(target.trim().replace(/\s*\n\s*/g, ' ')) });
+  }
+  return edits;
+}
+
+function updatePackage(opf, edits, { lang, rtl }) {
+  let out = splice(opf, edits);
+  if (lang) {
+    const el = findElements(out, 'dc:language')[0];
+    if (el && !el.selfClosing) out = splice(out, [{ start: el.innerStart, end: el.innerEnd, text: lang }]);
+    else {
+      const meta = findElements(out, 'metadata')[0];
+      if (meta) out = splice(out, [{ start: meta.innerEnd, end: meta.innerEnd, text: `  <dc:language>${lang}</dc:language>\n  ` }]);
+    }
+  }
+  // EPUB 3 readers use dcterms:modified to tell editions apart
+  const modified = /(<meta\b[^>]*property\s*=\s*["']dcterms:modified["'][^>]*>)[^<]*(<\/meta>)/;
+  out = out.replace(modified, `$1${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}$2`);
+  if (rtl) out = out.replace(/<spine\b[^>]*>/, (tag) => setAttr(tag, 'page-progression-direction', 'rtl'));
+  return out;
+}
+
+/**
+ * Write translations into the book and repackage it.
+ * @param {Buffer} buffer original .epub
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ * @param {{ targetLang?: string }} options sets dc:language, chapter lang and RTL page progression
+ * @returns {Promise<Buffer>}
+ */
+async function buildEpub(buffer, translations = {}, { targetLang = null } = {}) {
+  const pkg = await loadPackage(buffer);
+  const map = normalizeTranslations(translations);
+  const lang = targetLang ? officeLang(targetLang) : null;
+  const rtl = isRtlLang(targetLang);
+  const replaced = new Map();
+
+  for (const item of pkg.chapters) {
+    const file = pkg.zip.file(item.href);
+    if (!file) continue;
+    const src = await file.async('string');
+    const { units } = html.extractUnits(src, { prefix: `${item.href}#` });
+    let out = splice(src, html.unitEdits(src, units, map, { xhtml: true }));
+    out = html.setDocumentLang(out, lang, { xhtml: true });
+    if (rtl) out = out.replace(/<html\b[^>]*>/i, (tag) => setAttr(tag, 'dir', 'rtl'));
+    if (out !== src) replaced.set(item.href, out);
+  }
+  if (pkg.ncx && pkg.zip.file(pkg.ncx.href)) {
+    const src = await pkg.zip.file(pkg.ncx.href).async('string');
+    let out = splice(src, textEdits(ncxUnits(pkg.ncx.href, src), map));
+    if (lang) out = out.replace(/<ncx\b[^>]*>/, (tag) => setAttr(tag, 'xml:lang', lang));
+    if (out !== src) replaced.set(pkg.ncx.href, out);
+  }
+  replaced.set(pkg.opfPath, updatePackage(pkg.opf, textEdits(metadataUnits(pkg.opfPath, pkg.opf), map), { lang, rtl }));
+
+  // OCF: `mimetype` first and stored, so readers can sniff the type at a fixed offset
+  const out = new JSZip();
+  out.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  for (const [name, entry] of Object.entries(pkg.zip.files)) {
+    if (name === 'mimetype' || entry.dir) continue;
+    const data = replaced.has(name) ? replaced.get(name) : await entry.async('nodebuffer');
+    out.file(name, data, { date: entry.date });
+  }
+  return out.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+}
+
+/**
+ * OCF container checks on a packaged EPUB: mimetype first, stored and exact; container and
+ * package document present; every manifest item present; chapters still balanced.
+ * @returns {Promise<{ ok: boolean, problems: string[] }>}
+ */
+async function checkPackage(buffer) {
+  const problems = [];
+  const buf = Buffer.from(buffer);
+  // First local file header: signature, method at 8, name length at 26, name at 30
+  if (buf.readUInt32LE(0) !== 0x04034b50) problems.push('not a ZIP archive');
+  else {
+    const nameLen = buf.readUInt16LE(26);
+    const extraLen = buf.readUInt16LE(28);
+    if (buf.toString('utf8', 30, 30 + nameLen) !== 'mimetype') problems.push('mimetype is not the first entry');
+    else if (buf.readUInt16LE(8) !== 0) problems.push('mimetype is compressed');
+    else if (extraLen) problems.push('mimetype entry has an extra field');
+    else if (buf.toString('utf8', 30 + nameLen, 30 + nameLen + 20) !== 'application/epub+zip') problems.push('mimetype content is not application/epub+zip');
+  }
+  let pkg;
+  try {
+    pkg = await loadPackage(buf);
+  } catch (err) {
+    problems.push(err.message);
+    return { ok: false, problems };
+  }
+  for (const item of pkg.manifest) {
+    if (!pkg.zip.file(item.href)) problems.push(`manifest item missing: ${item.href}`);
+  }
+  for (const item of pkg.chapters) {
+    const file = pkg.zip.file(item.href);
+    if (!file) continue;
+    const { problems: tree } = html.parseHtml(await file.async('string'));
+    if (tree.length) problems.push(`${item.href}: ${tree.slice(0, 3).map(p => `${p.type} <${p.tag}>`).join(', ')}`);
+  }
+  return { ok: !problems.length, problems };
+}
+
+module.exports = {
+  isEpubFile,
+  parseEpub,
+  toSegments,
+  checkTags,
+  buildEpub,
+  checkPackage
+};
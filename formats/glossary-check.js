@@ -0,0 +1,231 @@
+// formats/glossary-check.js
+/**
+ * Post-translation glossary compliance:
+ *  - picks the user's glossary rows that apply to a target language
+ *  - finds each source term in a segment and checks that the translation uses the glossary
+ *    target, tolerating inflection (plural, case and gender endings per language) and
+ *    inline [[gN]]/[[xN]] tokens
+ *  - flags forbidden variants and, when case_hint asks for it, wrong capitalization
+ *  - a per-segment report; segments with locked-term violations can be handed to a `repair`
+ *    callback (the server re-prompts the engine with just those terms)
+ * Rows are glossary_terms records: { id, src, tgt, tgt_lang, lock, case_hint, forbidden[] }.
+ */
+const { TOKEN_RE } = require('./inline-codes');
+const { langMatches } = require('./termbase');
+const { officeLang } = require('./ooxml');
+
+// Endings a glossary word may take in running text, per primary language. The longest one
+// the glossary form already ends in is dropped first, so "company" also finds "companies".
+const ENDINGS = {
+  en: ['s', 'es', "'s", 'ed', 'd', 'ing', 'y', 'ies', 'ied', 'er', 'est', 'ly'],
+  de: ['e', 'en', 'n', 'ens', 'er', 'ern', 'es', 's', 'em', 'ere', 'eren', 'erer', 'st', 'ste', 'sten', 'ster', 'stes'],
+  nl: ['e', 'en', 's', "'s", 'es'],
+  fr: ['e', 's', 'es', 'x'],
+  es: ['s', 'es', 'a', 'as', 'o', 'os'],
+  pt: ['s', 'es', 'a', 'as', 'o', 'os'],
+  ca: ['s', 'es', 'a', 'o', 'os'],
+  it: ['a', 'e', 'i', 'o'],
+  sv: ['n', 'en', 'et', 'er', 'ar', 'or', 'na', 'erna', 'arna', 'orna', 's'],
+  da: ['e', 'en', 'et', 'er', 'ene', 'erne', 's'],
+  nb: ['e', 'en', 'et', 'er', 'ene', 'a', 's'],
+  pl: ['a', 'u', 'y', 'i', 'e', 'em', 'ie', 'om', '\u00f3w', 'ami', 'ach', '\u0105', '\u0119'],
+  cs: ['a', 'u', 'e', 'y', 'i', 'ou', 'em', 'ech', 'ami', '\u016f', '\u016fm'],
+  ru: ['\u0430', '\u044f', '\u044b', '\u0438', '\u0443', '\u044e', '\u0435', '\u044c', '\u043e\u043c', '\u0435\u043c', '\u043e\u0439', '\u0435\u0439',
+    '\u043e\u0432', '\u0435\u0432', '\u0430\u043c', '\u044f\u043c', '\u0430\u0445', '\u044f\u0445', '\u0430\u043c\u0438', '\u044f\u043c\u0438'],
+  id: ['nya', 'an', 'kan', 'lah'],
+  ms: ['nya', 'an', 'kan', 'lah']
+};
+ENDINGS.no = ENDINGS.nb;
+ENDINGS.uk = ENDINGS.ru;
+ENDINGS.sk = ENDINGS.cs;
+// Agglutinative languages stack suffixes on the full form
+const OPEN_TAIL = { tr: 6, fi: 6, hu: 6, et: 5 };
+// Scripts written without spaces: plain substring match
+const UNSPACED = /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}\p{sc=Thai}\p{sc=Lao}\p{sc=Khmer}\p{sc=Myanmar}]/u;
+const CASE_STRICT = /^(exact|strict|sensitive|case[-_ ]?sensitive|match|preserve|keep|true|yes|1)$/i;
+
+const primaryLang = (lang) => String(officeLang(lang || '') || lang || '').toLowerCase().split(/[-_]/)[0];
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Inline tokens can sit inside a word ("[[g1]]Log[[/g1]]in"), so they vanish rather than become spaces
+const plainText = (text) => String(text || '').replace(TOKEN_RE, '');
+
+/** Glossary rows that apply to a target language: untagged rows apply everywhere, "de" rows to "de-AT" */
+function selectTerms(rows, { tgtLang } = {}) {
+  const lang = tgtLang && primaryLang(tgtLang) !== 'auto' ? tgtLang : null;
+  return (rows || []).filter(r => r && String(r.src || '').trim() && String(r.tgt || '').trim()
+    && (!r.tgt_lang || (lang && (langMatches(r.tgt_lang, lang) || langMatches(lang, r.tgt_lang)))));
+}
+
+function wordPattern(word, lang) {
+  const endings = ENDINGS[lang];
+  if (OPEN_TAIL[lang]) return `${escapeRe(word)}\\p{L}{0,${OPEN_TAIL[lang]}}`;
+  // Unknown language (often the source side): drop a final vowel and allow a short tail
+  if (!endings) {
+    if (word.length <= 4) return `${escapeRe(word)}\\p{L}?`;
+    return `${escapeRe(word.replace(/[aeiouy]$/i, ''))}\\p{L}{0,3}`;
+  }
+  const lower = word.toLowerCase();
+  const strip = endings.filter(e => lower.endsWith(e) && word.length - e.length >= 3).sort((a, b) => b.length - a.length)[0] || '';
+  const stem = word.slice(0, word.length - strip.length);
+  const alts = endings.slice().sort((a, b) => b.length - a.length).map(escapeRe).join('|');
+  return `${escapeRe(stem)}(?:${alts})?`;
+}
+
+/**
+ * RegExp finding a glossary phrase in running text. Every word may inflect, words may be
+ * joined by spaces or hyphens, and unspaced scripts match as plain substrings.
+ */
+function termPattern(term, lang, { caseSensitive = false } = {}) {
+  const text = String(term || '').trim();
+  const flags = caseSensitive ? 'gu' : 'giu';
+  if (!text) return null;
+  if (UNSPACED.test(text)) return new RegExp(escapeRe(text), flags);
+  const base = primaryLang(lang);
+  const words = text.split(/[\s\u00a0]+/);
+  // Words under three letters ("of", "de") and non-letter tokens ("2FA") stay exact
+  const body = words.map(w => (w.length < 3 || !/\p{L}$/u.test(w) ? escapeRe(w) : wordPattern(w, base))).join('[\\s\\u00a0-]+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, flags);
+}
+
+function findAll(text, re) {
+  const out = [];
+  if (!re) return out;
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    out.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+    if (!m[0].length) re.lastIndex++;
+  }
+  return out;
+}
+
+/** Matches of a term in text (inline tokens ignored), inflection-tolerant for `lang`: [{ start, end, text }] */
+function findTerm(text, term, lang, opts) {
+  return findAll(plainText(text), termPattern(term, lang, opts));
+}
+
+const overlaps = (a, list) => list.some(b => a.start < b.end && b.start < a.end);
+
+/**
+ * Check one translated segment against the applicable terms.
+ * @returns {{ status: 'pass'|'fail'|'n/a', terms: object[], violations: number, locked: number }}
+ *   where each term entry is { id, src, expected, lock, status: 'ok'|'missing'|'forbidden'|'case',
+ *   found, forbidden[] } and only terms whose source appears in the segment are listed
+ */
+function checkSegment(source, target, terms, { srcLang, tgtLang } = {}) {
+  const src = plainText(source);
+  const tgt = plainText(target);
+  const entries = [];
+  for (const term of terms || []) {
+    if (!findAll(src, termPattern(term.src, term.src_lang || srcLang)).length) continue;
+    const lang = term.tgt_lang || tgtLang;
+    const strict = CASE_STRICT.test(String(term.case_hint || '').trim());
+    const hits = findAll(tgt, termPattern(term.tgt, lang));
+    const exact = strict ? hits.filter(h => findAll(h.text, termPattern(term.tgt, lang, { caseSensitive: true })).length) : hits;
+    // A forbidden variant inside the approved term ("Log" in "Login") is not a violation
+    const forbidden = (Array.isArray(term.forbidden) ? term.forbidden : [])
+      .filter(f => findAll(tgt, termPattern(f, lang)).some(m => !overlaps(m, hits)));
+
+    let status = 'ok';
+    if (forbidden.length) status = 'forbidden';
+    else if (!hits.length) status = 'missing';
+    else if (!exact.length) status = 'case';
+    entries.push({
+      id: term.id != null ? term.id : null,
+      src: term.src,
+      expected: term.tgt,
+      lock: !!term.lock,
+      status,
+      found: (exact[0] || hits[0] || {}).text || null,
+      forbidden
+    });
+  }
+  const violations = entries.filter(e => e.status !== 'ok');
+  return {
+    status: !entries.length ? 'n/a' : (violations.length ? 'fail' : 'pass'),
+    terms: entries,
+    violations: violations.length,
+    locked: violations.filter(e => e.lock).length
+  };
+}
+
+/** Targeted re-prompt listing only the locked terms the translation got wrong */
+function repairPrompt({ source, current, report, targetLanguage }) {
+  const rules = report.terms.filter(t => t.lock && t.status !== 'ok').map(t => {
+    if (t.status === 'case') return `- "${t.src}" must be "${t.expected}" with exactly this capitalization`;
+    const avoid = t.forbidden.length ? `; never use ${t.forbidden.map(f => `"${f}"`).join(', ')}` : '';
+    return `- "${t.src}" must be translated as "${t.expected}" (inflect it only as grammar requires)${avoid}`;
+  });
+  return [
+    `You are correcting a ${targetLanguage || 'target-language'} translation so it follows a locked client glossary.`,
+    'Apply these terms and change nothing else:',
+    ...rules,
+    'Keep inline tokens such as [[g1]], [[/g1]] and [[x2]] exactly as written.',
+    '',
+    'SOURCE TEXT:',
+    source,
+    '',
+    'CURRENT TRANSLATION:',
+    current,
+    '',
+    'Return only the corrected translation between <result> and </result>.'
+  ].join('\n');
+}
+
+function summarize(segments) {
+  const summary = { segments: segments.length, checked: 0, passed: 0, failed: 0, repaired: 0, terms: 0, violations: 0, score: null };
+  for (const s of segments) {
+    if (s.status === 'n/a') continue;
+    summary.checked++;
+    if (s.status === 'pass') summary.passed++;
+    else summary.failed++;
+    if (s.repaired) summary.repaired++;
+    summary.terms += s.terms.length;
+    summary.violations += s.violations;
+  }
+  if (summary.terms) summary.score = Math.round((1 - summary.violations / summary.terms) * 1000) / 1000;
+  return summary;
+}
+
+/**
+ * Check every segment, then pass segments with locked-term violations to
+ * `repair(prompt, { index, source, current, report })`, which resolves to a new translation
+ * (empty answers are ignored). A repair is kept only when it leaves fewer locked violations
+ * and no more violations overall. At most `maxRepairs` segments are re-prompted.
+ * @returns {Promise<{ outputs: string[], report: { segments: object[], summary: object } }>}
+ */
+async function enforceCompliance({ sources, outputs, terms, srcLang, tgtLang, repair, maxRepairs = 20 }) {
+  const out = (outputs || []).map(t => String(t ?? ''));
+  const segments = out.map((t, i) => ({ index: i, ...checkSegment(sources[i], t, terms, { srcLang, tgtLang }), repaired: false }));
+
+  if (typeof repair === 'function') {
+    const pending = segments.filter(s => s.locked > 0).slice(0, Math.max(0, maxRepairs));
+    for (const seg of pending) {
+      const i = seg.index;
+      const prompt = repairPrompt({ source: sources[i], current: out[i], report: seg, targetLanguage: tgtLang });
+      let text = null;
+      try {
+        text = await repair(prompt, { index: i, source: sources[i], current: out[i], report: seg });
+      } catch {
+        text = null;
+      }
+      if (!text || !String(text).trim()) continue;
+      const next = checkSegment(sources[i], text, terms, { srcLang, tgtLang });
+      if (next.locked < seg.locked && next.violations <= seg.violations) {
+        out[i] = String(text);
+        segments[i] = { index: i, ...next, repaired: true };
+      }
+    }
+  }
+
+  return { outputs: out, report: { segments, summary: summarize(segments) } };
+}
+
+module.exports = {
+  selectTerms,
+  termPattern,
+  findTerm,
+  checkSegment,
+  repairPrompt,
+  enforceCompliance
+};
@@ -0,0 +1,531 @@
+// formats/html.js
+/**
+ * Structure-aware HTML translation.
+ *  - parseHtml: a forgiving element tree (void elements, raw-text elements, implied end tags
+ *    for p/li/td/...) with source offsets for every node and attribute
+ *  - runs of text and inline elements inside a block become one unit; inline tags travel as
+ *    [[gN]] pairs, <br>, <img> and atomic elements (<code>, <kbd>, <svg>...) as [[xN]]
+ *  - alt, title, placeholder, aria-label and <meta> description/title content are their own
+ *    units; href, src and every other attribute stay untouched
+ *  - <pre>, <script>, <style>, translate="no" and class="notranslate" subtrees are skipped
+ *  - buildHtml splices translations into the ORIGINAL document; checkBalance compares the
+ *    element structure of source and output
+ */
+const { unescapeXml, splice } = require('./xml');
+const { validateInlineTags, restoreInline } = require('./inline-codes');
+const { officeLang } = require('./ooxml');
+
+const HTML_EXTENSIONS = new Set(['.html', '.htm', '.xhtml']);
+
+function isHtmlFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && HTML_EXTENSIONS.has(m[0]);
+}
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Content is text up to the matching end tag, never markup
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+const INLINE = new Set(['a', 'abbr', 'acronym', 'b', 'bdi', 'bdo', 'big', 'br', 'button', 'cite', 'code', 'data', 'del', 'dfn',
+  'em', 'font', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'mark', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span',
+  'strike', 'strong', 'sub', 'sup', 'time', 'tt', 'u', 'var', 'wbr', 'math', 'svg']);
+// Inline elements that are one opaque code, content included
+const ATOMIC = new Set(['code', 'kbd', 'samp', 'var', 'math', 'svg', 'script', 'style']);
+// Subtrees never translated
+const SKIP = new Set(['pre', 'script', 'style', 'textarea', 'template', 'svg', 'math', 'noscript', 'iframe', 'object', 'xmp']);
+
+// An open element of the key type is closed by a start tag of any listed type
+const BLOCK_CLOSES_P = ['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+const IMPLIED_END = {
+  p: new Set(BLOCK_CLOSES_P),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  tr: new Set(['tr', 'tbody', 'tfoot']),
+  td: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot']),
+  option: new Set(['option', 'optgroup']),
+  optgroup: new Set(['optgroup']),
+  rt: new Set(['rt', 'rp']),
+  rp: new Set(['rt', 'rp'])
+};
+// End tags that may be left out without breaking the document
+const OPTIONAL_END = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'option', 'optgroup', 'rt', 'rp',
+  'html', 'head', 'body', 'colgroup', 'caption']);
+
+const TRANSLATABLE_ATTRS = new Set(['alt', 'title', 'placeholder', 'aria-label', 'aria-description', 'label', 'abbr']);
+const META_NAMES = new Set(['description', 'keywords', 'og:title', 'og:description', 'og:image:alt', 'twitter:title',
+  'twitter:description', 'twitter:image:alt', 'application-name', 'apple-mobile-web-app-title']);
+
+/* ---------------- Tree ---------------- */
+
+const TAG_RE = /<([a-zA-Z][\w:.-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const END_TAG_RE = /<\/([a-zA-Z][\w:.-]*)\s*>/y;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Attributes with value offsets so single values can be replaced in place
+function readAttrs(attrString, base) {
+  const attrs = [];
+  ATTR_RE.lastIndex = 0;
+  let m;
+  while ((m = ATTR_RE.exec(attrString))) {
+    const raw = m[2] ?? m[3] ?? m[4];
+    const attr = { name: m[1].toLowerCase(), value: raw == null ? '' : unescapeHtml(raw) };
+    if (raw != null) {
+      const quote = m[2] != null ? '"' : m[3] != null ? "'" : '';
+      const valueStart = base + m.index + m[0].length - raw.length - quote.length;
+      attr.quote = quote;
+      attr.valueStart = valueStart;
+      attr.valueEnd = valueStart + raw.length;
+    }
+    attrs.push(attr);
+  }
+  return attrs;
+}
+
+/**
+ * Element tree of an HTML document or fragment. Every node carries source offsets:
+ * elements { type, name, attrs, start, openEnd, closeStart, end, children, implicit },
+ * text/comment/other nodes { type, start, end }. Stray end tags and elements left open
+ * (other than optional ones such as <p> and <li>) are listed in `problems`.
+ */
+function parseHtml(input = '') {
+  const src = String(input);
+  const root = { type: 'root', name: '#root', children: [], start: 0, end: src.length };
+  const stack = [root];
+  const problems = [];
+  const top = () => stack[stack.length - 1];
+  const close = (el, closeStart, end, implicit) => {
+    el.closeStart = closeStart;
+    el.end = end;
+    el.implicit = implicit;
+  };
+  const popTo = (index, at) => {
+    while (stack.length > index) {
+      const el = stack.pop();
+      if (!OPTIONAL_END.has(el.name)) problems.push({ type: 'unclosed', tag: el.name, at: el.start });
+      close(el, at, at, true);
+    }
+  };
+
+  let pos = 0;
+  let textStart = 0;
+  const flushText = (to) => {
+    if (to > textStart) top().children.push({ type: 'text', start: textStart, end: to });
+  };
+
+  while (pos < src.length) {
+    const lt = src.indexOf('<', pos);
+    if (lt === -1) break;
+    pos = lt;
+
+    let node = null;
+    if (src.startsWith('<!--', pos)) {
+      const endAt = src.indexOf('-->', pos + 4);
+      node = { type: 'comment', start: pos, end: endAt === -1 ? src.length : endAt + 3 };
+    } else if (src.startsWith('<![CDATA[', pos)) {
+      const endAt = src.indexOf(']]>', pos);
+      node = { type: 'other', start: pos, end: endAt === -1 ? src.length : endAt + 3 };
+    } else if (/^<[!?]/.test(src.slice(pos, pos + 2))) {
+      const endAt = src.indexOf('>', pos);
+      node = { type: 'other', start: pos, end: endAt === -1 ? src.length : endAt + 1 };
+    }
+    if (node) {
+      flushText(pos);
+      top().children.push(node);
+      pos = textStart = node.end;
+      continue;
+    }
+
+    END_TAG_RE.lastIndex = pos;
+    const endTag = END_TAG_RE.exec(src);
+    if (endTag) {
+      flushText(pos);
+      const name = endTag[1].toLowerCase();
+      const end = pos + endTag[0].length;
+      let at = -1;
+      for (let i = stack.length - 1; i > 0; i--) if (stack[i].name === name) { at = i; break; }
+      if (at === -1) {
+        problems.push({ type: 'stray_end', tag: name, at: pos });
+        top().children.push({ type: 'other', start: pos, end });
+      } else {
+        popTo(at + 1, pos);
+        close(stack.pop(), pos, end, false);
+      }
+      pos = textStart = end;
+      continue;
+    }
+
+    TAG_RE.lastIndex = pos;
+    const tag = TAG_RE.exec(src);
+    if (!tag) { pos++; continue; }
+    flushText(pos);
+    const name = tag[1].toLowerCase();
+    const openEnd = pos + tag[0].length;
+    const attrBase = pos + 1 + tag[1].length;
+    while (stack.length > 1 && IMPLIED_END[top().name] && IMPLIED_END[top().name].has(name)) {
+      close(stack.pop(), pos, pos, true);
+    }
+    const el = { type: 'element', name, attrs: readAttrs(tag[2], attrBase), start: pos, openEnd, closeStart: openEnd, end: openEnd, children: [], implicit: false };
+    top().children.push(el);
+    pos = textStart = openEnd;
+
+    if (VOID.has(name) || tag[3]) continue;
+    if (RAW_TEXT.has(name)) {
+      const closeRe = new RegExp(`</${name}\\s*>`, 'ig');
+      closeRe.lastIndex = openEnd;
+      const m = closeRe.exec(src);
+      const closeStart = m ? m.index : src.length;
+      if (closeStart > openEnd) el.children.push({ type: 'text', start: openEnd, end: closeStart, raw: name !== 'title' && name !== 'textarea' });
+      if (!m) problems.push({ type: 'unclosed', tag: name, at: el.start });
+      close(el, closeStart, m ? closeStart + m[0].length : src.length, !m);
+      pos = textStart = el.end;
+      continue;
+    }
+    stack.push(el);
+  }
+  flushText(src.length);
+  popTo(1, src.length);
+  return { root, problems };
+}
+
+/* ---------------- Units ---------------- */
+
+const NAMED_ENTITIES = { nbsp: '\u00A0', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const ENTITY_RE = /&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi;
+
+function unescapeHtml(s = '') {
+  return unescapeXml(String(s).replace(/&nbsp;/gi, '\u00A0'));
+}
+
+// XHTML (EPUB chapters) is XML, where &nbsp; is not defined
+const escapeText = (s, xhtml = false) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/\u00A0/g, xhtml ? '&#160;' : '&nbsp;');
+
+const escapeAttr = (s, quote) => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(quote === "'" ? /'/g : /"/g, quote === "'" ? '&#39;' : '&quot;');
+
+const attrOf = (el, name) => (el.attrs.find(a => a.name === name) || {}).value;
+
+function isSkipped(el) {
+  if (SKIP.has(el.name)) return true;
+  if ((attrOf(el, 'translate') || '').toLowerCase() === 'no') return true;
+  return /(^|\s)notranslate(\s|$)/.test(attrOf(el, 'class') || '');
+}
+
+const isInline = (node) => node.type !== 'element' || (INLINE.has(node.name) && !hasBlockChild(node));
+
+function hasBlockChild(el) {
+  return (el.children || []).some(c => c.type === 'element' && (!INLINE.has(c.name) || hasBlockChild(c)));
+}
+
+const hasLetters = (text) => /\p{L}/u.test(text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+
+/**
+ * Inline run -> { text, tags, tagLocs }. Entities other than the basic five and &nbsp;
+ * become codes so they come back as written; whitespace collapses as a browser would.
+ */
+function tokenizeRun(src, nodes) {
+  const tags = {};
+  const tagLocs = {};
+  let counter = 0;
+  const standalone = (start, end) => {
+    const id = `x${++counter}`;
+    tags[id] = { markup: src.slice(start, end) };
+    tagLocs[id] = { start, end };
+    return `[[${id}]]`;
+  };
+
+  const textOf = (start, end) => {
+    const raw = src.slice(start, end).replace(/[ \t\r\n\f]+/g, ' ');
+    let out = '';
+    let last = 0;
+    let m;
+    ENTITY_RE.lastIndex = 0;
+    while ((m = ENTITY_RE.exec(raw))) {
+      out += raw.slice(last, m.index);
+      const known = m[1][0] === '#' || NAMED_ENTITIES[m[1].toLowerCase()] != null;
+      if (known) out += unescapeHtml(m[0]);
+      else {
+        const id = `x${++counter}`;
+        tags[id] = { markup: m[0] };
+        out += `[[${id}]]`;
+      }
+      last = m.index + m[0].length;
+    }
+    return out + raw.slice(last);
+  };
+
+  const walk = (list) => list.map(node => {
+    if (node.type === 'text') return textOf(node.start, node.end);
+    if (node.type !== 'element') return standalone(node.start, node.end);
+    if (VOID.has(node.name) || ATOMIC.has(node.name) || isSkipped(node) || node.openEnd === node.end) {
+      return standalone(node.start, node.end);
+    }
+    const id = `g${++counter}`;
+    tags[id] = { open: src.slice(node.start, node.openEnd), close: src.slice(node.closeStart, node.end) };
+    tagLocs[id] = { start: node.start, end: node.openEnd };
+    return `[[${id}]]${walk(node.children)}[[/${id}]]`;
+  }).join('');
+
+  return { text: walk(nodes), tags, tagLocs };
+}
+
+function blockContext(stack) {
+  const names = stack.filter(n => n.type === 'element').map(n => n.name);
+  const block = names[names.length - 1] || 'document';
+  if (/^h[1-6]$/.test(block)) return `heading <${block}>`;
+  return { li: 'list item', td: 'table cell', th: 'table header', title: 'page title', a: 'link text', button: 'button label',
+    option: 'option label', caption: 'table caption', figcaption: 'figure caption', label: 'form label' }[block] || `<${block}>`;
+}
+
+/**
+ * Translatable units of an HTML document (or fragment starting at `offset` in a larger text).
+ * @returns {{ problems, units: [{ key, kind, text, tags, context, _loc, _tagLocs?, _quote? }] }}
+ */
+function extractUnits(input = '', { offset = 0, prefix = '' } = {}) {
+  const src = String(input);
+  const { root, problems } = parseHtml(src);
+  const units = [];
+  let textCount = 0;
+  let attrCount = 0;
+  const shift = (loc) => ({ start: loc.start + offset, end: loc.end + offset });
+
+  const attrUnits = (el) => {
+    const isMeta = el.name === 'meta' && META_NAMES.has((attrOf(el, 'name') || attrOf(el, 'property') || '').toLowerCase());
+    for (const a of el.attrs) {
+      if (a.valueStart == null || !hasLetters(a.value)) continue;
+      if (!(TRANSLATABLE_ATTRS.has(a.name) || (isMeta && a.name === 'content'))) continue;
+      if (el.name === 'input' && a.name === 'value') continue;
+      units.push({
+        key: `${prefix}attr_${++attrCount}`,
+        kind: 'attribute',
+        text: a.value,
+        tags: {},
+        context: isMeta ? `<meta ${attrOf(el, 'name') || attrOf(el, 'property')}>` : `${a.name} of <${el.name}>`,
+        _quote: a.quote,
+        _loc: shift({ start: a.valueStart, end: a.valueEnd })
+      });
+    }
+  };
+
+  const flush = (run, stack) => {
+    if (!run.length) return;
+    const start = run[0].start;
+    const end = run[run.length - 1].end;
+    const lead = src.slice(start, end).match(/^\s*/)[0].length;
+    const trail = src.slice(start, end).match(/\s*$/)[0].length;
+    if (lead >= end - start) return;
+    const { text, tags, tagLocs } = tokenizeRun(src, run);
+    const trimmed = text.trim();
+    if (!hasLetters(trimmed)) return;
+    units.push({
+      key: `${prefix}text_${++textCount}`,
+      kind: 'text',
+      text: trimmed,
+      tags,
+      context: blockContext(stack),
+      _loc: shift({ start: start + lead, end: end - trail }),
+      _tagLocs: Object.fromEntries(Object.entries(tagLocs).map(([id, loc]) => [id, shift(loc)]))
+    });
+  };
+
+  // Attributes on elements inside a run are collected too (an <img alt> inside a paragraph)
+  const collectAttrs = (node) => {
+    if (node.type !== 'element' || isSkipped(node) || ATOMIC.has(node.name)) return;
+    attrUnits(node);
+    node.children.forEach(collectAttrs);
+  };
+
+  const walk = (el, stack) => {
+    let run = [];
+    for (const child of el.children) {
+      if (child.type === 'text' && child.raw) continue;
+      // Comments between words stay inside the run; doctypes and stray end tags end it
+      if (isInline(child) && child.type !== 'other') {
+        run.push(child);
+        collectAttrs(child);
+        continue;
+      }
+      flush(trimRun(run), stack);
+      run = [];
+      if (child.type !== 'element' || isSkipped(child)) continue;
+      attrUnits(child);
+      walk(child, [...stack, child]);
+    }
+    flush(trimRun(run), stack);
+  };
+  walk(root, []);
+  return { problems, units };
+}
+
+// Comments at either end of a run stay outside the unit
+function trimRun(run) {
+  let a = 0;
+  let b = run.length;
+  while (a < b && run[a].type !== 'text' && run[a].type !== 'element') a++;
+  while (b > a && run[b - 1].type !== 'text' && run[b - 1].type !== 'element') b--;
+  return run.slice(a, b);
+}
+
+/* ---------------- Public API ---------------- */
+
+function parseHtmlDocument(input = '') {
+  const src = String(input);
+  const { problems, units } = extractUnits(src);
+  const lang = (src.match(/<html\b[^>]*\slang\s*=\s*["']?([\w-]+)/i) || [])[1] || null;
+  return { lang, problems, units };
+}
+
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    kind: u.kind,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Units whose tokens did not survive translation (buildHtml repairs them) */
+function checkTags(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+/**
+ * Splice edits for translated units. Attribute units inside a text unit (an <img alt> in a
+ * paragraph) are applied to the tag markup that the text unit restores.
+ * Shared with the Markdown and EPUB handlers.
+ */
+function unitEdits(src, units, translations, { xhtml = false } = {}) {
+  const map = normalizeTranslations(translations);
+  const attrEdits = [];
+  for (const unit of units) {
+    if (unit.kind !== 'attribute') continue;
+    const target = map.get(unit.key);
+    if (target == null || !target.trim()) continue;
+    const value = escapeAttr(target.trim().replace(/\s*\n\s*/g, ' '), unit._quote || '"');
+    attrEdits.push({ ...unit._loc, text: unit._quote ? value : `"${value}"` });
+  }
+
+  const textUnits = units.filter(u => u.kind === 'text');
+  const inside = (e) => textUnits.some(u => e.start >= u._loc.start && e.end <= u._loc.end);
+  const edits = attrEdits.filter(e => !inside(e));
+
+  for (const unit of textUnits) {
+    const target = map.get(unit.key);
+    const nested = attrEdits.filter(e => e.start >= unit._loc.start && e.end <= unit._loc.end);
+    if ((target == null || !target.trim()) && !nested.length) continue;
+    const tags = {};
+    for (const [id, def] of Object.entries(unit.tags)) {
+      const loc = unit._tagLocs && unit._tagLocs[id];
+      const own = loc ? nested.filter(e => e.start >= loc.start && e.end <= loc.end) : [];
+      if (!own.length) { tags[id] = def; continue; }
+      const markup = splice(src.slice(loc.start, loc.end), own.map(e => ({ ...e, start: e.start - loc.start, end: e.end - loc.start })));
+      tags[id] = def.open ? { ...def, open: markup } : { markup };
+    }
+    const text = target != null && target.trim() ? target.trim() : unit.text;
+    edits.push({ ...unit._loc, text: restoreInline(text, tags, (s) => escapeText(s, xhtml)) });
+  }
+  return edits;
+}
+
+/**
+ * Write translations into the original document. Units without a (non-empty) translation
+ * keep their source text; `lang` (and xml:lang in XHTML) on <html> follows the target language.
+ */
+function buildHtml(text = '', translations = {}, { targetLang = null, xhtml = false } = {}) {
+  const src = String(text);
+  const parsed = parseHtmlDocument(src);
+  const out = splice(src, unitEdits(src, parsed.units, translations, { xhtml }));
+  return setDocumentLang(out, targetLang, { xhtml });
+}
+
+function setDocumentLang(doc, targetLang, { xhtml = false } = {}) {
+  const lang = officeLang(targetLang);
+  if (!lang) return doc;
+  const set = (tag, name) => {
+    const re = new RegExp(`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s>]+)`, 'i');
+    return re.test(tag) ? tag.replace(re, `$1"${lang}"`) : tag.replace(/^<html/i, `<html ${name}="${lang}"`);
+  };
+  return doc.replace(/<html\b[^>]*>/i, (tag) => {
+    let out = set(tag, 'lang');
+    if (xhtml || /\sxml:lang\s*=/i.test(out)) out = set(out, 'xml:lang');
+    return out;
+  });
+}
+
+// Element counts by name; inline elements may move within a unit but none may appear or vanish
+function elementCounts(src) {
+  const counts = new Map();
+  const walk = (el) => {
+    for (const c of el.children || []) {
+      if (c.type !== 'element') continue;
+      counts.set(c.name, (counts.get(c.name) || 0) + 1);
+      walk(c);
+    }
+  };
+  walk(parseHtml(src).root);
+  return counts;
+}
+
+/**
+ * Compare the element structure of the source and a translated document.
+ * @returns {{ ok: boolean, problems: Array<{ type, tag, at? }> }} problems found only in the output
+ */
+function checkBalance(source = '', output = '') {
+  const before = parseHtml(String(source)).problems;
+  const after = parseHtml(String(output)).problems;
+  const known = new Map();
+  for (const p of before) known.set(`${p.type}:${p.tag}`, (known.get(`${p.type}:${p.tag}`) || 0) + 1);
+  const problems = [];
+  for (const p of after) {
+    const k = `${p.type}:${p.tag}`;
+    if (known.get(k)) known.set(k, known.get(k) - 1);
+    else problems.push(p);
+  }
+  const a = elementCounts(String(source));
+  const b = elementCounts(String(output));
+  for (const tag of new Set([...a.keys(), ...b.keys()])) {
+    if ((a.get(tag) || 0) !== (b.get(tag) || 0)) problems.push({ type: 'count', tag, expected: a.get(tag) || 0, found: b.get(tag) || 0 });
+  }
+  return { ok: !problems.length, problems };
+}
+
+module.exports = {
+  HTML_EXTENSIONS,
+  isHtmlFile,
+  parseHtml,
+  extractUnits,
+  parseHtmlDocument,
+  toSegments,
+  checkTags,
+  unitEdits,
+  buildHtml,
+  setDocumentLang,
+  checkBalance
+};
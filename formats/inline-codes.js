@@ -0,0 +1,238 @@
+// formats/inline-codes.js
+/**
+ * Opaque inline-code tokens shared by every format module.
+ * Markup and placeholders are swapped for [[gN]] ... [[/gN]] (paired) and [[xN]]
+ * (standalone) before text reaches the model, then validated and restored after.
+ * A `tags` map records what each token stands for: { gN: { open, close }, xN: { markup } }.
+ */
+
+const TOKEN_RE = /\[\[(\/?)([gx])(\d+)\]\]/g;
+
+/**
+ * Check that every token from the source survived translation once,
+ * with paired codes still opening before they close.
+ */
+function validateInlineTags(text = '', tags = {}) {
+  const seen = {};
+  const orderErrors = [];
+  const unknown = [];
+  const opened = new Set();
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(String(text)))) {
+    const id = `${m[2]}${m[3]}`;
+    const key = m[1] ? `/${id}` : id;
+    if (!tags[id]) { unknown.push(m[0]); continue; }
+    seen[key] = (seen[key] || 0) + 1;
+    if (m[1]) {
+      if (!opened.has(id)) orderErrors.push(id);
+    } else {
+      opened.add(id);
+    }
+  }
+  const missing = [];
+  const duplicated = [];
+  for (const [id, def] of Object.entries(tags)) {
+    const keys = def.open ? [id, `/${id}`] : [id];
+    for (const k of keys) {
+      if (!seen[k]) missing.push(k);
+      else if (seen[k] > 1) duplicated.push(k);
+    }
+  }
+  return {
+    ok: !missing.length && !duplicated.length && !orderErrors.length && !unknown.length,
+    missing,
+    duplicated,
+    orderErrors,
+    unknown
+  };
+}
+
+/**
+ * Swap tokens back for their markup. Broken or missing codes are repaired
+ * (dropped pairs, standalone codes appended) so nothing is lost; `escape`
+ * is applied to the text between tokens (e.g. XML escaping).
+ */
+function restoreInline(text = '', tags = {}, escape = s => s) {
+  const check = validateInlineTags(text, tags);
+  const broken = new Set([...check.orderErrors, ...check.duplicated.map(k => k.replace('/', ''))]);
+  for (const k of check.missing) {
+    const id = k.replace('/', '');
+    if (tags[id] && tags[id].open) broken.add(id);
+  }
+
+  const used = new Set();
+  let out = '';
+  let pos = 0;
+  const src = String(text);
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(src))) {
+    out += escape(src.slice(pos, m.index));
+    pos = TOKEN_RE.lastIndex;
+    const id = `${m[2]}${m[3]}`;
+    const def = tags[id];
+    const key = m[1] ? `/${id}` : id;
+    if (!def || broken.has(id) || used.has(key)) continue;
+    used.add(key);
+    if (def.open) out += m[1] ? def.close : def.open;
+    else out += def.markup;
+  }
+  out += escape(src.slice(pos));
+
+  // Standalone codes the model dropped are re-appended so nothing is lost
+  for (const [id, def] of Object.entries(tags)) {
+    if (!def.open && !used.has(id)) out += def.markup;
+  }
+  return out;
+}
+
+// Index of the brace closing the one at `open`, or -1
+function matchBrace(s, open) {
+  let depth = 0;
+  for (let i = open; i < s.length; i++) {
+    if (s[i] === '{') depth++;
+    else if (s[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+const I18NEXT_RE = /^\{\{-?\s*[^{}]+?\s*\}\}/;
+// %s %1$d %.2f %@ %#@var@ (stringsdict) %{name} (Ruby) %(name)s (Python) %% — no space flag, so "50% off" stays text
+const PRINTF_RE = /^%(?:%|(?:\d+\$)?#@\w+@|\{[\w.]+\}|\([\w.]+\)[-+#0]*\d*(?:\.\d+)?[a-zA-Z]|(?:\d+\$)?[-+#0']*\d*(?:\.\d+)?(?:hh|h|ll|l|L|q|j|z|t)?[diouxXeEfFgGcsSpaA@])/;
+const NESTING_RE = /^\$t\([^)]*\)/;
+const CHROME_RE = /^\$[A-Za-z_]\w*\$/;
+const MARKUP_RE = /^<(\/?)([\w.:-]+)((?:\s[^<>]*?)?)(\/?)>/;
+const ICU_COMPLEX_RE = /^\s*([\w.]+)\s*,\s*(plural|select|selectordinal)\s*,(\s*offset:\s*\d+)?/;
+const ICU_SIMPLE_RE = /^\s*[\w.]+\s*(,[^{}]*)?$/;
+
+/**
+ * Replace message-format placeholders with tokens: ICU ({name}, {n, number},
+ * {count, plural, one {...} other {...}}), i18next ({{name}}, $t(key)), printf
+ * (%s, %1$d, %(name)s, %{name}), Chrome ($NAME$) and HTML/JSX tags (<b>, <0>).
+ * ICU plural/select keep their branch text translatable: the selector syntax is
+ * a [[gN]] pair around each branch and `#` becomes a standalone token.
+ * Elements listed in `atomicTags` (e.g. Android's xliff:g) become one token, content included.
+ * Returns { text, tags }.
+ */
+function protectPlaceholders(input = '', { atomicTags = [] } = {}) {
+  const tags = {};
+  let counter = 0;
+  const standalone = (markup) => {
+    const id = `x${++counter}`;
+    tags[id] = { markup };
+    return `[[${id}]]`;
+  };
+
+  function icuBlock(block, header, inPlural) {
+    let pos = 1 + header[0].length;
+    let out = standalone(block.slice(0, pos));
+    const plural = header[2] !== 'select';
+    for (;;) {
+      const sel = /^(\s*)(=?[\w-]+)(\s*)\{/.exec(block.slice(pos));
+      if (!sel) break;
+      const open = pos + sel[0].length - 1;
+      const close = matchBrace(block, open);
+      if (close === -1) break;
+      const id = `g${++counter}`;
+      tags[id] = { open: sel[0], close: '}' };
+      out += `[[${id}]]${scan(block.slice(open + 1, close), inPlural || plural)}[[/${id}]]`;
+      pos = close + 1;
+    }
+    return out + standalone(block.slice(pos));
+  }
+
+  function scan(s, inPlural) {
+    const stack = [];
+    let out = '';
+    let i = 0;
+    while (i < s.length) {
+      const rest = s.slice(i);
+      let m;
+      if ((m = I18NEXT_RE.exec(rest)) || (m = NESTING_RE.exec(rest)) || (m = CHROME_RE.exec(rest))) {
+        out += standalone(m[0]);
+        i += m[0].length;
+        continue;
+      }
+      if (s[i] === '{') {
+        const end = matchBrace(s, i);
+        if (end !== -1) {
+          const block = s.slice(i, end + 1);
+          const body = block.slice(1, -1);
+          const complex = ICU_COMPLEX_RE.exec(body);
+          if (complex) {
+            out += icuBlock(block, complex, inPlural);
+            i = end + 1;
+            continue;
+          }
+          if (ICU_SIMPLE_RE.test(body)) {
+            out += standalone(block);
+            i = end + 1;
+            continue;
+          }
+        }
+      }
+      if (inPlural && s[i] === '#') {
+        out += standalone('#');
+        i++;
+        continue;
+      }
+      if (s[i] === '%' && (m = PRINTF_RE.exec(rest))) {
+        out += standalone(m[0]);
+        i += m[0].length;
+        continue;
+      }
+      if (s[i] === '<' && (m = MARKUP_RE.exec(rest))) {
+        const [markup, closing, name, , selfClose] = m;
+        const closeAt = !closing && !selfClose && atomicTags.includes(name) ? s.indexOf(`</${name}>`, i) : -1;
+        if (closeAt !== -1) {
+          const whole = s.slice(i, closeAt + name.length + 3);
+          out += standalone(whole);
+          i += whole.length;
+          continue;
+        }
+        if (selfClose) {
+          out += standalone(markup);
+        } else if (closing) {
+          const at = stack.map(e => e.name).lastIndexOf(name);
+          if (at === -1) {
+            out += standalone(markup);
+          } else {
+            const [open, ...unclosed] = stack.splice(at);
+            unclosed.forEach(e => { out = demote(out, e.id); });
+            tags[open.id].close = markup;
+            out += `[[/${open.id}]]`;
+          }
+        } else {
+          const id = `g${++counter}`;
+          tags[id] = { open: markup, close: `</${name}>` };
+          stack.push({ id, name });
+          out += `[[${id}]]`;
+        }
+        i += markup.length;
+        continue;
+      }
+      out += s[i];
+      i++;
+    }
+    // Unclosed tags (e.g. <br>) travel as standalone codes
+    for (const { id } of stack) out = demote(out, id);
+    return out;
+  }
+
+  function demote(text, id) {
+    const x = `x${id.slice(1)}`;
+    tags[x] = { markup: tags[id].open };
+    delete tags[id];
+    return text.replace(`[[${id}]]`, `[[${x}]]`);
+  }
+
+  return { text: scan(String(input), false), tags };
+}
+
+module.exports = {
+  TOKEN_RE,
+  validateInlineTags,
+  restoreInline,
+  protectPlaceholders
+};
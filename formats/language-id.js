@@ -0,0 +1,311 @@
+// formats/language-id.js
+/**
+ * Offline language identification for language-lock QA, `srcLang=auto` and mixed-language text:
+ *  - the script of a text's letters decides on its own where langid/languages.json lists a
+ *    single language for it (Thai, Korean, Greek, Tamil...); Han with enough kana is Japanese
+ *  - languages sharing a script (Latin, Cyrillic, Arabic, Devanagari) are told apart by a naive
+ *    Bayes model over character 1-3-grams built from each language's bundled sample
+ *  - detect: the best language with a confidence (its posterior share, scaled by how much of
+ *    the text is in that script) and whether it is reliable enough to act on
+ *  - detectSpans: sentences, split further where the script changes, labelled and merged so a
+ *    text mixing languages comes back as one span per stretch of a language
+ *  - codeFor / related / resolve: names and tags to codes ("Portuguese", "pt-BR", "Bahasa"),
+ *    close relatives a short text cannot separate, and "auto" resolved from the text
+ */
+const segmentation = require('./segmentation');
+const { languages: LANGUAGES } = require('./langid/languages.json');
+
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Arabic', 'Hebrew', 'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati',
+  'Oriya', 'Tamil', 'Telugu', 'Kannada', 'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar',
+  'Georgian', 'Hangul', 'Hiragana', 'Katakana', 'Han', 'Ethiopic', 'Khmer', 'Armenian', 'Thaana'
+].map(name => ({ name, re: new RegExp(`\\p{sc=${name}}`, 'u') }));
+// Close relatives that short texts (and some long ones) cannot reliably separate
+const RELATED = [['da', 'no', 'sv'], ['id', 'ms'], ['hr', 'sr'], ['cs', 'sk'], ['es', 'gl'], ['pt', 'gl'],
+  ['ru', 'uk', 'be'], ['bg', 'mk'], ['hi', 'mr', 'ne'], ['zh', 'ja']];
+const ALPHA = 0.5;
+// n-gram orders overlap (every letter is counted three times), so posteriors are tempered
+const TEMPERATURE = 3;
+const MAX_WORDS = 1000;
+const MIN_LETTERS = 10;
+// Below this, close relatives and short pangrams come back wrong too often (Dutch as Danish at 0.79)
+const MIN_CONFIDENCE = 0.8;
+// Share of kana among Han + kana letters from which a text is Japanese rather than Chinese
+const KANA_SHARE = 0.1;
+// Characters of a document (string or segment list) looked at to resolve "auto"
+const SAMPLE_CHARS = 20000;
+
+const scriptCache = new Map();
+let model = null;
+let nameIndex = null;
+
+function scriptOf(ch) {
+  if (!scriptCache.has(ch)) {
+    const found = SCRIPTS.find(s => s.re.test(ch));
+    scriptCache.set(ch, found ? found.name : null);
+  }
+  return scriptCache.get(ch);
+}
+
+// Han, kana and Hangul runs belong together when a text is split by script
+function runKey(script) {
+  return script === 'Han' || script === 'Hiragana' || script === 'Katakana' ? 'CJK' : script;
+}
+
+/** Letters per script, with kana + Han folded into "Japanese" and Han into Hangul for Korean */
+function scriptCounts(text) {
+  const counts = {};
+  let letters = 0;
+  for (const ch of String(text || '')) {
+    if (!/\p{L}/u.test(ch)) continue;
+    const script = scriptOf(ch);
+    if (!script) continue;
+    counts[script] = (counts[script] || 0) + 1;
+    letters++;
+  }
+  const kana = (counts.Hiragana || 0) + (counts.Katakana || 0);
+  delete counts.Hiragana;
+  delete counts.Katakana;
+  if (kana && kana >= KANA_SHARE * (kana + (counts.Han || 0))) {
+    counts.Japanese = kana + (counts.Han || 0);
+    delete counts.Han;
+  } else if (kana) {
+    counts.Han = (counts.Han || 0) + kana;
+  }
+  if (counts.Hangul && counts.Han) {
+    counts.Hangul += counts.Han;
+    delete counts.Han;
+  }
+  return { counts, letters };
+}
+
+// Character 1-3-grams of a text's words (bigrams and trigrams padded with a space): Map(gram -> count)
+function ngrams(text) {
+  const grams = new Map();
+  const words = (String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}]+/gu) || []).slice(0, MAX_WORDS);
+  for (const word of words) {
+    const chars = [...word];
+    const padded = [' ', ...chars, ' '];
+    chars.forEach(c => grams.set(`1${c}`, (grams.get(`1${c}`) || 0) + 1));
+    for (const n of [2, 3]) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        const gram = `${n}${padded.slice(i, i + n).join('')}`;
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+      }
+    }
+  }
+  return grams;
+}
+
+/** Profiles of the bundled samples and the languages per script; built on first use */
+function getModel() {
+  if (model) return model;
+  const byScript = new Map();
+  const profiles = new Map();
+  const vocabulary = [new Set(), new Set(), new Set()];
+  for (const lang of LANGUAGES) {
+    if (!byScript.has(lang.script)) byScript.set(lang.script, []);
+    byScript.get(lang.script).push(lang.code);
+    if (!lang.sample) continue;
+    const counts = ngrams(lang.sample);
+    const totals = [0, 0, 0];
+    counts.forEach((count, gram) => {
+      const order = Number(gram[0]) - 1;
+      totals[order] += count;
+      vocabulary[order].add(gram);
+    });
+    profiles.set(lang.code, { counts, totals });
+  }
+  model = { byScript, profiles, vocabulary: vocabulary.map(v => v.size + 1) };
+  return model;
+}
+
+// Posterior share of each candidate for a text's n-grams: [{ lang, confidence }] best first
+function scoreNgrams(text, candidates) {
+  const { profiles, vocabulary } = getModel();
+  const grams = ngrams(text);
+  const scores = candidates.map(lang => {
+    const profile = profiles.get(lang);
+    let score = 0;
+    grams.forEach((count, gram) => {
+      const order = Number(gram[0]) - 1;
+      const seen = profile.counts.get(gram) || 0;
+      score += count * Math.log((seen + ALPHA) / (profile.totals[order] + ALPHA * vocabulary[order]));
+    });
+    return { lang, score: score / TEMPERATURE };
+  });
+  const best = Math.max(...scores.map(s => s.score));
+  const sum = scores.reduce((acc, s) => acc + Math.exp(s.score - best), 0);
+  return scores
+    .map(s => ({ lang: s.lang, confidence: Math.exp(s.score - best) / sum }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+function nameOf(code) {
+  const lang = LANGUAGES.find(l => l.code === code);
+  return lang ? lang.name : null;
+}
+
+/**
+ * Identify the language of a text.
+ * Options: candidates (language codes to choose from; ignored when none fits the script),
+ * minLetters (default 10 for languages told apart by n-grams), minConfidence (default 0.8).
+ * @returns {{ lang: string, name: string|null, script: string|null, confidence: number,
+ *   reliable: boolean, letters: number, candidates: { lang: string, confidence: number }[] }}
+ *   lang is 'unknown' when the text has no letters in a known script
+ */
+function detect(text, { candidates = null, minLetters = MIN_LETTERS, minConfidence = MIN_CONFIDENCE } = {}) {
+  const { counts, letters } = scriptCounts(text);
+  const top = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  if (!top) return { lang: 'unknown', name: null, script: null, confidence: 0, reliable: false, letters: 0, candidates: [] };
+
+  const [script, scriptLetters] = top;
+  const share = scriptLetters / letters;
+  const { byScript, profiles } = getModel();
+  const listed = byScript.get(script) || [];
+  const wanted = candidates && candidates.length ? listed.filter(code => candidates.includes(code)) : [];
+  const pool = wanted.length ? wanted : listed;
+
+  let ranked;
+  if (pool.length > 1 && pool.every(code => profiles.has(code))) {
+    ranked = scoreNgrams(text, pool);
+  } else if (script === 'Han') {
+    // Kanji-only text can be Japanese too
+    ranked = [{ lang: 'zh', confidence: 0.9 }, { lang: 'ja', confidence: 0.1 }];
+  } else {
+    ranked = pool.length ? [{ lang: pool[0], confidence: 1 }] : [{ lang: 'unknown', confidence: 0 }];
+  }
+  ranked = ranked.slice(0, 5).map(r => ({ lang: r.lang, confidence: round(r.confidence * share) }));
+
+  const best = ranked[0];
+  const enough = pool.length > 1 ? scriptLetters >= minLetters : scriptLetters >= Math.min(minLetters, script === 'Han' || script === 'Japanese' ? 2 : 3);
+  return {
+    lang: best.lang,
+    name: nameOf(best.lang),
+    script,
+    confidence: best.confidence,
+    reliable: best.lang !== 'unknown' && enough && best.confidence >= minConfidence,
+    letters,
+    candidates: ranked
+  };
+}
+
+/**
+ * Language spans of a text that may mix languages: [{ start, end, text, lang, confidence }].
+ * Sentences (shared SRX rules) are split where the script changes; pieces too short to identify
+ * take the language of the piece before them (or after, at the start), and neighbours in the
+ * same language merge. Options are passed to detect.
+ */
+function detectSpans(text, options = {}) {
+  const source = String(text || '');
+  const pieces = [];
+  const push = (start, end) => {
+    const raw = source.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) pieces.push({ start: start + lead, end: start + lead + trimmed.length, text: trimmed });
+  };
+  for (const span of segmentation.segmentSpans(source, 'auto')) {
+    let start = span.start;
+    let key = null;
+    for (let i = span.start; i < span.end;) {
+      const ch = String.fromCodePoint(source.codePointAt(i));
+      const script = /\p{L}/u.test(ch) ? scriptOf(ch) : null;
+      if (script) {
+        const next = runKey(script);
+        if (key && next !== key) {
+          push(start, i);
+          start = i;
+        }
+        key = next;
+      }
+      i += ch.length;
+    }
+    push(start, span.end);
+  }
+  if (!pieces.length) return [];
+
+  pieces.forEach(piece => { piece.result = detect(piece.text, options); });
+  const fallback = pieces.some(p => p.result.reliable) ? null : detect(source, options).lang;
+  let previous = null;
+  pieces.forEach((piece, i) => {
+    if (piece.result.reliable) piece.lang = piece.result.lang;
+    else if (previous) piece.lang = previous;
+    else piece.lang = fallback || (pieces.slice(i + 1).find(p => p.result.reliable) || {}).result.lang;
+    previous = piece.lang;
+  });
+
+  const spans = [];
+  for (const piece of pieces) {
+    const last = spans[spans.length - 1];
+    const own = piece.result.lang === piece.lang ? piece.result.confidence : 0;
+    if (last && last.lang === piece.lang) {
+      last.end = piece.end;
+      last.weighted += own * piece.result.letters;
+      last.letters += piece.result.letters;
+    } else {
+      spans.push({ start: piece.start, end: piece.end, lang: piece.lang, weighted: own * piece.result.letters, letters: piece.result.letters });
+    }
+  }
+  return spans.map(s => ({
+    start: s.start,
+    end: s.end,
+    text: source.slice(s.start, s.end),
+    lang: s.lang,
+    confidence: s.letters ? round(s.weighted / s.letters) : 0
+  }));
+}
+
+/** Language code for a code, tag or name ("de", "pt-BR", "Portuguese", "Español"), or null */
+function codeFor(value) {
+  if (!nameIndex) {
+    nameIndex = new Map();
+    for (const lang of LANGUAGES) {
+      for (const key of [lang.code, lang.name, lang.native, ...(lang.aliases || [])]) {
+        if (key) nameIndex.set(String(key).toLowerCase(), lang.code);
+      }
+    }
+  }
+  const tag = String(value || '').trim().toLowerCase().replace(/_/g, '-');
+  if (!tag) return null;
+  const bare = tag.replace(/\s*\(.*\)\s*$/, '');
+  return nameIndex.get(tag) || nameIndex.get(bare) || nameIndex.get(bare.split('-')[0]) || null;
+}
+
+/** Whether two codes are the same language or close relatives listed in RELATED */
+function related(a, b) {
+  if (!a || !b) return false;
+  return a === b || RELATED.some(group => group.includes(a) && group.includes(b));
+}
+
+/**
+ * A source language as given, or detected when it is missing or "auto". `text` is a string or a
+ * list of strings / segments ({ text } or { src }); the first SAMPLE_CHARS characters are used.
+ */
+function resolve(lang, text, fallback = 'auto') {
+  if (lang && !/^auto$/i.test(String(lang).trim())) return lang;
+  let sample = '';
+  for (const item of Array.isArray(text) ? text : [text]) {
+    if (sample.length >= SAMPLE_CHARS) break;
+    const value = typeof item === 'string' ? item : item?.text ?? item?.src ?? '';
+    sample += `${String(value || '').slice(0, SAMPLE_CHARS - sample.length)}\n`;
+  }
+  const result = detect(sample);
+  return result.reliable ? result.lang : fallback;
+}
+
+/** Languages the identifier knows: [{ code, name, native, script }] */
+function languages() {
+  return LANGUAGES.map(({ code, name, native, script }) => ({ code, name, native, script }));
+}
+
+module.exports = {
+  detect,
+  detectSpans,
+  codeFor,
+  related,
+  resolve,
+  languages
+};
@@ -0,0 +1,123 @@
+// formats/leverage.js
+/**
+ * Leverage analysis for quoting a job before anything is translated:
+ *  - match bands in precedence order: context (ICE), exact, internal repetitions, translation
+ *    cache, fuzzy 95-99 / 85-94 / 75-84 and no match
+ *  - word counts (CJK ideographs and kana count one word each; inline tokens never count)
+ *  - weighted words per band, and the model tokens and quota characters the bands that still
+ *    go to the engine would cost
+ * The lookups live in TranslationMemoryManager.analyzeLeverage; nothing here calls a model.
+ */
+const { TOKEN_RE } = require('./inline-codes');
+
+// `model`: the band still needs the engine (fuzzy matches travel along as a reference).
+// Weights are the usual CAT-tool discount grid, overridable per request.
+const BANDS = [
+  { id: 'context', label: 'Context match (ICE)', weight: 0, model: false },
+  { id: 'exact', label: '100%', weight: 0.1, model: false },
+  { id: 'repetition', label: 'Repetitions', weight: 0.1, model: false },
+  { id: 'cached', label: 'Translation cache', weight: 0.3, model: false },
+  { id: 'fuzzy95', label: '95-99%', min: 0.95, weight: 0.3, model: true },
+  { id: 'fuzzy85', label: '85-94%', min: 0.85, weight: 0.6, model: true },
+  { id: 'fuzzy75', label: '75-84%', min: 0.75, weight: 0.8, model: true },
+  { id: 'new', label: 'No match', weight: 1, model: true }
+];
+
+// Same budgeting assumptions as the batch chunker in server.js; usage is metered in
+// characters as tokens x CHARS_PER_TOKEN
+const CHARS_PER_TOKEN = 4;
+const OUTPUT_FACTOR = 1.15;
+
+const CJK = /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}]/gu;
+const WORD = /[\p{L}\p{M}\p{N}]+(?:['\u2019.,-][\p{L}\p{M}\p{N}]+)*/gu;
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+const plainText = (text) => String(text || '').replace(TOKEN_RE, ' ');
+
+/** Words in a segment: "e-mail", "don't" and "3.5" are one word each, every CJK character is one */
+function countWords(text) {
+  const plain = plainText(text);
+  const cjk = (plain.match(CJK) || []).length;
+  return cjk + (plain.replace(CJK, ' ').match(WORD) || []).length;
+}
+
+/**
+ * Band of a fuzzy match. A similarity of 1 that was not an exact hit (source language or
+ * sub-style differ) still counts as 95-99%.
+ */
+function bandFor(similarity) {
+  const s = Number(similarity) || 0;
+  const band = BANDS.find(b => b.min != null && s >= b.min);
+  return band ? band.id : 'new';
+}
+
+/** Band weights with per-request overrides (numbers from 0 to 1; anything else is ignored) */
+function weightsFor(overrides = {}) {
+  const out = {};
+  for (const b of BANDS) {
+    const v = overrides && overrides[b.id] != null ? Number(overrides[b.id]) : NaN;
+    out[b.id] = Number.isFinite(v) && v >= 0 && v <= 1 ? v : b.weight;
+  }
+  return out;
+}
+
+/**
+ * Totals per band for classified segments ({ text, band, reference? }, where reference is the
+ * fuzzy match sent along as context). `ratePerWord` turns weighted words into a price.
+ * @returns {{ bands: object[], totals: object, quote: object|null }}
+ */
+function summarize(segments, { weights, ratePerWord = null, currency = 'USD' } = {}) {
+  const w = weightsFor(weights);
+  const rows = new Map(BANDS.map(b => [b.id, {
+    band: b.id,
+    label: b.label,
+    weight: w[b.id],
+    model: b.model,
+    segments: 0,
+    words: 0,
+    characters: 0,
+    inputTokens: 0,
+    outputTokens: 0
+  }]));
+
+  for (const seg of segments || []) {
+    const row = rows.get(seg.band) || rows.get('new');
+    const raw = String(seg.text || '');
+    row.segments++;
+    row.words += countWords(raw);
+    row.characters += plainText(raw).replace(/\s+/g, ' ').trim().length;
+    if (row.model) {
+      const own = Math.ceil(raw.length / CHARS_PER_TOKEN);
+      row.inputTokens += own + Math.ceil(String(seg.reference || '').length / CHARS_PER_TOKEN);
+      row.outputTokens += Math.ceil(own * OUTPUT_FACTOR);
+    }
+  }
+
+  const bands = [...rows.values()].map(r => ({
+    ...r,
+    weightedWords: round(r.words * r.weight),
+    quotaCharacters: (r.inputTokens + r.outputTokens) * CHARS_PER_TOKEN
+  }));
+  const totals = { segments: 0, words: 0, characters: 0, weightedWords: 0, inputTokens: 0, outputTokens: 0, quotaCharacters: 0 };
+  for (const b of bands) {
+    for (const key of Object.keys(totals)) totals[key] += b[key];
+  }
+  totals.weightedWords = round(totals.weightedWords);
+  // Share of the words the memory, cache and repetitions save
+  totals.leverage = totals.words ? round(1 - totals.weightedWords / totals.words, 3) : 0;
+
+  const rate = Number(ratePerWord);
+  const quote = ratePerWord != null && Number.isFinite(rate) && rate > 0
+    ? { ratePerWord: rate, currency: String(currency || 'USD').toUpperCase(), amount: round(totals.weightedWords * rate, 2) }
+    : null;
+  return { bands, totals, quote };
+}
+
+module.exports = {
+  BANDS,
+  CHARS_PER_TOKEN,
+  countWords,
+  bandFor,
+  weightsFor,
+  summarize
+};
@@ -0,0 +1,559 @@
+// formats/markdown.js
+/**
+ * Structure-aware Markdown translation.
+ *  - parseMarkdown: front matter, ATX/setext headings, paragraphs, list items, blockquotes,
+ *    table cells and footnotes become units; fenced and indented code, link reference
+ *    definitions and thematic breaks are left alone
+ *  - inline syntax travels as tokens: emphasis, links and images as [[gN]] pairs around their
+ *    text (the "](url "title")" part is the closing code, so URLs never reach the model),
+ *    code spans, autolinks, bare URLs, escapes, entities and inline HTML tags as codes
+ *  - HTML blocks go through the HTML handler (text nodes and alt/title only)
+ *  - front matter keys stay as they are; only values of known prose keys are translated
+ *  - buildMarkdown splices translations into the ORIGINAL file; checkBalance compares
+ *    fences, links and HTML tags of source and output
+ * A paragraph's soft line breaks are not kept: translated text goes back on one line.
+ */
+const { splice } = require('./xml');
+const { validateInlineTags, restoreInline } = require('./inline-codes');
+const html = require('./html');
+
+const MARKDOWN_EXTENSIONS = new Set(['.md', '.markdown', '.mdown', '.mkd']);
+
+function isMarkdownFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && MARKDOWN_EXTENSIONS.has(m[0]);
+}
+
+// Front matter keys whose values are prose; everything else (slug, date, layout, tags) is data
+const FRONT_MATTER_KEYS = new Set(['title', 'description', 'summary', 'excerpt', 'subtitle', 'caption', 'abstract',
+  'sidebar_label', 'linktitle', 'seo_title', 'meta_description', 'og_title', 'og_description', 'alt']);
+
+/* ---------------- Inline ---------------- */
+
+const HTML_TAG_RE = /^<(\/?)([a-zA-Z][\w-]*)(?:\s[^<>]*?)?(\/?)>/;
+const HTML_COMMENT_RE = /^<!--[\s\S]*?-->/;
+const AUTOLINK_RE = /^<(?:[a-zA-Z][\w+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>@]+\.[a-zA-Z]+)>/;
+const BARE_URL_RE = /^(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,;:!?)'"\]]/;
+const ENTITY_RE = /^&(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/i;
+const ESCAPE_RE = /^\\[!-/:-@[-`{-~]/;
+const ATTR_BLOCK_RE = /^\{[#.:][^{}\n]*\}/;
+const MATH_RE = /^\$\$[^$]+\$\$|^\$[^\s$](?:[^$]*[^\s$])?\$(?!\d)/;
+const VOID_TAGS = new Set(['br', 'img', 'hr', 'input', 'wbr', 'source', 'track', 'embed']);
+// Inline HTML elements kept whole, content included
+const ATOMIC_TAGS = new Set(['code', 'kbd', 'samp', 'var', 'script', 'style', 'svg', 'math']);
+
+// Length of the code span starting at i (a backtick run and its matching run), or 0
+function codeSpanLength(s, i) {
+  const run = s.slice(i).match(/^`+/)[0];
+  let j = i + run.length;
+  for (;;) {
+    const k = s.indexOf('`', j);
+    if (k === -1) return 0;
+    const close = s.slice(k).match(/^`+/)[0];
+    if (close.length === run.length) return k + close.length - i;
+    j = k + close.length;
+  }
+}
+
+// Index of the `]` closing the `[` at i, skipping escapes and code spans; -1 if none
+function closingBracket(s, i) {
+  let depth = 0;
+  for (let k = i; k < s.length; k++) {
+    const ch = s[k];
+    if (ch === '\\') { k++; continue; }
+    if (ch === '`') { const n = codeSpanLength(s, k); if (n) { k += n - 1; continue; } }
+    if (ch === '[') depth++;
+    else if (ch === ']' && --depth === 0) return k;
+  }
+  return -1;
+}
+
+// Link destination "(url "title")" at i; returns its length or 0
+function destinationLength(s, i) {
+  if (s[i] !== '(') return 0;
+  let depth = 0;
+  for (let k = i; k < s.length; k++) {
+    const ch = s[k];
+    if (ch === '\\') { k++; continue; }
+    if (ch === '<') { const e = s.indexOf('>', k); if (e !== -1) { k = e; continue; } }
+    if (ch === '"' || ch === "'") {
+      const e = s.indexOf(ch, k + 1);
+      if (e !== -1 && depth === 1) { k = e; continue; }
+    }
+    if (ch === '(') depth++;
+    else if (ch === ')' && --depth === 0) return k - i + 1;
+    else if (ch === '\n') return 0;
+  }
+  return 0;
+}
+
+const isSpace = (ch) => ch == null || /\s/.test(ch);
+const isWordChar = (ch) => ch != null && /[\p{L}\p{N}]/u.test(ch);
+
+// A delimiter run at i (*, **, _, __, ~~) that can open emphasis
+function canOpen(s, i, delim) {
+  const after = s[i + delim.length];
+  if (isSpace(after)) return false;
+  if (delim[0] === '_' && isWordChar(s[i - 1])) return false;
+  return true;
+}
+
+// Index of the run closing emphasis opened at i, skipping code spans and escapes; -1 if none
+function closingDelimiter(s, i, delim) {
+  for (let k = i + delim.length + 1; k <= s.length - delim.length; k++) {
+    const ch = s[k];
+    if (ch === '\\') { k++; continue; }
+    if (ch === '`') { const n = codeSpanLength(s, k); if (n) { k += n - 1; continue; } }
+    if (!s.startsWith(delim, k) || isSpace(s[k - 1])) continue;
+    // The run must be exactly this long (** does not close *)
+    if (s[k + delim.length] === delim[0] || s[k - 1] === delim[0]) continue;
+    if (delim[0] === '_' && isWordChar(s[k + delim.length])) continue;
+    return k;
+  }
+  return -1;
+}
+
+// Matching close tag for an inline HTML element opened at i; -1 if none
+function closingTag(s, i, name) {
+  const re = new RegExp(`<(/?)${name}\\b[^<>]*?(/?)>`, 'gi');
+  re.lastIndex = i;
+  let depth = 0;
+  let m;
+  while ((m = re.exec(s))) {
+    if (m[2]) continue;
+    if (m[1]) { if (--depth === 0) return m.index; } else depth++;
+  }
+  return -1;
+}
+
+/**
+ * Inline Markdown -> { text, tags }. `refs` holds the labels of link reference definitions,
+ * so shortcut references ([Label]) stay intact.
+ */
+function tokenizeInline(input = '', refs = new Set()) {
+  const tags = {};
+  let counter = 0;
+  const standalone = (markup) => {
+    const id = `x${++counter}`;
+    tags[id] = { markup };
+    return `[[${id}]]`;
+  };
+  const pair = (open, close, inner) => {
+    const id = `g${++counter}`;
+    tags[id] = { open, close };
+    return `[[${id}]]${scan(inner)}[[/${id}]]`;
+  };
+
+  function scan(s) {
+    let out = '';
+    let i = 0;
+    while (i < s.length) {
+      const rest = s.slice(i);
+      const ch = s[i];
+      let m;
+
+      if ((m = rest.match(ESCAPE_RE))) { out += standalone(m[0]); i += 2; continue; }
+      if (ch === '`') {
+        const n = codeSpanLength(s, i);
+        if (n) { out += standalone(s.slice(i, i + n)); i += n; continue; }
+        const run = rest.match(/^`+/)[0];
+        out += run;
+        i += run.length;
+        continue;
+      }
+      if (ch === '<') {
+        if ((m = rest.match(HTML_COMMENT_RE)) || (m = rest.match(AUTOLINK_RE))) {
+          out += standalone(m[0]); i += m[0].length; continue;
+        }
+        if ((m = rest.match(HTML_TAG_RE))) {
+          const name = m[2].toLowerCase();
+          const closeAt = !m[1] && !m[3] && !VOID_TAGS.has(name) ? closingTag(s, i, name) : -1;
+          if (closeAt !== -1) {
+            const closeTag = s.slice(closeAt).match(/^<\/[^>]*>/)[0];
+            if (ATOMIC_TAGS.has(name)) out += standalone(s.slice(i, closeAt + closeTag.length));
+            else out += pair(m[0], closeTag, s.slice(i + m[0].length, closeAt));
+            i = closeAt + closeTag.length;
+          } else {
+            out += standalone(m[0]);
+            i += m[0].length;
+          }
+          continue;
+        }
+      }
+      if (ch === '!' && s[i + 1] === '[' || ch === '[') {
+        const open = ch === '!' ? 2 : 1;
+        const start = i + open - 1;
+        if (s[start + 1] === '^') {
+          const end = closingBracket(s, start);
+          if (end !== -1) { out += standalone(s.slice(i, end + 1)); i = end + 1; continue; }
+        }
+        const end = closingBracket(s, start);
+        if (end !== -1) {
+          const dest = destinationLength(s, end + 1);
+          const ref = !dest && s[end + 1] === '[' ? s.slice(end + 1).match(/^\[[^\]]*\]/) : null;
+          const label = s.slice(start + 1, end).trim().toLowerCase();
+          if (dest || ref) {
+            const close = s.slice(end, end + 1 + (dest || ref[0].length));
+            // Collapsed references ([Label][]) use the text as the label: keep them whole
+            if (ref && ref[0] === '[]') { out += standalone(s.slice(i, end + 3)); i = end + 3; continue; }
+            out += pair(s.slice(i, start + 1), close, s.slice(start + 1, end));
+            i = end + close.length;
+            continue;
+          }
+          if (refs.has(label)) { out += standalone(s.slice(i, end + 1)); i = end + 1; continue; }
+        }
+      }
+      if ((m = rest.match(BARE_URL_RE)) && !isWordChar(s[i - 1])) { out += standalone(m[0]); i += m[0].length; continue; }
+      if (ch === '&' && (m = rest.match(ENTITY_RE))) { out += standalone(m[0]); i += m[0].length; continue; }
+      if (ch === '{' && (m = rest.match(ATTR_BLOCK_RE))) { out += standalone(m[0]); i += m[0].length; continue; }
+      if (ch === '$' && (m = rest.match(MATH_RE))) { out += standalone(m[0]); i += m[0].length; continue; }
+      if (ch === '*' || ch === '_' || (ch === '~' && s[i + 1] === '~')) {
+        const run = rest.match(ch === '~' ? /^~~/ : new RegExp(`^\\${ch}{1,3}`))[0];
+        if (canOpen(s, i, run)) {
+          const end = closingDelimiter(s, i, run);
+          if (end !== -1) {
+            out += pair(run, run, s.slice(i + run.length, end));
+            i = end + run.length;
+            continue;
+          }
+        }
+        out += run;
+        i += run.length;
+        continue;
+      }
+      out += ch;
+      i++;
+    }
+    return out;
+  }
+
+  return { text: scan(String(input)), tags };
+}
+
+/* ---------------- Blocks ---------------- */
+
+function scanLines(text) {
+  const lines = [];
+  const re = /[^\n]*(?:\n|$)/g;
+  let m;
+  while ((m = re.exec(text)) && m[0]) {
+    const body = m[0].replace(/\r?\n$/, '');
+    lines.push({ start: m.index, end: m.index + body.length, body });
+  }
+  return lines;
+}
+
+const FENCE_RE = /^((?:[ \t]*>)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+)?)(`{3,}|~{3,})/;
+const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const SETEXT_RE = /^ {0,3}(?:=+|-+)[ \t]*$/;
+const REF_DEF_RE = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*\S/;
+const TABLE_SEP_RE = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const HTML_BLOCK_RE = /^ {0,3}<(?:!--|\/?(?:address|article|aside|blockquote|details|dialog|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|main|nav|ol|p|picture|pre|script|section|style|summary|table|tbody|td|tfoot|th|thead|tr|ul|video|audio|img|center)\b)/i;
+// Container markers ahead of a line's inline content: blockquotes, list markers, task boxes, ATX hashes
+const PREFIX_RE = /^((?:[ \t]*>)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?)?(?:\[\^[^\]]+\]:[ \t]*)?)/;
+const LIST_RE = /^(?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+/;
+const HEADING_RE = /^(#{1,6})(?:[ \t]+|$)/;
+
+// Table cells as [start, end] offsets within the row (unescaped pipes outside code spans)
+function tableCells(row) {
+  const cells = [];
+  let start = 0;
+  for (let k = 0; k <= row.length; k++) {
+    const ch = row[k];
+    if (ch === '\\') { k++; continue; }
+    if (ch === '`') { const n = codeSpanLength(row, k); if (n) { k += n - 1; continue; } }
+    if (ch === '|' || k === row.length) {
+      cells.push([start, k]);
+      start = k + 1;
+    }
+  }
+  // Leading and trailing pipes leave empty edge cells
+  return cells.filter(([a, b], i) => !((i === 0 || i === cells.length - 1) && !row.slice(a, b).trim()));
+}
+
+const hasLetters = (text) => /\p{L}/u.test(text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+
+function frontMatter(src) {
+  const m = src.match(/^(?:\uFEFF)?(---|\+\+\+)[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\+\+\+|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!m) return null;
+  const format = m[1] === '+++' ? 'toml' : 'yaml';
+  const bodyStart = m.index + m[0].indexOf(m[2]);
+  const units = [];
+  const re = format === 'yaml' ? /^([A-Za-z_][\w-]*)[ \t]*:[ \t]*(.+?)[ \t]*$/gm : /^([A-Za-z_][\w-]*)[ \t]*=[ \t]*(.+?)[ \t]*$/gm;
+  let kv;
+  while ((kv = re.exec(m[2]))) {
+    const key = kv[1];
+    let value = kv[2];
+    if (!FRONT_MATTER_KEYS.has(key.toLowerCase()) || /^[|>[{&*!]/.test(value)) continue;
+    const valueStart = bodyStart + kv.index + kv[0].lastIndexOf(value);
+    let quote = '';
+    if (/^(["']).*\1$/.test(value)) { quote = value[0]; value = value.slice(1, -1); }
+    else if (format === 'toml') continue;
+    else value = value.replace(/[ \t]+#.*$/, '');
+    const text = quote === '"' ? value.replace(/\\(["\\])/g, '$1') : quote === "'" ? value.replace(/''/g, "'") : value;
+    if (!hasLetters(text)) continue;
+    units.push({
+      key: `meta_${key}`,
+      kind: 'front_matter',
+      text,
+      tags: {},
+      context: `front matter ${key}`,
+      _quote: quote,
+      _loc: { start: valueStart + (quote ? 1 : 0), end: valueStart + (quote ? 1 : 0) + value.length }
+    });
+  }
+  return { format, end: m.index + m[0].length, units };
+}
+
+/**
+ * Parse a Markdown document into translatable units.
+ * @returns {{ frontMatter: 'yaml'|'toml'|null, units: [{ key, kind, text, tags, context }] }}
+ */
+function parseMarkdown(input = '') {
+  const src = String(input);
+  const fm = frontMatter(src);
+  const units = fm ? [...fm.units] : [];
+  const refs = new Set();
+  const lines = scanLines(src).filter(l => !fm || l.start >= fm.end);
+  for (const l of lines) {
+    const m = l.body.match(REF_DEF_RE);
+    if (m) refs.add(m[1].trim().toLowerCase());
+  }
+
+  let count = 0;
+  let htmlCount = 0;
+  const addText = (start, end, context, { hardBreaks = [], cell = false } = {}) => {
+    // The unit spans first content character to last; inner line prefixes are dropped on write
+    const raw = src.slice(start, end);
+    let body = raw;
+    for (const hb of [...hardBreaks].reverse()) {
+      body = `${body.slice(0, hb.start - start)}\u0000${body.slice(hb.end - start)}`;
+    }
+    const joined = body.split('\n').map(l => l.replace(PREFIX_RE, '').trim()).join(' ');
+    const { text, tags } = tokenizeInline(joined, refs);
+    let withBreaks = text;
+    for (const hb of hardBreaks) {
+      const id = `x${Object.keys(tags).length + 1}`;
+      tags[id] = { markup: hb.markup };
+      withBreaks = withBreaks.replace('\u0000', `[[${id}]]`);
+    }
+    if (!hasLetters(withBreaks)) return;
+    units.push({ key: `text_${++count}`, kind: 'text', text: withBreaks.trim(), tags, context, _cell: cell, _loc: { start, end } });
+  };
+
+  let i = 0;
+  let prevBlank = true;
+  let inList = false;
+  while (i < lines.length) {
+    const line = lines[i];
+    const body = line.body;
+    if (!body.trim()) { prevBlank = true; i++; continue; }
+
+    // Fenced code: up to a closing fence of the same kind, at least as long
+    const fence = body.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[2];
+      const close = new RegExp(`^(?:[ \\t]*>)*[ \\t]*${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+      i++;
+      while (i < lines.length && !close.test(lines[i].body)) i++;
+      i++;
+      prevBlank = false;
+      continue;
+    }
+    if (prevBlank && !inList && /^(?: {4}|\t)/.test(body)) { i++; continue; }
+    if (HR_RE.test(body) || REF_DEF_RE.test(body)) { i++; prevBlank = false; continue; }
+
+    if (HTML_BLOCK_RE.test(body)) {
+      // Up to a blank line (comments up to their end)
+      let j = i;
+      if (/^ {0,3}<!--/.test(body)) { while (j < lines.length - 1 && !lines[j].body.includes('-->')) j++; }
+      else { while (j < lines.length - 1 && lines[j + 1].body.trim()) j++; }
+      const start = line.start;
+      const end = lines[j].end;
+      const block = html.extractUnits(src.slice(start, end), { offset: start, prefix: `html${++htmlCount}_` });
+      units.push(...block.units);
+      i = j + 1;
+      prevBlank = false;
+      continue;
+    }
+
+    // Tables: header row, separator, body rows; one unit per cell
+    if (body.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1].body) && lines[i + 1].body.includes('-')) {
+      let j = i;
+      while (j < lines.length && lines[j].body.trim() && lines[j].body.includes('|')) {
+        if (j !== i + 1) {
+          for (const [a, b] of tableCells(lines[j].body)) {
+            const cell = lines[j].body.slice(a, b);
+            const lead = cell.match(/^\s*/)[0].length;
+            const trail = cell.match(/\s*$/)[0].length;
+            if (lead < cell.length) addText(lines[j].start + a + lead, lines[j].start + b - trail, j === i ? 'table header' : 'table cell', { cell: true });
+          }
+        }
+        j++;
+      }
+      i = j;
+      prevBlank = false;
+      continue;
+    }
+
+    const prefix = body.match(PREFIX_RE)[0];
+    const content = body.slice(prefix.length);
+    inList = LIST_RE.test(body) || (inList && !prevBlank) || (inList && /^[ \t]/.test(body));
+    const heading = content.match(HEADING_RE);
+    if (heading) {
+      // ATX heading: closing hashes and {#id} attributes are kept outside the text
+      const inner = content.slice(heading[0].length).replace(/[ \t]+#+[ \t]*$/, '').replace(/[ \t]*$/, '');
+      const start = line.start + prefix.length + heading[0].length;
+      if (inner) addText(start, start + inner.length, `heading h${heading[1].length}`);
+      i++;
+      prevBlank = false;
+      continue;
+    }
+
+    // Paragraph (in a list item or blockquote too): continuation lines up to a blank line or a new block
+    let j = i;
+    const hardBreaks = [];
+    let setext = null;
+    while (j + 1 < lines.length) {
+      const next = lines[j + 1].body;
+      if (!next.trim()) break;
+      if (SETEXT_RE.test(next) && !LIST_RE.test(body)) { setext = next.trim()[0] === '=' ? 1 : 2; break; }
+      if (LIST_RE.test(next) || FENCE_RE.test(next) || HR_RE.test(next) || HTML_BLOCK_RE.test(next)) break;
+      if (REF_DEF_RE.test(next) || /^ {0,3}\[\^[^\]]+\]:/.test(next)) break;
+      const nextContent = next.slice(next.match(PREFIX_RE)[0].length);
+      if (HEADING_RE.test(nextContent)) break;
+      if ((next.match(/^(?:[ \t]*>)*/)[0].match(/>/g) || []).length !== (body.match(/^(?:[ \t]*>)*/)[0].match(/>/g) || []).length) break;
+      const cur = lines[j];
+      const hard = cur.body.match(/(?: {2,}|\\)$/);
+      if (hard) {
+        const nextPrefix = next.match(PREFIX_RE)[0];
+        hardBreaks.push({ start: cur.end - hard[0].length, end: lines[j + 1].start + nextPrefix.length, markup: src.slice(cur.end - hard[0].length, lines[j + 1].start + nextPrefix.length) });
+      }
+      j++;
+    }
+    const start = line.start + prefix.length;
+    const context = setext ? `heading h${setext}` : LIST_RE.test(body) ? 'list item' : /^[ \t]*>/.test(body) ? 'blockquote' : /\[\^[^\]]+\]:/.test(prefix) ? 'footnote' : 'paragraph';
+    addText(start, lines[j].end, context, { hardBreaks });
+    i = j + 1 + (setext ? 1 : 0);
+    prevBlank = false;
+  }
+
+  units.sort((a, b) => a._loc.start - b._loc.start);
+  return { frontMatter: fm ? fm.format : null, units };
+}
+
+/* ---------------- Public API ---------------- */
+
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    kind: u.kind,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Units whose tokens did not survive translation (buildMarkdown repairs them) */
+function checkTags(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+// Translated text stays inline: no new lines, and characters that would start a block are escaped
+function escapeInline(text, { cell = false } = {}) {
+  let out = String(text).replace(/\s*\n\s*/g, ' ');
+  if (cell) out = out.replace(/(^|[^\\])\|/g, '$1\\|');
+  return out;
+}
+
+function frontMatterValue(text, quote) {
+  const value = text.replace(/\s*\n\s*/g, ' ');
+  if (quote === '"') return value.replace(/["\\]/g, '\\$&');
+  if (quote === "'") return value.replace(/'/g, "''");
+  // Unquoted YAML values that would change meaning get quoted
+  if (/^[-?:,[\]{}#&*!|>'"%@`]|: | #|:$/.test(value)) return `"${value.replace(/["\\]/g, '\\$&')}"`;
+  return value;
+}
+
+/**
+ * Write translations into the original file. Units without a (non-empty) translation keep
+ * their source text.
+ * @param {string} text original Markdown (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ */
+function buildMarkdown(text = '', translations = {}) {
+  const src = String(text);
+  const parsed = parseMarkdown(src);
+  const map = normalizeTranslations(translations);
+  const edits = html.unitEdits(src, parsed.units.filter(u => u.kind === 'text' && u._tagLocs || u.kind === 'attribute'), map);
+  for (const unit of parsed.units) {
+    const target = map.get(unit.key);
+    if (target == null || !target.trim() || unit.kind === 'attribute' || unit._tagLocs) continue;
+    if (unit.kind === 'front_matter') {
+      edits.push({ ...unit._loc, text: frontMatterValue(target.trim(), unit._quote) });
+      continue;
+    }
+    edits.push({ ...unit._loc, text: restoreInline(target.trim(), unit.tags, (s) => escapeInline(s, { cell: unit._cell })) });
+  }
+  return splice(src, edits);
+}
+
+// Counts that translation must not change: code fences, links/images and inline HTML tags
+function structure(src) {
+  const lines = String(src).split('\n');
+  const fences = lines.filter(l => FENCE_RE.test(l)).length;
+  const prose = lines.filter(l => !FENCE_RE.test(l)).join('\n').replace(/`+[^`]*`+/g, '');
+  const links = (prose.match(/\]\(/g) || []).length;
+  return { fences, links, html: html.parseHtml(prose).problems };
+}
+
+/**
+ * Compare source and translated Markdown: fences, link targets and HTML tag balance.
+ * @returns {{ ok: boolean, problems: Array<{ type, tag?, expected?, found? }> }}
+ */
+function checkBalance(source = '', output = '') {
+  const a = structure(source);
+  const b = structure(output);
+  const problems = [];
+  if (a.fences !== b.fences) problems.push({ type: 'fences', expected: a.fences, found: b.fences });
+  if (a.links !== b.links) problems.push({ type: 'links', expected: a.links, found: b.links });
+  const known = new Map();
+  for (const p of a.html) known.set(`${p.type}:${p.tag}`, (known.get(`${p.type}:${p.tag}`) || 0) + 1);
+  for (const p of b.html) {
+    const k = `${p.type}:${p.tag}`;
+    if (known.get(k)) known.set(k, known.get(k) - 1);
+    else problems.push(p);
+  }
+  return { ok: !problems.length, problems };
+}
+
+module.exports = {
+  MARKDOWN_EXTENSIONS,
+  isMarkdownFile,
+  tokenizeInline,
+  parseMarkdown,
+  toSegments,
+  checkTags,
+  buildMarkdown,
+  checkBalance
+};
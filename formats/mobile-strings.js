@@ -0,0 +1,481 @@
+// formats/mobile-strings.js
+/**
+ * Mobile string resources:
+ *  - Android res/values/strings.xml (<string>, <string-array>, <plurals>)
+ *  - iOS Localizable.strings ("key" = "value";) and .stringsdict plural plists
+ * Format specifiers and markup travel as inline tokens; plural forms are re-keyed to the
+ * target language's CLDR categories, and output is spliced into the original file.
+ */
+const { escapeXmlText, unescapeXml, findElements, findMatchingClose, splice } = require('./xml');
+const { protectPlaceholders, validateInlineTags, restoreInline } = require('./inline-codes');
+const { pluralCategoriesFor, CATEGORY_ORDER } = require('./cldr-plurals');
+const { toGettextCode } = require('./po');
+
+const MOBILE_EXTENSIONS = { '.xml': 'android', '.strings': 'strings', '.stringsdict': 'stringsdict' };
+
+/** 'android' | 'strings' | 'stringsdict' | null; .xml only counts when it is a <resources> file */
+function mobileFormatFor(name = '', text = null) {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  const format = m ? MOBILE_EXTENSIONS[m[0]] || null : null;
+  if (format === 'android' && text !== null && !/<resources[\s>]/.test(String(text))) return null;
+  return format;
+}
+
+/* ---------------- Encoding (legacy .strings files are UTF-16) ---------------- */
+
+function decodeBuffer(buf) {
+  if (buf[0] === 0xff && buf[1] === 0xfe) return { text: buf.slice(2).toString('utf16le'), encoding: 'utf16le' };
+  if (buf[0] === 0xfe && buf[1] === 0xff) {
+    const body = Buffer.from(buf.slice(2, 2 + ((buf.length - 2) & ~1)));
+    return { text: body.swap16().toString('utf16le'), encoding: 'utf16be' };
+  }
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return { text: buf.slice(3).toString('utf8'), encoding: 'utf8-bom' };
+  return { text: buf.toString('utf8'), encoding: 'utf8' };
+}
+
+function encodeText(text, encoding = 'utf8') {
+  if (encoding === 'utf16le') return Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+  if (encoding === 'utf16be') return Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(text, 'utf16le').swap16()]);
+  if (encoding === 'utf8-bom') return Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text, 'utf8')]);
+  return Buffer.from(text, 'utf8');
+}
+
+/* ---------------- Shared helpers ---------------- */
+
+// A source with format specifiers is a format string: literal % in the translation must be %%
+const hasFormat = (tags) => Object.values(tags).some(t => t.markup && /^%(?!%)/.test(t.markup));
+
+function indentBefore(text, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1);
+  const ws = text.slice(lineStart + 1, index);
+  return /^[ \t]*$/.test(ws) ? ws : '';
+}
+
+function leadingComment(xml, start) {
+  const m = /<!--([\s\S]*?)-->\s*$/.exec(xml.slice(Math.max(0, start - 2000), start));
+  return m ? m[1].trim() : '';
+}
+
+function pluralContext(category, lang) {
+  const info = pluralCategoriesFor(lang).find(c => c.category === category);
+  return `plural category "${category}"${info ? `, used when the count is ${info.examples.join(', ')}` : ''}`;
+}
+
+// Source text for a target category: same category, else "one" for counts of 1, else "other"
+function pluralSource(sourceForms, category, lang) {
+  if (sourceForms[category] !== undefined) return sourceForms[category];
+  const info = pluralCategoriesFor(lang).find(c => c.category === category);
+  if (info && info.examples.includes('1') && sourceForms.one !== undefined) return sourceForms.one;
+  return sourceForms.other !== undefined ? sourceForms.other : Object.values(sourceForms)[0];
+}
+
+function makeUnit(key, message, context, loc, protectOptions) {
+  const { text, tags } = protectPlaceholders(message, protectOptions);
+  return { key, value: message, text, tags, context, _loc: loc };
+}
+
+const hasLetters = (unit) => /\p{L}/u.test(unit.text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+
+/* ---------------- Android strings.xml ---------------- */
+
+function unescapeAndroid(s) {
+  return s.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, c) => {
+    if (c[0] === 'u' && c.length === 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+    return { n: '\n', t: '\t' }[c] || c;
+  });
+}
+
+// Turn element content into a message: text unescaped, markup kept raw for the tokenizer
+function androidMessage(inner) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(inner);
+  if (cdata) return { message: unescapeAndroid(cdata[1]), cdata: true, quoted: false };
+  const parts = inner.split(/(<[^>]+>)/);
+  const textOnly = parts.filter((p, i) => i % 2 === 0).join('');
+  const quoted = /^\s*"/.test(textOnly) && /[^\\]"\s*$/.test(textOnly);
+  let message = parts.map((p, i) => (i % 2 ? p : unescapeAndroid(unescapeXml(p)))).join('');
+  if (quoted) message = message.replace(/^(\s*)"/, '$1').replace(/"(\s*)$/, '$1');
+  return { message, cdata: false, quoted };
+}
+
+function androidContent(text, tags, loc) {
+  const format = hasFormat(tags);
+  const escape = (s) => {
+    let out = s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+    if (!loc.quoted) out = out.replace(/'/g, "\\'");
+    if (format) out = out.replace(/%/g, '%%');
+    return loc.cdata ? out : escapeXmlText(out);
+  };
+  let out = restoreInline(text, tags, escape);
+  if (loc.quoted) return `"${out}"`;
+  if (/^[@?]/.test(out)) out = `\\${out}`;
+  return loc.cdata ? `<![CDATA[${out}]]>` : out;
+}
+
+function parseAndroid(xml, targetLang) {
+  const root = findElements(xml, 'resources')[0];
+  if (!root) throw new Error('Not an Android string resource file (missing <resources>)');
+  const units = [];
+  const plurals = [];
+  const dropped = [];
+  const atomic = { atomicTags: ['xliff:g'] };
+  const skip = (el) => el.attrs.translatable === 'false';
+
+  for (const el of findElements(xml, 'string', root.innerStart, root.innerEnd)) {
+    if (skip(el)) { dropped.push(el); continue; }
+    if (el.selfClosing || /^\s*@/.test(el.inner)) continue; // empty or a resource reference
+    const msg = androidMessage(el.inner);
+    const comment = leadingComment(xml, el.start);
+    units.push(makeUnit(el.attrs.name, msg.message, [`key ${el.attrs.name}`, comment].filter(Boolean).join(' | '),
+      { kind: 'string', el, ...msg, start: el.innerStart, end: el.innerEnd }, atomic));
+  }
+
+  for (const arr of findElements(xml, 'string-array', root.innerStart, root.innerEnd)) {
+    if (skip(arr)) { dropped.push(arr); continue; }
+    findElements(xml, 'item', arr.innerStart, arr.innerEnd).forEach((item, i) => {
+      if (/^\s*@/.test(item.inner) || item.selfClosing) return;
+      const msg = androidMessage(item.inner);
+      units.push(makeUnit(`${arr.attrs.name}[${i}]`, msg.message, `key ${arr.attrs.name}, item ${i + 1}`,
+        { kind: 'item', el: item, ...msg, start: item.innerStart, end: item.innerEnd }, atomic));
+    });
+  }
+
+  for (const pl of findElements(xml, 'plurals', root.innerStart, root.innerEnd)) {
+    if (skip(pl)) { dropped.push(pl); continue; }
+    const items = findElements(xml, 'item', pl.innerStart, pl.innerEnd);
+    const forms = {};
+    const raw = {};
+    for (const item of items) {
+      forms[item.attrs.quantity] = androidMessage(item.inner);
+      raw[item.attrs.quantity] = item.inner;
+    }
+    if (!Object.keys(forms).length) continue;
+    const entry = { name: pl.attrs.name, el: pl, items, raw, categories: [] };
+    const categories = targetLang ? pluralCategoriesFor(targetLang).map(c => c.category) : Object.keys(forms);
+    const comment = leadingComment(xml, pl.start);
+    for (const category of categories) {
+      const msg = pluralSource(forms, category, targetLang);
+      entry.categories.push(category);
+      units.push(makeUnit(`${pl.attrs.name}#${category}`, msg.message,
+        [`key ${pl.attrs.name}`, pluralContext(category, targetLang || 'en'), comment].filter(Boolean).join(' | '),
+        { kind: 'plural', plural: entry, category, ...msg }, atomic));
+    }
+    plurals.push(entry);
+  }
+
+  units.sort((a, b) => (a._loc.start ?? a._loc.plural.el.start) - (b._loc.start ?? b._loc.plural.el.start));
+  return { units: units.filter(u => u._loc.kind === 'plural' || hasLetters(u)), plurals, dropped };
+}
+
+function buildAndroid(xml, parsed, map, failed, localized) {
+  const edits = [];
+  const translated = (u) => map.has(u.key) && !failed.has(u.key) && map.get(u.key).trim();
+
+  for (const unit of parsed.units) {
+    if (unit._loc.kind === 'plural' || !translated(unit)) continue;
+    edits.push({ start: unit._loc.start, end: unit._loc.end, text: androidContent(map.get(unit.key), unit.tags, unit._loc) });
+  }
+
+  // Plurals are re-emitted with exactly the target language's quantities
+  for (const entry of parsed.plurals) {
+    const units = parsed.units.filter(u => u._loc.plural === entry);
+    if (!units.some(translated)) continue;
+    const indent = entry.items.length ? indentBefore(xml, entry.items[0].start) : '        ';
+    const closeIndent = indentBefore(xml, entry.el.innerEnd);
+    const lines = units.map(u => {
+      const content = translated(u)
+        ? androidContent(map.get(u.key), u.tags, u._loc)
+        : entry.raw[u._loc.category] ?? entry.raw.other ?? Object.values(entry.raw)[0];
+      return `\n${indent}<item quantity="${u._loc.category}">${content}</item>`;
+    });
+    edits.push({ start: entry.el.innerStart, end: entry.el.innerEnd, text: `${lines.join('')}\n${closeIndent}` });
+  }
+
+  // translatable="false" resources must not be repeated in a values-xx file (lint error)
+  for (const el of localized ? parsed.dropped : []) {
+    const lineStart = xml.lastIndexOf('\n', el.start - 1);
+    const start = /^[ \t]*$/.test(xml.slice(lineStart + 1, el.start)) ? lineStart : el.start;
+    edits.push({ start, end: el.end, text: '' });
+  }
+
+  return splice(xml, edits);
+}
+
+/* ---------------- iOS Localizable.strings ---------------- */
+
+function unescapeApple(s) {
+  return s.replace(/\\([Uu][0-9a-fA-F]{4}|.)/g, (_, c) => {
+    if (/^[Uu]/.test(c) && c.length === 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r' }[c] || c;
+  });
+}
+
+function escapeApple(s) {
+  return s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+}
+
+function parseAppleStrings(text) {
+  const units = [];
+  let i = 0;
+  let comment = '';
+
+  const fail = () => { throw new Error(`Invalid .strings file near offset ${i}`); };
+  const ws = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+  const quoted = () => {
+    const start = i;
+    i++;
+    while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    if (i >= text.length) fail();
+    i++;
+    return { value: unescapeApple(text.slice(start + 1, i - 1)), start, end: i };
+  };
+
+  while (i < text.length) {
+    ws();
+    if (i >= text.length) break;
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) fail();
+      comment = text.slice(i + 2, end).trim();
+      i = end + 2;
+      continue;
+    }
+    if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      comment = text.slice(i + 2, end === -1 ? text.length : end).trim();
+      i = end === -1 ? text.length : end;
+      continue;
+    }
+    let key;
+    if (text[i] === '"') {
+      key = quoted().value;
+    } else {
+      const bare = /^[\w.$-]+/.exec(text.slice(i, i + 256));
+      if (!bare) fail();
+      key = bare[0];
+      i += bare[0].length;
+    }
+    ws();
+    if (text[i] !== '=') fail();
+    i++;
+    ws();
+    if (text[i] !== '"') fail();
+    const val = quoted();
+    ws();
+    if (text[i] !== ';') fail();
+    i++;
+
+    const unit = makeUnit(key, val.value, [`key ${key}`, comment && comment !== 'No comment provided by engineer.' ? comment : ''].filter(Boolean).join(' | '),
+      { kind: 'string', start: val.start, end: val.end });
+    if (hasLetters(unit)) units.push(unit);
+    comment = '';
+  }
+  return { units };
+}
+
+function buildAppleStrings(text, parsed, map, failed) {
+  const edits = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key) || failed.has(unit.key) || !map.get(unit.key).trim()) continue;
+    const format = hasFormat(unit.tags);
+    const value = restoreInline(map.get(unit.key), unit.tags, s => escapeApple(format ? s.replace(/%/g, '%%') : s));
+    edits.push({ start: unit._loc.start, end: unit._loc.end, text: `"${value}"` });
+  }
+  return splice(text, edits);
+}
+
+/* ---------------- iOS .stringsdict ---------------- */
+
+// Direct <key>/<value> children of a plist <dict>
+function dictEntries(xml, dict) {
+  const out = [];
+  const keyRe = /<key>([\s\S]*?)<\/key>/g;
+  keyRe.lastIndex = dict.innerStart;
+  let m;
+  while ((m = keyRe.exec(xml)) && m.index < dict.innerEnd) {
+    const valRe = /<(\w+)(\s[^>]*?)?(\/?)>/g;
+    valRe.lastIndex = m.index + m[0].length;
+    const v = valRe.exec(xml);
+    if (!v || v.index >= dict.innerEnd) break;
+    let value;
+    if (v[3]) {
+      value = { tag: v[1], start: v.index, end: v.index + v[0].length, innerStart: v.index + v[0].length, innerEnd: v.index + v[0].length, inner: '' };
+    } else {
+      const innerStart = v.index + v[0].length;
+      const close = findMatchingClose(xml, v[1], innerStart);
+      if (close === -1) break;
+      value = { tag: v[1], start: v.index, end: close + v[1].length + 3, innerStart, innerEnd: close, inner: xml.slice(innerStart, close) };
+    }
+    out.push({ key: unescapeXml(m[1]), keyStart: m.index, value });
+    keyRe.lastIndex = value.end;
+  }
+  return out;
+}
+
+function parseStringsDict(xml, targetLang) {
+  const top = findElements(xml, 'dict')[0];
+  if (!top) throw new Error('Not a .stringsdict plist (missing <dict>)');
+  const units = [];
+  const variables = [];
+
+  for (const entry of dictEntries(xml, top)) {
+    if (entry.value.tag !== 'dict') continue;
+    for (const field of dictEntries(xml, entry.value)) {
+      if (field.key === 'NSStringLocalizedFormatKey' && field.value.tag === 'string') {
+        const unit = makeUnit(entry.key, unescapeXml(field.value.inner), `key ${entry.key} | format string`,
+          { kind: 'string', start: field.value.innerStart, end: field.value.innerEnd });
+        if (hasLetters(unit)) units.push(unit);
+        continue;
+      }
+      if (field.value.tag !== 'dict') continue;
+      const pairs = dictEntries(xml, field.value);
+      const spec = pairs.find(p => p.key === 'NSStringFormatSpecTypeKey');
+      if (!spec || spec.value.inner.trim() !== 'NSStringPluralRuleType') continue;
+
+      const forms = {};
+      const cats = pairs.filter(p => CATEGORY_ORDER.includes(p.key) && p.value.tag === 'string');
+      cats.forEach(p => { forms[p.key] = unescapeXml(p.value.inner); });
+      if (!cats.length) continue;
+      const variable = { entryKey: entry.key, name: field.key, dict: field.value, pairs, cats, forms, categories: [] };
+      const categories = targetLang ? pluralCategoriesFor(targetLang).map(c => c.category) : cats.map(p => p.key);
+      for (const category of categories) {
+        variable.categories.push(category);
+        units.push(makeUnit(`${entry.key}/${field.key}#${category}`, pluralSource(forms, category, targetLang),
+          `key ${entry.key} | ${pluralContext(category, targetLang || 'en')}`,
+          { kind: 'plural', variable, category }));
+      }
+      variables.push(variable);
+    }
+  }
+  return { units, variables };
+}
+
+function buildStringsDict(xml, parsed, map, failed) {
+  const edits = [];
+  const translated = (u) => map.has(u.key) && !failed.has(u.key) && map.get(u.key).trim();
+  const content = (u) => {
+    const format = hasFormat(u.tags);
+    return restoreInline(map.get(u.key), u.tags, s => escapeXmlText(format ? s.replace(/%/g, '%%') : s));
+  };
+
+  for (const unit of parsed.units) {
+    if (unit._loc.kind !== 'string' || !translated(unit)) continue;
+    edits.push({ start: unit._loc.start, end: unit._loc.end, text: content(unit) });
+  }
+
+  for (const variable of parsed.variables) {
+    const units = parsed.units.filter(u => u._loc.variable === variable);
+    if (!units.some(translated)) continue;
+    const first = variable.cats[0];
+    const last = variable.cats[variable.cats.length - 1];
+    const indent = indentBefore(xml, first.keyStart);
+    // Non-category keys that sat between the category pairs are carried over verbatim
+    const kept = variable.pairs
+      .filter(p => !variable.cats.includes(p) && p.keyStart > first.keyStart && p.keyStart < last.keyStart)
+      .map(p => xml.slice(p.keyStart, p.value.end));
+    const pairs = units.map(u => {
+      const value = translated(u) ? content(u) : escapeXmlText(variable.forms[u._loc.category] ?? variable.forms.other ?? '');
+      return `<key>${u._loc.category}</key>\n${indent}<string>${value}</string>`;
+    });
+    edits.push({ start: first.keyStart, end: last.value.end, text: [...kept, ...pairs].join(`\n${indent}`) });
+  }
+  return splice(xml, edits);
+}
+
+/* ---------------- Public API ---------------- */
+
+/**
+ * Parse a mobile string file into translatable units.
+ * Plural units are produced per CLDR category of `targetLang` (source categories when omitted).
+ * @returns {{ format, units: [{ key, value, text, tags, context }] }}
+ */
+function parseMobile(text = '', { format, targetLang = null } = {}) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  if (format === 'android') return { format, ...parseAndroid(src, targetLang) };
+  if (format === 'stringsdict') return { format, ...parseStringsDict(src, targetLang) };
+  if (format === 'strings') return { format, ...parseAppleStrings(src) };
+  throw new Error(`Unknown mobile string format: ${format}`);
+}
+
+/** Public view of units (drops the internal location info) */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Units whose tokens did not survive; buildMobile keeps their source text */
+function checkPlaceholders(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+/**
+ * Write translations into the original file for one target locale.
+ * @param {string} text original file (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ * @param {{ format: string, targetLang?: string }} options
+ */
+function buildMobile(text = '', translations = {}, { format, targetLang = null } = {}) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const parsed = parseMobile(src, { format, targetLang });
+  const map = normalizeTranslations(translations);
+  const failed = new Set(checkPlaceholders(parsed, map).map(p => p.key));
+  if (format === 'android') return buildAndroid(src, parsed, map, failed, !!targetLang);
+  if (format === 'stringsdict') return buildStringsDict(src, parsed, map, failed);
+  return buildAppleStrings(src, parsed, map, failed);
+}
+
+/**
+ * Where the file lives in a project for a locale:
+ * android -> values-pt-rBR/strings.xml, values-b+zh+Hans/strings.xml; iOS -> pt-BR.lproj/Localizable.strings
+ */
+function localizedPath(format, filename, targetLang) {
+  const base = String(filename || '').split(/[\\/]/).pop() ||
+    (format === 'android' ? 'strings.xml' : format === 'stringsdict' ? 'Localizable.stringsdict' : 'Localizable.strings');
+  const [lang, ...rest] = toGettextCode(targetLang).split('_').filter(Boolean);
+  if (!lang) return base;
+  const script = rest.find(p => p.length === 4);
+  const region = rest.find(p => p.length === 2 || /^\d{3}$/.test(p));
+  const title = (s) => s[0].toUpperCase() + s.slice(1);
+
+  if (format === 'android') {
+    if (script) return `values-b+${[lang, title(script), region && region.toUpperCase()].filter(Boolean).join('+')}/${base}`;
+    return `values-${lang}${region ? `-r${region.toUpperCase()}` : ''}/${base}`;
+  }
+  const tag = [lang, script && title(script), region && region.toUpperCase()].filter(Boolean).join('-');
+  return `${tag}.lproj/${base}`;
+}
+
+module.exports = {
+  MOBILE_EXTENSIONS,
+  mobileFormatFor,
+  decodeBuffer,
+  encodeText,
+  parseMobile,
+  buildMobile,
+  toSegments,
+  checkPlaceholders,
+  localizedPath
+};
@@ -0,0 +1,416 @@
+// formats/ooxml.js
+/**
+ * Paragraph tokenizer shared by the Office Open XML formats (WordprocessingML in DOCX,
+ * DrawingML in PPTX, SpreadsheetML strings in XLSX). A paragraph becomes one translatable string:
+ *  - runs in the paragraph's dominant formatting are plain text
+ *  - runs with other formatting, hyperlinks and tracked insertions become [[gN]] pairs
+ *  - tabs, breaks, fields, images, bookmarks and comment anchors become [[xN]] codes
+ * On rebuild the runs are regenerated from the tokens, so formatting follows the translated words.
+ */
+const { escapeXmlText, unescapeXml, findElements, findMatchingClose, splice } = require('./xml');
+const { TOKEN_RE, restoreInline } = require('./inline-codes');
+const { toGettextCode } = require('./po');
+const { latinRuns } = require('./bidi');
+
+// Schema order: children that must come after w:bidi in w:pPr / after w:rtl and w:lang in w:rPr
+const AFTER_BIDI = ['w:adjustRightInd', 'w:snapToGrid', 'w:spacing', 'w:ind', 'w:contextualSpacing', 'w:mirrorIndents',
+  'w:suppressOverlap', 'w:jc', 'w:textDirection', 'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId',
+  'w:cnfStyle', 'w:rPr', 'w:sectPr', 'w:pPrChange'];
+const AFTER_LANG = ['w:eastAsianLayout', 'w:specVanish', 'w:oMath', 'w:rPrChange'];
+const AFTER_RTL = ['w:cs', 'w:em', 'w:lang', ...AFTER_LANG];
+
+const WORD = {
+  p: 'w:p',
+  pPr: 'w:pPr',
+  r: 'w:r',
+  rPr: 'w:rPr',
+  t: 'w:t',
+  tail: [],
+  // Spell-check marks and layout caches are stale once the text changes
+  skip: ['w:proofErr', 'w:lastRenderedPageBreak'],
+  wrappers: ['w:hyperlink', 'w:ins', 'w:moveTo', 'w:smartTag', 'w:customXml', 'w:dir', 'w:bdo'],
+  contentWrappers: { 'w:sdt': 'w:sdtContent' },
+  fieldBegin: /w:fldCharType="begin"/g,
+  fieldEnd: /w:fldCharType="end"/g,
+  textRun(rPr, text) {
+    const body = text.split('\n')
+      .map(line => line.split('\t').map(t => (t ? `<w:t xml:space="preserve">${escapeXmlText(t)}</w:t>` : '')).join('<w:tab/>'))
+      .join('<w:br/>');
+    return `<w:r>${rPr}${body}</w:r>`;
+  },
+  setLang(rPr, lang) {
+    return rPr.replace(/(<w:lang\b[^>]*?\sw:val=")[^"]*"/, `$1${lang}"`);
+  },
+  // Right-to-left paragraph: <w:bidi/> (also flips left/right alignment and indents)
+  setRtl(pPr) {
+    return withChild(pPr, 'w:pPr', '<w:bidi/>', AFTER_BIDI);
+  },
+  // Right-to-left run, with the complex-script language Word uses for shaping and proofing
+  rtlRun(rPr, lang) {
+    const out = withChild(rPr, 'w:rPr', '<w:rtl/>', AFTER_RTL);
+    if (!lang) return out;
+    if (!/<w:lang\b/.test(out)) return withChild(out, 'w:rPr', `<w:lang w:bidi="${lang}"/>`, AFTER_LANG);
+    return out.replace(/<w:lang\b([^>]*?)(\/?)>/, (m, attrs, slash) => `<w:lang${attrs.replace(/\sw:bidi="[^"]*"/, '')} w:bidi="${lang}"${slash}>`);
+  }
+};
+
+const DRAWING = {
+  p: 'a:p',
+  pPr: 'a:pPr',
+  r: 'a:r',
+  rPr: 'a:rPr',
+  t: 'a:t',
+  // End-of-paragraph properties must stay the last child
+  tail: ['a:endParaRPr'],
+  skip: [],
+  wrappers: [],
+  contentWrappers: {},
+  fieldBegin: null,
+  fieldEnd: null,
+  textRun(rPr, text) {
+    return text.split('\n')
+      .map(line => (line ? `<a:r>${rPr}<a:t>${escapeXmlText(line)}</a:t></a:r>` : ''))
+      .join(`<a:br>${rPr}</a:br>`);
+  },
+  setLang(rPr, lang) {
+    return rPr.replace(/(<a:rPr\b[^>]*?\slang=")[^"]*"/, `$1${lang}"`);
+  }
+};
+
+// Shared/inline strings in XLSX: <si> or <is> holding bare <t> or rich-text runs
+const SHEET = {
+  p: 'is',
+  pPr: null,
+  r: 'r',
+  rPr: 'rPr',
+  t: 't',
+  tail: [],
+  // Phonetic guides describe the source text only
+  skip: ['rPh', 'phoneticPr'],
+  wrappers: [],
+  contentWrappers: {},
+  fieldBegin: null,
+  fieldEnd: null,
+  textRun(rPr, text) {
+    return `<r>${rPr}<t xml:space="preserve">${escapeXmlText(text)}</t></r>`;
+  },
+  setLang(rPr) {
+    return rPr;
+  }
+};
+
+/** Office language tag (w:lang / a:rPr lang) for a target language: "pt-BR", "zh-Hans", "fr" */
+function officeLang(lang) {
+  const [code, ...rest] = toGettextCode(lang).split('_').filter(Boolean);
+  if (!code) return null;
+  return [code, ...rest.map(p => (p.length === 4 ? p[0].toUpperCase() + p.slice(1) : p.toUpperCase()))].join('-');
+}
+
+/** Direct child elements of the range, in order: [{ name, start, end, open, innerStart, innerEnd, selfClosing }] */
+function childElements(xml, from, to) {
+  const out = [];
+  const re = /<!--[\s\S]*?-->|<([\w:.-]+)(\s[^>]*?)?(\/?)>/g;
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(xml)) && m.index < to) {
+    if (!m[1]) continue;
+    const start = m.index;
+    const innerStart = start + m[0].length;
+    if (m[3]) {
+      out.push({ name: m[1], start, end: innerStart, open: m[0], innerStart, innerEnd: innerStart, selfClosing: true });
+      continue;
+    }
+    const close = findMatchingClose(xml, m[1], innerStart);
+    if (close === -1 || close >= to) break;
+    const end = close + m[1].length + 3;
+    out.push({ name: m[1], start, end, open: m[0], innerStart, innerEnd: close, selfClosing: false });
+    re.lastIndex = end;
+  }
+  return out;
+}
+
+/**
+ * Put an empty child (e.g. <w:bidi/>) into a properties element, replacing one of the same
+ * name (such as an explicit w:val="0") and keeping it ahead of `followers`.
+ */
+function withChild(props, container, child, followers) {
+  if (!props || !props.includes(`</${container}>`)) return `<${container}>${child}</${container}>`;
+  const name = child.match(/^<([\w:]+)/)[1];
+  const innerStart = props.indexOf('>') + 1;
+  const innerEnd = props.lastIndexOf(`</${container}>`);
+  const kids = childElements(props, innerStart, innerEnd);
+  const same = kids.find(k => k.name === name);
+  if (same) return props.slice(0, same.start) + child + props.slice(same.end);
+  const next = kids.find(k => followers.includes(k.name));
+  const at = next ? next.start : innerEnd;
+  return props.slice(0, at) + child + props.slice(at);
+}
+
+// Formatting identity of a run; proofing language and rsid noise do not make a run "different"
+function signature(rPr) {
+  return rPr
+    .replace(/<w:lang\b[^>]*\/>|<w:noProof\b[^>]*\/>|\s(?:w:rsid\w*|lang|altLang|dirty|err)="[^"]*"/g, '')
+    .replace(/>\s+</g, '><')
+    .replace(/^<(\w+:rPr)\s*(?:\/>|><\/\1>)$/, '');
+}
+
+// The formatting covering most characters among the direct text items
+function dominant(items) {
+  const weight = new Map();
+  for (const it of items) {
+    if (it.type !== 'text') continue;
+    const entry = weight.get(it.sig) || { sig: it.sig, rPr: it.rPr, chars: 0 };
+    entry.chars += it.text.length;
+    weight.set(it.sig, entry);
+  }
+  let best = null;
+  for (const entry of weight.values()) {
+    if (!best || entry.chars > best.chars) best = entry;
+  }
+  return best;
+}
+
+/**
+ * Split a paragraph element into { pPr, tail, items }. `nested(start, end)` returns the
+ * (possibly rebuilt) markup of a range that may hold paragraphs of its own, e.g. text boxes.
+ */
+function parseParagraph(xml, p, dialect, nested) {
+  let pPr = '';
+  let tail = '';
+  const atoms = [];
+  const atom = (start, end) => {
+    const markup = nested(start, end);
+    atoms.push({ start, end, markup });
+    return { type: 'atom', markup };
+  };
+
+  function parseRun(run) {
+    const kids = childElements(xml, run.innerStart, run.innerEnd);
+    const props = kids.find(k => k.name === dialect.rPr);
+    const rPr = props ? xml.slice(props.start, props.end) : '';
+    const sig = signature(rPr);
+    const items = [];
+    for (const k of kids) {
+      if (k === props || dialect.skip.includes(k.name)) continue;
+      if (k.name === dialect.t) {
+        items.push({ type: 'text', text: unescapeXml(xml.slice(k.innerStart, k.innerEnd)), rPr, sig });
+      } else {
+        const markup = nested(k.start, k.end);
+        if (markup !== xml.slice(k.start, k.end)) atoms.push({ start: k.start, end: k.end, markup });
+        items.push({ type: 'atom', markup: `${run.open}${rPr}${markup}</${dialect.r}>` });
+      }
+    }
+    return items;
+  }
+
+  function parseContainer(from, to, isParagraph) {
+    const items = [];
+    const kids = childElements(xml, from, to);
+    for (let k = 0; k < kids.length; k++) {
+      const c = kids[k];
+      const raw = xml.slice(c.start, c.end);
+      if (isParagraph && c.name === dialect.pPr) { pPr = raw; continue; }
+      if (isParagraph && dialect.tail.includes(c.name)) { tail += raw; continue; }
+      if (dialect.skip.includes(c.name)) continue;
+
+      // SpreadsheetML strings may hold a bare <t> with no run around it
+      if (c.name === dialect.t) {
+        items.push({ type: 'text', text: unescapeXml(xml.slice(c.innerStart, c.innerEnd)), rPr: '', sig: '' });
+        continue;
+      }
+
+      if (c.name === dialect.r && !c.selfClosing) {
+        // A complex field (begin ... end, possibly across runs) travels as one code; Word refreshes results
+        if (dialect.fieldBegin && (raw.match(dialect.fieldBegin) || []).length) {
+          let depth = 0;
+          let j = k;
+          for (; j < kids.length; j++) {
+            const r = xml.slice(kids[j].start, kids[j].end);
+            depth += (r.match(dialect.fieldBegin) || []).length - (r.match(dialect.fieldEnd) || []).length;
+            if (depth <= 0) break;
+          }
+          j = Math.min(j, kids.length - 1);
+          items.push(atom(c.start, kids[j].end));
+          k = j;
+          continue;
+        }
+        items.push(...parseRun(c));
+        continue;
+      }
+
+      if (dialect.wrappers.includes(c.name) && !c.selfClosing) {
+        items.push({ type: 'wrap', open: c.open, close: `</${c.name}>`, items: parseContainer(c.innerStart, c.innerEnd, false) });
+        continue;
+      }
+
+      const contentName = dialect.contentWrappers[c.name];
+      const content = contentName && !c.selfClosing ? findElements(xml, contentName, c.innerStart, c.innerEnd)[0] : null;
+      if (content && !content.selfClosing) {
+        items.push({
+          type: 'wrap',
+          open: xml.slice(c.start, content.innerStart),
+          close: xml.slice(content.innerEnd, c.end),
+          items: parseContainer(content.innerStart, content.innerEnd, false)
+        });
+        continue;
+      }
+
+      items.push(atom(c.start, c.end));
+    }
+    return items;
+  }
+
+  const items = parseContainer(p.innerStart, p.innerEnd, true);
+  return { pPr, tail, items, atoms };
+}
+
+/** Turn parsed items into { text, tags, baseRPr }; format pairs carry the rPr to re-apply */
+function tokenizeItems(items, dialect) {
+  const tags = {};
+  let counter = 0;
+
+  function emit(list, base) {
+    let out = '';
+    let i = 0;
+    while (i < list.length) {
+      const it = list[i];
+      if (it.type === 'text') {
+        if (!base || it.sig === base.sig) { out += it.text; i++; continue; }
+        let text = '';
+        while (i < list.length && list[i].type === 'text' && list[i].sig === it.sig) text += list[i++].text;
+        const id = `g${++counter}`;
+        tags[id] = { open: `<${dialect.r}>${it.rPr}`, close: `</${dialect.r}>`, rPr: it.rPr };
+        out += `[[${id}]]${text}[[/${id}]]`;
+        continue;
+      }
+      if (it.type === 'atom') {
+        const id = `x${++counter}`;
+        tags[id] = { markup: it.markup };
+        out += `[[${id}]]`;
+      } else {
+        const inner = dominant(it.items) || base;
+        const id = `g${++counter}`;
+        tags[id] = { open: it.open, close: it.close, wrap: true, rPr: inner ? inner.rPr : '' };
+        out += `[[${id}]]${emit(it.items, inner)}[[/${id}]]`;
+      }
+      i++;
+    }
+    return out;
+  }
+
+  const base = dominant(items);
+  return { text: emit(items, base), tags, baseRPr: base ? base.rPr : '' };
+}
+
+/** Drop broken pairs and unknown tokens, re-append lost standalone codes; returns token text */
+function repairTokens(text, tags) {
+  const identity = {};
+  for (const [id, def] of Object.entries(tags)) {
+    identity[id] = def.open ? { open: `[[${id}]]`, close: `[[/${id}]]` } : { markup: `[[${id}]]` };
+  }
+  return restoreInline(text, identity);
+}
+
+/** Regenerate the runs of a paragraph from tokenized target text */
+function renderRuns(text, tags, baseRPr, dialect, lang = null, rtl = false) {
+  const stack = [];
+  const runProps = (rPr) => (lang ? dialect.setLang(rPr, lang) : rPr);
+  const current = () => runProps(stack.length ? stack[stack.length - 1].rPr : baseRPr);
+  let out = '';
+  // In RTL output, Latin words get their own left-to-right runs
+  const emit = (chunk) => {
+    if (!rtl || !dialect.rtlRun) { out += dialect.textRun(current(), chunk); return; }
+    for (const piece of latinRuns(chunk)) {
+      out += dialect.textRun(piece.ltr ? current() : dialect.rtlRun(current(), lang), piece.text);
+    }
+  };
+  let pos = 0;
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(text))) {
+    const chunk = text.slice(pos, m.index);
+    if (chunk) emit(chunk);
+    pos = TOKEN_RE.lastIndex;
+    const id = `${m[2]}${m[3]}`;
+    const def = tags[id];
+    if (!def) continue;
+    if (!def.open) {
+      out += def.markup;
+    } else if (m[1]) {
+      const at = stack.map(e => e.id).lastIndexOf(id);
+      if (at !== -1) stack.splice(at, 1);
+      if (def.wrap) out += def.close;
+    } else {
+      stack.push({ id, rPr: def.rPr });
+      if (def.wrap) out += def.open;
+    }
+  }
+  const rest = text.slice(pos);
+  if (rest) emit(rest);
+  return out;
+}
+
+const hasLetters = (text) => /\p{L}/u.test(text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+
+// Keep the source's leading/trailing spaces; models tend to trim them
+function keepEdgeSpaces(src, tgt) {
+  const lead = src.match(/^\s*/)[0];
+  const trail = src.match(/\s*$/)[0];
+  return lead + tgt.trim() + trail;
+}
+
+/**
+ * Walk every paragraph of `dialect` in xml[from, to) — paragraphs inside text boxes
+ * included, outer paragraph first — and return the rebuilt range.
+ * `visit({ index, depth, p, pPr, text, tags })` is called for paragraphs with letters;
+ * it returns tokenized target text, or null to keep the paragraph as is. Options: `lang`
+ * (run language for rebuilt runs) and `rtl` (right-to-left paragraphs, where the dialect has them).
+ */
+function mapParagraphs(xml, dialect, visit, { lang = null, rtl = false } = {}, state = { index: 0, depth: 0 }, from = 0, to = xml.length) {
+  const edits = [];
+  for (const p of findElements(xml, dialect.p, from, to)) {
+    if (p.selfClosing) continue;
+    const index = state.index++;
+    const nested = (start, end) => {
+      const raw = xml.slice(start, end);
+      if (!raw.includes(`<${dialect.p}>`) && !raw.includes(`<${dialect.p} `)) return raw;
+      state.depth++;
+      try {
+        return mapParagraphs(xml, dialect, visit, { lang, rtl }, state, start, end);
+      } finally {
+        state.depth--;
+      }
+    };
+    const parsed = parseParagraph(xml, p, dialect, nested);
+    const { text, tags, baseRPr } = tokenizeItems(parsed.items, dialect);
+    const target = hasLetters(text) ? visit({ index, depth: state.depth, p, pPr: parsed.pPr, text, tags }) : null;
+
+    if (target != null && String(target).trim()) {
+      const repaired = keepEdgeSpaces(text, repairTokens(String(target), tags));
+      const runs = renderRuns(repaired, tags, baseRPr, dialect, lang, rtl);
+      const pPr = rtl && dialect.setRtl ? dialect.setRtl(parsed.pPr) : parsed.pPr;
+      edits.push({ start: p.start - from, end: p.end - from, text: `${p.open}${pPr}${runs}${parsed.tail}</${dialect.p}>` });
+    } else {
+      // Untranslated paragraph: only swap in rebuilt text boxes
+      const changed = parsed.atoms.filter(a => a.markup !== xml.slice(a.start, a.end));
+      if (changed.length) {
+        edits.push({
+          start: p.start - from,
+          end: p.end - from,
+          text: splice(xml.slice(p.start, p.end), changed.map(a => ({ start: a.start - p.start, end: a.end - p.start, text: a.markup })))
+        });
+      }
+    }
+  }
+  return splice(xml.slice(from, to), edits);
+}
+
+module.exports = {
+  WORD,
+  DRAWING,
+  SHEET,
+  officeLang,
+  childElements,
+  mapParagraphs,
+  repairTokens
+};
@@ -0,0 +1,547 @@
+// formats/pdf.js
+/**
+ * PDF overlay round-trip: text is read as positioned blocks (pdf.js), and the translated
+ * PDF keeps the original pages, images and vector art: each translated block is painted
+ * over its source rectangle and re-set in a font that covers the target script, shrinking
+ * the size when needed. Blocks that still do not fit (or lack glyphs) are reported.
+ * The source text stays in the content stream underneath, so text selection and search
+ * still find it; only the visible page is replaced.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { direction, hasRtl, visualRuns, layoutText } = require('./bidi');
+
+const LINE_HEIGHT = 1.2;
+// Glyph extents relative to font size, used for block rectangles and line placement
+const ASCENT = 1;
+const DESCENT = 0.25;
+// Translations are shrunk at most to this fraction of the source size
+const MIN_FONT_SCALE = 0.7;
+const MIN_FONT_PT = 4;
+
+/* ---------------- Text blocks ---------------- */
+
+const isWide = (ch) => /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFFEF]/u.test(ch);
+
+/**
+ * Group pdf.js text items into blocks of consecutive lines.
+ * Rectangles use a top-left origin relative to the page box: { x, y, width, height } in points.
+ */
+function groupTextIntoBlocks(textItems, viewport) {
+  const [boxX = 0, , , boxTop = viewport?.height || 0] = viewport?.viewBox || [];
+  // Rotated and empty items (pdf.js emits empty end-of-line markers) carry no placeable text
+  const items = (textItems || []).filter(item => item.str && !item.transform[1] && !item.transform[2]);
+  if (!items.length) return [];
+
+  // Sort items by position (top to bottom, left to right)
+  items.sort((a, b) => {
+    const yDiff = Math.abs(a.transform[5] - b.transform[5]);
+    if (yDiff < 3) return a.transform[4] - b.transform[4];
+    return b.transform[5] - a.transform[5];
+  });
+
+  const blocks = [];
+  let current = null;
+  let last = null;
+
+  const close = () => {
+    if (current && current.text.trim()) {
+      const { left, right, top, bottom } = current.bounds;
+      current.rect = { x: left - boxX, y: boxTop - top, width: right - left, height: top - bottom };
+      current.text = current.text.replace(/\s+/g, ' ').trim();
+      delete current.bounds;
+      blocks.push(current);
+    }
+  };
+
+  for (const item of items) {
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const fontSize = Math.abs(item.transform[3]) || item.height || 12;
+    const width = item.width || 0;
+    const sameLine = last && Math.abs(last.y - y) < fontSize * 0.5;
+    const nextLine = last && !sameLine && last.y - y > 0 && last.y - y <= Math.max(fontSize, last.fontSize) * 1.5;
+    // A jump in size (heading above body text) starts a new block even on adjacent lines
+    const sizeJump = current && Math.max(fontSize, current.fontSize) / Math.min(fontSize, current.fontSize) > 1.3;
+
+    if (!current || sizeJump || (!sameLine && !nextLine)) {
+      close();
+      current = {
+        text: item.str,
+        fontSize,
+        fontName: item.fontName || 'Arial',
+        color: '#000000',
+        lines: [{ text: item.str, y: boxTop - y, fontSize }],
+        bounds: { left: x, right: x + width, top: y + fontSize * ASCENT, bottom: y - fontSize * DESCENT }
+      };
+    } else {
+      const prev = current.text;
+      if (sameLine) {
+        // Items split mid-word sit flush against each other; a visible gap is a space
+        const gap = x - (last.x + last.width);
+        const spaced = /\s$/.test(prev) || /^\s/.test(item.str) || gap <= fontSize * 0.15;
+        current.text += (spaced ? '' : ' ') + item.str;
+        current.lines[current.lines.length - 1].text += (spaced ? '' : ' ') + item.str;
+      } else {
+        const joined = isWide([...prev.trimEnd()].pop() || '') || /\s$/.test(prev);
+        current.text += (joined ? '' : ' ') + item.str;
+        current.lines.push({ text: item.str, y: boxTop - y, fontSize });
+      }
+      const b = current.bounds;
+      b.left = Math.min(b.left, x);
+      b.right = Math.max(b.right, x + width);
+      b.top = Math.max(b.top, y + fontSize * ASCENT);
+      b.bottom = Math.min(b.bottom, y - fontSize * DESCENT);
+    }
+    last = { x, y, width, fontSize };
+  }
+  close();
+
+  // Room to grow sideways: up to the next block on the same lines, else the page's text margin
+  const margin = Math.max(...blocks.map(b => b.rect.x + b.rect.width));
+  for (const block of blocks) {
+    const { x, y, width, height } = block.rect;
+    let limit = margin;
+    for (const other of blocks) {
+      const overlaps = other.rect.y < y + height && other.rect.y + other.rect.height > y;
+      if (other !== block && overlaps && other.rect.x >= x + width) limit = Math.min(limit, other.rect.x - block.fontSize * 0.5);
+    }
+    block.maxWidth = Math.max(width, limit - x);
+  }
+
+  return blocks;
+}
+
+/* ---------------- Line breaking ---------------- */
+
+// Rough advance widths in em when no font is at hand
+function estimateWidth(text, size) {
+  let em = 0;
+  for (const ch of text) em += isWide(ch) ? 1 : /\s/.test(ch) ? 0.28 : 0.55;
+  return em * size;
+}
+
+const measurer = (font) => (font
+  ? (text, size) => font.widthOfTextAtSize(text, size)
+  : estimateWidth);
+
+/**
+ * Break units: CJK characters (with trailing closing punctuation kept on the same line),
+ * and space-delimited words elsewhere. Scripts written without spaces (Thai, Lao, Khmer,
+ * Myanmar) come through as long words and are broken between grapheme clusters.
+ */
+const TOKEN_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}][\p{M}\u3001\u3002\uFF0C\uFF0E\uFF01\uFF1F\uFF09\u300D\u300F\u3011\u3009\u300B\u201D\u2019]*|\s+|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+const NO_SPACE_RE = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const CLUSTER_RE = /\P{M}\p{M}*/gu;
+
+/**
+ * Greedy wrap into lines no wider than `width`.
+ * @returns {{ lines: string[], overlong: boolean }} overlong: a word had to be split or sticks out
+ */
+function wrapText(text, width, size, font, { breakWords = false } = {}) {
+  const measure = measurer(font);
+  const lines = [];
+  let overlong = false;
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    const push = () => { lines.push(line.trimEnd()); line = ''; };
+    for (const token of paragraph.match(TOKEN_RE) || []) {
+      if (/^\s+$/.test(token)) { if (line) line += ' '; continue; }
+      if (measure(line + token, size) <= width + 0.5) { line += token; continue; }
+      if (line.trim()) push();
+      if (measure(token, size) <= width + 0.5) { line = token; continue; }
+      // A single token wider than the rectangle
+      if (!breakWords && !NO_SPACE_RE.test(token)) { overlong = true; line = token; continue; }
+      if (!NO_SPACE_RE.test(token)) overlong = true;
+      for (const cluster of token.match(CLUSTER_RE) || []) {
+        if (line && measure(line + cluster, size) > width + 0.5) push();
+        line += cluster;
+      }
+    }
+    push();
+  }
+
+  return { lines, overlong };
+}
+
+// Height taken by n lines set at `size`, measured like the source block rectangles
+const blockHeight = (lines, size) => (lines ? size * (ASCENT + DESCENT + LINE_HEIGHT * (lines - 1)) : 0);
+
+/** Lines of `text` that fit in the rectangle at `fontSize` (extra lines are dropped) */
+function fitTextInRect(text, rect, fontSize, font) {
+  const { lines } = wrapText(text, rect.width, fontSize, font, { breakWords: true });
+  const maxLines = Math.max(1, Math.floor((rect.height - fontSize * (ASCENT + DESCENT)) / (fontSize * LINE_HEIGHT)) + 1);
+  return lines.slice(0, maxLines);
+}
+
+/**
+ * Find the largest size (down to minFontScale of the source) at which the text fits.
+ * @returns {{ lines, fontSize, scale, fitted, requiredHeight }} when nothing fits, the lines
+ *   at the smallest size (they run past the bottom of the rectangle)
+ */
+function fitBlock(text, rect, fontSize, font, { minFontScale = MIN_FONT_SCALE } = {}) {
+  const minSize = Math.min(fontSize, Math.max(MIN_FONT_PT, fontSize * minFontScale));
+  const step = Math.max(0.25, fontSize * 0.05);
+  const sizes = [];
+  for (let size = fontSize; size > minSize; size -= step) sizes.push(size);
+  sizes.push(minSize);
+  for (const size of sizes) {
+    const { lines, overlong } = wrapText(text, rect.width, size, font);
+    if (!overlong && blockHeight(lines.length, size) <= rect.height + 0.5) {
+      return { lines, fontSize: size, scale: size / fontSize, fitted: true, requiredHeight: blockHeight(lines.length, size) };
+    }
+  }
+  const { lines } = wrapText(text, rect.width, minSize, font, { breakWords: true });
+  return { lines, fontSize: minSize, scale: minSize / fontSize, fitted: false, requiredHeight: blockHeight(lines.length, minSize) };
+}
+
+/**
+ * Pieces of one line in drawing order with their widths. Lines with RTL text are split into
+ * visual runs (fontkit shapes and reverses each RTL run, but does not reorder a mixed line).
+ */
+function placeLine(line, rtl, measure) {
+  const texts = !line ? [] : (rtl || hasRtl(line)) ? visualRuns(line, rtl).map(layoutText) : [line];
+  const runs = texts.map(text => ({ text, width: measure(text) }));
+  return { runs, width: runs.reduce((w, r) => w + r.width, 0) };
+}
+
+/* ---------------- Fonts ---------------- */
+
+const LANG_SCRIPT = {
+  zh: 'cjk', ja: 'cjk', ko: 'cjk',
+  ar: 'arabic', fa: 'arabic', ur: 'arabic', ps: 'arabic',
+  he: 'hebrew', iw: 'hebrew', yi: 'hebrew',
+  th: 'thai'
+};
+
+const SCRIPT_TESTS = [
+  ['cjk', /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u],
+  ['arabic', /\p{Script=Arabic}/u],
+  ['hebrew', /\p{Script=Hebrew}/u],
+  ['thai', /\p{Script=Thai}/u]
+];
+
+/** Script family that decides the font: from the target language, else from the text itself */
+function scriptFor(lang, text = '') {
+  const base = String(lang || '').toLowerCase().split(/[-_]/)[0];
+  if (LANG_SCRIPT[base]) return LANG_SCRIPT[base];
+  const hit = SCRIPT_TESTS.find(([, re]) => re.test(text));
+  return hit ? hit[0] : 'latin';
+}
+
+function cjkFace(lang) {
+  const tag = String(lang || '').toLowerCase();
+  if (tag.startsWith('ja')) return ['NotoSansJP', 'NotoSansCJKjp', 'SourceHanSansJP'];
+  if (tag.startsWith('ko')) return ['NotoSansKR', 'NotoSansCJKkr', 'SourceHanSansKR'];
+  if (/^zh[-_](hant|tw|hk|mo)/.test(tag)) return ['NotoSansTC', 'NotoSansCJKtc', 'SourceHanSansTC'];
+  return ['NotoSansSC', 'NotoSansCJKsc', 'SourceHanSansSC'];
+}
+
+// Font families tried per script, first found wins; the latin list is also the per-block fallback
+const FONT_FAMILIES = {
+  cjk: (lang) => [...cjkFace(lang), 'DroidSansFallbackFull', 'DroidSansFallback'],
+  arabic: () => ['NotoNaskhArabic', 'NotoSansArabic', 'Amiri', 'DejaVuSans'],
+  hebrew: () => ['NotoSansHebrew', 'DejaVuSans'],
+  thai: () => ['NotoSansThai', 'NotoSerifThai', 'Garuda', 'Loma'],
+  latin: () => ['NotoSans', 'DejaVuSans', 'LiberationSans']
+};
+
+const FONT_DIRS = [
+  path.join(__dirname, '..', 'fonts'),
+  '/usr/share/fonts',
+  '/usr/local/share/fonts'
+];
+
+let fontIndex = null;
+
+// basename (without style suffix/extension) -> path, for every .ttf/.otf under the font dirs
+function indexFonts() {
+  if (fontIndex) return fontIndex;
+  fontIndex = new Map();
+  const dirs = [...String(process.env.PDF_FONT_DIR || '').split(path.delimiter).filter(Boolean), ...FONT_DIRS];
+  const walk = (dir, depth) => {
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory() && depth < 4) walk(full, depth + 1);
+      else if (/\.(ttf|otf)$/i.test(e.name)) {
+        const family = e.name.replace(/\.(ttf|otf)$/i, '').replace(/-Regular$/i, '');
+        if (!fontIndex.has(family)) fontIndex.set(family, full);
+      }
+    }
+  };
+  dirs.forEach(d => walk(d, 0));
+  return fontIndex;
+}
+
+/** Path of a regular-weight font for the script (PDF_FONT_<SCRIPT> overrides), or null */
+function findFontFile(script, lang) {
+  const override = process.env[`PDF_FONT_${script.toUpperCase()}`];
+  if (override && fs.existsSync(override)) return override;
+  const index = indexFonts();
+  for (const family of FONT_FAMILIES[script](lang)) {
+    if (index.has(family)) return index.get(family);
+  }
+  return null;
+}
+
+function loadFontkit() {
+  try { return require('@pdf-lib/fontkit'); } catch { return null; }
+}
+
+/**
+ * Embed the target-script font plus a latin fallback. Without fontkit or font files,
+ * Helvetica (WinAnsi) is all there is; blocks it cannot encode are reported, not drawn.
+ * @returns {Promise<{ script, fonts: [{ font, name, chars: Set<number> }] }>}
+ */
+async function embedFonts(pdfDoc, script, lang) {
+  const fontkit = loadFontkit();
+  if (fontkit) pdfDoc.registerFontkit(fontkit);
+  const fonts = [];
+  const add = async (file) => {
+    if (!file || fonts.some(f => f.name === file)) return;
+    try {
+      const font = await pdfDoc.embedFont(fs.readFileSync(file), { subset: true });
+      fonts.push({ font, name: file, chars: new Set(font.getCharacterSet()) });
+    } catch { /* unreadable or unsupported font file; try the next one */ }
+  };
+  if (fontkit) {
+    await add(findFontFile(script, lang));
+    if (script !== 'latin') await add(findFontFile('latin', lang));
+  }
+  const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  fonts.push({ font: helvetica, name: 'Helvetica', chars: new Set(helvetica.getCharacterSet()) });
+  return { script, fonts };
+}
+
+// First font with a glyph for every visible character of the text
+function pickFont(fonts, text) {
+  const needed = [...new Set([...String(text)].filter(ch => !/\s/.test(ch)).map(ch => ch.codePointAt(0)))];
+  for (const f of fonts) {
+    if (needed.every(cp => f.chars.has(cp))) return { font: f, missing: [] };
+  }
+  const best = fonts[0];
+  return { font: null, missing: needed.filter(cp => !best.chars.has(cp)).map(cp => String.fromCodePoint(cp)) };
+}
+
+/* ---------------- Parse / build ---------------- */
+
+function loadPdfjs() {
+  try { return require('pdfjs-dist/legacy/build/pdf.js'); } catch { return null; }
+}
+
+const blockKey = (page, index) => `page_${page}_block_${index}`;
+
+/**
+ * Read positioned text blocks from every page (requires pdfjs-dist).
+ * @returns {Promise<{ pages: number, units: [{ key, text, page, rect, maxWidth, fontSize, fontName, lines, context }] }>}
+ */
+async function parsePdf(buffer) {
+  const pdfjs = loadPdfjs();
+  if (!pdfjs) throw new Error('pdfjs-dist is not installed');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+    standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep
+  }).promise;
+  const units = [];
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      const viewport = page.getViewport({ scale: 1.0 });
+      groupTextIntoBlocks(textContent.items, viewport).forEach((block, index) => {
+        units.push({
+          key: blockKey(pageNum, index),
+          text: block.text,
+          page: pageNum,
+          rect: block.rect,
+          maxWidth: block.maxWidth,
+          fontSize: block.fontSize,
+          fontName: block.fontName,
+          lines: block.lines,
+          context: `Page ${pageNum}`
+        });
+      });
+    }
+    return { pages: pdf.numPages, units };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/** Public view of units */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context || undefined
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/**
+ * Paint translations over the original pages.
+ * @param {Buffer} buffer original PDF (the skeleton)
+ * @param {Map|Array|Object} translations block key -> target text
+ * @param {{ targetLang?: string, units?: Array, minFontScale?: number }} options units: blocks
+ *   from parsePdf (re-read from the buffer when omitted)
+ * @returns {Promise<{ buffer: Buffer, script: string, blocks: Array, unfitted: Array }>} blocks: one entry per
+ *   translated block; unfitted: those that overflow (drawn at the smallest size, running past
+ *   the rectangle) or lack glyphs in every available font (left untranslated)
+ */
+async function buildPdf(buffer, translations = {}, { targetLang = null, units = null, minFontScale = MIN_FONT_SCALE } = {}) {
+  const map = normalizeTranslations(translations);
+  const blocks = units || (await parsePdf(buffer)).units;
+  const pdfDoc = await PDFDocument.load(buffer);
+  const pages = pdfDoc.getPages();
+
+  const sample = [...map.values()].join(' ');
+  const { script, fonts } = await embedFonts(pdfDoc, scriptFor(targetLang, sample), targetLang);
+
+  const report = [];
+  for (const block of blocks) {
+    const text = map.get(block.key);
+    if (text == null || !text.trim() || text === block.text) continue;
+    const page = pages[(block.page || 1) - 1];
+    if (!page || !block.rect) continue;
+
+    const { font, missing } = pickFont(fonts, text);
+    if (!font) {
+      report.push({ key: block.key, page: block.page, fitted: false, reason: 'missing_glyphs', missing: missing.slice(0, 20).join('') });
+      continue;
+    }
+
+    const { rect } = block;
+    const fit = fitBlock(text, { ...rect, width: block.maxWidth || rect.width }, block.fontSize || 12, font.font, { minFontScale });
+    const rtl = direction(targetLang, text) === 'rtl';
+    const box = page.getMediaBox();
+    const top = box.y + box.height - rect.y;
+
+    // Cover the source text, then set the translation from the original first baseline
+    page.drawRectangle({
+      x: box.x + rect.x - 1,
+      y: top - rect.height - 1,
+      width: rect.width + 2,
+      height: rect.height + 2,
+      color: rgb(1, 1, 1)
+    });
+    // RTL lines are right-aligned to the block (or to the widest line when that is wider)
+    const drawn = fit.lines.map(line => placeLine(line, rtl, (t) => font.font.widthOfTextAtSize(t, fit.fontSize)));
+    const right = rect.x + Math.max(rect.width, ...drawn.map(l => l.width));
+    drawn.forEach((line, i) => {
+      let x = box.x + (rtl ? right - line.width : rect.x);
+      for (const run of line.runs) {
+        page.drawText(run.text, {
+          x,
+          y: top - fit.fontSize * ASCENT - i * fit.fontSize * LINE_HEIGHT,
+          size: fit.fontSize,
+          font: font.font,
+          color: rgb(0, 0, 0)
+        });
+        x += run.width;
+      }
+    });
+
+    report.push({
+      key: block.key,
+      page: block.page,
+      fitted: fit.fitted,
+      reason: fit.fitted ? null : 'overflow',
+      font: path.basename(font.name),
+      fontSize: Math.round(fit.fontSize * 100) / 100,
+      scale: Math.round(fit.scale * 100) / 100,
+      availableHeightPt: Math.round(rect.height * 10) / 10,
+      requiredHeightPt: Math.round(fit.requiredHeight * 10) / 10
+    });
+  }
+
+  const out = Buffer.from(await pdfDoc.save());
+  return { buffer: out, script, blocks: report, unfitted: report.filter(r => !r.fitted) };
+}
+
+/**
+ * Plain-text PDF (A4, 50 pt margins) for downloads without a source PDF. Text outside WinAnsi
+ * is set in a font for its script; RTL text is wrapped, reordered and right-aligned here, as
+ * pdfkit only shapes. Latin runs use the latin font when the script font lacks Latin glyphs.
+ * @returns {Promise<Buffer>}
+ */
+function renderTextPdf(text, { targetLang = null, fontSize = 12 } = {}) {
+  const PDFKit = require('pdfkit');
+  const body = String(text || '');
+  return new Promise((resolve, reject) => {
+    const doc = new PDFKit({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const script = scriptFor(targetLang, body);
+    const scriptFile = /[^\x00-\xff]/.test(body) ? findFontFile(script, targetLang) : null;
+    const latinFile = scriptFile && script !== 'latin' ? findFontFile('latin', targetLang) : null;
+    doc.registerFont('script', scriptFile || 'Helvetica');
+    doc.registerFont('latin', latinFile || scriptFile || 'Helvetica');
+    doc.font('script').fontSize(fontSize);
+
+    const rtl = direction(targetLang, body) === 'rtl';
+    if (!rtl && !hasRtl(body)) {
+      doc.text(body, { align: 'left' });
+      doc.end();
+      return;
+    }
+
+    const { left, right, top, bottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const fontFor = (t) => (hasRtl(t) || !/\p{L}/u.test(t) ? 'script' : 'latin');
+    const measure = (t) => doc.font(fontFor(t)).widthOfString(t);
+    const wrapFont = { widthOfTextAtSize: (t) => doc.font('script').widthOfString(t) };
+    let y = top;
+    for (const paragraph of body.split(/\r?\n/)) {
+      for (const line of wrapText(paragraph, width, fontSize, wrapFont, { breakWords: true }).lines) {
+        if (y + lineHeight > doc.page.height - bottom) {
+          doc.addPage();
+          y = top;
+        }
+        const placed = placeLine(line, rtl, measure);
+        let x = rtl ? left + width - placed.width : left;
+        for (const run of placed.runs) {
+          doc.font(fontFor(run.text)).text(run.text, x, y, { lineBreak: false });
+          x += run.width;
+        }
+        y += lineHeight;
+      }
+    }
+    doc.end();
+  });
+}
+
+module.exports = {
+  groupTextIntoBlocks,
+  wrapText,
+  fitTextInRect,
+  fitBlock,
+  scriptFor,
+  findFontFile,
+  parsePdf,
+  buildPdf,
+  renderTextPdf,
+  toSegments
+};
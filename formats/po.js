@@ -0,0 +1,544 @@
+// formats/po.js
+/**
+ * Gettext PO/POT catalogs.
+ * The catalog is kept as raw lines; only msgstr blocks (plus the fuzzy flag and the
+ * Language / Plural-Forms header fields) are rewritten, so every untouched byte of
+ * the original file survives a round-trip.
+ */
+
+const PO_EXTENSIONS = ['po', 'pot'];
+
+// Plural-Forms rules as shipped in the gettext manual, keyed by language code
+const PLURAL_RULES = {
+  one: { nplurals: 1, plural: '0', langs: ['ja', 'ko', 'zh', 'vi', 'th', 'id', 'ms', 'lo', 'km', 'my', 'jv', 'su', 'bo', 'dz', 'ka'] },
+  germanic: { nplurals: 2, plural: '(n != 1)', langs: ['en', 'de', 'nl', 'sv', 'da', 'no', 'nb', 'nn', 'fi', 'et', 'it', 'es', 'pt', 'el', 'bg', 'hu', 'tr', 'he', 'ca', 'eu', 'gl', 'af', 'sw', 'ur', 'hi', 'bn', 'ta', 'te', 'ml', 'kn', 'mr', 'gu', 'pa', 'ne', 'si', 'az', 'kk', 'ky', 'uz', 'mn', 'sq', 'eo', 'fy', 'fo', 'ps', 'so', 'zu', 'xh'] },
+  french: { nplurals: 2, plural: '(n > 1)', langs: ['fr', 'pt_br', 'fil', 'tl', 'oc', 'am', 'ln', 'ti', 'wa', 'mg', 'hy', 'fa'] },
+  icelandic: { nplurals: 2, plural: '(n%10!=1 || n%100==11)', langs: ['is'] },
+  macedonian: { nplurals: 2, plural: '(n%10==1 && n%100!=11 ? 0 : 1)', langs: ['mk'] },
+  latvian: { nplurals: 3, plural: '(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2)', langs: ['lv'] },
+  romanian: { nplurals: 3, plural: '(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2)', langs: ['ro', 'mo'] },
+  lithuanian: { nplurals: 3, plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2)', langs: ['lt'] },
+  slavic: { nplurals: 3, plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)', langs: ['ru', 'uk', 'be', 'sr', 'hr', 'bs'] },
+  czech: { nplurals: 3, plural: '((n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2)', langs: ['cs', 'sk'] },
+  polish: { nplurals: 3, plural: '(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)', langs: ['pl'] },
+  slovenian: { nplurals: 4, plural: '(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3)', langs: ['sl'] },
+  welsh: { nplurals: 4, plural: '((n==1) ? 0 : (n==2) ? 1 : (n != 8 && n != 11) ? 2 : 3)', langs: ['cy'] },
+  maltese: { nplurals: 4, plural: '(n==1 ? 0 : n==0 || (n%100>1 && n%100<11) ? 1 : (n%100>10 && n%100<20) ? 2 : 3)', langs: ['mt'] },
+  irish: { nplurals: 5, plural: '(n==1 ? 0 : n==2 ? 1 : n<7 ? 2 : n<11 ? 3 : 4)', langs: ['ga'] },
+  arabic: { nplurals: 6, plural: '(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5)', langs: ['ar'] }
+};
+
+// The UI sends language names as often as codes
+const LANGUAGE_NAMES = {
+  english: 'en', german: 'de', dutch: 'nl', swedish: 'sv', danish: 'da', norwegian: 'nb', finnish: 'fi',
+  estonian: 'et', italian: 'it', spanish: 'es', portuguese: 'pt', 'brazilian portuguese': 'pt_br',
+  greek: 'el', bulgarian: 'bg', hungarian: 'hu', turkish: 'tr', hebrew: 'he', catalan: 'ca', basque: 'eu',
+  hindi: 'hi', bengali: 'bn', tamil: 'ta', urdu: 'ur', swahili: 'sw', french: 'fr', filipino: 'fil',
+  tagalog: 'tl', persian: 'fa', farsi: 'fa', armenian: 'hy', icelandic: 'is', macedonian: 'mk',
+  latvian: 'lv', romanian: 'ro', lithuanian: 'lt', russian: 'ru', ukrainian: 'uk', belarusian: 'be',
+  serbian: 'sr', croatian: 'hr', bosnian: 'bs', czech: 'cs', slovak: 'sk', polish: 'pl', slovenian: 'sl',
+  welsh: 'cy', maltese: 'mt', irish: 'ga', arabic: 'ar', japanese: 'ja', korean: 'ko', chinese: 'zh',
+  vietnamese: 'vi', thai: 'th', indonesian: 'id', malay: 'ms', georgian: 'ka'
+};
+
+/** Normalize "pt-BR", "Portuguese", "Arabic (Egypt)", "ru_RU.UTF-8" etc. to a gettext-style code */
+function toGettextCode(lang = '') {
+  const t = String(lang || '').trim().toLowerCase().replace(/\s*\(.*\)$/, '').replace(/\..*$/, '').replace(/-/g, '_');
+  if (!t) return '';
+  if (LANGUAGE_NAMES[t]) return LANGUAGE_NAMES[t];
+  return t;
+}
+
+/** Look up { nplurals, plural } for a language; regional rules win over the base language */
+function pluralRuleFor(lang) {
+  const code = toGettextCode(lang);
+  if (!code) return null;
+  const base = code.split('_')[0];
+  for (const key of [code, base]) {
+    for (const rule of Object.values(PLURAL_RULES)) {
+      if (rule.langs.includes(key)) return { nplurals: rule.nplurals, plural: rule.plural };
+    }
+  }
+  return null;
+}
+
+// No language has more than six plural forms (Arabic); a catalog claiming more would fan every
+// plural entry out into that many segments
+const MAX_PLURALS = 6;
+const MAX_PLURAL_EXPRESSION = 1000;
+const PLURAL_TOKEN_RE = /\d+|n|\|\||&&|==|!=|<=|>=|[()?:<>%!+\-*/]/g;
+
+/** Parse "nplurals=3; plural=(...);"; null unless nplurals is 1..6 */
+function parsePluralForms(value = '') {
+  const np = /nplurals\s*=\s*(\d+)/.exec(value);
+  const pl = /plural\s*=\s*([^;]+);?/.exec(value);
+  if (!np || !pl) return null;
+  const nplurals = parseInt(np[1], 10);
+  if (nplurals < 1 || nplurals > MAX_PLURALS) return null;
+  return { nplurals, plural: pl[1].trim() };
+}
+
+/**
+ * Compile a C-style plural expression into a function of n.
+ * Small recursive-descent parser so we never eval() file contents; anything but n, integers,
+ * C operators and whitespace (or an expression longer than any real one) throws.
+ */
+function compilePluralExpression(expr) {
+  const source = String(expr);
+  if (source.length > MAX_PLURAL_EXPRESSION || /\S/.test(source.replace(PLURAL_TOKEN_RE, ''))) {
+    throw new Error('Invalid plural expression');
+  }
+  const tokens = source.match(PLURAL_TOKEN_RE) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function ternary() {
+    const cond = or();
+    if (peek() === '?') {
+      next();
+      const a = ternary();
+      if (next() !== ':') throw new Error('Invalid plural expression');
+      const b = ternary();
+      return n => (cond(n) ? a(n) : b(n));
+    }
+    return cond;
+  }
+  function binary(sub, ops) {
+    return function () {
+      let left = sub();
+      while (ops[peek()]) {
+        const op = ops[next()];
+        const l = left, r = sub();
+        left = n => op(l(n), r(n));
+      }
+      return left;
+    };
+  }
+  function unary() {
+    if (peek() === '!') { next(); const v = unary(); return n => (v(n) ? 0 : 1); }
+    if (peek() === '-') { next(); const v = unary(); return n => -v(n); }
+    return primary();
+  }
+  function primary() {
+    const t = next();
+    if (t === '(') {
+      const v = ternary();
+      if (next() !== ')') throw new Error('Invalid plural expression');
+      return v;
+    }
+    if (t === 'n') return n => n;
+    if (/^\d+$/.test(t || '')) { const c = parseInt(t, 10); return () => c; }
+    throw new Error('Invalid plural expression');
+  }
+  const mul = binary(unary, { '*': (a, b) => a * b, '/': (a, b) => (b ? Math.floor(a / b) : 0), '%': (a, b) => (b ? a % b : 0) });
+  const add = binary(mul, { '+': (a, b) => a + b, '-': (a, b) => a - b });
+  const rel = binary(add, { '<': (a, b) => +(a < b), '>': (a, b) => +(a > b), '<=': (a, b) => +(a <= b), '>=': (a, b) => +(a >= b) });
+  const eq = binary(rel, { '==': (a, b) => +(a === b), '!=': (a, b) => +(a !== b) });
+  const and = binary(eq, { '&&': (a, b) => +(a && b) });
+  const or = binary(and, { '||': (a, b) => +(a || b) });
+
+  const fn = ternary();
+  if (pos !== tokens.length) throw new Error('Invalid plural expression');
+  return n => Number(fn(n)) || 0;
+}
+
+/** Sample numbers that select each plural index, e.g. [[1,21,31], [2,3,4], [0,5,6]] */
+function pluralExamples(rule, limit = 4) {
+  const fn = compilePluralExpression(rule.plural);
+  const examples = Array.from({ length: rule.nplurals }, () => []);
+  for (let n = 0; n <= 200; n++) {
+    const idx = fn(n);
+    if (examples[idx] && examples[idx].length < limit) examples[idx].push(n);
+  }
+  return examples;
+}
+
+function unescapePo(s = '') {
+  return s.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (_, c) => {
+    switch (c[0]) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'a': return '\x07';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case 'v': return '\v';
+      case 'x': return String.fromCharCode(parseInt(c.slice(1), 16));
+      default:
+        if (/^[0-7]+$/.test(c)) return String.fromCharCode(parseInt(c, 8));
+        return c;
+    }
+  });
+}
+
+function escapePo(s = '') {
+  return String(s)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Parse a catalog into entries. Each entry records the line ranges we may rewrite:
+ * { index, header, obsolete, msgctxt, msgid, msgidPlural, msgstr[], flags[],
+ *   translatorComments[], extractedComments[], references[], lines:{start,end,flags,msgstr:[start,end]} }
+ */
+function parsePo(text) {
+  const raw = String(text).split('\n');
+  const lines = raw.map((l, i) => (i === 0 ? l.replace(/^\uFEFF/, '') : l).replace(/\r$/, ''));
+  const entries = [];
+  let cur = null;
+  let field = null;
+
+  const flush = () => {
+    if (cur && (cur.msgid !== null || cur.obsolete)) entries.push(cur);
+    cur = null;
+    field = null;
+  };
+  const start = (i) => {
+    if (!cur) {
+      cur = {
+        index: entries.length,
+        header: false,
+        obsolete: false,
+        msgctxt: null,
+        msgid: null,
+        msgidPlural: null,
+        msgstr: [],
+        flags: [],
+        translatorComments: [],
+        extractedComments: [],
+        references: [],
+        lines: { start: i, end: i, flags: -1, msgstr: null }
+      };
+    }
+    cur.lines.end = i;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) { flush(); continue; }
+
+    // A new comment block or msgid after the strings means the next entry has started
+    if (line.startsWith('#') && cur && cur.msgid !== null && !line.startsWith('#~')) flush();
+    if (/^(msgctxt|msgid)\s/.test(line) && cur && cur.lines.msgstr) flush();
+    start(i);
+
+    if (line.startsWith('#~')) { cur.obsolete = true; continue; }
+    if (line.startsWith('#,')) {
+      cur.flags.push(...line.slice(2).split(',').map(f => f.trim()).filter(Boolean));
+      cur.lines.flags = i;
+      continue;
+    }
+    if (line.startsWith('#.')) { cur.extractedComments.push(line.slice(2).trim()); continue; }
+    if (line.startsWith('#:')) { cur.references.push(...line.slice(2).trim().split(/\s+/).filter(Boolean)); continue; }
+    if (line.startsWith('#|')) continue;
+    if (line.startsWith('#')) { cur.translatorComments.push(line.slice(1).trim()); continue; }
+
+    const kw = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/.exec(line);
+    if (kw) {
+      const value = unescapePo(kw[3]);
+      if (kw[1] === 'msgctxt') { cur.msgctxt = value; field = 'msgctxt'; }
+      else if (kw[1] === 'msgid') { cur.msgid = value; field = 'msgid'; }
+      else if (kw[1] === 'msgid_plural') { cur.msgidPlural = value; field = 'msgidPlural'; }
+      else {
+        const n = kw[2] !== undefined ? parseInt(kw[2], 10) : 0;
+        cur.msgstr[n] = value;
+        field = ['msgstr', n];
+        if (!cur.lines.msgstr) cur.lines.msgstr = [i, i];
+        cur.lines.msgstr[1] = i;
+      }
+      continue;
+    }
+
+    const cont = /^"(.*)"$/.exec(line);
+    if (cont && field) {
+      const value = unescapePo(cont[1]);
+      if (Array.isArray(field)) {
+        cur.msgstr[field[1]] += value;
+        cur.lines.msgstr[1] = i;
+      } else {
+        cur[field] += value;
+      }
+    }
+  }
+  flush();
+
+  let header = null;
+  for (const e of entries) {
+    if (!e.obsolete && e.msgid === '' && e.msgctxt === null) {
+      e.header = true;
+      header = e;
+      break;
+    }
+  }
+
+  const headers = {};
+  if (header) {
+    for (const row of String(header.msgstr[0] || '').split('\n')) {
+      const m = /^([\w-]+):\s*(.*)$/.exec(row);
+      if (m) headers[m[1]] = m[2];
+    }
+  }
+
+  return {
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    lines: raw,
+    entries,
+    header,
+    headers,
+    language: headers.Language || '',
+    pluralForms: parsePluralForms(headers['Plural-Forms'] || ''),
+    // msgmerge wraps at 79 columns unless the catalog was written with --no-wrap
+    wrap: !lines.some(l => l.length > 79 && /^\s*(msg\w*(\[\d+\])?\s+)?"/.test(l))
+  };
+}
+
+/** Entries that still need a translation (header and obsolete entries excluded) */
+function translatableEntries(parsed) {
+  return parsed.entries.filter(e => !e.header && !e.obsolete && e.msgid && e.msgstr.every(s => !s));
+}
+
+function isPoFile(name = '') {
+  const m = /\.(\w+)$/.exec(String(name));
+  return !!m && PO_EXTENSIONS.includes(m[1].toLowerCase());
+}
+
+// Target language rule first, then a header rule that compiles, then the gettext default
+function segmentRule(parsed, targetLang) {
+  const fromTarget = pluralRuleFor(targetLang);
+  if (fromTarget) return fromTarget;
+  if (parsed.pluralForms) {
+    try {
+      compilePluralExpression(parsed.pluralForms.plural);
+      return parsed.pluralForms;
+    } catch {}
+  }
+  return { nplurals: 2, plural: '(n != 1)' };
+}
+
+/**
+ * Untranslated entries as { id, text, context } segments. Plural entries get one segment per
+ * plural form of the target language, id "<index>[<n>]"; forms that cover n = 1 start from
+ * msgid, the others from msgid_plural.
+ */
+function toSegments(parsed, { targetLang = null } = {}) {
+  const rule = segmentRule(parsed, targetLang);
+  const examples = pluralExamples(rule);
+  const segments = [];
+  for (const entry of translatableEntries(parsed)) {
+    const context = [
+      entry.msgctxt ? `context "${entry.msgctxt}"` : '',
+      ...entry.extractedComments.map(c => `developer note: ${c}`),
+      ...entry.translatorComments.filter(Boolean).map(c => `translator note: ${c}`)
+    ].filter(Boolean).join(' | ');
+    if (entry.msgidPlural === null) {
+      segments.push({ id: String(entry.index), text: entry.msgid, context });
+      continue;
+    }
+    for (let n = 0; n < rule.nplurals; n++) {
+      const singular = rule.nplurals > 1 && examples[n].includes(1);
+      segments.push({
+        id: `${entry.index}[${n}]`,
+        text: singular ? entry.msgid : entry.msgidPlural,
+        context: [context, `plural form ${n} of ${rule.nplurals}, used when n is ${examples[n].join(', ')}...`].filter(Boolean).join(' | ')
+      });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Pre-fill singular segments (toSegments or FileTranslationSystem shape) from translation memory:
+ * `findMatch(text)` resolves to the best { target_text, similarity } or nothing. Anything short of
+ * an exact match is flagged fuzzy for a translator to review, like msgmerge does. In place.
+ */
+async function prefillFromMemory(segments, findMatch) {
+  for (const segment of segments) {
+    if (segment.pluralIndex != null || /\]$/.test(String(segment.id ?? ''))) continue;
+    const best = await findMatch(segment.src ?? segment.text);
+    if (!best) continue;
+    segment.tgt = best.target_text;
+    segment.tmSimilarity = best.similarity;
+    segment.fuzzy = best.similarity < 1;
+  }
+  return segments;
+}
+
+// Entries of toSegments-style segments sent back with fuzzy: true
+function fuzzyEntries(translations) {
+  const list = Array.isArray(translations) ? translations : [];
+  return new Set(list
+    .filter(t => t && t.fuzzy === true && /^\d+$/.test(String(t.key ?? t.id ?? '')))
+    .map(t => parseInt(t.key ?? t.id, 10)));
+}
+
+// Segments ({ id: "12" | "12[1]", text }) -> Map(entryIndex -> string | string[])
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const list = Array.isArray(translations)
+    ? translations
+    : Object.entries(translations || {}).map(([id, text]) => ({ id, text }));
+  const map = new Map();
+  for (const t of list) {
+    const m = t && /^(\d+)(?:\[(\d+)\])?$/.exec(String(t.key ?? t.id ?? ''));
+    const text = t && String(t.text ?? t.tgt ?? '');
+    if (!m || !text) continue;
+    const index = parseInt(m[1], 10);
+    if (m[2] === undefined) {
+      map.set(index, text);
+      continue;
+    }
+    const forms = Array.isArray(map.get(index)) ? map.get(index) : [];
+    forms[parseInt(m[2], 10)] = text;
+    map.set(index, forms);
+  }
+  return map;
+}
+
+/** Format `keyword "value"` the way msgmerge does, returning raw lines without EOL */
+function formatField(keyword, value, wrap = true, width = 79) {
+  const escaped = escapePo(value);
+  const single = `${keyword} "${escaped}"`;
+  const innerNewline = value.indexOf('\n') !== -1 && value.indexOf('\n') < value.length - 1;
+  if (!innerNewline && (!wrap || single.length <= width)) return [single];
+
+  const out = [`${keyword} ""`];
+  // Break after every \n, then (when wrapping) after spaces to stay within width
+  const pieces = escaped.split(/(?<=\\n)/);
+  for (const piece of pieces) {
+    if (!wrap || piece.length + 2 <= width) { out.push(`"${piece}"`); continue; }
+    let lineBuf = '';
+    for (const word of piece.split(/(?<= )/)) {
+      if (lineBuf && lineBuf.length + word.length + 2 > width) {
+        out.push(`"${lineBuf}"`);
+        lineBuf = '';
+      }
+      lineBuf += word;
+    }
+    if (lineBuf) out.push(`"${lineBuf}"`);
+  }
+  return out;
+}
+
+/**
+ * Write translations back into the catalog.
+ * translations: Map(entryIndex -> string | string[] (plural forms)), or toSegments-style
+ * [{ id, text, fuzzy? }] (plural forms as "<index>[<n>]")
+ * options: { targetLang, pluralForms, fuzzy: Set(entryIndex) } (default: segments with fuzzy: true)
+ */
+function buildPo(text, translations, options = {}) {
+  const parsed = parsePo(text);
+  const map = normalizeTranslations(translations);
+  const cr = parsed.eol === '\r\n' ? '\r' : '';
+  const rule = options.pluralForms || pluralRuleFor(options.targetLang) || parsed.pluralForms || { nplurals: 2, plural: '(n != 1)' };
+  const fuzzy = options.fuzzy || fuzzyEntries(translations);
+  const edits = [];
+  const indent = (i) => /^\s*/.exec(parsed.lines[i])[0];
+
+  for (const entry of parsed.entries) {
+    if (entry.header || entry.obsolete || !map.has(entry.index) || !entry.lines.msgstr) continue;
+    const value = map.get(entry.index);
+    const pad = indent(entry.lines.msgstr[0]);
+    let newLines = [];
+
+    if (entry.msgidPlural !== null) {
+      const forms = Array.isArray(value) ? value : [value];
+      const fallback = forms.find(Boolean) || '';
+      for (let n = 0; n < rule.nplurals; n++) {
+        newLines.push(...formatField(`msgstr[${n}]`, forms[n] || fallback, parsed.wrap));
+      }
+    } else {
+      newLines = formatField('msgstr', Array.isArray(value) ? value[0] : value, parsed.wrap);
+    }
+    edits.push({ start: entry.lines.msgstr[0], end: entry.lines.msgstr[1], lines: newLines.map(l => pad + l + cr) });
+
+    if (fuzzy.has(entry.index) && !entry.flags.includes('fuzzy')) {
+      if (entry.lines.flags >= 0) {
+        const i = entry.lines.flags;
+        edits.push({ start: i, end: i, lines: [parsed.lines[i].replace(/\r$/, '') + ', fuzzy' + cr] });
+      } else {
+        // Flags go after translator/extracted comments and references, before #| and msgctxt
+        let at = entry.lines.start;
+        while (at <= entry.lines.end && /^#(?![,|~])/.test(parsed.lines[at].trim())) at++;
+        edits.push({ start: at, end: at - 1, lines: ['#, fuzzy' + cr] });
+      }
+    }
+  }
+
+  if (parsed.header && options.targetLang) {
+    edits.push(...headerEdits(parsed, toGettextCode(options.targetLang), rule, cr));
+  }
+
+  const out = [...parsed.lines];
+  for (const e of edits.sort((a, b) => b.start - a.start || b.end - a.end)) {
+    out.splice(e.start, e.end - e.start + 1, ...e.lines);
+  }
+  return out.join('\n');
+}
+
+// Set Language and Plural-Forms in the header, touching only those continuation lines
+function headerEdits(parsed, langCode, rule, cr) {
+  const header = parsed.header;
+  const [from, to] = header.lines.msgstr;
+  const fields = {
+    Language: langCode,
+    'Plural-Forms': `nplurals=${rule.nplurals}; plural=${rule.plural};`
+  };
+
+  if (from === to) {
+    // Single-line header msgstr: rebuild it in the usual one-field-per-line layout
+    let value = header.msgstr[0] || '';
+    for (const [key, val] of Object.entries(fields)) {
+      const re = new RegExp(`^${key}:.*$`, 'm');
+      value = re.test(value) ? value.replace(re, `${key}: ${val}`) : value + `${key}: ${val}\n`;
+    }
+    return [{ start: from, end: to, lines: formatField('msgstr', value, false).map(l => l + cr) }];
+  }
+
+  const edits = [];
+  const missing = new Set(Object.keys(fields));
+  for (let i = from + 1; i <= to; i++) {
+    const m = /^(\s*)"([\w-]+):.*"\s*$/.exec(parsed.lines[i].replace(/\r$/, ''));
+    if (m && fields[m[2]] !== undefined) {
+      edits.push({ start: i, end: i, lines: [`${m[1]}"${m[2]}: ${escapePo(fields[m[2]])}\\n"` + cr] });
+      missing.delete(m[2]);
+    }
+  }
+  if (missing.size) {
+    const added = [...missing].map(key => `"${key}: ${escapePo(fields[key])}\\n"` + cr);
+    edits.push({ start: to + 1, end: to, lines: added });
+  }
+  return edits;
+}
+
+// printf (%s, %1$d, %(name)s) and brace ({0}, {name}) placeholders, as msgfmt -c compares them
+const PLACEHOLDER_RE = /%(?:\d+\$)?[-+ #0]*\d*(?:\.\d+)?[hlLqjzt]*[diouxXeEfFgGcsp]|%\([^)]+\)[-+ #0]*\d*(?:\.\d+)?[diouxXeEfFgGcsr]|\{[\w.]*\}/g;
+
+/** Sorted list of placeholders in a string, for source/target comparison */
+function extractPlaceholders(text = '') {
+  return (String(text).replace(/%%/g, '').match(PLACEHOLDER_RE) || []).sort();
+}
+
+module.exports = {
+  PO_EXTENSIONS,
+  PLURAL_RULES,
+  toGettextCode,
+  pluralRuleFor,
+  parsePluralForms,
+  compilePluralExpression,
+  pluralExamples,
+  escapePo,
+  unescapePo,
+  parsePo,
+  translatableEntries,
+  isPoFile,
+  toSegments,
+  prefillFromMemory,
+  formatField,
+  buildPo,
+  extractPlaceholders
+};
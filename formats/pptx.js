@@ -0,0 +1,453 @@
+// formats/pptx.js
+/**
+ * PPTX (PresentationML) round-trip: slide text frames and tables, speaker notes and chart
+ * labels (titles, axis titles, series and category names), paragraph by paragraph through
+ * the shared OOXML tokenizer. Frame geometry is kept so translated text can be checked
+ * against the frame bounds and, optionally, shrunk with <a:normAutofit fontScale>.
+ */
+const JSZip = require('jszip');
+const path = require('path');
+const { escapeXmlText, unescapeXml, parseAttrs, findElements, splice } = require('./xml');
+const { validateInlineTags } = require('./inline-codes');
+const { DRAWING, officeLang, mapParagraphs } = require('./ooxml');
+
+const PART_RE = /^ppt\/(slides\/slide|notesSlides\/notesSlide|charts\/chart)(\d+)\.xml$/;
+const PART_ORDER = ['slides/slide', 'notesSlides/notesSlide', 'charts/chart'];
+
+const EMU_PER_PT = 12700;
+const DEFAULT_INSETS = { l: 91440, r: 91440, t: 45720, b: 45720 };
+const DEFAULT_FONT_PT = 18;
+const LINE_HEIGHT = 1.2;
+// PowerPoint will not shrink text below this on its own either
+const MIN_FONT_SCALE = 0.5;
+
+function partInfo(name) {
+  const m = name.match(PART_RE);
+  return m ? { kind: m[1], num: Number(m[2]) } : null;
+}
+
+function relsPath(part) {
+  return `${path.posix.dirname(part)}/_rels/${path.posix.basename(part)}.rels`;
+}
+
+/** Relationship targets of a part, resolved to package paths: [{ type, target }] */
+async function readRels(zip, part) {
+  const file = zip.file(relsPath(part));
+  if (!file) return [];
+  const xml = await file.async('string');
+  return findElements(xml, 'Relationship').map(r => ({
+    type: String(r.attrs.Type || '').split('/').pop(),
+    target: r.attrs.TargetMode === 'External' ? null : path.posix.normalize(path.posix.join(path.posix.dirname(part), r.attrs.Target || ''))
+  }));
+}
+
+async function loadPackage(buffer) {
+  const zip = buffer instanceof JSZip ? buffer : await JSZip.loadAsync(buffer);
+  if (!zip.file('ppt/presentation.xml')) throw new Error('Invalid PPTX file: ppt/presentation.xml is missing');
+  const rank = (n) => { const i = partInfo(n); return PART_ORDER.indexOf(i.kind) * 100000 + i.num; };
+  const names = Object.keys(zip.files).filter(n => PART_RE.test(n)).sort((a, b) => rank(a) - rank(b));
+  const parts = [];
+  for (const name of names) parts.push({ name, xml: await zip.file(name).async('string') });
+  return { zip, parts };
+}
+
+/* ---------------- Frame geometry ---------------- */
+
+function placeholderOf(spXml) {
+  const m = /<p:ph\b([^>]*?)\/?>/.exec(spXml);
+  if (!m) return null;
+  const attrs = parseAttrs(m[1]);
+  return { type: attrs.type || 'body', idx: attrs.idx || null };
+}
+
+const sameType = (a, b) => a === b || (/title/i.test(a) && /title/i.test(b) && a !== 'subTitle' && b !== 'subTitle');
+
+function findPlaceholderShape(xml, ph) {
+  const shapes = findElements(xml, 'p:sp').map(sp => ({ sp, ph: placeholderOf(sp.inner) })).filter(s => s.ph);
+  return (ph.idx && shapes.find(s => s.ph.idx === ph.idx)) || shapes.find(s => sameType(s.ph.type, ph.type)) || null;
+}
+
+function readXfrm(spXml) {
+  const spPr = findElements(spXml, 'p:spPr')[0];
+  const ext = spPr && /<a:ext\b([^>]*?)\/?>/.exec(spPr.inner);
+  if (!ext) return null;
+  const attrs = parseAttrs(ext[1]);
+  return attrs.cx && attrs.cy ? { cx: Number(attrs.cx), cy: Number(attrs.cy) } : null;
+}
+
+function readFontSize(xml) {
+  const m = /<a:(?:rPr|defRPr|endParaRPr)\b[^>]*?\ssz="(\d+)"/.exec(xml);
+  return m ? Number(m[1]) / 100 : null;
+}
+
+// Master text styles: titles, body placeholders and everything else
+function masterStyleSize(masterXml, phType) {
+  const style = /title/i.test(phType || '') && phType !== 'subTitle' ? 'p:titleStyle' : phType ? 'p:bodyStyle' : 'p:otherStyle';
+  const el = masterXml && findElements(masterXml, style)[0];
+  return el ? readFontSize(el.inner) : null;
+}
+
+/**
+ * Layout chain for a slide: [layoutXml, masterXml], cached per package.
+ */
+async function layoutChain(zip, slidePart, cache) {
+  if (cache.has(slidePart)) return cache.get(slidePart);
+  const chain = [];
+  let part = slidePart;
+  for (const type of ['slideLayout', 'slideMaster']) {
+    const rel = (await readRels(zip, part)).find(r => r.type === type);
+    const file = rel && rel.target && zip.file(rel.target);
+    if (!file) break;
+    chain.push(await file.async('string'));
+    part = rel.target;
+  }
+  cache.set(slidePart, chain);
+  return chain;
+}
+
+function readBodyPr(xml, sp) {
+  const body = findElements(xml, 'p:txBody', sp.innerStart, sp.innerEnd)[0];
+  if (!body) return null;
+  const bodyPr = findElements(xml, 'a:bodyPr', body.innerStart, body.innerEnd)[0];
+  const attrs = bodyPr ? bodyPr.attrs : {};
+  const inner = bodyPr ? bodyPr.inner : '';
+  const norm = /<a:normAutofit\b([^>]*?)\/?>/.exec(inner);
+  const insets = {};
+  for (const side of ['l', 'r', 't', 'b']) {
+    const v = attrs[`${side}Ins`];
+    insets[side] = (v !== undefined ? Number(v) : DEFAULT_INSETS[side]) / EMU_PER_PT;
+  }
+  return {
+    body,
+    bodyPr,
+    insets,
+    wrap: attrs.wrap !== 'none',
+    autofit: norm ? 'norm' : /<a:spAutoFit\b/.test(inner) ? 'shape' : /<a:noAutofit\b/.test(inner) ? 'none' : null,
+    fontScale: norm && parseAttrs(norm[1]).fontScale ? Number(parseAttrs(norm[1]).fontScale) / 100000 : 1
+  };
+}
+
+// Plain text of a paragraph for measuring (breaks as newlines, fields by their cached text)
+function paragraphPlainText(inner) {
+  return unescapeXml(inner.replace(/<a:br\b[^>]*?(?:\/>|>[\s\S]*?<\/a:br>)/g, '\n').replace(/<(?!\/?a:t\b)[^>]*>/g, '').replace(/<\/?a:t\b[^>]*>/g, ''));
+}
+
+/**
+ * Text frames of a slide with known bounds:
+ * [{ id, part, slide, name, placeholder, widthPt, heightPt, insets, wrap, autofit, fontScale, bodyPr, paragraphs }]
+ */
+async function slideFrames(zip, part, xml, paragraphIndex, cache) {
+  const slide = partInfo(part).num;
+  const chain = await layoutChain(zip, part, cache);
+  const frames = [];
+  for (const sp of findElements(xml, 'p:sp')) {
+    const geometry = readBodyPr(xml, sp);
+    if (!geometry) continue;
+    const ph = placeholderOf(sp.inner);
+    let ext = readXfrm(sp.inner);
+    let size = readFontSize(geometry.body.inner);
+    for (const inherited of chain) {
+      if (!ph || (ext && size)) break;
+      const shape = findPlaceholderShape(inherited, ph);
+      if (!shape) continue;
+      ext = ext || readXfrm(shape.sp.inner);
+      size = size || readFontSize(shape.sp.inner);
+    }
+    if (!ext) continue;
+    size = size || masterStyleSize(chain[1], ph && ph.type) || DEFAULT_FONT_PT;
+
+    const id = `${part}#f${frames.length}`;
+    const paragraphs = findElements(xml, 'a:p', geometry.body.innerStart, geometry.body.innerEnd).map(p => ({
+      key: `${part}#${paragraphIndex.get(p.start)}`,
+      text: paragraphPlainText(p.inner),
+      sizePt: readFontSize(p.inner) || size
+    }));
+    frames.push({
+      id,
+      part,
+      slide,
+      name: (/<p:cNvPr\b[^>]*?\sname="([^"]*)"/.exec(sp.inner) || [])[1] || '',
+      placeholder: ph ? ph.type : null,
+      widthPt: ext.cx / EMU_PER_PT,
+      heightPt: ext.cy / EMU_PER_PT,
+      insets: geometry.insets,
+      wrap: geometry.wrap,
+      autofit: geometry.autofit,
+      fontScale: geometry.fontScale,
+      bodyPr: geometry.bodyPr ? { start: geometry.bodyPr.start, end: geometry.bodyPr.end } : null,
+      paragraphs
+    });
+  }
+  return frames;
+}
+
+/* ---------------- Measuring ---------------- */
+
+const WIDE_RE = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/;
+
+// Average advance widths in em for a proportional sans-serif face
+function charWidth(ch) {
+  if (WIDE_RE.test(ch)) return 1;
+  if (/\s/.test(ch)) return 0.28;
+  if (/[il.,;:'|!()[\]]/.test(ch)) return 0.28;
+  if (/[mwMW]/.test(ch)) return 0.85;
+  if (/[A-Z]/.test(ch)) return 0.66;
+  return 0.52;
+}
+
+const textWidth = (s) => [...s].reduce((w, ch) => w + charWidth(ch), 0);
+
+/** Greedy word wrap: { lines, widest } for one paragraph (widths in em) */
+function wrapLines(text, widthEm, wrap) {
+  let lines = 0;
+  let widest = 0;
+  for (const line of String(text).split('\n')) {
+    if (!wrap) { lines++; widest = Math.max(widest, textWidth(line)); continue; }
+    // Wide (CJK) characters can break anywhere; other scripts break at spaces
+    const words = line.match(new RegExp(`${WIDE_RE.source}|\\S+\\s*|\\s+`, 'g')) || [''];
+    let current = 0;
+    lines++;
+    for (const word of words) {
+      const w = textWidth(word);
+      if (current > 0 && current + textWidth(word.trimEnd()) > widthEm) {
+        lines++;
+        current = 0;
+      }
+      current += w;
+      widest = Math.max(widest, Math.min(current, widthEm));
+    }
+  }
+  return { lines, widest };
+}
+
+const stripTokens = (text) => String(text).replace(/\[\[\/?[gx]\d+\]\]/g, '');
+
+/** Height/width in points the paragraphs need inside a frame at `scale` */
+function measure(frame, texts, scale) {
+  const width = frame.widthPt - frame.insets.l - frame.insets.r;
+  let height = 0;
+  let widest = 0;
+  frame.paragraphs.forEach((p, i) => {
+    const size = p.sizePt * scale;
+    const { lines, widest: w } = wrapLines(texts[i], width / size, frame.wrap);
+    height += lines * size * LINE_HEIGHT;
+    widest = Math.max(widest, w * size);
+  });
+  return { height, width: widest };
+}
+
+/**
+ * Estimate whether translated text still fits each frame.
+ * A frame overflows when the translation needs more room than the frame offers *and* more
+ * than the source did (designs that already overflow on purpose are not flagged).
+ * With `autoFit`, overflowing frames get the largest fontScale (>= 50%) that fits.
+ * @returns {{ overflowCount, frames: [{ frameId, slide, name, ..., overflow, suggestedFontScale, autoFitted }] }}
+ */
+function checkFit(frames, translations, { autoFit = false } = {}) {
+  const map = normalizeTranslations(translations);
+  const results = [];
+  for (const frame of frames) {
+    const sources = frame.paragraphs.map(p => p.text);
+    const targets = frame.paragraphs.map(p => (map.has(p.key) && map.get(p.key).trim() ? stripTokens(map.get(p.key)) : p.text));
+    const availableHeight = frame.heightPt - frame.insets.t - frame.insets.b;
+    const availableWidth = frame.widthPt - frame.insets.l - frame.insets.r;
+    const src = measure(frame, sources, frame.fontScale);
+    const tgt = measure(frame, targets, frame.fontScale);
+
+    const tooTall = tgt.height > availableHeight + 0.5 && tgt.height > src.height + 0.5;
+    const tooWide = !frame.wrap && tgt.width > availableWidth + 0.5 && tgt.width > src.width + 0.5;
+    // Shapes set to "resize to fit text" grow instead of overflowing
+    const overflow = frame.autofit !== 'shape' && (tooTall || tooWide);
+
+    let suggestedFontScale = null;
+    if (overflow) {
+      for (let scale = Math.min(frame.fontScale, 1) - 0.025; scale >= MIN_FONT_SCALE - 1e-9; scale -= 0.025) {
+        const fit = measure(frame, targets, scale);
+        if (fit.height <= availableHeight + 0.5 && (frame.wrap || fit.width <= availableWidth + 0.5)) {
+          suggestedFontScale = Math.round(scale * 1000) / 1000;
+          break;
+        }
+      }
+    }
+    const autoFitted = !!(autoFit && overflow);
+    results.push({
+      frameId: frame.id,
+      part: frame.part,
+      slide: frame.slide,
+      name: frame.name,
+      availableHeightPt: Math.round(availableHeight * 10) / 10,
+      sourceHeightPt: Math.round(src.height * 10) / 10,
+      targetHeightPt: Math.round(tgt.height * 10) / 10,
+      expansion: Math.round((sources.join('').length ? targets.join('').length / sources.join('').length : 1) * 100) / 100,
+      overflow: autoFitted ? suggestedFontScale === null : overflow,
+      suggestedFontScale,
+      autoFitted,
+      appliedFontScale: autoFitted ? suggestedFontScale || MIN_FONT_SCALE : null
+    });
+  }
+  return { overflowCount: results.filter(r => r.overflow).length, frames: results };
+}
+
+// <a:bodyPr> with <a:normAutofit fontScale> in place of any other autofit setting
+function withFontScale(bodyPrXml, scale) {
+  const fontScale = Math.round(scale * 100000);
+  const lnSpc = scale < 0.9 ? ' lnSpcReduction="10000"' : '';
+  const autofit = `<a:normAutofit fontScale="${fontScale}"${lnSpc}/>`;
+  if (bodyPrXml.endsWith('/>')) return `${bodyPrXml.slice(0, -2).trimEnd()}>${autofit}</a:bodyPr>`;
+  const cleaned = bodyPrXml.replace(/<a:(?:normAutofit|noAutofit|spAutoFit)\b[^>]*?(?:\/>|>[\s\S]*?<\/a:(?:normAutofit|noAutofit|spAutoFit)>)/, '');
+  // Schema order: prstTxWarp comes before the autofit choice
+  const warp = /<a:prstTxWarp\b[^>]*?(?:\/>|>[\s\S]*?<\/a:prstTxWarp>)/.exec(cleaned);
+  const at = warp ? warp.index + warp[0].length : cleaned.indexOf('>') + 1;
+  return cleaned.slice(0, at) + autofit + cleaned.slice(at);
+}
+
+/* ---------------- Units ---------------- */
+
+function partContext(part, notesFor) {
+  const info = partInfo(part);
+  if (info.kind === 'slides/slide') return `Slide ${info.num}`;
+  if (info.kind === 'notesSlides/notesSlide') return notesFor ? `Speaker notes for slide ${notesFor}` : 'Speaker notes';
+  return 'Chart label';
+}
+
+// Category and series names cached in the chart part; only string caches, never numbers
+function chartValues(xml) {
+  const out = [];
+  for (const cache of findElements(xml, 'c:strCache')) {
+    for (const v of findElements(xml, 'c:v', cache.innerStart, cache.innerEnd)) out.push(v);
+  }
+  return out;
+}
+
+const hasLetters = (text) => /\p{L}/u.test(text);
+
+/**
+ * Read every translatable paragraph and chart label, plus slide frame geometry.
+ * @returns {Promise<{ parts, units: [{ key, text, tags, context, frame }], frames }>}
+ */
+async function parsePptx(buffer) {
+  const { zip, parts } = await loadPackage(buffer);
+  const units = [];
+  const frames = [];
+  const cache = new Map();
+
+  for (const { name, xml } of parts) {
+    const info = partInfo(name);
+    let notesFor = null;
+    if (info.kind === 'notesSlides/notesSlide') {
+      const rel = (await readRels(zip, name)).find(r => r.type === 'slide');
+      notesFor = rel && rel.target ? (partInfo(rel.target) || {}).num : null;
+    }
+
+    const paragraphIndex = new Map(findElements(xml, 'a:p').map((p, i) => [p.start, i]));
+    const partFrames = info.kind === 'slides/slide' ? await slideFrames(zip, name, xml, paragraphIndex, cache) : [];
+    frames.push(...partFrames);
+    const frameOf = new Map(partFrames.flatMap(f => f.paragraphs.map(p => [p.key, f])));
+
+    const base = partContext(name, notesFor);
+    mapParagraphs(xml, DRAWING, ({ index, p, text, tags }) => {
+      const key = `${name}#${index}`;
+      const frame = frameOf.get(key);
+      const notes = [base];
+      if (frame && frame.placeholder) notes.push(/title/i.test(frame.placeholder) ? (frame.placeholder === 'subTitle' ? 'subtitle' : 'title') : `${frame.placeholder} placeholder`);
+      if (!frame && info.kind === 'slides/slide' && xml.lastIndexOf('<a:tc', p.start) > xml.lastIndexOf('</a:tc>', p.start)) notes.push('table cell');
+      units.push({ key, text, tags, context: notes.join(', '), frame: frame ? frame.id : null });
+      return null;
+    });
+
+    chartValues(xml).forEach((v, n) => {
+      const text = unescapeXml(v.inner);
+      if (hasLetters(text)) units.push({ key: `${name}#v${n}`, text, tags: {}, context: 'Chart category or series name', frame: null });
+    });
+  }
+  return { parts: parts.map(p => p.name), units, frames };
+}
+
+/** Public view of units */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    frame: u.frame || undefined,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Paragraphs whose tokens did not survive; buildPptx repairs them (lost codes re-appended) */
+function checkPlaceholders(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+/**
+ * Write translations into a copy of the original package.
+ * @param {Buffer} buffer original .pptx (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ * @param {{ targetLang?: string, autoFit?: boolean }} options autoFit shrinks overflowing frames
+ * @returns {Promise<Buffer>}
+ */
+async function buildPptx(buffer, translations = {}, { targetLang = null, autoFit = false } = {}) {
+  const parsed = await parsePptx(buffer);
+  const { zip, parts } = await loadPackage(buffer);
+  const map = normalizeTranslations(translations);
+  const lang = targetLang ? officeLang(targetLang) : null;
+  const fit = autoFit ? checkFit(parsed.frames, map, { autoFit: true }) : null;
+
+  for (const { name, xml } of parts) {
+    let source = xml;
+    // Autofit edits first: they touch <a:bodyPr> only, so paragraph order is unchanged
+    if (fit) {
+      const edits = [];
+      for (const result of fit.frames) {
+        const frame = parsed.frames.find(f => f.id === result.frameId);
+        if (!result.autoFitted || frame.part !== name || !frame.bodyPr) continue;
+        edits.push({ start: frame.bodyPr.start, end: frame.bodyPr.end, text: withFontScale(xml.slice(frame.bodyPr.start, frame.bodyPr.end), result.appliedFontScale) });
+      }
+      source = splice(xml, edits);
+    }
+
+    let out = mapParagraphs(source, DRAWING, ({ index }) => {
+      const key = `${name}#${index}`;
+      return map.has(key) ? map.get(key) : null;
+    }, { lang });
+
+    const values = chartValues(out);
+    const edits = [];
+    values.forEach((v, n) => {
+      const key = `${name}#v${n}`;
+      if (map.has(key) && map.get(key).trim()) edits.push({ start: v.innerStart, end: v.innerEnd, text: escapeXmlText(stripTokens(map.get(key))) });
+    });
+    out = splice(out, edits);
+    if (out !== xml) zip.file(name, out);
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  parsePptx,
+  buildPptx,
+  toSegments,
+  checkPlaceholders,
+  checkFit
+};
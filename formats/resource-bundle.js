@@ -0,0 +1,460 @@
+// formats/resource-bundle.js
+/**
+ * i18n resource bundles: nested JSON (plain, i18next, FormatJS, Chrome messages.json,
+ * Flutter ARB) and YAML (Rails-style locale trees).
+ *  - only string values are translated; keys, numbers and metadata stay as they are
+ *  - placeholders ({name}, {count, plural, ...}, {{x}}, %s, <0>...) travel as opaque tokens
+ *  - buildBundle splices translated strings into the ORIGINAL text, so key order,
+ *    indentation and comments survive untouched
+ */
+const { protectPlaceholders, validateInlineTags, restoreInline } = require('./inline-codes');
+const { toGettextCode } = require('./po');
+
+const BUNDLE_EXTENSIONS = new Set(['.json', '.arb', '.yaml', '.yml']);
+
+// A lone top-level key like "en" or "pt-BR" is the locale root (Rails, some i18next exports)
+const LOCALE_KEY_RE = /^[a-z]{2,3}(?:[-_][A-Za-z]{2,4})?$/;
+
+function isBundleFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && BUNDLE_EXTENSIONS.has(m[0]);
+}
+
+function formatFor(name = '') {
+  return /\.ya?ml$/i.test(String(name)) ? 'yaml' : 'json';
+}
+
+/* ---------------- JSON ---------------- */
+
+// Walk the document recording every string value with its path and exact source span
+function scanJson(text) {
+  const strings = [];
+  const rootKeys = [];
+  let i = 0;
+
+  const ws = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+  const expect = (ch) => {
+    ws();
+    if (text[i] !== ch) throw new Error(`Invalid JSON: expected "${ch}" at offset ${i}`);
+    i++;
+  };
+  const str = () => {
+    const start = i;
+    i++;
+    while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    i++;
+    return { start, end: i, value: JSON.parse(text.slice(start, i)) };
+  };
+  const value = (path) => {
+    ws();
+    const c = text[i];
+    if (c === '{') {
+      i++;
+      ws();
+      if (text[i] === '}') { i++; return; }
+      for (;;) {
+        ws();
+        const key = str();
+        if (!path.length) rootKeys.push(key);
+        expect(':');
+        value([...path, key.value]);
+        ws();
+        if (text[i] === ',') { i++; continue; }
+        expect('}');
+        return;
+      }
+    }
+    if (c === '[') {
+      i++;
+      ws();
+      if (text[i] === ']') { i++; return; }
+      for (let n = 0; ; n++) {
+        value([...path, n]);
+        ws();
+        if (text[i] === ',') { i++; continue; }
+        expect(']');
+        return;
+      }
+    }
+    if (c === '"') {
+      strings.push({ path, ...str() });
+      return;
+    }
+    const lit = /^(-?\d[\d.eE+-]*|true|false|null)/.exec(text.slice(i, i + 64));
+    if (!lit) throw new Error(`Invalid JSON at offset ${i}`);
+    i += lit[0].length;
+  };
+
+  JSON.parse(text); // precise error messages for broken files
+  value([]);
+  return { strings, rootKeys };
+}
+
+function encodeJsonString(value, asciiOnly) {
+  const json = JSON.stringify(value);
+  return asciiOnly ? json.replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`) : json;
+}
+
+/* ---------------- YAML (the subset locale files use) ---------------- */
+
+const YAML_KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#\-?:,[\]{}&*!|>%@`][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+|$)/;
+
+function unquoteYamlKey(key) {
+  if (key.startsWith('"')) return JSON.parse(key);
+  if (key.startsWith("'")) return key.slice(1, -1).replace(/''/g, "'");
+  return key;
+}
+
+// Parse a scalar starting at `rest` (already past "key: "), returning value + span within rest
+function readYamlScalar(rest) {
+  if (rest.startsWith('"')) {
+    const m = /^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/.exec(rest);
+    if (!m) return null;
+    let value;
+    try { value = JSON.parse(`"${m[1].replace(/\\'/g, "'").replace(/\\\//g, '/')}"`); } catch { return null; }
+    return { value, length: m[1].length + 2, style: 'double' };
+  }
+  if (rest.startsWith("'")) {
+    const m = /^'((?:[^']|'')*)'\s*(#.*)?$/.exec(rest);
+    if (!m) return null;
+    return { value: m[1].replace(/''/g, "'"), length: m[1].length + 2, style: 'single' };
+  }
+  if (/^[&*!{[]/.test(rest)) return null; // anchors, aliases, tags and flow collections are left alone
+  const plain = rest.replace(/\s+#.*$/, '').replace(/\s+$/, '');
+  if (/^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+(e[-+]?\d+)?)$/i.test(plain)) return null;
+  return { value: plain, length: plain.length, style: 'plain' };
+}
+
+function scanYaml(text) {
+  const strings = [];
+  const rootKeys = [];
+  const lines = text.split('\n');
+  const offsets = [];
+  let acc = 0;
+  for (const line of lines) { offsets.push(acc); acc += line.length + 1; }
+
+  const stack = [{ indent: -1, path: [] }];
+  const seqCount = new Map();
+
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n].replace(/\r$/, '');
+    if (!line.trim() || /^\s*#/.test(line) || /^(---|\.\.\.)(\s|$)/.test(line)) continue;
+
+    let col = line.length - line.trimStart().length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= col) stack.pop();
+    let path = stack[stack.length - 1].path;
+    let content = line.slice(col);
+
+    // "- item" or "- key: value" inside a sequence
+    const item = /^-(\s+|$)/.exec(content);
+    if (item) {
+      const seqKey = path.join('\u0000');
+      const idx = seqCount.get(seqKey) || 0;
+      seqCount.set(seqKey, idx + 1);
+      path = [...path, idx];
+      stack.push({ indent: col, path });
+      col += item[0].length;
+      content = content.slice(item[0].length);
+      if (!content) continue;
+      if (!YAML_KEY_RE.test(content)) {
+        const scalar = readYamlScalar(content);
+        if (scalar && scalar.value) strings.push({ path, value: scalar.value, style: scalar.style, start: offsets[n] + col, end: offsets[n] + col + scalar.length });
+        continue;
+      }
+    }
+
+    const km = YAML_KEY_RE.exec(content);
+    if (!km) continue;
+    const key = unquoteYamlKey(km[1].trim());
+    const keyPath = [...path, key];
+    if (path.length === 0) rootKeys.push({ value: key, start: offsets[n] + col, end: offsets[n] + col + km[1].length, raw: km[1] });
+    const rest = content.slice(km[0].length);
+    const restCol = col + km[0].length;
+
+    if (!rest || rest.startsWith('#')) {
+      stack.push({ indent: col, path: keyPath });
+      continue;
+    }
+
+    const block = /^([|>])([+-]?\d*)\s*(#.*)?$/.exec(rest);
+    if (block) {
+      // Block scalar: every following line indented deeper than the key belongs to it
+      let last = n;
+      let blockIndent = null;
+      for (let k = n + 1; k < lines.length; k++) {
+        const l = lines[k].replace(/\r$/, '');
+        if (!l.trim()) continue;
+        const ind = l.length - l.trimStart().length;
+        if (ind <= col) break;
+        if (blockIndent === null) blockIndent = ind;
+        last = k;
+      }
+      if (blockIndent === null) continue;
+      const body = lines.slice(n + 1, last + 1).map(l => l.replace(/\r$/, '').slice(blockIndent));
+      const value = block[1] === '|'
+        ? body.join('\n')
+        : body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+      strings.push({
+        path: keyPath,
+        value,
+        style: block[1] === '|' ? 'literal' : 'folded',
+        blockIndent,
+        start: offsets[n + 1],
+        end: offsets[last] + lines[last].replace(/\r$/, '').length
+      });
+      n = last;
+      continue;
+    }
+
+    const scalar = readYamlScalar(rest);
+    // Plain scalars folded over several lines are rare in locale files; leave them untouched
+    if (scalar && scalar.style === 'plain' && nextIndent(lines, n) > col) continue;
+    if (scalar && scalar.value) {
+      strings.push({ path: keyPath, value: scalar.value, style: scalar.style, start: offsets[n] + restCol, end: offsets[n] + restCol + scalar.length });
+    }
+  }
+  return { strings, rootKeys };
+}
+
+function nextIndent(lines, n) {
+  for (let k = n + 1; k < lines.length; k++) {
+    const l = lines[k].replace(/\r$/, '');
+    if (l.trim() && !/^\s*#/.test(l)) return l.length - l.trimStart().length;
+  }
+  return -1;
+}
+
+function isPlainSafe(value) {
+  return /^[^\s\-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/[\n\r\t]|: |\s#|\s$|:$/.test(value) &&
+    !/^(true|false|yes|no|on|off|null|y|n|~)$/i.test(value) &&
+    !/^[-+.\d]/.test(value);
+}
+
+function encodeYamlScalar(value, entry, eol) {
+  if (entry.style === 'literal' || entry.style === 'folded') {
+    const pad = ' '.repeat(entry.blockIndent);
+    const paragraphs = entry.style === 'literal' ? value.split('\n') : value.split('\n').join('\n\n').split('\n');
+    return paragraphs.map(l => (l ? pad + l : '')).join(eol);
+  }
+  if (entry.style === 'plain' && isPlainSafe(value)) return value;
+  if (entry.style === 'single' && !/[\n\r\t]/.test(value)) return `'${value.replace(/'/g, "''")}'`;
+  return JSON.stringify(value);
+}
+
+/* ---------------- Layouts ---------------- */
+
+const pathKey = (path) => path.map(p => (typeof p === 'number' ? `[${p}]` : p)).join('.').replace(/\.\[/g, '[');
+
+function getIn(obj, path) {
+  return path.reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+}
+
+/**
+ * Work out which strings are messages and what context each one carries.
+ * FormatJS: { id: { defaultMessage, description } }; Chrome: { key: { message, description } };
+ * ARB: "key" with "@key": { description }; everything else: every string leaf.
+ */
+function detectLayout(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return 'plain';
+  const values = Object.values(doc).filter(v => v && typeof v === 'object' && !Array.isArray(v));
+  if (values.length && values.every(v => typeof v.defaultMessage === 'string')) return 'formatjs';
+  if (values.length && values.every(v => typeof v.message === 'string')) return 'chrome';
+  if (Object.keys(doc).some(k => k.startsWith('@@') || (k.startsWith('@') && doc[k.slice(1)] !== undefined))) return 'arb';
+  if (JSON.stringify(doc).includes('{{') || Object.keys(flatten(doc)).some(k => /_(zero|one|two|few|many|other)$/.test(k))) return 'i18next';
+  return 'plain';
+}
+
+function flatten(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object') flatten(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+function messageContext(layout, doc, path) {
+  const parts = [`key ${pathKey(path)}`];
+  const last = path[path.length - 1];
+  if (layout === 'formatjs' || layout === 'chrome') {
+    const desc = getIn(doc, [...path.slice(0, -1), 'description']);
+    if (typeof desc === 'string' && desc.trim()) parts.push(`description: ${desc.trim()}`);
+  } else if (layout === 'arb') {
+    const desc = getIn(doc, [`@${last}`, 'description']);
+    if (typeof desc === 'string' && desc.trim()) parts.push(`description: ${desc.trim()}`);
+  }
+  const plural = /_(zero|one|two|few|many|other)$/.exec(String(last));
+  if (layout === 'i18next' && plural) parts.push(`plural category "${plural[1]}"`);
+  return parts.join(' | ');
+}
+
+function isMessagePath(layout, path, rootLocale) {
+  const keys = rootLocale ? path.slice(1) : path;
+  if (!keys.length) return false;
+  if (keys.some(k => typeof k === 'string' && (k.startsWith('@') || k === '$schema'))) return false;
+  const last = keys[keys.length - 1];
+  if (layout === 'formatjs') return keys.length === 2 && last === 'defaultMessage';
+  if (layout === 'chrome') return keys.length === 2 && last === 'message';
+  return true;
+}
+
+/* ---------------- Public API ---------------- */
+
+/**
+ * Parse a bundle into translatable units.
+ * @returns {{ format, layout, rootLocale, eol, units: [{ key, path, value, text, tags, context }] }}
+ */
+function parseBundle(raw = '', { format = 'json' } = {}) {
+  const text = String(raw).replace(/^\uFEFF/, '');
+  const scan = format === 'yaml' ? scanYaml(text) : scanJson(text);
+
+  let doc = null;
+  if (format === 'json') {
+    doc = JSON.parse(text);
+  } else {
+    // Rebuild a plain object from the scan so layout/context detection is shared
+    doc = {};
+    for (const s of scan.strings) {
+      let o = doc;
+      s.path.slice(0, -1).forEach(k => { o = o[k] = o[k] || {}; });
+      o[s.path[s.path.length - 1]] = s.value;
+    }
+  }
+
+  const rootLocale = scan.rootKeys.length === 1 && LOCALE_KEY_RE.test(scan.rootKeys[0].value) ? scan.rootKeys[0] : null;
+  const layout = detectLayout(rootLocale ? doc[rootLocale.value] : doc);
+  const ctxDoc = rootLocale ? doc[rootLocale.value] : doc;
+  const seen = new Map();
+  const units = [];
+
+  for (const s of scan.strings) {
+    if (!isMessagePath(layout, s.path, rootLocale) || !/\p{L}/u.test(s.value)) continue;
+    const { text: tokenized, tags } = protectPlaceholders(s.value);
+    // Nothing left to translate once placeholders are out (e.g. "{count}" or "%s")
+    if (!/\p{L}/u.test(tokenized.replace(/\[\[\/?[gx]\d+\]\]/g, ''))) continue;
+
+    let key = pathKey(s.path);
+    const dup = seen.get(key) || 0;
+    seen.set(key, dup + 1);
+    if (dup) key = `${key}#${dup}`;
+
+    units.push({
+      key,
+      path: s.path,
+      value: s.value,
+      text: tokenized,
+      tags,
+      context: messageContext(layout, ctxDoc, rootLocale ? s.path.slice(1) : s.path),
+      _loc: s
+    });
+  }
+
+  return {
+    format,
+    layout,
+    rootLocale: rootLocale ? rootLocale.value : null,
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    units,
+    _rootKey: rootLocale
+  };
+}
+
+/** Public view of units (drops the internal location info) */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/**
+ * Check every placeholder survived; units that fail keep their source string.
+ * @returns {Array<{ key, missing, duplicated, orderErrors, unknown }>}
+ */
+function checkPlaceholders(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+/**
+ * Write translations back into the original bundle text.
+ * @param {string} raw original file (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ * @param {{ format?: string, targetLang?: string }} options
+ */
+function buildBundle(raw = '', translations = {}, { format = 'json', targetLang = null } = {}) {
+  const bom = /^\uFEFF/.test(String(raw)) ? '\uFEFF' : '';
+  const text = String(raw).replace(/^\uFEFF/, '');
+  const parsed = parseBundle(text, { format });
+  const map = normalizeTranslations(translations);
+  const failed = new Set(checkPlaceholders(parsed, map).map(p => p.key));
+  const asciiOnly = format === 'json' && !/[^\x00-\x7f]/.test(text) && /\\u[0-9a-fA-F]{4}/.test(text);
+  const edits = [];
+
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key) || failed.has(unit.key)) continue;
+    const tgt = map.get(unit.key);
+    if (!tgt.trim()) continue;
+    const value = restoreInline(tgt, unit.tags);
+    const loc = unit._loc;
+    const encoded = format === 'yaml' ? encodeYamlScalar(value, loc, parsed.eol) : encodeJsonString(value, asciiOnly);
+    edits.push({ start: loc.start, end: loc.end, text: encoded });
+  }
+
+  // ARB files declare their locale in "@@locale"
+  if (targetLang && format === 'json' && parsed.layout === 'arb') {
+    const scan = scanJson(text);
+    const decl = scan.strings.find(s => s.path.length === 1 && s.path[0] === '@@locale');
+    if (decl) edits.push({ start: decl.start, end: decl.end, text: JSON.stringify(toGettextCode(targetLang)) });
+  }
+
+  // Rename the locale root ("en:" -> "fr:") keeping the source's separator and quoting
+  if (targetLang && parsed._rootKey) {
+    const root = parsed._rootKey;
+    let code = toGettextCode(targetLang);
+    code = root.value.includes('-') ? code.replace('_', '-') : code;
+    if (/[A-Z]/.test(root.value)) code = code.replace(/([-_])([a-z]+)$/, (_, sep, region) => sep + region.toUpperCase());
+    if (LOCALE_KEY_RE.test(code)) {
+      const quote = format === 'json' ? '"' : (/^['"]/.test(root.raw || '') ? root.raw[0] : '');
+      edits.push({ start: root.start, end: root.end, text: `${quote}${code}${quote}` });
+    }
+  }
+
+  let out = text;
+  for (const e of edits.sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, e.start) + e.text + out.slice(e.end);
+  }
+  return bom + out;
+}
+
+module.exports = {
+  BUNDLE_EXTENSIONS,
+  isBundleFile,
+  formatFor,
+  parseBundle,
+  buildBundle,
+  toSegments,
+  checkPlaceholders
+};
@@ -0,0 +1,203 @@
+// formats/segmentation.js
+/**
+ * Language-aware sentence segmentation driven by SRX 2.0 rule sets, shared by the translation
+ * memory, queue-job chunking, the file handlers and the aligner so a "segment" means the same
+ * thing everywhere:
+ *  - parseSrx: languagerules (ordered break / no-break rules with beforebreak/afterbreak
+ *    patterns) and maprules (language pattern -> rule set), with the header's cascade flag
+ *  - rulesFor: the compiled rules for a language code ("de-AT", "pt_BR", "auto"); with cascade
+ *    every matching map contributes, in map order, so per-language exceptions precede Default
+ *  - segmentSpans / segment: break positions are where the first matching rule says "break";
+ *    line breaks always end a segment
+ *  - chunk: consecutive sentences packed into pieces of at most maxSize characters
+ * The bundled rules (formats/srx/default.srx) cover abbreviation lists for the main European
+ * languages, CJK full-width punctuation, Thai and Lao (a space ends a segment) and other
+ * scripts' terminators. SRX_FILE (path-delimiter separated) adds rule sets that are consulted
+ * first; a languagerule with a bundled name replaces the bundled one.
+ */
+const fs = require('fs');
+const path = require('path');
+const { unescapeXml, findElements } = require('./xml');
+
+const BUNDLED = path.join(__dirname, 'srx', 'default.srx');
+const compiledCache = new Map();
+let defaultSet = null;
+
+// SRX patterns are Java regexes: translate the common constructs JS lacks
+function toJsPattern(pattern) {
+  return String(pattern || '')
+    .replace(/\\Q([\s\S]*?)(?:\\E|$)/g, (_, lit) => lit.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .replace(/\\p\{Is(Alphabetic|Uppercase|Lowercase|White_Space|Ideographic)\}/g, '\\p{$1}')
+    .replace(/\\p\{Is(L[ultmo]?|N[dlo]?|P[cdseifo]?|S[mcko]?|Z[slp]?)\}/g, '\\p{$1}')
+    .replace(/\\p\{Is(\w+)\}/g, '\\p{sc=$1}')
+    .replace(/(?<!\\)([*+?}])\+/g, '$1');
+}
+
+function compilePattern(before, after) {
+  const source = `(?<=${toJsPattern(before)})(?=${toJsPattern(after)})`;
+  try {
+    return new RegExp(source, 'gu');
+  } catch {
+    // Unicode mode rejects Java's redundant escapes such as \' or \:
+    return new RegExp(source.replace(/\\([^A-Za-z0-9\\^$.*+?()[\]{}|/\-])/g, '$1'), 'gu');
+  }
+}
+
+/**
+ * Parse an SRX 2.0 document.
+ * @returns {{ cascade: boolean, languageRules: Object<string, object[]>, maps: object[] }}
+ *   where rules are { break, before, after } and maps { pattern, name }
+ */
+function parseSrx(xml) {
+  const text = String(xml || '').replace(/<!--[\s\S]*?-->/g, '');
+  if (!findElements(text, 'srx').length) throw new Error('Not an SRX document (no <srx> root).');
+  const header = findElements(text, 'header')[0];
+  const languageRules = {};
+  for (const lr of findElements(text, 'languagerule')) {
+    const name = lr.attrs.languagerulename;
+    if (!name) continue;
+    languageRules[name] = findElements(lr.inner, 'rule').map(rule => ({
+      break: !/^no$/i.test(rule.attrs.break || 'yes'),
+      before: unescapeXml((findElements(rule.inner, 'beforebreak')[0] || {}).inner || ''),
+      after: unescapeXml((findElements(rule.inner, 'afterbreak')[0] || {}).inner || '')
+    }));
+  }
+  const maps = findElements(text, 'languagemap')
+    .map(m => ({ pattern: m.attrs.languagepattern, name: m.attrs.languagerulename }))
+    .filter(m => m.pattern && m.name);
+  return { cascade: !header || !/^no$/i.test(header.attrs.cascade || 'yes'), languageRules, maps };
+}
+
+/** Combine rule sets; earlier sets win (their maps come first, their rule names replace later ones) */
+function mergeSrx(sets) {
+  const merged = { cascade: sets.length ? sets[0].cascade : true, languageRules: {}, maps: [] };
+  for (const set of [...sets].reverse()) Object.assign(merged.languageRules, set.languageRules);
+  merged.maps = sets.flatMap(set => set.maps);
+  return merged;
+}
+
+/** The bundled rules, preceded by any SRX_FILE rule sets; read once */
+function defaultRules() {
+  if (!defaultSet) {
+    const files = [...String(process.env.SRX_FILE || '').split(path.delimiter).filter(Boolean), BUNDLED];
+    defaultSet = mergeSrx(files.map(file => parseSrx(fs.readFileSync(file, 'utf8'))));
+  }
+  return defaultSet;
+}
+
+/**
+ * Compiled rules for a language code, in priority order: [{ break, re, name }].
+ * Rules whose patterns cannot be compiled are skipped and listed on the result's `errors`.
+ */
+function rulesFor(lang, srx = null) {
+  const set = srx || defaultRules();
+  const code = String(lang || 'auto').replace(/_/g, '-');
+  const key = `${code}\u0000${srx ? 'custom' : 'default'}`;
+  if (!srx && compiledCache.has(key)) return compiledCache.get(key);
+
+  const names = [];
+  for (const map of set.maps) {
+    let matches = false;
+    try {
+      matches = new RegExp(`^(?:${toJsPattern(map.pattern)})$`, 'iu').test(code);
+    } catch {
+      matches = false;
+    }
+    if (!matches || names.includes(map.name)) continue;
+    names.push(map.name);
+    if (!set.cascade) break;
+  }
+
+  const rules = [];
+  const errors = [];
+  for (const name of names) {
+    for (const rule of set.languageRules[name] || []) {
+      try {
+        rules.push({ break: rule.break, re: compilePattern(rule.before, rule.after), name });
+      } catch (error) {
+        errors.push({ name, before: rule.before, after: rule.after, error: error.message });
+      }
+    }
+  }
+  rules.errors = errors;
+  if (!srx) compiledCache.set(key, rules);
+  return rules;
+}
+
+/**
+ * Segment boundaries of a text: [{ start, end, text }] with surrounding whitespace left out
+ * of each segment (it stays between spans, so text.slice(prev.end, next.start) is the gap).
+ * Options: srx (a parseSrx result instead of the default rules), newlines (default true: a
+ * line break always ends a segment).
+ */
+function segmentSpans(text, lang = 'auto', { srx = null, newlines = true } = {}) {
+  const source = String(text || '');
+  if (!source.trim()) return [];
+  const decided = new Map();
+  for (const rule of rulesFor(lang, srx)) {
+    for (const m of source.matchAll(rule.re)) {
+      if (!decided.has(m.index)) decided.set(m.index, rule.break);
+    }
+  }
+  if (newlines) {
+    for (const m of source.matchAll(/\r?\n/g)) decided.set(m.index + m[0].length, true);
+  }
+  const breaks = [...decided].filter(([pos, brk]) => brk && pos > 0 && pos < source.length).map(([pos]) => pos).sort((a, b) => a - b);
+
+  const spans = [];
+  let start = 0;
+  for (const end of [...breaks, source.length]) {
+    const piece = source.slice(start, end);
+    const lead = piece.length - piece.trimStart().length;
+    const trimmed = piece.trim();
+    if (trimmed) spans.push({ start: start + lead, end: start + lead + trimmed.length, text: trimmed });
+    start = end;
+  }
+  return spans;
+}
+
+/** Sentences of a text as strings */
+function segment(text, lang = 'auto', options = {}) {
+  return segmentSpans(text, lang, options).map(s => s.text);
+}
+
+/**
+ * Split a text into consecutive pieces of at most maxSize characters, ending at sentence
+ * boundaries where possible; a sentence longer than maxSize is cut at whitespace (or hard).
+ * The pieces concatenate back to the original text.
+ */
+function chunk(text, maxSize, lang = 'auto', options = {}) {
+  const source = String(text || '');
+  const limit = Math.max(1, Number(maxSize) || source.length || 1);
+  if (source.length <= limit) return source ? [source] : [];
+  const ends = segmentSpans(source, lang, options).map(s => s.end);
+  const out = [];
+  let start = 0;
+  while (start < source.length) {
+    if (source.length - start <= limit) {
+      out.push(source.slice(start));
+      break;
+    }
+    // Last sentence end that fits, then include the whitespace after it
+    let end = ends.filter(e => e > start && e - start <= limit).pop();
+    if (!end) {
+      const window = source.slice(start, start + limit);
+      const space = window.search(/\s\S*$/);
+      end = start + (space > 0 ? space : limit);
+    }
+    while (end < source.length && end - start < limit && /\s/.test(source[end])) end++;
+    out.push(source.slice(start, end));
+    start = end;
+  }
+  return out;
+}
+
+module.exports = {
+  parseSrx,
+  mergeSrx,
+  defaultRules,
+  rulesFor,
+  segmentSpans,
+  segment,
+  chunk
+};
@@ -0,0 +1,329 @@
+// formats/subtitle-fit.js
+/**
+ * Readability QA for translated subtitle cues:
+ *  - characters per second (CPS) and characters per line against per-language limits
+ *  - line re-breaking at natural boundaries (punctuation, before conjunctions, balanced lengths)
+ *  - a per-cue report; cues still over the limits can be handed to a `condense` callback
+ *    (the server asks the engine for shorter wording)
+ * Cue times are SRT/VTT timestamps ("00:01:02,500" / "01:02.500") or milliseconds.
+ */
+const { toGettextCode } = require('./po');
+const langId = require('./language-id');
+
+// Defaults follow common streaming specs; CJK lines are shorter and read slower per character
+const DEFAULT_LIMITS = { maxCps: 17, maxCharsPerLine: 42, maxLines: 2 };
+const LANGUAGE_LIMITS = {
+  ja: { maxCps: 4, maxCharsPerLine: 13 },
+  zh: { maxCps: 9, maxCharsPerLine: 16 },
+  yue: { maxCps: 9, maxCharsPerLine: 16 },
+  ko: { maxCps: 12, maxCharsPerLine: 16 },
+  th: { maxCps: 15, maxCharsPerLine: 35 },
+  he: { maxCps: 17, maxCharsPerLine: 39 }
+};
+
+/** Limits for a target language ("zh-Hant", "Chinese (Simplified)"); positive numeric overrides win */
+function limitsFor(lang, overrides = {}) {
+  const base = langId.codeFor(lang) || toGettextCode(lang).split('_')[0];
+  const out = { ...DEFAULT_LIMITS, ...(LANGUAGE_LIMITS[base] || {}) };
+  for (const key of Object.keys(DEFAULT_LIMITS)) {
+    const v = Number(overrides && overrides[key]);
+    if (Number.isFinite(v) && v > 0) out[key] = v;
+  }
+  return out;
+}
+
+/* ---------------- Measuring ---------------- */
+
+/** "hh:mm:ss,mmm", "mm:ss.mmm" or a number of milliseconds; NaN when unreadable */
+function parseTime(t) {
+  if (typeof t === 'number') return t;
+  const m = String(t || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!m) return NaN;
+  const ms = Number((m[4] || '0').padEnd(3, '0'));
+  return ((Number(m[1] || 0) * 60 + Number(m[2])) * 60 + Number(m[3])) * 1000 + ms;
+}
+
+// Inline markup that takes no screen space: HTML-style tags, ASS override blocks, inline-code
+// tokens (ASS segments), direction marks
+const MARKUP_RE = /<\/?[a-zA-Z][^>]*>|\{\\[^}]*\}|\[\[\/?[gx]\d+\]\]/g;
+const INVISIBLE_RE = /[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+const visibleText = (text) => String(text || '').replace(MARKUP_RE, '').replace(INVISIBLE_RE, '');
+
+const graphemes = typeof Intl === 'object' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+/** Characters as a viewer reads them (grapheme clusters, markup excluded) */
+function countChars(text) {
+  const v = visibleText(text);
+  return graphemes ? [...graphemes.segment(v)].length : [...v].length;
+}
+
+const splitLines = (text) => String(text || '').replace(/\r/g, '').split('\n');
+
+/**
+ * CPS, line lengths and limit violations for one cue. Spaces count, line breaks do not.
+ * `maxChars` is the character budget the cue's duration and line limits allow.
+ */
+function measureCue(cue, limits) {
+  const lineLengths = splitLines(cue.text).map(countChars);
+  const chars = lineLengths.reduce((a, b) => a + b, 0);
+  const durationMs = parseTime(cue.end) - parseTime(cue.start);
+  const timed = Number.isFinite(durationMs) && durationMs > 0;
+  const cps = timed ? Math.round((chars / (durationMs / 1000)) * 10) / 10 : null;
+  const maxLineLength = Math.max(0, ...lineLengths);
+  const lineBudget = limits.maxCharsPerLine * limits.maxLines;
+
+  const issues = [];
+  if (cps != null && cps > limits.maxCps) issues.push('cps');
+  if (maxLineLength > limits.maxCharsPerLine) issues.push('line_length');
+  if (lineLengths.length > limits.maxLines) issues.push('line_count');
+
+  return {
+    durationMs: timed ? durationMs : null,
+    chars,
+    cps,
+    lines: lineLengths.length,
+    lineLengths,
+    maxLineLength,
+    maxChars: timed ? Math.min(lineBudget, Math.floor(limits.maxCps * durationMs / 1000)) : lineBudget,
+    issues
+  };
+}
+
+/* ---------------- Line breaking ---------------- */
+
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFF60]/u;
+const DIALOGUE_RE = /^\s*(?:<[^>]+>|\{\\[^}]*\})*\s*[-\u2010-\u2015]/;
+
+// Break after clause punctuation; never put closing punctuation at a line start
+const CLAUSE_END_RE = /[,;:\u3001\uFF0C\uFF1B\uFF1A\u060C\u061B]$/u;
+const SENTENCE_END_RE = /[.!?\u2026\u3002\uFF01\uFF1F\u061F\u06D4]["'\u201D\u2019\u300D\u300F\uFF09)]*$/u;
+const NO_LINE_START_RE = /^[\s.,;:!?)\]}\u2026\u3001\u3002\uFF0C\uFF0E\uFF01\uFF1F\uFF09\u300D\u300F\u30FC\u3041\u3043\u3045\u3047\u3049\u3063\u3083\u3085\u3087\u30A1\u30A3\u30A5\u30A7\u30A9\u30C3\u30E3\u30E5\u30E7]/u;
+const NO_LINE_END_RE = /[(\[{\u300C\u300E\uFF08]$/u;
+// Japanese particles belong to the word before them
+const PARTICLE_START_RE = /^[\u3092\u306B\u3067\u304C\u306F\u3068\u3082\u306E\u3078\u3084](?![\u3041-\u3096])/u;
+
+// Lines read best when they start with these (a new clause) and do not end with them
+const CONJUNCTIONS = {
+  en: 'and but or so because that which who whom whose when while if then than to of for with from as until unless',
+  es: 'y e o u pero porque que cuando si para con de sin hasta como donde aunque',
+  fr: 'et ou mais car donc que qui quand si pour avec de sans comme lorsque parce',
+  de: 'und oder aber denn weil dass wenn als mit f\u00FCr von zu ohne wie ob damit',
+  it: 'e o ma perch\u00E9 che quando se per con di senza come mentre',
+  pt: 'e ou mas porque que quando se para com de sem como enquanto',
+  nl: 'en of maar omdat dat wanneer als met voor van zonder',
+  id: 'dan atau tetapi tapi karena bahwa yang ketika jika kalau untuk dengan dari agar supaya',
+  ms: 'dan atau tetapi kerana bahawa yang apabila jika untuk dengan dari',
+  tr: 've veya ama \u00E7\u00FCnk\u00FC ki e\u011Fer i\u00E7in ile',
+  ru: '\u0438 \u0430 \u043D\u043E \u0438\u043B\u0438 \u0447\u0442\u043E \u0447\u0442\u043E\u0431\u044B \u043A\u043E\u0433\u0434\u0430 \u0435\u0441\u043B\u0438 \u043F\u043E\u0442\u043E\u043C\u0443 \u043A\u043E\u0442\u043E\u0440\u044B\u0439 \u0441 \u0434\u043B\u044F'
+};
+const ARTICLES = {
+  en: 'a an the my your his her our their this that',
+  es: 'el la los las un una mi tu su',
+  fr: 'le la les un une des du mon ma mes ton ta son sa',
+  de: 'der die das den dem des ein eine einen einem mein dein sein ihr',
+  it: 'il lo la i gli le un uno una mio mia',
+  pt: 'o a os as um uma meu minha',
+  nl: 'de het een mijn je zijn haar'
+};
+
+const wordSet = (table, lang) => new Set(String(table[lang] || '').split(' ').filter(Boolean));
+
+function wordsOf(lang) {
+  const base = toGettextCode(lang).split('_')[0] || 'en';
+  return { conjunctions: wordSet(CONJUNCTIONS, base), articles: wordSet(ARTICLES, base) };
+}
+
+// Positions that sit inside a tag or override block can never take a break
+function markupMask(text) {
+  const mask = new Uint8Array(text.length + 1);
+  for (const m of text.matchAll(MARKUP_RE)) mask.fill(1, m.index + 1, m.index + m[0].length);
+  return mask;
+}
+
+/**
+ * Candidate break offsets in `text`. Spaced text breaks at spaces (the space is dropped);
+ * CJK text breaks between words (Intl.Segmenter) or, without one, between characters.
+ */
+function breakCandidates(text, lang) {
+  const mask = markupMask(text);
+  const out = [];
+  if (/\s/.test(visibleText(text).trim())) {
+    for (const m of text.matchAll(/\s+/g)) {
+      if (m.index > 0 && !mask[m.index]) out.push({ at: m.index, skip: m[0].length });
+    }
+    return out;
+  }
+  let offsets;
+  if (typeof Intl === 'object' && Intl.Segmenter) {
+    let seg;
+    try {
+      seg = new Intl.Segmenter(toGettextCode(lang).replace(/_/g, '-') || undefined, { granularity: 'word' });
+    } catch {
+      seg = new Intl.Segmenter(undefined, { granularity: 'word' });
+    }
+    offsets = [...seg.segment(text)].map(s => s.index).filter(i => i > 0);
+  } else {
+    offsets = [];
+    let i = 0;
+    for (const ch of text) { if (i > 0) offsets.push(i); i += ch.length; }
+  }
+  for (const at of offsets) {
+    if (mask[at]) continue;
+    if (NO_LINE_START_RE.test(text.slice(at)) || NO_LINE_END_RE.test(text.slice(0, at))) continue;
+    out.push({ at, skip: 0 });
+  }
+  return out;
+}
+
+const lastWord = (s) => (visibleText(s).trim().match(/[\p{L}\p{M}']+$/u) || [''])[0].toLowerCase();
+const firstWord = (s) => (visibleText(s).trim().match(/^[\p{L}\p{M}']+/u) || [''])[0].toLowerCase();
+
+/** Lower is better: both lines within the limit, balanced, at a clause boundary */
+function scoreBreak(top, bottom, limits, words) {
+  const a = countChars(top);
+  const b = countChars(bottom);
+  let score = Math.abs(a - b);
+  if (a > b) score += 2; // bottom-heavy "pyramid" reads more easily
+  const over = Math.max(0, a - limits.maxCharsPerLine) + Math.max(0, b - limits.maxCharsPerLine);
+  if (over) score += 1000 + over * 10;
+  const end = visibleText(top).trimEnd();
+  if (SENTENCE_END_RE.test(end)) score -= 25;
+  else if (CLAUSE_END_RE.test(end)) score -= 15;
+  else if (words.conjunctions.has(firstWord(bottom))) score -= 8;
+  if (words.articles.has(lastWord(top)) || words.conjunctions.has(lastWord(top))) score += 12;
+  if (PARTICLE_START_RE.test(visibleText(bottom))) score += 12;
+  return score;
+}
+
+function joinLines(lines) {
+  return lines.reduce((acc, line) => {
+    const l = line.trim();
+    if (!acc) return l;
+    if (!l) return acc;
+    const tight = CJK_RE.test(visibleText(acc).slice(-1)) && CJK_RE.test(visibleText(l).charAt(0));
+    return `${acc}${tight ? '' : ' '}${l}`;
+  }, '');
+}
+
+// Fill lines up to the limit, for cues that need more than two lines
+function greedyLines(text, limits, lang) {
+  const lines = [];
+  let rest = text;
+  while (countChars(rest) > limits.maxCharsPerLine) {
+    const fits = breakCandidates(rest, lang).filter(c => countChars(rest.slice(0, c.at)) <= limits.maxCharsPerLine);
+    const cut = fits.length ? fits[fits.length - 1] : breakCandidates(rest, lang)[0];
+    if (!cut) break;
+    lines.push(rest.slice(0, cut.at).trimEnd());
+    rest = rest.slice(cut.at + cut.skip).trimStart();
+  }
+  lines.push(rest);
+  return lines;
+}
+
+/**
+ * Re-break a cue's text: one line when it fits, else the best two-line split (more lines only
+ * when the limits allow and two cannot hold it). Dialogue cues (one "- speaker" per line) keep
+ * their lines. Text that cannot fit comes back split as well as possible; measureCue flags it.
+ */
+function rebreakLines(text, limits, lang) {
+  const lines = splitLines(text).filter(l => l.trim());
+  if (lines.length > 1 && lines.every(l => DIALOGUE_RE.test(l))) return lines.map(l => l.trim()).join('\n');
+  const flat = joinLines(lines);
+  if (countChars(flat) <= limits.maxCharsPerLine || limits.maxLines < 2) return flat;
+
+  const words = wordsOf(lang);
+  let best = null;
+  for (const c of breakCandidates(flat, lang)) {
+    const top = flat.slice(0, c.at).trimEnd();
+    const bottom = flat.slice(c.at + c.skip).trimStart();
+    if (!top || !bottom) continue;
+    const score = scoreBreak(top, bottom, limits, words);
+    if (!best || score < best.score) best = { score, top, bottom };
+  }
+  if (!best) return flat;
+  if (best.score >= 1000 && limits.maxLines > 2) {
+    const many = greedyLines(flat, limits, lang);
+    if (many.length <= limits.maxLines) return many.join('\n');
+  }
+  return `${best.top}\n${best.bottom}`;
+}
+
+/* ---------------- Report ---------------- */
+
+function reportEntry(cue, i, limits, status) {
+  const m = measureCue(cue, limits);
+  return {
+    index: cue.index != null ? Number(cue.index) : i + 1,
+    start: cue.start,
+    end: cue.end,
+    ...m,
+    status: m.issues.length ? 'over_limit' : status
+  };
+}
+
+function summarize(entries) {
+  const summary = { total: entries.length, ok: 0, rebroken: 0, condensed: 0, overLimit: 0 };
+  for (const e of entries) {
+    if (e.status === 'over_limit') summary.overLimit++;
+    else summary[e.status]++;
+  }
+  return summary;
+}
+
+/** Measure cues as they are: { limits, cues: [...], summary } */
+function checkCues(cues, { targetLang, limits: overrides } = {}) {
+  const limits = limitsFor(targetLang, overrides);
+  const entries = (cues || []).map((c, i) => reportEntry(c, i, limits, 'ok'));
+  return { limits, cues: entries, summary: summarize(entries) };
+}
+
+/**
+ * Re-break every cue, then pass cues still over the limits to
+ * `condense(items, limits)` where items are [{ index, text, maxChars }] and the callback
+ * resolves to shorter texts in the same order (empty or longer answers are ignored).
+ * @returns {Promise<{ cues: object[], report: { limits, cues, summary } }>}
+ */
+async function fitCues(cues, { targetLang, limits: overrides, condense, rebreak = true } = {}) {
+  const limits = limitsFor(targetLang, overrides);
+  const out = (cues || []).map(c => ({ ...c, text: String(c.text || '').replace(/\r/g, '').trim() }));
+  const status = out.map(() => 'ok');
+
+  if (rebreak) {
+    out.forEach((cue, i) => {
+      const text = rebreakLines(cue.text, limits, targetLang);
+      if (text !== cue.text) { cue.text = text; status[i] = 'rebroken'; }
+    });
+  }
+
+  if (typeof condense === 'function') {
+    const pending = [];
+    out.forEach((cue, i) => {
+      const m = measureCue(cue, limits);
+      if (m.issues.length) pending.push({ i, chars: m.chars, item: { index: cue.index != null ? Number(cue.index) : i + 1, text: cue.text, maxChars: m.maxChars } });
+    });
+    if (pending.length) {
+      const shorter = (await condense(pending.map(p => p.item), limits)) || [];
+      pending.forEach((p, k) => {
+        const text = String(shorter[k] || '').replace(/\r/g, '').trim();
+        if (!text || countChars(text) >= p.chars) return;
+        out[p.i].text = rebreak ? rebreakLines(text, limits, targetLang) : text;
+        status[p.i] = 'condensed';
+      });
+    }
+  }
+
+  const entries = out.map((c, i) => reportEntry(c, i, limits, status[i]));
+  return { cues: out, report: { limits, cues: entries, summary: summarize(entries) } };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  limitsFor,
+  parseTime,
+  countChars,
+  measureCue,
+  rebreakLines,
+  checkCues,
+  fitCues
+};
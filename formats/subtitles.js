@@ -0,0 +1,930 @@
+// formats/subtitles.js
+/**
+ * One cue model for SRT, WebVTT, TTML/DFXP (incl. EBU-TT), YouTube SBV and SAMI, with a
+ * reader and a writer per format so any of them converts to any other.
+ *
+ * Cue: {
+ *   index, id?,
+ *   start, end,                 SRT timestamps ("00:01:02,500")
+ *   text,                       lines joined by "\n"; inline <i>, <b>, <u> kept, other markup dropped
+ *   speaker?,                   WebVTT <v Name>, TTML ttm:agent
+ *   region?: { align, vertical, x, y, width },
+ *   style?: { color, italic, bold, underline }
+ * }
+ * Region positions are percentages of the video frame. `align` (left/center/right) says which
+ * point of the text box sits at x, `vertical` (top/middle/bottom) which edge sits at y; without
+ * coordinates they name the screen area (SRT {\an8} is { align: 'center', vertical: 'top' }).
+ * Formats that cannot express a field drop it on write (SRT/SBV have no speakers).
+ */
+const { parseTime } = require('./subtitle-fit');
+const { escapeXml, escapeXmlText, unescapeXml, parseAttrs, findElements } = require('./xml');
+const { toGettextCode } = require('./po');
+const { addDirectionMarks } = require('./bidi');
+
+const SUBTITLE_EXTENSIONS = {
+  '.srt': 'srt',
+  '.vtt': 'vtt',
+  '.ttml': 'ttml',
+  '.dfxp': 'dfxp',
+  '.sbv': 'sbv',
+  '.smi': 'smi',
+  '.sami': 'smi'
+};
+const FORMAT_ALIASES = { webvtt: 'vtt', sami: 'smi', ebutt: 'ebu-tt', 'ebu-tt-d': 'ebu-tt' };
+const FORMATS = new Set(['srt', 'vtt', 'ttml', 'dfxp', 'ebu-tt', 'sbv', 'smi']);
+
+const TTML_ROOT_RE = /<(?:[\w-]+:)?tt[\s>]/;
+
+/**
+ * Subtitle format for a file name/extension or a download format name; .xml files count
+ * only when `text` has a TTML <tt> root. null when not a subtitle format.
+ */
+function subtitleFormatFor(name = '', text = null) {
+  const lower = String(name || '').toLowerCase();
+  const ext = (lower.match(/\.[^.]+$/) || [''])[0];
+  if (SUBTITLE_EXTENSIONS[ext]) return SUBTITLE_EXTENSIONS[ext];
+  if (ext === '.xml') {
+    if (text == null || !TTML_ROOT_RE.test(String(text).slice(0, 4096))) return null;
+    return /urn:ebu:tt/.test(String(text).slice(0, 4096)) ? 'ebu-tt' : 'ttml';
+  }
+  const bare = lower.replace(/^\./, '');
+  const fmt = FORMAT_ALIASES[bare] || bare;
+  return FORMATS.has(fmt) ? fmt : null;
+}
+
+const EXTENSIONS = { srt: 'srt', vtt: 'vtt', ttml: 'ttml', dfxp: 'dfxp', 'ebu-tt': 'xml', sbv: 'sbv', smi: 'smi' };
+const CONTENT_TYPES = {
+  srt: 'application/x-subrip',
+  vtt: 'text/vtt',
+  ttml: 'application/ttml+xml',
+  dfxp: 'application/ttml+xml',
+  'ebu-tt': 'application/ttml+xml',
+  sbv: 'text/plain',
+  smi: 'application/smil+xml'
+};
+
+const extensionFor = (format) => EXTENSIONS[format] || 'txt';
+const contentTypeFor = (format) => `${CONTENT_TYPES[format] || 'text/plain'}; charset=utf-8`;
+
+/* ---------------- Shared helpers ---------------- */
+
+const pad = (n, w = 2) => String(Math.max(0, Math.floor(n))).padStart(w, '0');
+
+function formatTime(ms, format) {
+  const t = Math.max(0, Math.round(Number(ms) || 0));
+  const h = Math.floor(t / 3600000);
+  const m = Math.floor(t / 60000) % 60;
+  const s = Math.floor(t / 1000) % 60;
+  const f = pad(t % 1000, 3);
+  if (format === 'srt') return `${pad(h)}:${pad(m)}:${pad(s)},${f}`;
+  if (format === 'sbv') return `${h}:${pad(m)}:${pad(s)}.${f}`;
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${f}`;
+}
+
+const toSrtTime = (ms) => formatTime(ms, 'srt');
+const msOf = (t) => {
+  const v = parseTime(t);
+  return Number.isFinite(v) ? v : 0;
+};
+
+const normalizeNewlines = (s) => String(s || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+const INLINE_RE = /<(\/?)([ibu])>/gi;
+
+/** Cue text -> [{ text } | { tag, close }] with only <i>, <b>, <u> treated as markup */
+function splitInline(text) {
+  const out = [];
+  let last = 0;
+  let m;
+  INLINE_RE.lastIndex = 0;
+  while ((m = INLINE_RE.exec(text))) {
+    if (m.index > last) out.push({ text: text.slice(last, m.index) });
+    out.push({ tag: m[2].toLowerCase(), close: !!m[1] });
+    last = INLINE_RE.lastIndex;
+  }
+  if (last < text.length) out.push({ text: text.slice(last) });
+  return out;
+}
+
+const stripInline = (text) => String(text || '').replace(INLINE_RE, '');
+
+// Unquoted HTML attributes (SAMI <SYNC Start=1000>) as well as quoted ones
+function parseLooseAttrs(s = '') {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let m;
+  while ((m = re.exec(s))) attrs[m[1].toLowerCase()] = unescapeXml(m[2] ?? m[3] ?? m[4]);
+  return attrs;
+}
+
+const unescapeHtml = (s) => unescapeXml(String(s)
+  .replace(/&nbsp;/gi, '\u00A0')
+  .replace(/&lrm;/gi, '\u200E')
+  .replace(/&rlm;/gi, '\u200F'));
+
+// Text that may hold <i>/<b>/<u> written into an HTML-like format (WebVTT, SAMI)
+const escapeInlineHtml = (text) => splitInline(text)
+  .map(p => (p.tag ? `<${p.close ? '/' : ''}${p.tag}>` : escapeXmlText(p.text)))
+  .join('');
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+};
+
+function cleanRegion(region) {
+  if (!region) return null;
+  const out = {};
+  for (const key of ['align', 'vertical', 'x', 'y', 'width']) {
+    if (region[key] != null && region[key] !== '') out[key] = region[key];
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function cleanStyle(style) {
+  if (!style) return null;
+  const out = {};
+  if (style.color) out.color = String(style.color);
+  for (const key of ['italic', 'bold', 'underline']) if (style[key]) out[key] = true;
+  return Object.keys(out).length ? out : null;
+}
+
+function makeCue(fields) {
+  const cue = {
+    index: fields.index,
+    start: toSrtTime(fields.start),
+    end: toSrtTime(fields.end),
+    text: String(fields.text || '').replace(/[ \t]+\n/g, '\n').replace(/\n[ \t]+/g, '\n').trim()
+  };
+  if (fields.id) cue.id = String(fields.id);
+  if (fields.speaker) cue.speaker = String(fields.speaker).trim();
+  const region = cleanRegion(fields.region);
+  if (region) cue.region = region;
+  const style = cleanStyle(fields.style);
+  if (style) cue.style = style;
+  return cue;
+}
+
+// Screen area for cues that carry a vertical coordinate but no explicit area
+function verticalOf(region) {
+  if (!region) return 'bottom';
+  if (region.vertical) return region.vertical;
+  if (region.y == null) return 'bottom';
+  return region.y < 33 ? 'top' : region.y > 66 ? 'bottom' : 'middle';
+}
+
+// The cue's whole-text styling applied as inline markup, for formats without cue-level styles
+function withInlineStyle(text, style) {
+  let out = text;
+  if (style && style.underline) out = `<u>${out}</u>`;
+  if (style && style.bold) out = `<b>${out}</b>`;
+  if (style && style.italic) out = `<i>${out}</i>`;
+  return out;
+}
+
+// Leading/trailing <i>...</i> around the whole text becomes cue-level style on read
+function liftWholeStyle(text) {
+  const style = {};
+  let out = text.trim();
+  for (;;) {
+    const m = out.match(/^<([ibu])>([\s\S]*)<\/\1>$/i);
+    if (!m || /<\/?[ibu]>/i.test(m[2].replace(/<([ibu])>[\s\S]*?<\/\1>/gi, ''))) break;
+    style[{ i: 'italic', b: 'bold', u: 'underline' }[m[1].toLowerCase()]] = true;
+    out = m[2];
+  }
+  return { text: out, style };
+}
+
+/* ---------------- SRT ---------------- */
+
+// Numpad alignment used by SRT/ASS renderers: 1-3 bottom, 4-6 middle, 7-9 top; left/center/right
+const AN_RE = /\{\\an([1-9])\}/;
+
+function regionFromAn(n) {
+  const i = Number(n) - 1;
+  return { align: ['left', 'center', 'right'][i % 3], vertical: ['bottom', 'middle', 'top'][Math.floor(i / 3)] };
+}
+
+function anFor(region) {
+  if (!region) return null;
+  const row = { bottom: 0, middle: 1, top: 2 }[verticalOf(region)];
+  const col = { left: 0, center: 1, right: 2 }[region.align || 'center'] ?? 1;
+  const n = row * 3 + col + 1;
+  return n === 2 ? null : n;
+}
+
+function parseSrtLike(text, format) {
+  const cues = [];
+  const blocks = normalizeNewlines(text).split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n').filter((l, i) => i > 0 || l.trim());
+    const at = lines.findIndex(l => l.includes('-->') || (format === 'sbv' && /^\s*\d+:\d{2}:\d{2}[.,]\d+\s*,\s*\d+:\d{2}:\d{2}[.,]\d+/.test(l)));
+    if (at === -1) continue;
+    const timing = format === 'sbv'
+      ? lines[at].split(',').map(s => s.trim())
+      : lines[at].split('-->').map(s => s.trim());
+    const start = parseTime(timing[0]);
+    const end = parseTime((timing[1] || '').split(/\s+/)[0]);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+
+    let body = lines.slice(at + 1).join('\n');
+    let region = null;
+    const an = body.match(AN_RE);
+    if (an) region = regionFromAn(an[1]);
+    body = body.replace(/\{\\[^}]*\}/g, '');
+
+    // A <font color> around the whole cue is cue styling
+    const style = {};
+    const font = body.trim().match(/^<font\s+color\s*=\s*["']?([^"'>\s]+)["']?\s*>([\s\S]*)<\/font>$/i);
+    if (font) { style.color = font[1]; body = font[2]; }
+    body = body.replace(/<\/?font[^>]*>/gi, '');
+    const lifted = liftWholeStyle(body);
+
+    cues.push(makeCue({
+      index: cues.length + 1,
+      id: format === 'srt' && at > 0 ? lines[at - 1].trim() : null,
+      start,
+      end,
+      text: lifted.text,
+      region,
+      style: { ...style, ...lifted.style }
+    }));
+  }
+  return cues.map(c => (c.id && /^\d+$/.test(c.id) ? (delete c.id, c) : c));
+}
+
+function writeSrt(cues, { rtl }) {
+  return cues.map((c, i) => {
+    const an = anFor(c.region);
+    let body = withInlineStyle(c.text, c.style);
+    if (c.style && c.style.color) body = `<font color="${c.style.color}">${body}</font>`;
+    if (rtl) body = addDirectionMarks(body);
+    return `${i + 1}\n${formatTime(msOf(c.start), 'srt')} --> ${formatTime(msOf(c.end), 'srt')}\n${an ? `{\\an${an}}` : ''}${body}\n`;
+  }).join('\n');
+}
+
+function writeSbv(cues, { rtl }) {
+  return cues.map(c => {
+    const body = stripInline(c.text);
+    return `${formatTime(msOf(c.start), 'sbv')},${formatTime(msOf(c.end), 'sbv')}\n${rtl ? addDirectionMarks(body) : body}\n`;
+  }).join('\n');
+}
+
+/* ---------------- WebVTT ---------------- */
+
+// Default WebVTT colour classes (<c.yellow>)
+const VTT_COLORS = new Set(['white', 'lime', 'cyan', 'red', 'yellow', 'magenta', 'blue', 'black']);
+
+const ALIGN_FROM_VTT = { start: 'left', left: 'left', center: 'center', middle: 'center', end: 'right', right: 'right' };
+
+function parseVttSettings(settings, regions) {
+  const s = {};
+  for (const part of String(settings || '').trim().split(/\s+/)) {
+    const [k, v] = part.split(':');
+    if (k && v != null) s[k] = v;
+  }
+  const region = {};
+  const fromRegion = s.region && regions[s.region];
+  if (fromRegion) Object.assign(region, fromRegion);
+  if (s.align) region.align = ALIGN_FROM_VTT[s.align] || null;
+  const size = s.size != null ? num(s.size) : null;
+  if (size != null) region.width = size;
+
+  if (s.position) {
+    const [p, posAlign] = s.position.split(',');
+    const pos = num(p);
+    if (pos != null) {
+      const width = size != null ? size : 100;
+      const align = region.align || 'center';
+      const anchor = { 'line-left': 'left', center: 'center', 'line-right': 'right' }[posAlign] || align;
+      const left = pos - (anchor === 'center' ? width / 2 : anchor === 'right' ? width : 0);
+      region.x = num(left + (align === 'center' ? width / 2 : align === 'right' ? width : 0));
+    }
+  }
+  if (s.line) {
+    const [l, lineAlign] = s.line.split(',');
+    if (/%$/.test(l)) {
+      region.y = num(l);
+      region.vertical = { start: 'top', center: 'middle', end: 'bottom' }[lineAlign || 'start'];
+    } else if (Number.isFinite(Number(l))) {
+      region.vertical = Number(l) < 0 ? 'bottom' : 'top';
+    }
+  }
+  return region;
+}
+
+function parseVttRegion(block) {
+  const s = {};
+  for (const part of block.replace(/^REGION\s*/, '').split(/\s+/)) {
+    const [k, v] = part.split(':');
+    if (k && v != null) s[k] = v;
+  }
+  if (!s.id) return null;
+  const width = num(s.width);
+  const [vx, vy] = String(s.viewportanchor || '').split(',').map(num);
+  const [rx, ry] = String(s.regionanchor || '').split(',').map(num);
+  const region = {};
+  if (width != null) region.width = width;
+  if (vx != null) {
+    region.align = rx == null || rx < 34 ? 'left' : rx > 66 ? 'right' : 'center';
+    region.x = vx;
+  }
+  if (vy != null) {
+    region.vertical = ry == null || ry < 34 ? 'top' : ry > 66 ? 'bottom' : 'middle';
+    region.y = vy;
+  }
+  return { id: s.id, region };
+}
+
+function parseVttText(raw) {
+  let speaker = null;
+  const style = {};
+  let text = raw;
+  const voice = text.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+  if (voice) speaker = voice[1].trim();
+  const color = text.trim().match(/^<c\.([\w.-]+)>([\s\S]*)<\/c>$/);
+  if (color) {
+    const name = color[1].split('.').find(c => VTT_COLORS.has(c));
+    if (name) style.color = name;
+  }
+  text = text
+    .replace(/<\/?(?:v|c|lang|ruby|rt)(?:[.\s][^>]*)?>/g, '')
+    .replace(/<\d{1,2}:\d{2}(?::\d{2})?\.\d{3}>/g, '')
+    .replace(/<(?!\/?[ibu]>)[^>]*>/gi, '');
+  const lifted = liftWholeStyle(unescapeHtml(text));
+  return { text: lifted.text, speaker, style: { ...style, ...lifted.style } };
+}
+
+function parseVtt(text) {
+  const blocks = normalizeNewlines(text).split(/\n\s*\n/);
+  const regions = {};
+  const cues = [];
+  blocks.forEach((block, bi) => {
+    const trimmed = block.replace(/^\n+/, '');
+    if (bi === 0 && /^WEBVTT/.test(trimmed) && !trimmed.includes('-->')) return;
+    if (/^(NOTE|STYLE)(\s|$)/.test(trimmed)) return;
+    if (/^REGION(\s|$)/.test(trimmed)) {
+      const r = parseVttRegion(trimmed.replace(/\n/g, ' '));
+      if (r) regions[r.id] = r.region;
+      return;
+    }
+    const lines = trimmed.split('\n');
+    const at = lines.findIndex(l => l.includes('-->'));
+    if (at === -1) return;
+    const m = lines[at].match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/);
+    if (!m) return;
+    const start = parseTime(m[1]);
+    const end = parseTime(m[2]);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+    const body = parseVttText(lines.slice(at + 1).join('\n'));
+    cues.push(makeCue({
+      index: cues.length + 1,
+      id: at > 0 ? lines[at - 1].trim() : null,
+      start,
+      end,
+      text: body.text,
+      speaker: body.speaker,
+      region: parseVttSettings(m[3], regions),
+      style: body.style
+    }));
+  });
+  return cues;
+}
+
+function vttSettings(region) {
+  if (!region) return '';
+  const out = [];
+  const align = region.align;
+  if (align) out.push(`align:${align}`);
+  if (region.width != null) out.push(`size:${region.width}%`);
+  if (region.x != null) out.push(`position:${region.x}%`);
+  if (region.y != null) {
+    const lineAlign = { top: 'start', middle: 'center', bottom: 'end' }[region.vertical || 'top'];
+    out.push(`line:${region.y}%${lineAlign === 'start' ? '' : `,${lineAlign}`}`);
+  } else if (region.vertical === 'top') {
+    out.push('line:0');
+  } else if (region.vertical === 'middle') {
+    out.push('line:50%,center');
+  }
+  return out.length ? ` ${out.join(' ')}` : '';
+}
+
+function writeVtt(cues, { rtl }) {
+  const body = cues.map(c => {
+    let text = escapeInlineHtml(withInlineStyle(c.text, c.style));
+    if (c.style && c.style.color && VTT_COLORS.has(String(c.style.color).toLowerCase())) {
+      text = `<c.${String(c.style.color).toLowerCase()}>${text}</c>`;
+    }
+    if (c.speaker) text = `<v ${c.speaker.replace(/[<>]/g, '')}>${text}`;
+    if (rtl) text = addDirectionMarks(text);
+    const id = c.id && !c.id.includes('-->') ? `${c.id}\n` : '';
+    return `${id}${formatTime(msOf(c.start), 'vtt')} --> ${formatTime(msOf(c.end), 'vtt')}${vttSettings(c.region)}\n${text}\n`;
+  });
+  return `WEBVTT\n\n${body.join('\n')}`;
+}
+
+/* ---------------- TTML / DFXP / EBU-TT ---------------- */
+
+// Attribute by local name, whatever prefix the document bound (tts:, ttm:, xml:)
+function attr(attrs, name) {
+  for (const [k, v] of Object.entries(attrs || {})) {
+    if (k === name || k.endsWith(`:${name}`)) return v;
+  }
+  return undefined;
+}
+
+function ttmlParams(rootAttrs) {
+  const frameRate = Number(attr(rootAttrs, 'frameRate')) || 30;
+  const [mn, md] = String(attr(rootAttrs, 'frameRateMultiplier') || '1 1').split(/\s+/).map(Number);
+  const effectiveRate = frameRate * ((mn || 1) / (md || 1));
+  const subFrameRate = Number(attr(rootAttrs, 'subFrameRate')) || 1;
+  const tickRate = Number(attr(rootAttrs, 'tickRate')) || (attr(rootAttrs, 'frameRate') ? frameRate * subFrameRate : 1);
+  const [cols, rows] = String(attr(rootAttrs, 'cellResolution') || '32 15').split(/\s+/).map(Number);
+  const [px, py] = String(attr(rootAttrs, 'extent') || '').split(/\s+/).map(v => parseFloat(v));
+  return { effectiveRate, subFrameRate, tickRate, cols: cols || 32, rows: rows || 15, px, py };
+}
+
+/** TTML clock-time (hh:mm:ss.fff, hh:mm:ss:ff) or offset-time (1.5s, 500ms, 30f, 900t) in ms */
+function parseTtmlTime(value, params) {
+  const v = String(value || '').trim();
+  if (!v) return NaN;
+  let m = v.match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+  if (m) return ((Number(m[1]) * 60 + Number(m[2])) * 60 + Number(`${m[3]}.${m[4] || 0}`)) * 1000;
+  m = v.match(/^(\d+):(\d{2}):(\d{2}):(\d+)(?:\.(\d+))?$/);
+  if (m) {
+    const frames = Number(m[4]) + (m[5] ? Number(m[5]) / params.subFrameRate : 0);
+    return ((Number(m[1]) * 60 + Number(m[2])) * 60 + Number(m[3])) * 1000 + (frames / params.effectiveRate) * 1000;
+  }
+  m = v.match(/^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/);
+  if (!m) return NaN;
+  const n = Number(m[1]);
+  return { h: n * 3600000, m: n * 60000, s: n * 1000, ms: n, f: (n / params.effectiveRate) * 1000, t: (n / params.tickRate) * 1000 }[m[2]];
+}
+
+// "10% 80%", "192px 864px" or "2c 12c" -> percentages of the frame
+function ttmlPair(value, params) {
+  const parts = String(value || '').trim().split(/\s+/);
+  if (parts.length !== 2) return null;
+  const conv = (p, axis) => {
+    const n = parseFloat(p);
+    if (!Number.isFinite(n)) return null;
+    if (/%$/.test(p)) return n;
+    if (/c$/.test(p)) return (n / (axis ? params.rows : params.cols)) * 100;
+    const full = axis ? params.py : params.px;
+    return /px$/.test(p) && full ? (n / full) * 100 : null;
+  };
+  const a = conv(parts[0], 0);
+  const b = conv(parts[1], 1);
+  return a == null || b == null ? null : [a, b];
+}
+
+const TTML_ALIGN = { left: 'left', start: 'left', center: 'center', right: 'right', end: 'right', justify: 'left' };
+const TTML_DISPLAY = { before: 'top', center: 'middle', after: 'bottom' };
+
+// Styling attributes of an element, with referenced styles (style="s1 s2") applied first
+function ttmlStyle(attrs, styles, seen = new Set()) {
+  const out = {};
+  for (const ref of String(attr(attrs, 'style') || '').split(/\s+/).filter(Boolean)) {
+    if (seen.has(ref) || !styles[ref]) continue;
+    seen.add(ref);
+    Object.assign(out, ttmlStyle(styles[ref], styles, seen));
+  }
+  for (const name of ['color', 'fontStyle', 'fontWeight', 'textDecoration', 'textAlign', 'displayAlign', 'origin', 'extent']) {
+    const v = attr(attrs, name);
+    if (v !== undefined) out[name] = v;
+  }
+  return out;
+}
+
+function regionFromTtml(props, params) {
+  const region = {};
+  if (props.textAlign) region.align = TTML_ALIGN[props.textAlign] || null;
+  if (props.displayAlign) region.vertical = TTML_DISPLAY[props.displayAlign] || null;
+  const origin = ttmlPair(props.origin, params);
+  const extent = ttmlPair(props.extent, params);
+  if (origin && extent) {
+    const [ox, oy] = origin;
+    const [w, h] = extent;
+    const align = region.align || 'center';
+    const vertical = region.vertical || 'top';
+    region.align = align;
+    region.vertical = vertical;
+    region.width = num(w);
+    region.x = num(ox + (align === 'center' ? w / 2 : align === 'right' ? w : 0));
+    region.y = num(oy + (vertical === 'middle' ? h / 2 : vertical === 'bottom' ? h : 0));
+  }
+  return region;
+}
+
+const styleFlags = (props) => ({
+  color: props.color || null,
+  italic: props.fontStyle === 'italic' || props.fontStyle === 'oblique',
+  bold: props.fontWeight === 'bold',
+  underline: /underline/.test(props.textDecoration || '')
+});
+
+// <p> content -> text with <i>/<b>/<u> for styled spans and "\n" for <br/>
+function ttmlText(inner, pfx, styles) {
+  const re = new RegExp(`<(/?)${pfx}(span|br)\\b([^>]*?)(/?)>|<[^>]+>`, 'g');
+  const stack = [];
+  let out = '';
+  let last = 0;
+  let m;
+  const collapse = (s) => unescapeXml(s.replace(/\s+/g, ' '));
+  while ((m = re.exec(inner))) {
+    out += collapse(inner.slice(last, m.index));
+    last = re.lastIndex;
+    if (!m[2]) continue;
+    if (m[2] === 'br') { out += '\n'; continue; }
+    if (m[1]) {
+      out += (stack.pop() || []).map(t => `</${t}>`).reverse().join('');
+      continue;
+    }
+    const flags = styleFlags(ttmlStyle(parseAttrs(m[3]), styles));
+    const tags = ['i', 'b', 'u'].filter(t => flags[{ i: 'italic', b: 'bold', u: 'underline' }[t]]);
+    out += tags.map(t => `<${t}>`).join('');
+    if (!m[4]) stack.push(tags);
+    else out += tags.map(t => `</${t}>`).reverse().join('');
+  }
+  out += collapse(inner.slice(last));
+  return out.split('\n').map(l => l.trim()).join('\n');
+}
+
+function parseTtml(xml) {
+  const src = String(xml).replace(/^\uFEFF/, '');
+  const root = src.match(/<([\w-]+:)?tt\b([^>]*)>/);
+  if (!root) throw new Error('Not a TTML document');
+  const pfx = root[1] || '';
+  const rootAttrs = parseAttrs(root[2]);
+  const params = ttmlParams(rootAttrs);
+
+  const styles = {};
+  for (const el of findElements(src, `${pfx}style`)) {
+    const id = attr(el.attrs, 'id');
+    if (id) styles[id] = el.attrs;
+  }
+  const regions = {};
+  for (const el of findElements(src, `${pfx}region`)) {
+    const id = attr(el.attrs, 'id');
+    if (!id) continue;
+    // Region styling may sit in attributes or in nested <style> children
+    const nested = findElements(el.inner, `${pfx}style`).reduce((acc, s) => ({ ...acc, ...s.attrs }), {});
+    regions[id] = { ...nested, ...el.attrs };
+  }
+  const agents = {};
+  for (const el of findElements(src, 'ttm:agent')) {
+    const id = attr(el.attrs, 'id');
+    const name = findElements(el.inner, 'ttm:name')[0];
+    if (id) agents[id] = name ? unescapeXml(name.inner.trim()) : id;
+  }
+
+  const body = findElements(src, `${pfx}body`)[0];
+  if (!body) return { lang: attr(rootAttrs, 'lang') || null, cues: [] };
+  const bodyBegin = parseTtmlTime(attr(body.attrs, 'begin'), params) || 0;
+  const containers = findElements(body.inner, `${pfx}div`);
+  const scopes = containers.length
+    ? containers.map(d => ({ inner: d.inner, attrs: d.attrs }))
+    : [{ inner: body.inner, attrs: {} }];
+
+  const cues = [];
+  for (const scope of scopes) {
+    const offset = bodyBegin + (parseTtmlTime(attr(scope.attrs, 'begin'), params) || 0);
+    for (const p of findElements(scope.inner, `${pfx}p`)) {
+      const begin = parseTtmlTime(attr(p.attrs, 'begin'), params);
+      let end = parseTtmlTime(attr(p.attrs, 'end'), params);
+      const dur = parseTtmlTime(attr(p.attrs, 'dur'), params);
+      if (!Number.isFinite(begin)) continue;
+      if (!Number.isFinite(end) && Number.isFinite(dur)) end = begin + dur;
+      if (!Number.isFinite(end)) continue;
+
+      const regionId = attr(p.attrs, 'region') || attr(scope.attrs, 'region') || attr(body.attrs, 'region');
+      const regionProps = regionId && regions[regionId] ? ttmlStyle(regions[regionId], styles) : {};
+      // Styles on <body> are document defaults, not cue styling
+      const props = { ...ttmlStyle(scope.attrs, styles), ...regionProps, ...ttmlStyle(p.attrs, styles) };
+      const agent = attr(p.attrs, 'agent');
+      const lifted = liftWholeStyle(ttmlText(p.inner, pfx, styles));
+
+      cues.push(makeCue({
+        index: cues.length + 1,
+        id: attr(p.attrs, 'id'),
+        start: offset + begin,
+        end: offset + end,
+        text: lifted.text,
+        speaker: agent ? (agents[agent] || agent) : null,
+        region: regionFromTtml(props, params),
+        style: { ...styleFlags(props), ...lifted.style }
+      }));
+    }
+  }
+  cues.sort((a, b) => msOf(a.start) - msOf(b.start));
+  cues.forEach((c, i) => { c.index = i + 1; });
+  return { lang: attr(rootAttrs, 'lang') || null, cues };
+}
+
+// Region box for a cue's anchor; the inverse of regionFromTtml
+function ttmlBox(region) {
+  const align = (region && region.align) || 'center';
+  const vertical = verticalOf(region);
+  const w = region && region.width != null ? region.width : 80;
+  let left = region && region.x != null
+    ? region.x - (align === 'center' ? w / 2 : align === 'right' ? w : 0)
+    : (100 - w) / 2;
+  left = Math.min(Math.max(0, left), 100 - w);
+
+  let top = 10;
+  let h = 80;
+  if (region && region.y != null) {
+    const y = Math.min(Math.max(0, region.y), 100);
+    if (vertical === 'top') { top = y; h = 100 - y; }
+    else if (vertical === 'bottom') { top = 0; h = y; }
+    else { const half = Math.min(y, 100 - y); top = y - half; h = 2 * half; }
+  }
+  const f = (n) => `${num(n)}%`;
+  return {
+    origin: `${f(left)} ${f(top)}`,
+    extent: `${f(w)} ${f(Math.max(h, 1))}`,
+    textAlign: align,
+    displayAlign: { top: 'before', middle: 'center', bottom: 'after' }[vertical]
+  };
+}
+
+function ttmlInline(text) {
+  return text.split('\n').map(line => splitInline(line).map(p => {
+    if (!p.tag) return escapeXmlText(p.text);
+    if (p.close) return '</span>';
+    return `<span tts:${{ i: 'fontStyle="italic"', b: 'fontWeight="bold"', u: 'textDecoration="underline"' }[p.tag]}>`;
+  }).join('')).join('<br/>');
+}
+
+function writeTtml(cues, { format, lang, rtl, title }) {
+  const ebu = format === 'ebu-tt';
+  const regions = new Map();
+  const agents = new Map();
+  const paragraphs = cues.map((c, i) => {
+    const box = ttmlBox(c.region);
+    const key = JSON.stringify(box);
+    if (!regions.has(key)) regions.set(key, { id: `r${regions.size + 1}`, box });
+    let agentAttr = '';
+    if (c.speaker && !ebu) {
+      if (!agents.has(c.speaker)) agents.set(c.speaker, `agent${agents.size + 1}`);
+      agentAttr = ` ttm:agent="${agents.get(c.speaker)}"`;
+    }
+    const s = c.style || {};
+    const styleAttrs = [
+      s.color ? ` tts:color="${escapeXml(s.color)}"` : '',
+      s.italic ? ' tts:fontStyle="italic"' : '',
+      s.bold ? ' tts:fontWeight="bold"' : '',
+      s.underline ? ' tts:textDecoration="underline"' : '',
+      rtl ? ' tts:direction="rtl" tts:unicodeBidi="embed"' : ''
+    ].join('');
+    return `      <p xml:id="c${i + 1}" begin="${formatTime(msOf(c.start), 'ttml')}" end="${formatTime(msOf(c.end), 'ttml')}" region="${regions.get(key).id}"${agentAttr}${styleAttrs}>${ttmlInline(c.text)}</p>`;
+  });
+
+  const metadata = [];
+  if (title && !ebu) metadata.push(`      <ttm:title>${escapeXmlText(title)}</ttm:title>`);
+  for (const [name, id] of agents) {
+    metadata.push(`      <ttm:agent xml:id="${id}" type="character"><ttm:name type="full">${escapeXmlText(name)}</ttm:name></ttm:agent>`);
+  }
+  if (ebu) {
+    metadata.push('      <ebuttm:documentMetadata>');
+    metadata.push('        <ebuttm:conformsToStandard>urn:ebu:tt:distribution:2018-04</ebuttm:conformsToStandard>');
+    if (title) metadata.push(`        <ebuttm:documentIdentifier>${escapeXmlText(title)}</ebuttm:documentIdentifier>`);
+    metadata.push('      </ebuttm:documentMetadata>');
+  }
+
+  const ns = [
+    'xmlns="http://www.w3.org/ns/ttml"',
+    'xmlns:tts="http://www.w3.org/ns/ttml#styling"',
+    'xmlns:ttm="http://www.w3.org/ns/ttml#metadata"',
+    'xmlns:ttp="http://www.w3.org/ns/ttml#parameter"',
+    ...(ebu ? ['xmlns:ebuttm="urn:ebu:tt:metadata"', 'xmlns:ebutts="urn:ebu:tt:style"', 'ttp:cellResolution="50 30"'] : [])
+  ];
+  const layout = [...regions.values()].map(r =>
+    `      <region xml:id="${r.id}" tts:origin="${r.box.origin}" tts:extent="${r.box.extent}" tts:textAlign="${r.box.textAlign}" tts:displayAlign="${r.box.displayAlign}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt ${ns.join(' ')} ttp:timeBase="media" xml:lang="${escapeXml(lang || '')}">`,
+    '  <head>',
+    ...(metadata.length ? ['    <metadata>', ...metadata, '    </metadata>'] : []),
+    '    <styling>',
+    `      <style xml:id="s0" tts:fontFamily="proportionalSansSerif" tts:fontSize="${ebu ? '100%' : '1c'}" tts:color="white" tts:backgroundColor="transparent"/>`,
+    '    </styling>',
+    '    <layout>',
+    ...layout,
+    '    </layout>',
+    '  </head>',
+    '  <body style="s0">',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+/* ---------------- SAMI ---------------- */
+
+// CSS declarations as { property: value }, lower-cased property names
+function parseDeclarations(css) {
+  const out = {};
+  for (const decl of String(css || '').split(';')) {
+    const at = decl.indexOf(':');
+    if (at > 0) out[decl.slice(0, at).trim().toLowerCase()] = decl.slice(at + 1).trim();
+  }
+  return out;
+}
+
+function parseSamiStyles(src) {
+  const rules = {};
+  const block = src.match(/<style[^>]*>([\s\S]*?)<\/style>/i);
+  if (!block) return rules;
+  const css = block[1].replace(/<!--|-->/g, '');
+  for (const m of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+    for (const sel of m[1].split(',')) rules[sel.trim().toLowerCase()] = parseDeclarations(m[2]);
+  }
+  return rules;
+}
+
+function samiRegion(decls) {
+  const region = {};
+  if (decls['text-align']) region.align = TTML_ALIGN[decls['text-align'].toLowerCase()] || null;
+  const pct = (v) => (/%\s*$/.test(v || '') ? num(v) : null);
+  if (pct(decls.top) != null) { region.vertical = 'top'; region.y = pct(decls.top); }
+  else if (pct(decls.bottom) != null) { region.vertical = 'bottom'; region.y = num(100 - pct(decls.bottom)); }
+  if (pct(decls.left) != null) { region.x = pct(decls.left); region.align = region.align || 'left'; }
+  if (pct(decls.width) != null) region.width = pct(decls.width);
+  return region;
+}
+
+function samiStyle(decls) {
+  return {
+    color: decls.color || null,
+    italic: /italic/i.test(decls['font-style'] || ''),
+    bold: /bold/i.test(decls['font-weight'] || ''),
+    underline: /underline/i.test(decls['text-decoration'] || '')
+  };
+}
+
+function samiText(html) {
+  const style = {};
+  let text = html.replace(/<\/?(?:p|sync|body|sami)\b[^>]*>/gi, '').replace(/\s+/g, ' ');
+  const font = text.trim().match(/^<font\s+color\s*=\s*["']?([^"'>\s]+)["']?\s*>([\s\S]*)<\/font>$/i);
+  if (font) { style.color = font[1]; text = font[2]; }
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<(?!\/?[ibu]>)[^>]*>/gi, '');
+  text = unescapeHtml(text).replace(/\u00A0/g, ' ');
+  const lifted = liftWholeStyle(text.split('\n').map(l => l.trim()).join('\n'));
+  return { text: lifted.text, style: { ...style, ...lifted.style } };
+}
+
+/** SAMI: one language track (the class matching `lang`, else the first) as cues */
+function parseSami(input, { lang = null } = {}) {
+  const src = normalizeNewlines(input);
+  const rules = parseSamiStyles(src);
+  const classes = Object.entries(rules)
+    .filter(([sel]) => sel.startsWith('.'))
+    .map(([sel, decls]) => ({ name: sel.slice(1), lang: (decls.lang || '').toLowerCase() }));
+  const want = toGettextCode(lang).split('_')[0];
+  let track = (want && classes.find(c => c.lang.split('-')[0] === want)) || null;
+
+  const syncs = [];
+  const syncRe = /<sync\b([^>]*)>/gi;
+  const marks = [...src.matchAll(syncRe)];
+  marks.forEach((m, i) => {
+    const start = Number(parseLooseAttrs(m[1]).start);
+    const content = src.slice(m.index + m[0].length, i + 1 < marks.length ? marks[i + 1].index : src.search(/<\/body>/i) > m.index ? src.search(/<\/body>/i) : src.length);
+    const paragraphs = [...content.matchAll(/<p\b([^>]*)>([\s\S]*?)(?=<p\b|$)/gi)]
+      .map(p => ({ attrs: parseLooseAttrs(p[1]), html: p[2] }));
+    if (!paragraphs.length && content.trim()) paragraphs.push({ attrs: {}, html: content });
+    if (Number.isFinite(start)) syncs.push({ start, paragraphs });
+  });
+
+  if (!track) {
+    const first = syncs.flatMap(s => s.paragraphs).find(p => p.attrs.class);
+    track = first ? { name: first.attrs.class.toLowerCase(), lang: '' } : null;
+  }
+  const trackLang = track && rules[`.${track.name}`] ? rules[`.${track.name}`].lang || null : null;
+  const onTrack = (p) => !track || !p.attrs.class || p.attrs.class.toLowerCase() === track.name;
+
+  const cues = [];
+  let open = null;
+  const close = (at) => {
+    if (open && open.text) cues.push(makeCue({ ...open, index: cues.length + 1, end: at }));
+    open = null;
+  };
+  for (const sync of syncs) {
+    const p = sync.paragraphs.find(onTrack);
+    if (!p) continue;
+    close(sync.start);
+    // The bare P rule is the document default and is left to the player
+    const decls = {
+      ...(track ? rules[`.${track.name}`] || {} : {}),
+      ...(p.attrs.id ? rules[`#${p.attrs.id.toLowerCase()}`] || {} : {}),
+      ...parseDeclarations(p.attrs.style)
+    };
+    const body = samiText(p.html);
+    if (!body.text.trim()) continue;
+    open = {
+      start: sync.start,
+      text: body.text,
+      region: samiRegion(decls),
+      style: { ...samiStyle(decls), ...body.style }
+    };
+  }
+  // The last caption has no clearing SYNC; keep it up for a few seconds
+  if (open) close(open.start + 4000);
+  return { lang: trackLang, cues };
+}
+
+function samiClass(lang) {
+  const code = toGettextCode(lang).split('_').map(p => p.toUpperCase()).join('').replace(/[^A-Z]/g, '');
+  return `${code || 'EN'}CC`;
+}
+
+function writeSami(cues, { lang, rtl, title }) {
+  const cls = samiClass(lang);
+  const langTag = toGettextCode(lang).replace(/_/g, '-') || 'en';
+  const lines = [
+    '<SAMI>',
+    '<HEAD>',
+    `<TITLE>${escapeXmlText(title || '')}</TITLE>`,
+    '<STYLE TYPE="text/css">',
+    '<!--',
+    'P { margin-left: 8pt; margin-right: 8pt; margin-bottom: 2pt; margin-top: 2pt; text-align: center; font-size: 20pt; font-family: Arial, sans-serif; color: white; }',
+    `.${cls} { Name: ${langTag}; lang: ${langTag}; SAMIType: CC; }`,
+    '-->',
+    '</STYLE>',
+    '</HEAD>',
+    '<BODY>'
+  ];
+  cues.forEach((c, i) => {
+    const decls = [];
+    const r = c.region || {};
+    if (r.align && r.align !== 'center') decls.push(`text-align: ${r.align}`);
+    if (r.y != null) decls.push(verticalOf(r) === 'bottom' ? `bottom: ${num(100 - r.y)}%` : `top: ${r.y}%`);
+    if (r.x != null && r.align === 'left') decls.push(`left: ${r.x}%`);
+    if (r.width != null) decls.push(`width: ${r.width}%`);
+    if (c.style && c.style.color) decls.push(`color: ${c.style.color}`);
+    let html = escapeInlineHtml(withInlineStyle(c.text, c.style && { ...c.style, color: null }));
+    if (rtl) html = addDirectionMarks(html);
+    html = html.split('\n').join('<br>');
+    const styleAttr = decls.length ? ` style="${escapeXml(decls.join('; '))}"` : '';
+    lines.push(`<SYNC Start=${Math.round(msOf(c.start))}><P Class=${cls}${styleAttr}>${html}</P></SYNC>`);
+    const next = cues[i + 1];
+    if (!next || msOf(next.start) > msOf(c.end)) {
+      lines.push(`<SYNC Start=${Math.round(msOf(c.end))}><P Class=${cls}>&nbsp;</P></SYNC>`);
+    }
+  });
+  lines.push('</BODY>', '</SAMI>', '');
+  return lines.join('\n');
+}
+
+/* ---------------- Public API ---------------- */
+
+/**
+ * Read any supported subtitle file into cues.
+ * @param {string} text file contents
+ * @param {string} format srt | vtt | ttml | dfxp | ebu-tt | sbv | smi
+ * @param {{ lang?: string }} options lang picks the SAMI language track
+ * @returns {{ format, lang: string|null, cues: object[] }}
+ */
+function parseSubtitles(text, format, options = {}) {
+  const fmt = subtitleFormatFor(format) || format;
+  if (fmt === 'srt' || fmt === 'sbv') return { format: fmt, lang: null, cues: parseSrtLike(text, fmt) };
+  if (fmt === 'vtt') return { format: fmt, lang: null, cues: parseVtt(text) };
+  if (fmt === 'ttml' || fmt === 'dfxp' || fmt === 'ebu-tt') return { format: fmt, ...parseTtml(text) };
+  if (fmt === 'smi') return { format: fmt, ...parseSami(text, options) };
+  throw new Error(`Unknown subtitle format: ${format}`);
+}
+
+/**
+ * Write cues (as returned by parseSubtitles, text possibly translated) in any format.
+ * RTL targets get RLM/LRM marks in the text formats and tts:direction in TTML.
+ * @param {object[]} cues
+ * @param {string} format
+ * @param {{ targetLang?: string, rtl?: boolean, title?: string }} options
+ */
+function writeSubtitles(cues, format, { targetLang = null, rtl = false, title = '' } = {}) {
+  const fmt = subtitleFormatFor(format) || format;
+  const list = (Array.isArray(cues) ? cues : [])
+    .map(c => ({ ...c, text: String(c.text || '').replace(/\r/g, '').trim() }));
+  const opts = { format: fmt, lang: targetLang, rtl, title };
+  if (fmt === 'srt') return writeSrt(list, opts);
+  if (fmt === 'sbv') return writeSbv(list, opts);
+  if (fmt === 'vtt') return writeVtt(list, opts);
+  if (fmt === 'ttml' || fmt === 'dfxp' || fmt === 'ebu-tt') return writeTtml(list, opts);
+  if (fmt === 'smi') return writeSami(list, opts);
+  throw new Error(`Unknown subtitle format: ${format}`);
+}
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  subtitleFormatFor,
+  extensionFor,
+  contentTypeFor,
+  parseSubtitles,
+  writeSubtitles
+};
@@ -0,0 +1,490 @@
+// formats/termbase.js
+/**
+ * Termbase exchange for the glossary (glossary_terms rows).
+ *  - parseTbx: TBX-Basic (martif/termEntry/langSet/tig and TBX 2019 conceptEntry/langSec/termSec)
+ *  - parseTermCsv: spreadsheet exports, either one row per target (src, tgt, tgt_lang...) or one
+ *    column per language (en, de, fr-FR...); `,` `;` or tab delimited
+ *  - both produce concepts: { id, generated?, definition, subjectField, langs: { [lang]: { definition,
+ *    terms: [{ text, pos, status, context }], lock?, caseHint? } } } which conceptsToTerms flattens into rows
+ *    { concept_id, src, src_lang, tgt, tgt_lang, pos, definition, forbidden[], lock, case_hint }
+ *  - planImport: dry-run diff of incoming rows against existing ones with conflict resolution
+ *  - writeTbx / writeTermCsv for export
+ * Deprecated/superseded terms become the target's forbidden variants.
+ */
+const { escapeXml, escapeXmlText, unescapeXml, parseAttrs, findElements } = require('./xml');
+const { officeLang } = require('./ooxml');
+
+const TERMBASE_EXTENSIONS = new Set(['.tbx', '.csv', '.tsv']);
+const TERM_FIELDS = ['tgt', 'pos', 'definition', 'forbidden', 'lock', 'case_hint'];
+const CONFLICT_POLICIES = new Set(['skip', 'overwrite', 'merge']);
+
+function isTermbaseFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && TERMBASE_EXTENSIONS.has(m[0]);
+}
+
+/** 'tbx' | 'csv' from a file name or explicit format, sniffing the text when neither says */
+function termbaseFormatFor(name = '', text = '') {
+  const f = String(name).toLowerCase().replace(/^.*\./, '');
+  if (f === 'tbx' || (f === 'xml' && /<(martif|tbx)\b/.test(text))) return 'tbx';
+  if (f === 'csv' || f === 'tsv') return 'csv';
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<(martif|tbx)\b/.test(text)) return 'tbx';
+  return text ? 'csv' : null;
+}
+
+// "de_de" / "DE-de" / "German" -> "de-DE"; empty stays null
+const normLang = (lang) => (lang ? officeLang(lang) || String(lang) : null);
+const primary = (lang) => String(lang || '').toLowerCase().split(/[-_]/)[0];
+
+/** Same language, or a regional variant of a bare filter ("de" takes "de-AT", "de-DE" does not) */
+function langMatches(lang, filter) {
+  if (!filter) return true;
+  if (!lang) return false;
+  const f = normLang(filter);
+  return normLang(lang) === f || (!f.includes('-') && primary(lang) === primary(f));
+}
+
+/* ---------------- TBX ---------------- */
+
+// Text content of a TBX element, inline <hi>/<ph> markup dropped
+const textOf = (inner = '') => unescapeXml(inner.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+function firstOfType(xml, tag, type) {
+  const el = findElements(xml, tag).find(e => e.attrs.type === type);
+  return el ? textOf(el.inner) || null : null;
+}
+
+// Term status from administrativeStatus (TBX-Basic picklist or TBX 2019 short values)
+function termStatus(value) {
+  const v = String(value || '').toLowerCase();
+  if (/^(deprecated|superseded|notrecommended|forbidden)/.test(v)) return 'forbidden';
+  if (/^preferred/.test(v)) return 'preferred';
+  if (/^admitted/.test(v)) return 'admitted';
+  return null;
+}
+
+function readTerm(xml) {
+  const term = findElements(xml, 'term')[0];
+  if (!term) return null;
+  const text = textOf(term.inner);
+  if (!text) return null;
+  return {
+    text,
+    pos: firstOfType(xml, 'termNote', 'partOfSpeech'),
+    status: termStatus(firstOfType(xml, 'termNote', 'administrativeStatus')),
+    context: firstOfType(xml, 'descrip', 'context')
+  };
+}
+
+/**
+ * Parse TBX-Basic. `lang` is the document's xml:lang (usually the source language).
+ * @returns {{ lang: string|null, concepts: Array, errors: Array<{ entry, error }> }}
+ */
+function parseTbx(xml = '') {
+  const root = String(xml).match(/<(martif|tbx)\b([^>]*)>/);
+  if (!root) throw new Error('Not a TBX document');
+  const errors = [];
+  const concepts = [];
+  const entries = [...findElements(xml, 'termEntry'), ...findElements(xml, 'conceptEntry')];
+
+  entries.forEach((entry, i) => {
+    const id = entry.attrs.id || `entry ${i + 1}`;
+    const langSets = [...findElements(entry.inner, 'langSet'), ...findElements(entry.inner, 'langSec')];
+    // Concept-level descriptions sit outside every language section
+    let outer = entry.inner;
+    for (const ls of [...langSets].sort((a, b) => b.start - a.start)) outer = outer.slice(0, ls.start) + outer.slice(ls.end);
+
+    const concept = {
+      id,
+      generated: !entry.attrs.id,
+      definition: firstOfType(outer, 'descrip', 'definition'),
+      subjectField: firstOfType(outer, 'descrip', 'subjectField'),
+      langs: {}
+    };
+    for (const ls of langSets) {
+      const lang = normLang(ls.attrs['xml:lang'] || ls.attrs.lang);
+      if (!lang) {
+        errors.push({ entry: id, error: 'language section without xml:lang' });
+        continue;
+      }
+      const holders = ['tig', 'ntig', 'termSec'].flatMap(tag => findElements(ls.inner, tag));
+      const terms = holders.map(h => readTerm(h.inner)).filter(Boolean);
+      const set = concept.langs[lang] || (concept.langs[lang] = { definition: null, terms: [] });
+      set.definition = set.definition || firstOfType(ls.inner.replace(/<(tig|ntig|termSec)\b[\s\S]*?<\/\1>/g, ''), 'descrip', 'definition');
+      set.terms.push(...terms);
+    }
+    if (!Object.keys(concept.langs).length) errors.push({ entry: id, error: 'entry has no terms' });
+    else concepts.push(concept);
+  });
+
+  return { lang: normLang(parseAttrs(root[2])['xml:lang']), concepts, errors };
+}
+
+/* ---------------- CSV ---------------- */
+
+// RFC 4180 rows; the delimiter is whichever of , ; \t appears most in the header line
+function parseCsvRows(text = '') {
+  const src = String(text).replace(/^\ufeff/, '');
+  const headerLine = src.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (headerLine.split(d).length > headerLine.split(best).length ? d : best), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === delimiter) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+const CSV_ALIASES = {
+  concept_id: ['concept_id', 'concept', 'entry_id'],
+  src: ['src', 'source', 'term', 'source_term'],
+  src_lang: ['src_lang', 'source_lang', 'source_language'],
+  tgt: ['tgt', 'target', 'translation', 'target_term'],
+  tgt_lang: ['tgt_lang', 'target_lang', 'target_language', 'lang', 'language'],
+  pos: ['pos', 'part_of_speech', 'partofspeech', 'word_class'],
+  definition: ['definition', 'description', 'meaning'],
+  forbidden: ['forbidden', 'forbidden_variants', 'forbidden_terms', 'deprecated', 'do_not_use'],
+  lock: ['lock', 'locked'],
+  case_hint: ['case_hint', 'case', 'case_sensitive'],
+  subject: ['subject', 'subject_field', 'domain']
+};
+const LANG_COLUMN = /^(?:(tgt|target|forbidden)[\s_:-]+)?([a-z]{2,3}(?:[-_][a-z0-9]{2,8})*)$/i;
+const splitList = (v) => String(v || '').split(/\s*[;|]\s*/).map(s => s.trim()).filter(Boolean);
+const truthy = (v) => /^(1|true|yes|y|x|locked)$/i.test(String(v || '').trim());
+
+/**
+ * Parse a CSV/TSV termbase into concepts. Long format: one row per source/target pair.
+ * Wide format: a column per language ("de", "target_de", "forbidden_de"); the `srcLang`
+ * column (or `src`) holds the source term.
+ * @returns {{ concepts, errors: Array<{ line, error }> }}
+ */
+function parseTermCsv(text = '', { srcLang = 'en' } = {}) {
+  const rows = parseCsvRows(text);
+  if (!rows.length) throw new Error('Empty CSV termbase');
+  const header = rows[0].map(h => h.trim());
+  const key = (h) => h.toLowerCase().replace(/[\s-]+/g, '_');
+  const columns = {};
+  const langColumns = [];
+  header.forEach((h, i) => {
+    const field = Object.keys(CSV_ALIASES).find(f => CSV_ALIASES[f].includes(key(h)));
+    if (field && columns[field] == null) { columns[field] = i; return; }
+    const m = h.match(LANG_COLUMN);
+    if (m) langColumns.push({ index: i, lang: normLang(m[2]), forbidden: /^forbidden/i.test(m[1] || '') });
+  });
+
+  const source = normLang(srcLang);
+  const srcColumn = columns.src ?? (langColumns.find(c => !c.forbidden && primary(c.lang) === primary(source)) || {}).index;
+  if (srcColumn == null) throw new Error(`CSV termbase needs a "src" column or a "${source}" column`);
+  const targetColumns = langColumns.filter(c => c.index !== srcColumn);
+  if (columns.tgt == null && !targetColumns.some(c => !c.forbidden)) {
+    throw new Error('CSV termbase needs a "tgt" column or one column per target language');
+  }
+
+  const concepts = [];
+  const errors = [];
+  const byId = new Map();
+  const get = (row, field) => (columns[field] != null ? String(row[columns[field]] ?? '').trim() : '');
+
+  rows.slice(1).forEach((row, n) => {
+    const line = n + 2;
+    const src = String(row[srcColumn] ?? '').trim();
+    if (!src) {
+      errors.push({ line, error: 'missing source term' });
+      return;
+    }
+    const rowSrcLang = normLang(get(row, 'src_lang')) || source;
+    const pos = get(row, 'pos') || null;
+    const conceptId = get(row, 'concept_id') || null;
+    // Long-format rows sharing a concept id (or source + part of speech) are one concept
+    const groupKey = conceptId || `${primary(rowSrcLang)}|${src.toLowerCase()}|${pos || ''}`;
+    const newConcept = () => {
+      const concept = {
+        id: conceptId || `line ${line}`,
+        generated: !conceptId,
+        definition: get(row, 'definition') || null,
+        subjectField: get(row, 'subject') || null,
+        langs: { [rowSrcLang]: { definition: null, terms: [{ text: src, pos, status: 'preferred', context: null }] } }
+      };
+      concepts.push(concept);
+      return concept;
+    };
+    let concept = byId.get(groupKey);
+    if (!concept) byId.set(groupKey, (concept = newConcept()));
+
+    const targets = [];
+    if (columns.tgt != null || columns.tgt_lang != null) {
+      targets.push({ lang: normLang(get(row, 'tgt_lang')), text: get(row, 'tgt'), forbidden: splitList(get(row, 'forbidden')) });
+    }
+    for (const c of targetColumns.filter(col => !col.forbidden)) {
+      const forbiddenCol = targetColumns.find(col => col.forbidden && col.lang === c.lang);
+      targets.push({
+        lang: c.lang,
+        text: String(row[c.index] ?? '').trim(),
+        forbidden: [...splitList(forbiddenCol ? row[forbiddenCol.index] : ''), ...(columns.tgt == null ? splitList(get(row, 'forbidden')) : [])]
+      });
+    }
+
+    for (const t of targets) {
+      if (!t.text && !t.forbidden.length) continue;
+      if (!t.lang) {
+        errors.push({ line, error: 'target term without a language (add tgt_lang)' });
+        continue;
+      }
+      // A second target for the same source and language is a competing entry, not a synonym,
+      // unless the file grouped them under one concept id
+      const current = concept.langs[t.lang] && preferred(concept.langs[t.lang].terms);
+      const target = current && t.text && current.text !== t.text
+        ? (conceptId ? null : newConcept())
+        : concept;
+      const set = (target || concept).langs[t.lang] || ((target || concept).langs[t.lang] = { definition: null, terms: [] });
+      if (t.text && !set.terms.some(x => x.text === t.text)) set.terms.push({ text: t.text, pos, status: target ? 'preferred' : 'admitted', context: null });
+      for (const f of t.forbidden) {
+        if (!set.terms.some(x => x.text === f)) set.terms.push({ text: f, pos, status: 'forbidden', context: null });
+      }
+      if (columns.lock != null && get(row, 'lock') !== '') set.lock = truthy(get(row, 'lock'));
+      if (get(row, 'case_hint')) set.caseHint = get(row, 'case_hint');
+    }
+  });
+
+  return { concepts, errors };
+}
+
+/* ---------------- Concepts <-> glossary rows ---------------- */
+
+const usable = (terms) => terms.filter(t => t.status !== 'forbidden');
+const preferred = (terms) => usable(terms).find(t => t.status === 'preferred') || usable(terms)[0] || null;
+
+/**
+ * Flatten concepts into one glossary row per target language.
+ * @param {{ srcLang: string, tgtLangs?: string[] }} options tgtLangs limits the targets
+ * @returns {{ terms: Array, errors: Array<{ entry, error }> }}
+ */
+function conceptsToTerms(concepts, { srcLang, tgtLangs = null } = {}) {
+  const source = normLang(srcLang);
+  const wanted = tgtLangs && tgtLangs.length ? tgtLangs : null;
+  const terms = [];
+  const errors = [];
+
+  for (const concept of concepts) {
+    const langs = Object.keys(concept.langs);
+    const srcKey = langs.find(l => l === source) || langs.find(l => primary(l) === primary(source));
+    const srcTerm = srcKey && preferred(concept.langs[srcKey].terms);
+    if (!srcTerm) {
+      errors.push({ entry: concept.id, error: `no ${source} term` });
+      continue;
+    }
+    for (const lang of langs) {
+      if (lang === srcKey) continue;
+      if (wanted && !wanted.some(w => langMatches(lang, w))) continue;
+      const set = concept.langs[lang];
+      const tgtTerm = preferred(set.terms);
+      terms.push({
+        // Ids we made up (CSV line numbers) would collide across files, so they are not kept
+        concept_id: concept.generated ? null : concept.id,
+        src: srcTerm.text,
+        src_lang: srcKey,
+        tgt: tgtTerm ? tgtTerm.text : null,
+        tgt_lang: lang,
+        pos: srcTerm.pos || (tgtTerm && tgtTerm.pos) || null,
+        definition: concept.definition || concept.langs[srcKey].definition || set.definition || null,
+        forbidden: set.terms.filter(t => t.status === 'forbidden').map(t => t.text),
+        lock: set.lock,
+        case_hint: set.caseHint
+      });
+    }
+  }
+  return { terms, errors };
+}
+
+/* ---------------- Import planning ---------------- */
+
+const sameText = (a, b) => String(a ?? '').trim() === String(b ?? '').trim();
+const isEmpty = (v) => v == null || v === '' || (Array.isArray(v) && !v.length);
+const sameValue = (a, b) => (Array.isArray(a) || Array.isArray(b)
+  ? [...(a || [])].sort().join('\u0000') === [...(b || [])].sort().join('\u0000')
+  : (typeof a === 'boolean' || typeof b === 'boolean') ? !!a === !!b : sameText(a, b));
+
+/**
+ * Diff incoming rows against the user's existing glossary. Rows match on source term
+ * (case-insensitive), target language and, when both have one, part of speech.
+ * Empty existing fields are always filled; differing non-empty fields are conflicts:
+ *  - skip: keep the existing value
+ *  - overwrite: take the incoming value (locked terms keep their target unless overrideLocked)
+ *  - merge: keep the existing value, but union forbidden variants
+ * Later incoming rows for a term already planned are counted as duplicates and ignored.
+ * @returns {{ create: Array, update: Array<{ id, data, changes }>, unchanged, duplicates, conflicts: Array }}
+ */
+function planImport(existing = [], incoming = [], { onConflict = 'skip', overrideLocked = false } = {}) {
+  if (!CONFLICT_POLICIES.has(onConflict)) throw new Error(`Unknown conflict policy: ${onConflict}`);
+  const index = new Map();
+  const keyOf = (t) => `${String(t.src || '').trim().toLowerCase()}|${primary(t.tgt_lang)}`;
+  for (const row of existing) {
+    const k = keyOf(row);
+    if (!index.has(k)) index.set(k, []);
+    index.get(k).push(row);
+  }
+
+  const plan = { create: [], update: [], unchanged: 0, duplicates: 0, conflicts: [] };
+  const planned = new Set();
+  for (const term of incoming) {
+    // Homographs ("record" noun vs verb) are separate entries when both sides say so
+    const candidates = (index.get(keyOf(term)) || []).filter(r => !r.pos || !term.pos || r.pos === term.pos);
+    const match = candidates.find(r => normLang(r.tgt_lang) === normLang(term.tgt_lang)) || candidates[0];
+    const plannedKey = match ? `id:${match.id}` : `${keyOf(term)}|${term.pos || ''}`;
+    if (planned.has(plannedKey)) {
+      plan.duplicates++;
+      continue;
+    }
+    planned.add(plannedKey);
+    if (!match) {
+      plan.create.push({ ...term, lock: !!term.lock, forbidden: term.forbidden || [] });
+      continue;
+    }
+
+    const data = {};
+    const changes = {};
+    for (const field of TERM_FIELDS) {
+      const next = term[field];
+      const prev = match[field];
+      if (next === undefined || isEmpty(next) || sameValue(prev, next)) continue;
+      if (isEmpty(prev) || (field === 'lock' && !prev)) {
+        data[field] = next;
+        continue;
+      }
+      let resolution = onConflict;
+      if (field === 'forbidden' && onConflict === 'merge') {
+        data.forbidden = [...new Set([...(prev || []), ...next])];
+        resolution = 'merged';
+      } else if (onConflict === 'overwrite') {
+        if (field === 'tgt' && match.lock && !overrideLocked) resolution = 'kept_locked';
+        else data[field] = next;
+      } else {
+        resolution = 'kept_existing';
+      }
+      plan.conflicts.push({ id: match.id, src: match.src, tgt_lang: match.tgt_lang, field, existing: prev, incoming: next, resolution });
+    }
+    if (!match.src_lang && term.src_lang) data.src_lang = term.src_lang;
+    if (!match.concept_id && term.concept_id) data.concept_id = term.concept_id;
+
+    for (const field of Object.keys(data)) changes[field] = { from: match[field] ?? null, to: data[field] };
+    if (Object.keys(data).length) plan.update.push({ id: match.id, src: match.src, tgt_lang: match.tgt_lang, data, changes });
+    else plan.unchanged++;
+  }
+  return plan;
+}
+
+/* ---------------- Writing ---------------- */
+
+// Existing rows grouped back into concepts: by concept_id, else by source term and part of speech
+function groupConcepts(rows, srcLang) {
+  const groups = new Map();
+  for (const row of rows) {
+    const src = normLang(row.src_lang) || normLang(srcLang) || 'en';
+    const key = row.concept_id || `${src}|${String(row.src).toLowerCase()}|${row.pos || ''}`;
+    if (!groups.has(key)) groups.set(key, { id: row.concept_id || null, src, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+  return [...groups.values()];
+}
+
+const tig = (indent, text, pos, status) => `${indent}<tig>\n`
+  + `${indent}  <term>${escapeXmlText(text)}</term>\n`
+  + (pos ? `${indent}  <termNote type="partOfSpeech">${escapeXmlText(pos)}</termNote>\n` : '')
+  + `${indent}  <termNote type="administrativeStatus">${status}</termNote>\n`
+  + `${indent}</tig>\n`;
+
+/**
+ * TBX-Basic export. Rows without a target language are written under `tgtLang` (or "und").
+ * Lock and case hints have no TBX-Basic data category; they travel in the CSV export.
+ */
+function writeTbx(rows = [], { srcLang = 'en', tgtLang = null } = {}) {
+  const source = normLang(srcLang) || 'en';
+  let out = '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<!DOCTYPE martif SYSTEM "TBXBasiccoreStructV02.dtd">\n'
+    + `<martif type="TBX-Basic" xml:lang="${escapeXml(source)}">\n`
+    + '  <martifHeader>\n'
+    + '    <fileDesc><sourceDesc><p>Glossary export</p></sourceDesc></fileDesc>\n'
+    + '    <encodingDesc><p type="XCSURI">TBXBasicXCSV02.xcs</p></encodingDesc>\n'
+    + '  </martifHeader>\n'
+    + '  <text>\n    <body>\n';
+
+  groupConcepts(rows, source).forEach((group, i) => {
+    const first = group.rows[0];
+    const definition = group.rows.map(r => r.definition).find(Boolean);
+    out += `      <termEntry id="${escapeXml(group.id || `c${i + 1}`)}">\n`;
+    if (definition) out += `        <descrip type="definition">${escapeXmlText(definition)}</descrip>\n`;
+    out += `        <langSet xml:lang="${escapeXml(group.src)}">\n`;
+    out += tig('          ', first.src, first.pos, 'preferredTerm-admn-sts');
+    out += '        </langSet>\n';
+    for (const row of group.rows) {
+      const lang = normLang(row.tgt_lang) || normLang(tgtLang) || 'und';
+      out += `        <langSet xml:lang="${escapeXml(lang)}">\n`;
+      if (row.tgt) out += tig('          ', row.tgt, row.pos, 'preferredTerm-admn-sts');
+      for (const f of row.forbidden || []) out += tig('          ', f, row.pos, 'deprecatedTerm-admn-sts');
+      out += '        </langSet>\n';
+    }
+    out += '      </termEntry>\n';
+  });
+  return `${out}    </body>\n  </text>\n</martif>\n`;
+}
+
+const csvCell = (v) => {
+  const s = Array.isArray(v) ? v.join('; ') : v == null ? '' : String(v);
+  return /[",;\r\n\t]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Long-format CSV (one row per source/target pair), readable by parseTermCsv */
+function writeTermCsv(rows = [], { srcLang = 'en', tgtLang = null } = {}) {
+  const header = ['concept_id', 'src_lang', 'src', 'tgt_lang', 'tgt', 'pos', 'definition', 'forbidden', 'lock', 'case_hint'];
+  const lines = [header.join(',')];
+  for (const row of rows) {
+    lines.push([
+      row.concept_id,
+      normLang(row.src_lang) || normLang(srcLang),
+      row.src,
+      normLang(row.tgt_lang) || normLang(tgtLang),
+      row.tgt,
+      row.pos,
+      row.definition,
+      row.forbidden || [],
+      row.lock ? 'true' : 'false',
+      row.case_hint
+    ].map(csvCell).join(','));
+  }
+  // BOM so spreadsheet apps open non-Latin terms as UTF-8
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  TERMBASE_EXTENSIONS,
+  isTermbaseFile,
+  termbaseFormatFor,
+  langMatches,
+  parseTbx,
+  parseCsvRows,
+  parseTermCsv,
+  conceptsToTerms,
+  planImport,
+  writeTbx,
+  writeTermCsv
+};
@@ -0,0 +1,386 @@
+// formats/tmx.js
+/**
+ * TMX 1.4b reader and writer for translation memory exchange.
+ *  - readTmx: async generator over a string, Buffer or readable stream; yields the <header>
+ *    first, then one <tu> at a time, so large legacy memories never sit in memory whole
+ *  - inline codes: <bpt>/<ept> pairs become [[gN]]...[[/gN]], <ph>/<it>/<ut> become [[xN]];
+ *    <hi> is dropped and its text kept. Target codes are numbered to match the source
+ *    (by `x`, then by native code, then by order) so the pair lines up with file segments
+ *  - writeHeader / writeTu / TMX_FOOTER: string chunks for streaming export
+ * Dates are TMX basic ISO 8601 (YYYYMMDDThhmmssZ) in the file and SQLite UTC text in the TM.
+ */
+const { escapeXml, escapeXmlText, unescapeXml, parseAttrs, findElements } = require('./xml');
+const { TOKEN_RE, restoreInline } = require('./inline-codes');
+
+const TMX_EXTENSIONS = new Set(['.tmx']);
+const TMX_FOOTER = '  </body>\n</tmx>\n';
+
+function isTmxFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && TMX_EXTENSIONS.has(m[0]);
+}
+
+/* ---------------- Dates ---------------- */
+
+/** "20240115T093000Z" -> "2024-01-15 09:30:00" (SQLite CURRENT_TIMESTAMP form), or null */
+function fromTmxDate(value) {
+  const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}` : null;
+}
+
+/** Date, ISO string or SQLite UTC timestamp -> "20240115T093000Z", or null */
+function toTmxDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date
+    ? value
+    : new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+/* ---------------- Reading ---------------- */
+
+// Decode bytes as they arrive; TMX is UTF-8 unless a UTF-16 byte order mark says otherwise
+async function* decodeChunks(input) {
+  if (typeof input === 'string') {
+    yield input.replace(/^\ufeff/, '');
+    return;
+  }
+  const chunks = Buffer.isBuffer(input) || input instanceof Uint8Array ? [input] : input;
+  let decoder = null;
+  // Bytes held back until there are two to sniff a UTF-16 BOM from
+  let head = null;
+  for await (const chunk of chunks) {
+    if (typeof chunk === 'string') {
+      yield chunk;
+      continue;
+    }
+    let bytes = chunk;
+    if (!decoder) {
+      bytes = head ? Buffer.concat([head, bytes]) : bytes;
+      if (bytes.length < 2) {
+        head = bytes;
+        continue;
+      }
+      const encoding = bytes[0] === 0xff && bytes[1] === 0xfe ? 'utf-16le'
+        : bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : 'utf-8';
+      decoder = new TextDecoder(encoding);
+    }
+    yield decoder.decode(bytes, { stream: true });
+  }
+  if (decoder) yield decoder.decode();
+  else if (head) yield new TextDecoder().decode(head);
+}
+
+// <prop type="...">value</prop> children of an element (variants removed by the caller)
+function readProps(xml) {
+  const props = {};
+  for (const el of findElements(xml, 'prop')) {
+    if (el.attrs.type) props[el.attrs.type] = unescapeXml(el.inner).trim();
+  }
+  return props;
+}
+
+function readNotes(xml) {
+  return findElements(xml, 'note').map(el => unescapeXml(el.inner).trim()).filter(Boolean);
+}
+
+// The <header> once the buffer holds all of it; null while more input is needed
+function readHeader(buf) {
+  const root = buf.match(/<tmx\b([^>]*)>/);
+  if (!root) {
+    // Another root element (or no root after the prolog) means this is not TMX at all
+    const other = buf.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/g, '').match(/<([\w:.-]+)[\s/>]/);
+    if (buf.length > 4096 || (other && other[1] !== 'tmx')) throw new Error('Not a TMX document');
+    return null;
+  }
+  const re = /<header\b([^>]*?)(\/?)>/g;
+  re.lastIndex = root.index;
+  const m = re.exec(buf);
+  if (!m) {
+    if (/<body\b/.test(buf)) throw new Error('Invalid TMX file: <header> is missing');
+    return null;
+  }
+  let end = m.index + m[0].length;
+  let inner = '';
+  if (!m[2]) {
+    const close = buf.indexOf('</header>', end);
+    if (close === -1) return null;
+    inner = buf.slice(end, close);
+    end = close + '</header>'.length;
+  }
+  const attrs = parseAttrs(m[1]);
+  return {
+    end,
+    header: {
+      type: 'header',
+      version: parseAttrs(root[1]).version || null,
+      srclang: attrs.srclang || null,
+      adminlang: attrs.adminlang || null,
+      datatype: attrs.datatype || null,
+      segtype: attrs.segtype || null,
+      creationtool: attrs.creationtool || null,
+      creationDate: fromTmxDate(attrs.creationdate),
+      props: readProps(inner),
+      notes: readNotes(inner)
+    }
+  };
+}
+
+function parseTu(xml) {
+  const attrs = parseAttrs((xml.match(/^<tu\b([^>]*)>/) || [])[1] || '');
+  const tuvs = findElements(xml, 'tuv');
+  // Props and notes of the <tu> itself, outside its variants
+  let outer = xml;
+  for (const tuv of [...tuvs].reverse()) outer = outer.slice(0, tuv.start) + outer.slice(tuv.end);
+
+  return {
+    type: 'tu',
+    tuid: attrs.tuid || null,
+    srclang: attrs.srclang || null,
+    creationDate: fromTmxDate(attrs.creationdate),
+    changeDate: fromTmxDate(attrs.changedate),
+    creationId: attrs.creationid || null,
+    usageCount: Number(attrs.usagecount) || 0,
+    props: readProps(outer),
+    notes: readNotes(outer),
+    variants: tuvs.map(tuv => {
+      const seg = findElements(tuv.inner, 'seg')[0];
+      const rest = seg ? tuv.inner.slice(0, seg.start) + tuv.inner.slice(seg.end) : tuv.inner;
+      return {
+        // TMX 1.1 used a plain `lang`
+        lang: tuv.attrs['xml:lang'] || tuv.attrs.lang || '',
+        creationDate: fromTmxDate(tuv.attrs.creationdate),
+        changeDate: fromTmxDate(tuv.attrs.changedate),
+        props: readProps(rest),
+        seg: seg ? seg.inner : null
+      };
+    })
+  };
+}
+
+/**
+ * Stream a TMX document: yields { type: 'header', srclang, ... } then { type: 'tu', ... }
+ * per translation unit. Variant segments stay raw XML; see tokenizeSeg / unitPairs.
+ * @param {string|Buffer|AsyncIterable<Buffer|string>} input
+ */
+async function* readTmx(input) {
+  let buf = '';
+  let header = null;
+  const tuStart = /<tu[\s>]/g;
+
+  for await (const chunk of decodeChunks(input)) {
+    buf += chunk;
+    if (!header) {
+      const found = readHeader(buf);
+      if (!found) continue;
+      header = found.header;
+      buf = buf.slice(found.end);
+      yield header;
+    }
+    for (;;) {
+      tuStart.lastIndex = 0;
+      const start = tuStart.exec(buf);
+      if (!start) {
+        // Nothing but whitespace/comments between units; keep a tail in case "<tu" is split
+        buf = buf.slice(-3);
+        break;
+      }
+      const close = buf.indexOf('</tu>', start.index);
+      if (close === -1) {
+        buf = buf.slice(start.index);
+        break;
+      }
+      yield parseTu(buf.slice(start.index, close + '</tu>'.length));
+      buf = buf.slice(close + '</tu>'.length);
+    }
+  }
+  if (!header) throw new Error(buf.trim() ? 'Invalid TMX file: <header> is missing' : 'Empty TMX document');
+}
+
+/* ---------------- Inline codes ---------------- */
+
+// Code elements of a <seg>; <hi> and stray <sub> markup is dropped, their text kept
+const CODE_RE = /<(bpt|ept|ph|it|ut)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)|<\/?(?:hi|sub)\b[^>]*>/g;
+
+/**
+ * Inner XML of a <seg> -> { text, tags } with [[gN]]/[[xN]] tokens; `tags` keep the TMX
+ * markup so the segment writes back unchanged. Pass the source side as `reference` when
+ * tokenizing a target so the same code gets the same token.
+ */
+function tokenizeSeg(inner = '', reference = null) {
+  const parts = [];
+  let pos = 0;
+  let m;
+  CODE_RE.lastIndex = 0;
+  while ((m = CODE_RE.exec(inner))) {
+    if (m.index > pos) parts.push(unescapeXml(inner.slice(pos, m.index)));
+    pos = CODE_RE.lastIndex;
+    if (!m[1]) continue;
+    const attrs = parseAttrs(m[2] || '');
+    parts.push({ el: m[1], attrs, markup: m[0], native: unescapeXml((m[3] || '').replace(/<[^>]+>/g, '')) });
+  }
+  if (pos < inner.length) parts.push(unescapeXml(inner.slice(pos)));
+
+  // Pair <bpt i="n"> with the later <ept i="n">; anything unpaired is a standalone code
+  const codes = parts.filter(p => typeof p !== 'string');
+  for (const code of codes) {
+    if (code.el !== 'bpt' || code.attrs.i == null) continue;
+    const ept = codes.find(c => c.el === 'ept' && !c.open && c.attrs.i === code.attrs.i && codes.indexOf(c) > codes.indexOf(code));
+    if (ept) {
+      code.close = ept;
+      ept.open = code;
+    }
+  }
+
+  const taken = new Set();
+  let counter = reference ? Math.max(0, ...reference.codes.map(c => Number(c.id.slice(1)))) : 0;
+  const idFor = (code, kind) => {
+    if (reference) {
+      const candidates = reference.codes.filter(c => c.kind === kind && !taken.has(c.id));
+      const match = (code.attrs.x != null && candidates.find(c => c.x === code.attrs.x))
+        || candidates.find(c => c.native === code.native)
+        || candidates[0];
+      if (match) {
+        taken.add(match.id);
+        return match.id;
+      }
+    }
+    return `${kind}${++counter}`;
+  };
+
+  const tags = {};
+  const out = { text: '', tags, codes: [] };
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      out.text += part;
+    } else if (part.close) {
+      part.id = idFor(part, 'g');
+      tags[part.id] = { open: part.markup, close: part.close.markup };
+      out.codes.push({ id: part.id, kind: 'g', x: part.attrs.x, native: part.native });
+      out.text += `[[${part.id}]]`;
+    } else if (part.open) {
+      out.text += `[[/${part.open.id}]]`;
+    } else {
+      const id = idFor(part, 'x');
+      tags[id] = { markup: part.markup };
+      out.codes.push({ id, kind: 'x', x: part.attrs.x, native: part.native });
+      out.text += `[[${id}]]`;
+    }
+  }
+  return out;
+}
+
+/** Primary subtag comparison for TMX languages ("en-US" ~ "EN-us", "en" ~ "en-GB") */
+function sameLang(a, b, exact = true) {
+  const norm = (l) => String(l || '').toLowerCase().replace(/_/g, '-');
+  return exact ? norm(a) === norm(b) : norm(a).split('-')[0] === norm(b).split('-')[0];
+}
+
+/**
+ * Source/target pairs of a <tu>: every variant against the source variant, chosen by the
+ * unit's srclang, the header's srclang, or (for "*all*") the first variant.
+ * Variant props override unit props; variant dates override unit dates.
+ */
+function unitPairs(tu, headerSrclang = null) {
+  const variants = tu.variants.filter(v => v.lang && v.seg != null);
+  const srclang = tu.srclang || headerSrclang;
+  const source = (srclang && srclang !== '*all*')
+    ? variants.find(v => sameLang(v.lang, srclang)) || variants.find(v => sameLang(v.lang, srclang, false))
+    : variants[0];
+  if (!source) return [];
+
+  const src = tokenizeSeg(source.seg);
+  if (!src.text.trim()) return [];
+  return variants.filter(v => v !== source).map(target => {
+    const tgt = tokenizeSeg(target.seg, src);
+    return {
+      sourceLang: source.lang,
+      targetLang: target.lang,
+      source: { text: src.text, tags: src.tags },
+      target: { text: tgt.text, tags: tgt.tags },
+      props: { ...tu.props, ...source.props, ...target.props },
+      creationDate: target.creationDate || tu.creationDate,
+      changeDate: target.changeDate || tu.changeDate
+    };
+  }).filter(pair => pair.target.text.trim());
+}
+
+/* ---------------- Writing ---------------- */
+
+// Tokens without recorded TMX markup (segments from our own file pipelines) get empty codes
+function segXml(text = '', tags = {}) {
+  const all = { ...tags };
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(String(text)))) {
+    const id = `${m[2]}${m[3]}`;
+    if (all[id]) continue;
+    all[id] = m[2] === 'g'
+      ? { open: `<bpt i="${m[3]}" x="${m[3]}"/>`, close: `<ept i="${m[3]}"/>` }
+      : { markup: `<ph x="${m[3]}"/>` };
+  }
+  return restoreInline(text, all, escapeXmlText);
+}
+
+const attrList = (attrs) => Object.entries(attrs)
+  .filter(([, v]) => v != null && v !== '')
+  .map(([k, v]) => ` ${k}="${escapeXml(String(v))}"`)
+  .join('');
+
+/** XML declaration, <tmx>, <header/> and the opening <body> */
+function writeHeader({ srclang = '*all*', creationtool = 'localization-app', creationtoolversion = '1.0', adminlang = 'en', props = {} } = {}) {
+  const attrs = attrList({
+    creationtool,
+    creationtoolversion,
+    datatype: 'plaintext',
+    segtype: 'sentence',
+    adminlang,
+    srclang,
+    'o-tmf': creationtool,
+    creationdate: toTmxDate(new Date())
+  });
+  const propXml = Object.entries(props)
+    .filter(([, v]) => v != null && v !== '')
+    .map(([type, v]) => `    <prop type="${escapeXml(type)}">${escapeXmlText(String(v))}</prop>\n`)
+    .join('');
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<tmx version="1.4">\n'
+    + (propXml ? `  <header${attrs}>\n${propXml}  </header>\n` : `  <header${attrs}/>\n`)
+    + '  <body>\n';
+}
+
+/**
+ * One <tu>. Dates accept Date, ISO or SQLite timestamps.
+ * @param {{ tuid?, creationDate?, changeDate?, creationId?, usageCount?, props?, variants: [{ lang, text, tags? }] }} unit
+ */
+function writeTu({ tuid, creationDate, changeDate, creationId, usageCount, props = {}, variants = [] }) {
+  const attrs = attrList({
+    tuid,
+    creationdate: toTmxDate(creationDate),
+    creationid: creationId,
+    changedate: toTmxDate(changeDate),
+    usagecount: usageCount || null
+  });
+  let out = `    <tu${attrs}>\n`;
+  for (const [type, v] of Object.entries(props)) {
+    if (v == null || v === '') continue;
+    out += `      <prop type="${escapeXml(type)}">${escapeXmlText(String(v))}</prop>\n`;
+  }
+  for (const v of variants) {
+    out += `      <tuv xml:lang="${escapeXml(v.lang)}"><seg>${segXml(v.text, v.tags)}</seg></tuv>\n`;
+  }
+  return `${out}    </tu>\n`;
+}
+
+module.exports = {
+  TMX_EXTENSIONS,
+  TMX_FOOTER,
+  isTmxFile,
+  fromTmxDate,
+  toTmxDate,
+  readTmx,
+  tokenizeSeg,
+  unitPairs,
+  writeHeader,
+  writeTu
+};
@@ -0,0 +1,291 @@
+// formats/xliff.js
+/**
+ * XLIFF 1.2 / 2.0 reader and writer for CAT-tool exchange.
+ *  - parseXliff: trans-units (1.2) or unit/segment pairs (2.0) with ids, notes, state
+ *  - inline codes (<g>, <x/>, <pc>, <ph/>, <bpt>...) become opaque [[gN]]/[[/gN]]/[[xN]] tokens
+ *  - buildXliff: splices targets into the ORIGINAL document so the skeleton is untouched
+ */
+const { escapeXml, escapeXmlText, unescapeXml, findElements, setAttr, splice } = require('./xml');
+const { validateInlineTags, restoreInline: restoreCodes } = require('./inline-codes');
+
+const XLIFF_EXTENSIONS = new Set(['.xlf', '.xliff']);
+
+// Elements whose content is native code and must travel as a single token
+const NATIVE_CODE_ELEMENTS = new Set(['ph', 'bpt', 'ept', 'it', 'sub']);
+
+function isXliffFile(name = '') {
+  const m = String(name).toLowerCase().match(/\.[^.]+$/);
+  return !!m && XLIFF_EXTENSIONS.has(m[0]);
+}
+
+function detectVersion(xml = '') {
+  const root = String(xml).match(/<xliff\b[^>]*>/);
+  if (!root) throw new Error('Not an XLIFF document');
+  if (/urn:oasis:names:tc:xliff:document:2\./.test(root[0]) || /\sversion\s*=\s*["']2\./.test(root[0])) return '2.0';
+  return '1.2';
+}
+
+/**
+ * Turn the inner XML of a <source>/<target> into translatable text with tokens.
+ * Returns { text, tags } where tags maps token ids to their original markup.
+ */
+function tokenizeInline(innerXml = '') {
+  const tags = {};
+  const stack = [];
+  let text = '';
+  let counter = 0;
+  let pos = 0;
+  const tagRe = /<(\/?)([\w:.-]+)((?:\s[^>]*?)?)(\/?)>/g;
+  let m;
+
+  while ((m = tagRe.exec(innerXml))) {
+    text += unescapeXml(innerXml.slice(pos, m.index));
+    const [markup, closing, name, , selfClose] = m;
+    const local = name.replace(/^.*:/, '');
+
+    if (closing) {
+      const open = stack.pop();
+      if (open) {
+        tags[open].close = markup;
+        text += `[[/${open}]]`;
+      } else {
+        // Stray close tag: keep it as a standalone code
+        const id = `x${++counter}`;
+        tags[id] = { markup };
+        text += `[[${id}]]`;
+      }
+    } else if (selfClose) {
+      const id = `x${++counter}`;
+      tags[id] = { markup };
+      text += `[[${id}]]`;
+    } else if (NATIVE_CODE_ELEMENTS.has(local)) {
+      // Swallow the whole element, its content is code not text
+      const closeTag = `</${name}>`;
+      const closeIdx = innerXml.indexOf(closeTag, m.index + markup.length);
+      const end = closeIdx === -1 ? m.index + markup.length : closeIdx + closeTag.length;
+      const id = `x${++counter}`;
+      tags[id] = { markup: innerXml.slice(m.index, end) };
+      text += `[[${id}]]`;
+      tagRe.lastIndex = end;
+    } else {
+      const id = `g${++counter}`;
+      tags[id] = { open: markup, close: `</${name}>` };
+      stack.push(id);
+      text += `[[${id}]]`;
+    }
+    pos = tagRe.lastIndex;
+  }
+  text += unescapeXml(innerXml.slice(pos));
+  return { text, tags };
+}
+
+// Inner XML needs its text re-escaped between the restored codes
+function restoreInline(text = '', tags = {}) {
+  return restoreCodes(text, tags, escapeXmlText);
+}
+
+function readNotes(xml, from, to) {
+  return findElements(xml, 'note', from, to)
+    .map(n => ({ text: unescapeXml(n.inner.replace(/<[^>]+>/g, '')).trim(), from: n.attrs.from || n.attrs.category || null }))
+    .filter(n => n.text);
+}
+
+// Leading whitespace on the line an element starts on, used when inserting siblings
+function indentBefore(xml, index) {
+  const lineStart = xml.lastIndexOf('\n', index - 1);
+  const ws = xml.slice(lineStart + 1, index);
+  return /^[ \t]*$/.test(ws) ? ws : '';
+}
+
+function parse12(xml) {
+  const files = findElements(xml, 'file');
+  const units = [];
+  const multiFile = files.length > 1;
+  let srcLang = null;
+  let tgtLang = null;
+
+  files.forEach((file, fileIndex) => {
+    srcLang = srcLang || file.attrs['source-language'] || null;
+    tgtLang = tgtLang || file.attrs['target-language'] || null;
+    for (const tu of findElements(xml, 'trans-unit', file.innerStart, file.innerEnd)) {
+      if (tu.attrs.translate === 'no') continue;
+      // alt-trans carries its own <source>/<target> which we must ignore
+      const alt = findElements(xml, 'alt-trans', tu.innerStart, tu.innerEnd);
+      const outsideAlt = el => !alt.some(a => el.start >= a.start && el.end <= a.end);
+      const source = findElements(xml, 'source', tu.innerStart, tu.innerEnd).find(outsideAlt);
+      if (!source) continue;
+      const segSource = findElements(xml, 'seg-source', tu.innerStart, tu.innerEnd)[0];
+      const target = findElements(xml, 'target', tu.innerStart, tu.innerEnd).find(outsideAlt);
+      const { text, tags } = tokenizeInline(source.inner);
+      const id = tu.attrs.id || `tu${units.length + 1}`;
+      units.push({
+        key: multiFile ? `${fileIndex}/${id}` : id,
+        id,
+        file: file.attrs.original || null,
+        resname: tu.attrs.resname || null,
+        text,
+        tags,
+        notes: readNotes(xml, tu.innerStart, tu.innerEnd),
+        state: target ? (target.attrs.state || null) : null,
+        target: target ? tokenizeInline(target.inner).text : '',
+        _loc: { fileOpen: file, source, segSource, target }
+      });
+    }
+  });
+
+  return { version: '1.2', srcLang, tgtLang, units };
+}
+
+function parse20(xml) {
+  const root = findElements(xml, 'xliff')[0];
+  const units = [];
+  for (const unit of findElements(xml, 'unit')) {
+    if (unit.attrs.translate === 'no') continue;
+    const notes = readNotes(xml, unit.innerStart, unit.innerEnd);
+    const segments = findElements(xml, 'segment', unit.innerStart, unit.innerEnd);
+    segments.forEach((seg, segIndex) => {
+      if (seg.attrs.translate === 'no') return;
+      const source = findElements(xml, 'source', seg.innerStart, seg.innerEnd)[0];
+      if (!source) return;
+      const target = findElements(xml, 'target', seg.innerStart, seg.innerEnd)[0];
+      const { text, tags } = tokenizeInline(source.inner);
+      const id = unit.attrs.id || `u${units.length + 1}`;
+      units.push({
+        key: segments.length > 1 ? `${id}#${seg.attrs.id || segIndex}` : id,
+        id,
+        segmentId: seg.attrs.id || null,
+        resname: unit.attrs.name || null,
+        text,
+        tags,
+        notes,
+        state: seg.attrs.state || null,
+        target: target ? tokenizeInline(target.inner).text : '',
+        _loc: { segment: seg, source, target }
+      });
+    });
+  }
+  return {
+    version: '2.0',
+    srcLang: root?.attrs.srcLang || null,
+    tgtLang: root?.attrs.trgLang || null,
+    units
+  };
+}
+
+/**
+ * Parse an XLIFF document into translatable units.
+ * @returns {{ version: string, srcLang: string|null, tgtLang: string|null, units: Array }}
+ */
+function parseXliff(xml = '') {
+  const doc = String(xml).replace(/^\uFEFF/, '');
+  return detectVersion(doc) === '2.0' ? parse20(doc) : parse12(doc);
+}
+
+/** Public view of units (drops the internal location info) */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    notes: u.notes.map(n => n.text),
+    state: u.state,
+    resname: u.resname,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/**
+ * Write translations back into the original XLIFF.
+ * @param {string} xml original document (the skeleton)
+ * @param {Map|Array|Object} translations unit key -> tokenized target text
+ * @param {{ targetLang?: string, state?: string }} options
+ */
+function buildXliff(xml = '', translations = {}, { targetLang = null, state = 'translated' } = {}) {
+  const doc = String(xml).replace(/^\uFEFF/, '');
+  const parsed = parseXliff(doc);
+  const map = normalizeTranslations(translations);
+  const edits = [];
+
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const tgtText = map.get(unit.key);
+    if (!tgtText.trim() && unit.text.trim()) continue;
+    const inner = restoreInline(tgtText, unit.tags);
+    const loc = unit._loc;
+
+    if (parsed.version === '1.2') {
+      if (loc.target) {
+        const open = setAttr(loc.target.open.replace(/\/>$/, '>'), 'state', state);
+        edits.push({ start: loc.target.start, end: loc.target.end, text: `${open}${inner}</target>` });
+      } else {
+        const anchor = loc.segSource && loc.segSource.start > loc.source.start ? loc.segSource : loc.source;
+        const indent = indentBefore(doc, loc.source.start);
+        const lang = targetLang ? ` xml:lang="${escapeXml(targetLang)}"` : '';
+        edits.push({ start: anchor.end, end: anchor.end, text: `\n${indent}<target${lang} state="${state}">${inner}</target>` });
+      }
+    } else {
+      const seg = loc.segment;
+      edits.push({ start: seg.start, end: seg.start + seg.open.length, text: setAttr(seg.open, 'state', state) });
+      if (loc.target) {
+        const open = loc.target.open.replace(/\/>$/, '>');
+        edits.push({ start: loc.target.start, end: loc.target.end, text: `${open}${inner}</target>` });
+      } else {
+        const indent = indentBefore(doc, loc.source.start);
+        edits.push({ start: loc.source.end, end: loc.source.end, text: `\n${indent}<target>${inner}</target>` });
+      }
+    }
+  }
+
+  // Declare the target language on the container if the source file left it blank
+  if (targetLang) {
+    if (parsed.version === '1.2') {
+      for (const file of findElements(doc, 'file')) {
+        if (!file.attrs['target-language']) {
+          edits.push({ start: file.start, end: file.start + file.open.length, text: setAttr(file.open, 'target-language', targetLang) });
+        }
+      }
+    } else {
+      const root = findElements(doc, 'xliff')[0];
+      if (root && !root.attrs.trgLang) {
+        edits.push({ start: root.start, end: root.start + root.open.length, text: setAttr(root.open, 'trgLang', targetLang) });
+      }
+    }
+  }
+
+  return splice(doc, dedupeEdits(edits));
+}
+
+// A unit's <segment> open tag and its <file> open tag are never the same span,
+// but guard against two edits touching one range all the same
+function dedupeEdits(edits) {
+  const seen = new Set();
+  return edits.filter(e => {
+    const k = `${e.start}:${e.end}`;
+    if (e.start !== e.end && seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+module.exports = {
+  XLIFF_EXTENSIONS,
+  isXliffFile,
+  parseXliff,
+  buildXliff,
+  toSegments,
+  tokenizeInline,
+  restoreInline,
+  validateInlineTags
+};
@@ -0,0 +1,367 @@
+// formats/xlsx.js
+/**
+ * XLSX (SpreadsheetML) cell translation.
+ * A column spec picks the sheets and source columns and says which column receives each
+ * target language; without one, every text cell is translated in place. Formulas, numbers,
+ * booleans and header rows are never touched, and translations are written as inline
+ * strings so shared strings used elsewhere, styles and merged cells stay as they were.
+ */
+const JSZip = require('jszip');
+const path = require('path');
+const { setAttr, findElements, splice } = require('./xml');
+const { validateInlineTags } = require('./inline-codes');
+const { SHEET, mapParagraphs } = require('./ooxml');
+const { toGettextCode } = require('./po');
+
+/* ---------------- Cell references ---------------- */
+
+function columnIndex(letters) {
+  let n = 0;
+  for (const ch of String(letters).toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n;
+}
+
+function columnLetters(index) {
+  let s = '';
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function splitRef(ref) {
+  const m = /^([A-Z]+)(\d+)$/i.exec(String(ref || ''));
+  return m ? { col: columnIndex(m[1]), row: Number(m[2]) } : null;
+}
+
+function parseRange(ref) {
+  const [a, b = a] = String(ref).split(':');
+  const from = splitRef(a);
+  const to = splitRef(b);
+  return from && to ? { c1: from.col, r1: from.row, c2: to.col, r2: to.row } : null;
+}
+
+/* ---------------- Package ---------------- */
+
+async function loadWorkbook(buffer) {
+  const zip = buffer instanceof JSZip ? buffer : await JSZip.loadAsync(buffer);
+  const workbook = zip.file('xl/workbook.xml');
+  if (!workbook) throw new Error('Invalid XLSX file: xl/workbook.xml is missing');
+  const wbXml = await workbook.async('string');
+  const relsFile = zip.file('xl/_rels/workbook.xml.rels');
+  const rels = relsFile ? findElements(await relsFile.async('string'), 'Relationship') : [];
+  const targets = new Map(rels.map(r => [r.attrs.Id, r.attrs.Target]));
+
+  const sheets = findElements(wbXml, 'sheet').map(s => {
+    const target = targets.get(s.attrs['r:id']) || '';
+    return {
+      name: s.attrs.name,
+      path: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join('xl', target))
+    };
+  }).filter(s => zip.file(s.path));
+
+  const sstFile = zip.file('xl/sharedStrings.xml');
+  const shared = sstFile ? findElements(await sstFile.async('string'), 'si').map(si => si.inner) : [];
+  return { zip, sheets, shared };
+}
+
+/* ---------------- Spec ---------------- */
+
+/**
+ * Resolve the request's column spec against a sheet's header row:
+ * { sheets?: [name], headerRow?: n, columns?: [{ source, targets?: { lang: column }, target?, sheet? }] }
+ * Columns may be letters ("B") or header captions ("Description").
+ */
+function resolveColumns(spec, sheetName, headers) {
+  if (!spec || !Array.isArray(spec.columns) || !spec.columns.length) return null;
+  const byCaption = (ref) => {
+    if (ref == null) return null;
+    if (/^[A-Z]{1,3}$/.test(String(ref))) return columnIndex(ref);
+    const want = String(ref).trim().toLowerCase();
+    for (const [col, caption] of headers) {
+      if (caption.trim().toLowerCase() === want) return col;
+    }
+    return null;
+  };
+  const resolved = new Map();
+  for (const column of spec.columns) {
+    if (column.sheet && column.sheet !== sheetName) continue;
+    const source = byCaption(column.source);
+    if (!source) continue;
+    const targets = {};
+    for (const [lang, ref] of Object.entries(column.targets || {})) {
+      const col = byCaption(ref);
+      if (col) targets[lang] = col;
+    }
+    resolved.set(source, { targets, target: byCaption(column.target) });
+  }
+  return resolved;
+}
+
+// Target column for a language; keys match loosely ("fr", "fr-FR", "French")
+function targetColumnFor(column, lang) {
+  if (!column) return null;
+  const want = toGettextCode(lang || '');
+  for (const [key, col] of Object.entries(column.targets)) {
+    if (key === lang || toGettextCode(key) === want) return col;
+  }
+  const base = want.split('_')[0];
+  for (const [key, col] of Object.entries(column.targets)) {
+    if (toGettextCode(key).split('_')[0] === base) return col;
+  }
+  return column.target || null;
+}
+
+/* ---------------- Cells ---------------- */
+
+function cellText(xml, cell, shared) {
+  const type = cell.attrs.t || 'n';
+  if (/<f[\s>]/.test(cell.inner)) return null; // formulas (and their cached results) stay
+  if (type === 's') {
+    const v = /<v>([^<]*)<\/v>/.exec(cell.inner);
+    return v && shared[Number(v[1])] !== undefined ? shared[Number(v[1])] : null;
+  }
+  if (type === 'inlineStr') {
+    const is = findElements(xml, 'is', cell.innerStart, cell.innerEnd)[0];
+    return is ? is.inner : null;
+  }
+  if (type === 'str') {
+    const v = /<v>([^<]*)<\/v>/.exec(cell.inner);
+    return v ? `<t>${v[1]}</t>` : null;
+  }
+  return null; // numbers, booleans, errors, dates
+}
+
+// Tokenize string XML (bare <t> or rich runs) with the shared OOXML tokenizer
+function tokenizeString(inner) {
+  let unit = null;
+  mapParagraphs(`<is>${inner}</is>`, SHEET, ({ text, tags }) => { unit = { text, tags }; return null; });
+  return unit;
+}
+
+function renderString(inner, target) {
+  const out = mapParagraphs(`<is>${inner}</is>`, SHEET, () => target);
+  // A single plain run collapses back to the simple form
+  return out.replace(/^<is><r><t xml:space="preserve">([^<]*)<\/t><\/r><\/is>$/, '<is><t xml:space="preserve">$1</t></is>');
+}
+
+function sheetRows(xml) {
+  const data = findElements(xml, 'sheetData')[0];
+  if (!data) return [];
+  return findElements(xml, 'row', data.innerStart, data.innerEnd).map(row => {
+    let col = 0;
+    const cells = findElements(xml, 'c', row.innerStart, row.innerEnd).map(c => {
+      const pos = splitRef(c.attrs.r);
+      col = pos ? pos.col : col + 1;
+      return { ...c, col };
+    });
+    return { ...row, num: Number(row.attrs.r), cells };
+  });
+}
+
+function mergedRanges(xml) {
+  return findElements(xml, 'mergeCell').map(m => parseRange(m.attrs.ref)).filter(Boolean);
+}
+
+// Cells hidden under a merge (anything but its top-left anchor)
+function coveredByMerge(merges, col, row) {
+  return merges.some(m => col >= m.c1 && col <= m.c2 && row >= m.r1 && row <= m.r2 && !(col === m.c1 && row === m.r1));
+}
+
+function headerCaptions(xml, rows, shared, headerRow) {
+  const headers = new Map();
+  const row = rows.find(r => r.num === (headerRow || 1));
+  if (!row) return headers;
+  for (const cell of row.cells) {
+    const inner = cellText(xml, cell, shared);
+    if (inner == null) continue;
+    const unit = tokenizeString(inner);
+    if (unit) headers.set(cell.col, unit.text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+  }
+  return headers;
+}
+
+const hasLetters = (text) => /\p{L}/u.test(text.replace(/\[\[\/?[gx]\d+\]\]/g, ''));
+
+/**
+ * Translatable cells for the spec.
+ * @returns {Promise<{ sheets: [{ name, headers }], units: [{ key, sheet, cell, text, tags, context }] }>}
+ */
+async function parseXlsx(buffer, spec = {}) {
+  const { zip, sheets, shared } = await loadWorkbook(buffer);
+  const headerRow = Number(spec.headerRow) || 0;
+  const wanted = Array.isArray(spec.sheets) && spec.sheets.length ? new Set(spec.sheets) : null;
+  const units = [];
+  const summary = [];
+
+  for (const sheet of sheets) {
+    const xml = await zip.file(sheet.path).async('string');
+    const rows = sheetRows(xml);
+    const headers = headerCaptions(xml, rows, shared, headerRow);
+    summary.push({ name: sheet.name, headers: Object.fromEntries([...headers].map(([col, caption]) => [columnLetters(col), caption])) });
+    if (wanted && !wanted.has(sheet.name)) continue;
+    const columns = resolveColumns(spec, sheet.name, headers);
+
+    for (const row of rows) {
+      if (row.num <= headerRow) continue;
+      for (const cell of row.cells) {
+        if (columns && !columns.has(cell.col)) continue;
+        const inner = cellText(xml, cell, shared);
+        if (inner == null) continue;
+        const unit = tokenizeString(inner);
+        if (!unit || !hasLetters(unit.text)) continue;
+        const ref = `${columnLetters(cell.col)}${row.num}`;
+        const caption = headers.get(cell.col);
+        units.push({
+          key: `${sheet.name}!${ref}`,
+          sheet: sheet.name,
+          cell: ref,
+          text: unit.text,
+          tags: unit.tags,
+          context: `Sheet "${sheet.name}", column ${columnLetters(cell.col)}${caption && headerRow ? ` ("${caption}")` : ''}`
+        });
+      }
+    }
+  }
+  return { sheets: summary, units };
+}
+
+/** Public view of units */
+function toSegments(parsed) {
+  return parsed.units.map(u => ({
+    id: u.key,
+    text: u.text,
+    context: u.context,
+    tags: Object.keys(u.tags)
+  }));
+}
+
+function normalizeTranslations(translations) {
+  if (translations instanceof Map) return translations;
+  const map = new Map();
+  if (Array.isArray(translations)) {
+    for (const t of translations) {
+      if (t && (t.id != null || t.key != null)) map.set(String(t.key ?? t.id), String(t.text ?? t.tgt ?? ''));
+    }
+  } else if (translations && typeof translations === 'object') {
+    for (const [k, v] of Object.entries(translations)) map.set(String(k), String(v ?? ''));
+  }
+  return map;
+}
+
+/** Cells whose tokens did not survive; buildXlsx repairs them (lost codes re-appended) */
+function checkPlaceholders(parsed, translations) {
+  const map = normalizeTranslations(translations);
+  const problems = [];
+  for (const unit of parsed.units) {
+    if (!map.has(unit.key)) continue;
+    const check = validateInlineTags(map.get(unit.key), unit.tags);
+    if (!check.ok) problems.push({ key: unit.key, ...check });
+  }
+  return problems;
+}
+
+// Cell markup holding an inline string; keeps the cell's style and other attributes
+function inlineCell(openTag, ref, isXml) {
+  let open = openTag.replace(/\s*\/>$/, '>');
+  open = setAttr(setAttr(open, 'r', ref), 't', 'inlineStr');
+  return `${open}${isXml}</c>`;
+}
+
+/**
+ * Write translations into the workbook. Each locale goes to its target column from the
+ * spec, or replaces the source cell when the spec names none.
+ * @param {Buffer} buffer original .xlsx (the skeleton)
+ * @param {[{ targetLang, translations }]} locales translations: unit key -> tokenized text
+ * @param {object} spec column spec (see resolveColumns)
+ * @returns {Promise<{ buffer: Buffer, skipped: [{ key, cell, reason }] }>}
+ */
+async function buildXlsx(buffer, locales = [], spec = {}) {
+  const { zip, sheets, shared } = await loadWorkbook(buffer);
+  const headerRow = Number(spec.headerRow) || 0;
+  const wanted = Array.isArray(spec.sheets) && spec.sheets.length ? new Set(spec.sheets) : null;
+  const skipped = [];
+  const maps = locales.map(l => ({ lang: l.targetLang || null, map: normalizeTranslations(l.translations) }));
+
+  for (const sheet of sheets) {
+    if (wanted && !wanted.has(sheet.name)) continue;
+    const xml = await zip.file(sheet.path).async('string');
+    const rows = sheetRows(xml);
+    const merges = mergedRanges(xml);
+    const columns = resolveColumns(spec, sheet.name, headerCaptions(xml, rows, shared, headerRow));
+    const edits = [];
+    let maxCol = 0;
+
+    for (const row of rows) {
+      if (row.num <= headerRow) continue;
+      // New cells per row, written in column order once the row is scanned
+      const writes = new Map();
+      for (const cell of row.cells) {
+        const key = `${sheet.name}!${columnLetters(cell.col)}${row.num}`;
+        const inner = cellText(xml, cell, shared);
+        if (inner == null || (columns && !columns.has(cell.col))) continue;
+        for (const { lang, map } of maps) {
+          if (!map.has(key) || !map.get(key).trim()) continue;
+          const col = targetColumnFor(columns && columns.get(cell.col), lang) || cell.col;
+          const ref = `${columnLetters(col)}${row.num}`;
+          const existing = row.cells.find(c => c.col === col);
+          if (coveredByMerge(merges, col, row.num)) {
+            skipped.push({ key, cell: ref, reason: 'merged' });
+            continue;
+          }
+          if (existing && existing !== cell && /<f[\s>]/.test(existing.inner)) {
+            skipped.push({ key, cell: ref, reason: 'formula' });
+            continue;
+          }
+          writes.set(col, { existing, source: cell, ref, is: renderString(inner, map.get(key)) });
+        }
+      }
+      if (!writes.size) continue;
+
+      const added = [];
+      for (const [col, w] of writes) {
+        maxCol = Math.max(maxCol, col);
+        if (w.existing) {
+          edits.push({ start: w.existing.start, end: w.existing.end, text: inlineCell(w.existing.open, w.ref, w.is) });
+        } else {
+          // Missing target cell: borrow the source cell's style so wrapping/fonts match
+          const style = w.source.attrs.s ? ` s="${w.source.attrs.s}"` : '';
+          added.push({ col, text: `<c r="${w.ref}"${style} t="inlineStr">${w.is}</c>` });
+        }
+      }
+      // New cells go in front of the first cell to their right, in column order
+      const inserts = new Map();
+      for (const add of added.sort((a, b) => a.col - b.col)) {
+        const next = row.cells.find(c => c.col > add.col);
+        const at = next ? next.start : row.innerEnd;
+        inserts.set(at, (inserts.get(at) || '') + add.text);
+      }
+      for (const [at, text] of inserts) edits.push({ start: at, end: at, text });
+      if (added.length && row.attrs.spans) {
+        const [lo, hi] = row.attrs.spans.split(':').map(Number);
+        const spans = `${Math.min(lo, ...added.map(a => a.col))}:${Math.max(hi, ...added.map(a => a.col))}`;
+        edits.push({ start: row.start, end: row.start + row.open.length, text: setAttr(row.open, 'spans', spans) });
+      }
+    }
+    if (!edits.length) continue;
+
+    // An insert before a replaced cell shares its start; replacements were queued first, and
+    // splice keeps queue order for equal starts, so the insert lands in front of the new cell
+    let out = splice(xml, edits);
+    const dim = /<dimension\b[^>]*\sref="([^"]+)"/.exec(out);
+    const range = dim && parseRange(dim[1]);
+    if (range && maxCol > range.c2) {
+      out = out.replace(dim[0], dim[0].replace(dim[1], `${columnLetters(range.c1)}${range.r1}:${columnLetters(maxCol)}${range.r2}`));
+    }
+    zip.file(sheet.path, out);
+  }
+
+  return { buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }), skipped };
+}
+
+module.exports = {
+  columnIndex,
+  columnLetters,
+  parseXlsx,
+  buildXlsx,
+  toSegments,
+  checkPlaceholders
+};
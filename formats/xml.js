@@ -0,0 +1,128 @@
+// formats/xml.js
+/**
+ * Tiny XML string helpers shared by the format modules.
+ * We splice translated text back into the original markup instead of
+ * re-serializing a DOM, so everything here works on raw strings.
+ */
+
+function escapeXml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Text nodes only need &, < and > escaped; keeps quotes readable in diffs
+function escapeXmlText(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function unescapeXml(text = '') {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/** Parse `a="1" b='2'` into a plain object (values unescaped) */
+function parseAttrs(attrString = '') {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(attrString))) {
+    attrs[m[1]] = unescapeXml(m[3] !== undefined ? m[3] : m[4]);
+  }
+  return attrs;
+}
+
+/** Set (or add) an attribute on an opening tag string like `<target state="new">` */
+function setAttr(openTag, name, value) {
+  const re = new RegExp(`(\\s${name.replace(/[.:]/g, '\\$&')}\\s*=\\s*)("[^"]*"|'[^']*')`);
+  const quoted = `"${escapeXml(value)}"`;
+  if (re.test(openTag)) return openTag.replace(re, `$1${quoted}`);
+  return openTag.replace(/\s*(\/?)>$/, ` ${name}=${quoted}$1>`);
+}
+
+/**
+ * Find every `<tag ...>...</tag>` element (non-nested) in xml.
+ * Returns [{ start, end, open, attrs, inner, innerStart, innerEnd, selfClosing }]
+ */
+function findElements(xml, tag, from = 0, to = xml.length) {
+  const out = [];
+  const name = tag.replace(/[.:]/g, '\\$&');
+  const openRe = new RegExp(`<${name}(\\s[^>]*?)?\\/?>`, 'g');
+  openRe.lastIndex = from;
+  let m;
+  while ((m = openRe.exec(xml)) && m.index < to) {
+    const open = m[0];
+    const attrs = parseAttrs(m[1] || '');
+    if (open.endsWith('/>')) {
+      out.push({ start: m.index, end: m.index + open.length, open, attrs, inner: '', innerStart: m.index + open.length, innerEnd: m.index + open.length, selfClosing: true });
+      continue;
+    }
+    const innerStart = m.index + open.length;
+    const closeTag = `</${tag}>`;
+    const closeIdx = findMatchingClose(xml, tag, innerStart);
+    if (closeIdx === -1 || closeIdx > to) break;
+    out.push({
+      start: m.index,
+      end: closeIdx + closeTag.length,
+      open,
+      attrs,
+      inner: xml.slice(innerStart, closeIdx),
+      innerStart,
+      innerEnd: closeIdx,
+      selfClosing: false
+    });
+    openRe.lastIndex = closeIdx + closeTag.length;
+  }
+  return out;
+}
+
+// Locate the close tag matching an already-consumed open tag, honouring nesting
+function findMatchingClose(xml, tag, pos) {
+  const name = tag.replace(/[.:]/g, '\\$&');
+  const re = new RegExp(`<${name}(\\s[^>]*?)?\\/?>|</${name}>`, 'g');
+  re.lastIndex = pos;
+  let depth = 1;
+  let m;
+  while ((m = re.exec(xml))) {
+    if (m[0].startsWith('</')) {
+      depth--;
+      if (depth === 0) return m.index;
+    } else if (!m[0].endsWith('/>')) {
+      depth++;
+    }
+  }
+  return -1;
+}
+
+/** Apply [{ start, end, text }] replacements to a string (any order) */
+function splice(source, edits) {
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  let out = source;
+  for (const e of sorted) {
+    out = out.slice(0, e.start) + e.text + out.slice(e.end);
+  }
+  return out;
+}
+
+module.exports = {
+  escapeXml,
+  escapeXmlText,
+  unescapeXml,
+  parseAttrs,
+  setAttr,
+  findElements,
+  findMatchingClose,
+  splice
+};
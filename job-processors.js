@@ -2,6 +2,9 @@
 const gemini = require('./gemini');
 const log = require('./logger');
 const { recordMetrics } = require('./metrics');
+const segmentation = require('./formats/segmentation');
+const langId = require('./formats/language-id');
+const glossaryCheck = require('./formats/glossary-check');
 
 // Using Gemini Flash; no OpenAI
 
@@ -10,7 +13,7 @@ const { recordMetrics } = require('./metrics');
  */
 async function processLongTranslationJob(job) {
   const startTime = Date.now();
-  const { text, mode, targetLanguage, subStyle, rephrase, injections, userId, requestId } = job.data;
+  const { text, mode, targetLanguage, sourceLanguage, subStyle, rephrase, injections, userId, requestId } = job.data;
 
   try {
     log.info('Processing long translation job', { 
@@ -27,7 +30,7 @@ async function processLongTranslationJob(job) {
 
     // Split large text into chunks if needed
     const maxChunkSize = Number(process.env.LONG_JOB_CHUNK_SIZE || 15000);
-    const chunks = text.length > maxChunkSize ? chunkText(text, maxChunkSize) : [text];
+    const chunks = text.length > maxChunkSize ? chunkText(text, maxChunkSize, langId.resolve(sourceLanguage, text)) : [text];
     
     await job.updateProgress(20);
 
@@ -71,9 +74,12 @@ async function processLongTranslationJob(job) {
       }
     }
 
+    // Glossary terms (set by processFileTranslationJob) are checked per chunk before joining
+    const glossary = await enforceJobGlossary(job, chunks, results);
+
     await job.updateProgress(95);
 
-    const finalResult = results.join(' ');
+    const finalResult = glossary.outputs.join(' ');
     const duration = Date.now() - startTime;
 
     // Record metrics
@@ -97,7 +103,8 @@ async function processLongTranslationJob(job) {
         inputLength: text.length,
         outputLength: finalResult.length,
         mode,
-        targetLanguage
+        targetLanguage,
+        glossary: glossary.report
       }
     };
 
@@ -130,7 +137,9 @@ async function processFileTranslationJob(job) {
     rephrase, 
     injections, 
     userId, 
-    requestId 
+    requestId,
+    sourceLanguage,
+    leverageFirst = process.env.FILE_LEVERAGE_FIRST === 'true'
   } = job.data;
 
   try {
@@ -145,6 +154,13 @@ async function processFileTranslationJob(job) {
 
     await job.updateProgress(5);
 
+    const glossaryRows = await loadGlossaryRows(job.data);
+
+    // EPUB and gettext catalogs are rebuilt by their file-translation-system handler, not from flat text
+    if (HANDLER_FILE_TYPES.has(fileType.toLowerCase())) {
+      return await processHandlerFileJob(job, startTime, glossaryRows);
+    }
+
     // File processing logic would go here (extract text from file)
     // This is a placeholder for actual file processing
     let extractedText = '';
@@ -168,16 +184,21 @@ async function processFileTranslationJob(job) {
 
     await job.updateProgress(20);
 
+    // "auto" (or no source language) is identified from the document itself
+    const srcLang = langId.resolve(sourceLanguage, extractedText);
+
     // Use the long translation processor for the extracted text
     const translationJobData = {
       text: extractedText,
       mode,
       targetLanguage,
+      sourceLanguage: srcLang,
       subStyle,
       rephrase,
       injections,
       userId,
-      requestId
+      requestId,
+      glossary: glossaryCheck.selectTerms(glossaryRows, { tgtLang: targetLanguage })
     };
 
     // Create a mock job object for the translation processor
@@ -191,7 +212,10 @@ async function processFileTranslationJob(job) {
       }
     };
 
-    const translationResult = await processLongTranslationJob(mockJob);
+    // Leverage-first: TM and cache hits are applied, only new lines reach the engine
+    const translationResult = leverageFirst
+      ? await translateLeverageFirst(mockJob, srcLang)
+      : await processLongTranslationJob(mockJob);
 
     await job.updateProgress(95);
 
@@ -237,12 +261,73 @@ async function processFileTranslationJob(job) {
   }
 }
 
+const HANDLER_FILE_TYPES = new Set(['epub', 'po', 'pot']);
+const activeHandlerJobs = new Map();
+
+/**
+ * File job for a format with a FileTranslationSystem handler. The handler's progress events
+ * (one per chapter for EPUB) become the job's progress; the output is written next to the input.
+ */
+async function processHandlerFileJob(job, startTime, glossaryRows = []) {
+  const { fileTranslationSystem } = require('./file-translation-system');
+  const path = require('path');
+  const { filePath, fileType, mode, targetLanguage, sourceLanguage, subStyle, injections, userId, leverageFirst } = job.data;
+  const ext = fileType.toLowerCase();
+
+  if (!fileTranslationSystem.progressEmitter) {
+    fileTranslationSystem.init(null, {
+      emit: async (jobId, { pct }) => {
+        const active = activeHandlerJobs.get(jobId);
+        if (active && pct > 0) await active.updateProgress(pct);
+      }
+    });
+  }
+
+  // A translated template is a catalog, so .pot comes back as .po
+  const outputFilePath = filePath.replace(/\.[^.]+$/, `_${targetLanguage}.${ext === 'pot' ? 'po' : ext}`);
+  const buffer = await require('fs').promises.readFile(filePath);
+  activeHandlerJobs.set(job.id, job);
+  let result;
+  try {
+    result = await fileTranslationSystem.processJob(job.id, userId, buffer, `${path.basename(filePath, path.extname(filePath))}.${ext}`, sourceLanguage || 'auto', targetLanguage, {
+      mode,
+      subStyle,
+      injections,
+      leverageFirst,
+      glossary: glossaryRows,
+      outputPath: outputFilePath
+    });
+  } finally {
+    activeHandlerJobs.delete(job.id);
+  }
+
+  const duration = Date.now() - startTime;
+  recordMetrics.jobDuration('file-processing', ext, duration);
+  log.info('File translation job completed', { jobId: job.id, duration, inputFile: filePath, outputFile: outputFilePath });
+
+  return {
+    outputFilePath,
+    originalFilePath: filePath,
+    metadata: {
+      duration,
+      fileType,
+      outputFilePath,
+      segments: result.segments,
+      fitReport: result.fitReport,
+      glossary: result.glossary,
+      leverage: result.leverage,
+      mode,
+      targetLanguage
+    }
+  };
+}
+
 /**
  * Batch translation job processor - for high-throughput batch processing
  */
 async function processBatchTranslationJob(job) {
   const startTime = Date.now();
-  const { items, mode, targetLanguage, subStyle, rephrase, injections, userId, requestId } = job.data;
+  const { items, mode, targetLanguage, subStyle, rephrase, injections, references, userId, requestId } = job.data;
 
   try {
     log.info('Processing batch translation job', { 
@@ -269,8 +354,12 @@ async function processBatchTranslationJob(job) {
 
     const results = [];
     let processedChunks = 0;
+    let offset = 0;
 
     for (const chunk of chunks) {
+      // TM references (leverage-first file jobs) run parallel to items
+      const chunkReferences = Array.isArray(references) ? references.slice(offset, offset + chunk.length) : [];
+      offset += chunk.length;
       try {
         const prompt = buildBatchPrompt({
           items: chunk,
@@ -278,7 +367,8 @@ async function processBatchTranslationJob(job) {
           subStyle,
           targetLanguage,
           rephrase,
-          injections
+          injections,
+          references: chunkReferences
         });
 
         const out = await gemini.generateContent({ text: prompt, system: 'You are an expert localization and translation assistant.', model: process.env.GEMINI_FLASH_MODEL || 'gemini-2.5-flash', timeoutMs: Number(process.env.GEMINI_TIMEOUT || 300000) });
@@ -313,7 +403,7 @@ async function processBatchTranslationJob(job) {
         // If circuit breaker fallback was triggered, use fallback results
         if (error.result && error.result.fallback) {
           // Add fallback results for this chunk
-          const fallbackResults = chunk.map(() => 'Translation temporarily unavailable.');
+          const fallbackResults = chunk.map(() => BATCH_FALLBACK_TEXT);
           results.push(...fallbackResults);
         } else {
           throw error; // Re-throw other errors to trigger job retry
@@ -367,35 +457,196 @@ async function processBatchTranslationJob(job) {
   }
 }
 
+/**
+ * Leverage-first translation of a file job's text. Every non-blank line is a segment: exact TM
+ * and cache hits are applied directly, fuzzy matches above TM_REFERENCE_THRESHOLD go to the
+ * prompt as references, and only the remaining distinct lines are sent to Gemini through the
+ * batch processor. Engine output is written back to the cache and (TM_AUTO_UPDATE) the TM.
+ * Returns the processLongTranslationJob shape plus metadata.leverage with per-line origins.
+ */
+async function translateLeverageFirst(job, sourceLanguage) {
+  const { text, mode, targetLanguage, subStyle = 'general', rephrase, userId, requestId } = job.data;
+  const injections = job.data.injections || '';
+  const { translationMemory } = require('./translation-memory');
+  const { translationCache } = require('./translation-cache');
+
+  const lines = String(text || '').split(/\r?\n/);
+  const positions = lines.map((line, i) => (line.trim() ? i : -1)).filter(i => i >= 0);
+  const sources = positions.map(i => lines[i].trim());
+  const plans = await translationMemory.pretranslate(sources, {
+    sourceLang: sourceLanguage || 'auto',
+    targetLang: targetLanguage,
+    mode,
+    subStyle,
+    cache: { injections }
+  });
+  await job.updateProgress(20);
+
+  // Distinct sources still needing the engine, with the fuzzy reference to show it
+  const outputs = sources.map((_, k) => plans[k].tgt);
+  const fresh = new Map();
+  plans.forEach((plan, k) => {
+    if (plan.tgt != null) return;
+    if (!fresh.has(sources[k])) fresh.set(sources[k], plan.reference);
+  });
+
+  let batchMetadata = null;
+  if (fresh.size) {
+    const batch = await processBatchTranslationJob({
+      id: `${job.id}-leverage`,
+      data: {
+        items: [...fresh.keys()],
+        references: [...fresh.values()],
+        mode,
+        targetLanguage,
+        subStyle,
+        rephrase,
+        injections,
+        userId,
+        requestId
+      },
+      updateProgress: async (progress) => job.updateProgress(Math.round(20 + (progress / 100) * 75))
+    });
+    batchMetadata = batch.metadata;
+    const translated = new Map([...fresh.keys()].map((source, j) => [source, batch.items[j]]));
+    plans.forEach((plan, k) => {
+      if (plan.tgt == null) outputs[k] = translated.get(sources[k]) || sources[k];
+    });
+
+    for (const [source, result] of translated) {
+      if (!result || result === source || UNAVAILABLE_TEXTS.has(result)) continue;
+      try {
+        await translationCache.setTranslation(source, mode, targetLanguage, result, subStyle, injections);
+        if (translationMemory.config.autoUpdate) {
+          await translationMemory.storeTranslation(source, result, {
+            sourceLang: sourceLanguage || 'auto',
+            targetLang: targetLanguage,
+            mode,
+            subStyle,
+            createdBy: userId || null,
+            origin: 'mt'
+          });
+        }
+      } catch (error) {
+        log.warn('Storing leverage-first translation failed', { jobId: job.id, error: error.message });
+      }
+    }
+  }
+
+  const glossary = await enforceJobGlossary(job, sources, outputs);
+
+  const out = lines.slice();
+  positions.forEach((i, k) => {
+    out[i] = lines[i].match(/^\s*/)[0] + glossary.outputs[k];
+  });
+  const result = out.join('\n');
+
+  const summary = { 'tm-exact': 0, 'tm-fuzzy': 0, cache: 0, mt: 0 };
+  plans.forEach(plan => { summary[plan.origin]++; });
+  await job.updateProgress(100);
+
+  log.info('Leverage-first file translation', { jobId: job.id, segments: sources.length, engineSegments: fresh.size, origins: summary });
+
+  return {
+    result,
+    metadata: {
+      chunksProcessed: batchMetadata ? batchMetadata.chunksProcessed : 0,
+      inputLength: String(text || '').length,
+      outputLength: result.length,
+      mode,
+      targetLanguage,
+      glossary: glossary.report,
+      leverage: {
+        summary,
+        engineSegments: fresh.size,
+        segments: plans.map((plan, k) => ({
+          line: positions[k] + 1,
+          origin: plan.origin,
+          tmId: plan.tmId,
+          similarity: plan.similarity
+        }))
+      }
+    }
+  };
+}
+
 // Helper functions (these would need to be implemented or imported from existing code)
 
+let prisma;
+
+/**
+ * The user's glossary_terms rows for a file job: job.data.glossary when the producer already
+ * loaded them, otherwise looked up by userId. Rephrase jobs and glossaryCheck: false skip it.
+ */
+async function loadGlossaryRows({ glossary, userId, rephrase, glossaryCheck: check }) {
+  if (Array.isArray(glossary)) return glossary;
+  if (!userId || rephrase || check === false) return [];
+  if (prisma === undefined) {
+    try {
+      const { PrismaClient } = require('@prisma/client');
+      prisma = new PrismaClient();
+    } catch (error) {
+      prisma = null;
+      log.warn('Prisma client unavailable, file jobs run without glossary checks', { error: error.message });
+    }
+  }
+  if (!prisma) return [];
+  try {
+    return await prisma.glossary_terms.findMany({ where: { user_id: userId } });
+  } catch (error) {
+    log.warn('Glossary lookup failed', { userId, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Glossary compliance for a job's translated segments against job.data.glossary (selected terms).
+ * Segments breaking a locked term get one targeted re-prompt. Returns { outputs, report } with
+ * report { summary, segments }, or null when no term applies; a failed check keeps the outputs.
+ */
+async function enforceJobGlossary(job, sources, outputs) {
+  const { glossary: terms, sourceLanguage, targetLanguage } = job.data;
+  if (!terms || !terms.length) return { outputs, report: null };
+
+  const repair = async (prompt, { source }) => {
+    const out = await gemini.generateContent({ text: prompt, system: 'You are an expert localization and translation assistant.', model: process.env.GEMINI_FLASH_MODEL || 'gemini-2.5-flash' });
+    return sanitizeWithSource(extractResultTagged(String(out?.text || '').trim()), source || '', targetLanguage);
+  };
+
+  try {
+    const checked = await glossaryCheck.enforceCompliance({
+      sources,
+      outputs,
+      terms,
+      srcLang: sourceLanguage,
+      tgtLang: targetLanguage,
+      repair,
+      maxRepairs: Number(process.env.GLOSSARY_REPAIR_LIMIT || 20)
+    });
+    const { summary } = checked.report;
+    if (!summary.checked) return { outputs: checked.outputs, report: null };
+    log.info('Glossary compliance', { jobId: job.id, ...summary });
+    return {
+      outputs: checked.outputs,
+      report: { summary, segments: checked.report.segments.filter(s => s.status !== 'n/a') }
+    };
+  } catch (error) {
+    log.error('Glossary compliance check failed', { jobId: job.id, error: error.message });
+    return { outputs, report: null };
+  }
+}
+
+// Placeholder outputs for chunks the engine could not translate; never cached or stored in TM
+const BATCH_FALLBACK_TEXT = 'Translation temporarily unavailable.';
+const UNAVAILABLE_TEXTS = new Set([BATCH_FALLBACK_TEXT, 'Translation unavailable']);
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function chunkText(text, maxSize) {
-  const chunks = [];
-  let start = 0;
-  
-  while (start < text.length) {
-    let end = start + maxSize;
-    
-    // Try to break at sentence boundaries
-    if (end < text.length) {
-      const lastPeriod = text.lastIndexOf('.', end);
-      const lastNewline = text.lastIndexOf('\n', end);
-      const breakPoint = Math.max(lastPeriod, lastNewline);
-      
-      if (breakPoint > start + maxSize * 0.5) { // Don't make chunks too small
-        end = breakPoint + 1;
-      }
-    }
-    
-    chunks.push(text.slice(start, end));
-    start = end;
-  }
-  
-  return chunks;
+// Break at sentence boundaries from the shared SRX rules, so chunks end where TM segments do
+function chunkText(text, maxSize, lang = 'auto') {
+  return segmentation.chunk(text, maxSize, lang || 'auto');
 }
 
 // These functions would need to be implemented or imported from the main server.js
@@ -408,7 +659,13 @@ function buildPrompt(options) {
 
 function buildBatchPrompt(options) {
   // This should use the existing buildBatchPrompt function from server.js
-  return `Translate the following items into ${options.targetLanguage}: ${JSON.stringify(options.items)}`;
+  const refs = (options.references || [])
+    .map((r, i) => (r ? `- Item ${i + 1} (${Math.round(r.similarity * 100)}% match): "${r.source}" => "${r.target}"` : ''))
+    .filter(Boolean);
+  const refBlock = refs.length
+    ? `\n\nTranslation memory references for similar, already approved items (reuse their wording, translate only what differs):\n${refs.join('\n')}`
+    : '';
+  return `Translate the following items into ${options.targetLanguage}: ${JSON.stringify(options.items)}${refBlock}`;
 }
 
 function pickTemperature(mode, subStyle, rephrase) {
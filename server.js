@@ -6,7 +6,6 @@ const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const IORedis = require('ioredis');
-const SrtParser = require('srt-parser-2').default;
 const mammoth = require('mammoth');
 const PDFDocument = require('pdfkit');
 const crypto = require('crypto');
@@ -28,7 +27,7 @@ const csurf = require('csurf');
 
 // Import observability modules
 const log = require('./logger');
-const { metricsHandler, recordMetrics } = require('./metrics');
+const { metricsHandler, recordMetrics, metrics } = require('./metrics');
 const { 
   requestIdMiddleware, 
   requestLoggingMiddleware, 
@@ -44,6 +43,28 @@ const { storageService, retentionService } = require('./storage');
 const { AuditService, AUDIT_ACTIONS, RESOURCE_TYPES } = require('./audit');
 const { PhrasebookService } = require('./phrasebook');
 const { BackupService, FileRetentionService } = require('./backup');
+const xliff = require('./formats/xliff');
+const po = require('./formats/po');
+const epub = require('./formats/epub');
+const resourceBundle = require('./formats/resource-bundle');
+const mobileStrings = require('./formats/mobile-strings');
+const docx = require('./formats/docx');
+const pptx = require('./formats/pptx');
+const xlsx = require('./formats/xlsx');
+const pdf = require('./formats/pdf');
+const bidi = require('./formats/bidi');
+const subtitleFit = require('./formats/subtitle-fit');
+const ass = require('./formats/ass');
+const subtitles = require('./formats/subtitles');
+const html = require('./formats/html');
+const markdown = require('./formats/markdown');
+const tmx = require('./formats/tmx');
+const termbase = require('./formats/termbase');
+const glossaryCheck = require('./formats/glossary-check');
+const brandKits = require('./formats/brand-kit');
+const aligner = require('./formats/align');
+const segmentation = require('./formats/segmentation');
+const langId = require('./formats/language-id');
 
 // Import M4 modules
   const { IdempotencyService, idempotencyMiddleware } = require('./idempotency');
@@ -156,6 +177,19 @@ const { initTranslationMemory, translationMemory, translationMemoryMiddleware }
   translationMemory: { 
     getTranslationSuggestions: () => Promise.resolve([]),
     updateQualityScore: () => Promise.resolve(),
+    findFuzzyMatches: () => Promise.resolve([]),
+    importTMX: () => Promise.reject(new Error('Translation memory unavailable')),
+    streamTMX: async function* () { throw new Error('Translation memory unavailable'); },
+    concordanceSearch: () => Promise.reject(new Error('Translation memory unavailable')),
+    getEntry: () => Promise.reject(new Error('Translation memory unavailable')),
+    updateEntry: () => Promise.reject(new Error('Translation memory unavailable')),
+    setDeprecated: () => Promise.reject(new Error('Translation memory unavailable')),
+    findDuplicates: () => Promise.reject(new Error('Translation memory unavailable')),
+    mergeEntries: () => Promise.reject(new Error('Translation memory unavailable')),
+    deleteEntries: () => Promise.reject(new Error('Translation memory unavailable')),
+    getAuditTrail: () => Promise.reject(new Error('Translation memory unavailable')),
+    analyzeLeverage: () => Promise.reject(new Error('Translation memory unavailable')),
+    importAlignedPairs: () => Promise.reject(new Error('Translation memory unavailable')),
     shutdown: () => Promise.resolve()
   },
   translationMemoryMiddleware: (req, res, next) => { req.tm = {}; next(); }
@@ -1653,6 +1687,16 @@ CENSORED/OBSCENITY HANDLING:
 - If unsure about censorship state, default to matching the input's style exactly.
 `;
 
+/** Inline code tokens produced by structured formats (XLIFF <g>/<x/>, etc.) */
+const INLINE_TAG_TOKEN_RE = /\[\[\/?[gx]\d+\]\]/;
+const INLINE_TAG_RULES = `
+INLINE TAG TOKENS:
+- Tokens like [[g1]] ... [[/g1]] wrap formatted text; [[x2]] marks a standalone code (line break, image, variable).
+- Keep every token exactly as written, each one exactly once. Never translate, renumber, or drop them.
+- Move a token only as far as target word order requires, and keep [[gN]] before its matching [[/gN]].
+- Tokens may also stand for placeholders ({name}, %s) or wrap plural/select branches; translate the text inside each branch.
+`;
+
 /* ---------------- Helpers: local, non-redeclaring ---------------- */
 
 // Local versions so we never depend on globals defined elsewhere
@@ -2065,6 +2109,227 @@ async function enforceTerminologyGuard({
   };
 }
 
+/** The user's glossary rows for a request's target language; [] for guests, rephrase, glossaryCheck:false or no DB */
+async function loadGlossaryForRequest(req, targetLanguage) {
+  const userId = req.user?.id;
+  if (!prisma || !userId || req.user?.isGuest || req.body?.rephrase || req.body?.glossaryCheck === false) return [];
+  try {
+    const rows = await prisma.glossary_terms.findMany({ where: { user_id: userId } });
+    return glossaryCheck.selectTerms(rows, { tgtLang: targetLanguage });
+  } catch (e) {
+    log.warn('Glossary lookup failed', { userId, error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Glossary compliance for translated outputs: every segment is checked against the user's terms
+ * (inflection-tolerant), and segments whose locked terms are missing, wrongly cased or replaced
+ * by a forbidden variant get one targeted re-prompt. Engine choice and fallback follow
+ * enforceTerminologyGuard. Returns { outputs, report } with report { summary, segments },
+ * or null when no glossary term applies.
+ */
+async function enforceGlossaryCompliance({ req, res, sources, outputs, terms, targetLanguage, temperature, allowPro, preferEngine }) {
+  if (!terms || !terms.length) return { outputs, report: null };
+
+  const checked = await glossaryCheck.enforceCompliance({
+    sources,
+    outputs,
+    terms,
+    tgtLang: targetLanguage,
+    repair: makeQARepair({ req, targetLanguage, temperature, allowPro, preferEngine, reason: 'glossary_lock' }),
+    maxRepairs: Number(process.env.GLOSSARY_REPAIR_LIMIT || 20)
+  });
+  const { summary } = checked.report;
+  if (!summary.checked) return { outputs: checked.outputs, report: null };
+  try {
+    res.set('X-Glossary-QA', summary.failed ? 'violations' : (summary.repaired ? 'repaired' : 'passed'));
+    res.set('X-Glossary-Score', String(summary.score));
+  } catch {}
+  // Segments without any glossary term stay out of the report to keep large batches small
+  return {
+    outputs: checked.outputs,
+    report: { summary, segments: checked.report.segments.filter(s => s.status !== 'n/a') }
+  };
+}
+
+/** Re-prompt callback for the output QA passes: same engine choice and fallback as enforceTerminologyGuard */
+function makeQARepair({ req, targetLanguage, temperature, allowPro, preferEngine, reason }) {
+  const run = runWithEngine.bind(makeEngineCtx(req));
+  const engineForQA = preferEngine === 'gemini-2p' ? 'gemini-2p' : (allowPro ? 'gemini-2p' : 'gemini-fl');
+  const fixTemp = Math.max(0.1, (Number(temperature) || 0.3) - 0.1);
+  return async (prompt, { source }) => {
+    let fixRun;
+    try {
+      fixRun = await run(engineForQA, prompt, fixTemp);
+    } catch (err) {
+      if (engineForQA === 'gemini-fl') throw err;
+      fixRun = await run('gemini-fl', prompt, fixTemp);
+    }
+    try { metrics.escalationsTotal.inc({ from: preferEngine || engineForQA, to: (fixRun && fixRun.engine) || engineForQA, reason }); } catch {}
+    return sanitizeWithSource((fixRun && fixRun.text) || '', source || '', targetLanguage);
+  };
+}
+
+const brandRestEnabled = () => !!(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+// Legacy integer user IDs are stored in UUID form, as in the brand kit routes
+const brandUserId = (userId) => (typeof userId === 'number' ? `00000000-0000-0000-0000-${userId.toString().padStart(12, '0')}` : userId);
+
+/** Supabase REST call on a brand kit table; resolves the parsed rows. Errors carry the HTTP status. */
+async function brandRest(table, { method = 'GET', params = {}, body, prefer = '' } = {}) {
+  const srk = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const url = new URL(`${process.env.SUPABASE_URL}/rest/v1/${table}`);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  const headers = { 'apikey': srk, 'Authorization': `Bearer ${srk}` };
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    headers['Prefer'] = ['return=representation', prefer].filter(Boolean).join(',');
+  }
+  const r = await fetch(url.toString(), { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  if (!r.ok) {
+    const err = new Error(`supabase rest ${method.toLowerCase()} ${table} ${r.status}`);
+    err.status = r.status;
+    throw err;
+  }
+  return r.status === 204 ? [] : r.json();
+}
+
+/** Stored versions of a kit owned by the requesting user, oldest first (one version when `version` is set) */
+async function listBrandKitVersions(req, kitId, version = null) {
+  const userId = req.user?.id;
+  if (brandRestEnabled()) {
+    const params = { kit_id: `eq.${kitId}`, user_id: `eq.${brandUserId(userId)}`, select: '*', order: 'version.asc' };
+    if (version != null) params.version = `eq.${version}`;
+    const rows = await brandRest('brand_kit_versions', { params });
+    return Array.isArray(rows) ? rows : [];
+  }
+  if (!prisma) return [];
+  return prisma.brand_kit_versions.findMany({
+    where: { kit_id: String(kitId), user_id: userId, ...(version != null ? { version } : {}) },
+    orderBy: { version: 'asc' }
+  });
+}
+
+/**
+ * A brand kit owned by the requesting user (Supabase REST when configured, else Prisma); null if
+ * not found. `version` pins an earlier snapshot: its rules replace the kit's, and an unknown or
+ * malformed version is also null.
+ */
+async function loadBrandKit(req, id, version = null) {
+  const userId = req.user?.id;
+  if (!id || !userId || req.user?.isGuest) return null;
+  let kit = null;
+  if (brandRestEnabled()) {
+    const rows = await brandRest('brand_kits', { params: { id: `eq.${id}`, user_id: `eq.${brandUserId(userId)}`, select: '*' } });
+    kit = Array.isArray(rows) && rows[0] ? rows[0] : null;
+  } else if (prisma) {
+    kit = await prisma.brand_kits.findFirst({ where: { id: String(id), user_id: userId } });
+  }
+  if (!kit) return null;
+  kit = { ...kit, version: Number(kit.version) || 1 };
+  if (version == null || version === '') return kit;
+  const pinned = Number(version);
+  if (!Number.isInteger(pinned) || pinned < 1) return null;
+  if (pinned === kit.version) return kit;
+  const [row] = await listBrandKitVersions(req, kit.id, pinned);
+  return row ? { ...kit, ...brandKits.snapshotOf(row), version: row.version } : null;
+}
+
+/**
+ * Version history of a loaded kit, oldest first, each entry the snapshot plus the changes from the
+ * previous version. Kits edited before versioning have no stored row for their current state; it
+ * is listed from the kit itself.
+ */
+async function brandKitHistory(req, kit) {
+  const rows = await listBrandKitVersions(req, kit.id);
+  const entries = rows.map(r => ({ version: r.version, ...brandKits.snapshotOf(r), change_note: r.change_note || null, created_at: r.created_at || null }));
+  if (!entries.some(e => e.version === kit.version)) {
+    entries.push({ version: kit.version, ...brandKits.snapshotOf(kit), change_note: null, created_at: kit.updated_at || kit.created_at || null });
+  }
+  entries.sort((a, b) => a.version - b.version);
+  return entries.map((e, i) => ({ ...e, changes: i ? brandKits.diffVersions(entries[i - 1], e) : [] }));
+}
+
+/**
+ * Store `next` (a snapshot) as version n+1 of `kit` and move the kit to it. A legacy kit gets its
+ * current state stored as version n first. Two edits racing for the same number collide on the
+ * (kit_id, version) key; the loser gets err.status 409.
+ */
+async function saveBrandKitVersion(req, kit, next, changeNote) {
+  const userId = req.user?.id;
+  const version = kit.version + 1;
+  const note = changeNote ? String(changeNote).slice(0, 500) : null;
+  if (brandRestEnabled()) {
+    const userIdForDb = brandUserId(userId);
+    await brandRest('brand_kit_versions', {
+      method: 'POST',
+      params: { on_conflict: 'kit_id,version' },
+      prefer: 'resolution=ignore-duplicates',
+      body: { kit_id: kit.id, user_id: userIdForDb, version: kit.version, ...brandKits.snapshotOf(kit), change_note: null }
+    });
+    await brandRest('brand_kit_versions', { method: 'POST', body: { kit_id: kit.id, user_id: userIdForDb, version, ...next, change_note: note } });
+    const rows = await brandRest('brand_kits', {
+      method: 'PATCH',
+      params: { id: `eq.${kit.id}`, user_id: `eq.${userIdForDb}` },
+      body: { ...next, version, updated_at: new Date().toISOString() }
+    });
+    return Array.isArray(rows) && rows[0] ? rows[0] : rows;
+  }
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await tx.brand_kit_versions.createMany({
+        data: [{ kit_id: kit.id, user_id: userId, version: kit.version, ...brandKits.snapshotOf(kit) }],
+        skipDuplicates: true
+      });
+      await tx.brand_kit_versions.create({ data: { kit_id: kit.id, user_id: userId, version, ...next, change_note: note } });
+      return tx.brand_kits.update({ where: { id: kit.id }, data: { ...next, version, updated_at: new Date() } });
+    });
+  } catch (e) {
+    if (e && e.code === 'P2002') e.status = 409;
+    throw e;
+  }
+}
+
+/**
+ * Brand kit compliance for translated outputs: forbidden words (inflected forms included) are
+ * repaired with one targeted re-prompt per segment, tone descriptors are scored, and the
+ * report { kitId, score, forbiddenScore, toneScore, repaired, violations } comes back.
+ */
+async function enforceBrandCompliance({ req, res, sources, outputs, kit, targetLanguage, temperature, allowPro, preferEngine }) {
+  if (!kit) return { outputs, report: null };
+
+  const checked = await brandKits.enforceBrand({
+    sources,
+    outputs,
+    kit,
+    tgtLang: targetLanguage,
+    repair: makeQARepair({ req, targetLanguage, temperature, allowPro, preferEngine, reason: 'brand_forbidden' }),
+    maxRepairs: Number(process.env.BRAND_REPAIR_LIMIT || 20)
+  });
+  try {
+    res.set('X-Brand-Score', String(checked.report.score));
+    if (checked.report.repaired.length) res.set('X-Brand-Repair', String(checked.report.repaired.length));
+  } catch {}
+  return checked;
+}
+
+/**
+ * Output QA shared by /api/translate and /api/translate-batch: brand kit first, then the
+ * glossary, so locked glossary terms win over brand rewording. Returns { outputs, extras }
+ * where extras holds the { brand, glossary } reports to spread into the response.
+ */
+async function enforceTranslationCompliance({ brandKit, glossaryTerms, ...opts }) {
+  const brand = await enforceBrandCompliance({ ...opts, kit: brandKit });
+  const glossary = await enforceGlossaryCompliance({ ...opts, outputs: brand.outputs, terms: glossaryTerms });
+  return {
+    outputs: glossary.outputs,
+    extras: {
+      ...(brand.report ? { brand: brand.report } : {}),
+      ...(glossary.report ? { glossary: glossary.report } : {})
+    }
+  };
+}
+
 
 /** Censored/profanity handling helpers */
 const PROFANITY = {
@@ -2124,7 +2389,7 @@ function normalizeLangTag(s = '') {
   if (/(^|\b)(da|dan|danish|dansk)(\b|$)/.test(t)) return 'da';
   if (/(^|\b)(ms|msa|malay|melayu)(\b|$)/.test(t)) return 'ms';
   if (/(^|\b)(th|tha|thai)(\b|$)/.test(t)) return 'th';
-  return t.slice(0,2);
+  return langId.codeFor(t) || t.slice(0,2);
 }
 
 function normalizeLangTag2(s = '') {
@@ -2147,33 +2412,19 @@ function normalizeLangTag2(s = '') {
   if (/(^|\b)(da|dan|danish|dansk)(\b|$)/.test(t)) return 'da';
   if (/(^|\b)(ms|msa|malay|melayu|bahasa melayu|bahasa malaysia)(\b|$)/.test(t)) return 'ms';
   if (/(^|\b)(th|tha|thai)(\b|$)/.test(t)) return 'th';
-  return t.slice(0,2);
+  return langId.codeFor(t) || t.slice(0,2);
 }
 
-function detectLanguageSimple(text = '') {
-  const s = String(text || '').trim();
-  if (!s) return 'unknown';
-  // Script-based quick checks
-  if (/[\p{sc=Han}]/u.test(s)) return 'zh';
-  if (/[\p{sc=Hiragana}\p{sc=Katakana}]/u.test(s)) return 'ja';
-  if (/[\p{sc=Cyrillic}]/u.test(s)) return 'ru';
-  if (/[\p{sc=Arabic}]/u.test(s)) return 'ar';
-
-  const lower = s.toLowerCase();
-  let scores = { en:0, fr:0, es:0, id:0 };
-  // English markers
-  for (const w of [' the ',' and ',' you ',' of ',' to ',' in ',' that ',' it ',' for ',' i ']) if (lower.includes(w)) scores.en++;
-  // French markers
-  for (const w of [' le ',' la ',' les ',' et ',' je ',' est ',' pas ',' que ',' pour ',' avec ']) if (lower.includes(w)) scores.fr++;
-  // Spanish markers
-  for (const w of [' el ',' la ',' los ',' y ',' que ',' no ',' es ',' con ',' para ',' una ',' un ',' por ']) if (lower.includes(w)) scores.es++;
-  if (/[¡¿]/.test(s)) scores.es += 2;
-  // Indonesian markers
-  for (const w of [' yang ',' dan ',' di ',' ke ',' dari ',' ini ',' itu ',' tidak ',' aku ',' kamu ',' dia ',' kita ',' mereka ']) if (lower.includes(w)) scores.id++;
-
-  const best = Object.entries(scores).sort((a,b)=>b[1]-a[1])[0];
-  if (!best || best[1] === 0) return 'unknown';
-  return best[0];
+/**
+ * Language code of a text from the bundled n-gram identifier, or 'unknown' when it is not sure.
+ * With `expected`, a close relative of it (da/no, id/ms, hr/sr...) counts as that language, and
+ * a language the identifier does not know cannot be judged.
+ */
+function detectLanguageCode(text = '', expected = null) {
+  if (expected && !langId.codeFor(expected)) return 'unknown';
+  const r = langId.detect(text);
+  if (!r.reliable) return 'unknown';
+  return expected && langId.related(r.lang, expected) ? expected : r.lang;
 }
 
 // Robust removal of fingerprint tokens like "FP:abc_123" anywhere near the end
@@ -2186,23 +2437,12 @@ function stripFpTokens(s = ''){
   return out.trim();
 }
 
-// Heuristic for very short or ambiguous English snippets in subtitles
-function isLikelyEnglishShort(text = '') {
-  const s = String(text || '').trim().toLowerCase();
-  if (!s) return false;
-  // Quick exits: obvious French markers
-  if (/\b(ne|pas|toi|vous|je|tu|il|elle|nous|vous|ils|elles|ou|où|d'|l'|c'est|ça|allez|vite)\b/.test(s)) return false;
-  // English marker words often seen in short cues
-  if (/(don't|won't|can't|what|fine|alright|get lost|behave|someone|come here|stop|search|everywhere|check|i'll|that's right|tell me|alright,|ok|okay|please|dad|mom|lie down|spread your legs|come over|save|help)/.test(s)) return true;
-  // ASCII only with apostrophes and no diacritics tends to be English in our failures
-  const asciiOnly = /^[\x00-\x7F]*$/.test(s);
-  const hasLetters = /[a-z]/.test(s);
-  const hasFrenchDiacritics = /[éèêëàâîïôûùçœ]/.test(s);
-  if (asciiOnly && hasLetters && !hasFrenchDiacritics) {
-    // Prefer English when we see typical contractions/patterns
-    if (/(n't|'re|'ve|'ll|'d|sir|madam)/.test(s)) return true;
-  }
-  return false;
+// Short or ambiguous snippets (subtitle cues) too small for a reliable detection: English
+// leftovers are judged against the wanted language alone, which a few words can settle
+function looksLikeEnglish(text = '', want = null) {
+  const pair = langId.detect(text, { candidates: want && want !== 'en' ? ['en', want] : null });
+  const r = pair.candidates.length > 1 ? pair : langId.detect(text);
+  return r.lang === 'en' && r.letters >= 4 && r.confidence >= 0.6;
 }
 
 function maskWordSimple(word) {
@@ -2223,7 +2463,7 @@ function enforceCensoredMask(srcText = '', outText = '', targetLanguage = '') {
   if (/\b\p{L}+[\p{L}'-]*\*+[\p{L}'-]+\b/iu.test(String(outText||''))) return outText;
 
   // Attempt to re-apply masking to localized profane tokens
-  const tgtCode = normalizeLangTag2(targetLanguage) || detectLanguageSimple(outText);
+  const tgtCode = normalizeLangTag2(targetLanguage) || detectLanguageCode(outText);
   const badList = PROFANITY[tgtCode] || [];
   let out = outText;
   if (badList.length) {
@@ -3114,27 +3354,96 @@ async function fileToText(absPath, originalName) {
   const ext = path.extname(originalName || absPath).toLowerCase();
   const safeRead = (p) => fs.readFileSync(p, 'utf8');
 
-  if (ext === '.txt' || ext === '.md' || ext === '.csv' || ext === '.json' || ext === '.smi') {
+  // Resource bundles: only the message strings, never keys or braces
+  if (resourceBundle.isBundleFile(ext)) {
+    const raw = safeRead(absPath);
+    try {
+      const parsed = resourceBundle.parseBundle(raw, { format: resourceBundle.formatFor(ext) });
+      return parsed.units.map(u => u.value).join('\n').trim();
+    } catch {
+      return raw;
+    }
+  }
+
+  if (ext === '.txt' || ext === '.csv') {
     return safeRead(absPath);
   }
 
-  if (ext === '.srt' || ext === '.vtt') {
-    const parser = new SrtParser();
+  if (markdown.isMarkdownFile(ext) || html.isHtmlFile(ext)) {
     const raw = safeRead(absPath);
     try {
-      const cues = ext === '.vtt' ? parser.fromVtt(raw) : parser.fromSrt(raw);
-      return cues.map(c => String(c.text || '').trim()).join('\n').trim();
+      const parsed = markdown.isMarkdownFile(ext) ? markdown.parseMarkdown(raw) : html.parseHtmlDocument(raw);
+      return parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
     } catch {
-      const cleaned = raw.replace(/^WEBVTT.*\n/i, '');
+      return raw;
+    }
+  }
+
+  if (mobileStrings.mobileFormatFor(ext)) {
+    const { text } = mobileStrings.decodeBuffer(fs.readFileSync(absPath));
+    const format = mobileStrings.mobileFormatFor(ext, text);
+    if (format) {
       try {
-        const cues = parser.fromVtt(cleaned);
-        return cues.map(c => String(c.text || '').trim()).join('\n').trim();
-      } catch {
-        return raw;
-      }
+        return mobileStrings.parseMobile(text, { format }).units.map(u => u.value).join('\n').trim();
+      } catch {}
+    }
+    // TTML/EBU-TT subtitles often ship as plain .xml
+    const subtitleFormat = subtitles.subtitleFormatFor(ext, text);
+    if (subtitleFormat) {
+      try {
+        return subtitles.parseSubtitles(text, subtitleFormat).cues.map(c => c.text).join('\n').trim();
+      } catch {}
+    }
+    return text;
+  }
+
+  if (xliff.isXliffFile(ext)) {
+    const parsed = xliff.parseXliff(safeRead(absPath));
+    return parsed.units.map(u => u.text).join('\n').trim();
+  }
+
+  if (po.isPoFile(ext)) {
+    const raw = safeRead(absPath);
+    try {
+      return po.parsePo(raw).entries.filter(e => !e.header && !e.obsolete && e.msgid).map(e => e.msgid).join('\n').trim();
+    } catch {
+      return raw;
+    }
+  }
+
+  if (ass.isAssFile(ext)) {
+    const raw = safeRead(absPath);
+    try {
+      return ass.parseAss(raw).units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+    } catch {
+      return raw;
+    }
+  }
+
+  if (subtitles.subtitleFormatFor(ext)) {
+    const raw = safeRead(absPath);
+    try {
+      return subtitles.parseSubtitles(raw, subtitles.subtitleFormatFor(ext)).cues.map(c => c.text).join('\n').trim();
+    } catch {
+      return raw;
     }
   }
 
+  if (ext === '.xlsx') {
+    const parsed = await xlsx.parseXlsx(fs.readFileSync(absPath));
+    return parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+  }
+
+  if (ext === '.pptx') {
+    const parsed = await pptx.parsePptx(fs.readFileSync(absPath));
+    return parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+  }
+
+  if (epub.isEpubFile(ext)) {
+    const parsed = await epub.parseEpub(fs.readFileSync(absPath));
+    return parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+  }
+
   if (ext === '.docx') {
     console.log(`📄 Processing DOCX file: ${originalName}`);
     const { value } = await mammoth.extractRawText({ path: absPath });
@@ -3261,24 +3570,23 @@ app.post('/api/upload',
       }
     };
 
-    if (ext === '.srt' || ext === '.vtt') {
-      const raw = fs.readFileSync(absPath, 'utf8');
-      const parser = new SrtParser();
-      let cuesRaw;
-
+    // .xml only counts as a string resource when it is a <resources> file
+    const mobile = mobileStrings.mobileFormatFor(ext) ? mobileStrings.decodeBuffer(fs.readFileSync(absPath)) : null;
+    const mobileFormat = mobile ? mobileStrings.mobileFormatFor(ext, mobile.text) : null;
+    // ...and as TTML/EBU-TT when its root is <tt>
+    const subtitleFormat = subtitles.subtitleFormatFor(ext, mobile ? mobile.text : null);
+
+    if (subtitleFormat) {
+      // SRT, WebVTT, TTML/DFXP/EBU-TT, SBV and SAMI share one cue model (SRT timestamps plus
+      // speaker, region and style), so /api/download can write the cues back in any of them
+      const raw = mobile ? mobile.text : fs.readFileSync(absPath, 'utf8');
+      let parsed;
       try {
-        cuesRaw = ext === '.vtt' ? parser.fromVtt(raw) : parser.fromSrt(raw);
-      } catch {
-        const cleaned = raw.replace(/^WEBVTT.*\n/i, '');
-        cuesRaw = parser.fromVtt(cleaned);
+        parsed = subtitles.parseSubtitles(raw, subtitleFormat, { lang: req.body?.sourceLanguage || null });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid subtitle file: ${err.message}` });
       }
-
-      const toSrtTime = t => String(t || '').replace('.', ',');
-      const cues = (cuesRaw || []).map(c => ({
-        start: toSrtTime(c.startTime),
-        end: toSrtTime(c.endTime),
-        text: (c.text || '').toString().replace(/\r/g, '').trim()
-      }));
+      const cues = parsed.cues;
 
       let text = cues.map(c => c.text).join('\n').trim();
       if (!text) {
@@ -3293,7 +3601,237 @@ app.post('/api/upload',
       }
 
       // respond without keeping file
-      res.json({ ...basePayload, text, cues });
+      res.json({ ...basePayload, text, cues, subtitle: { format: parsed.format, lang: parsed.lang } });
+    } else if (ass.isAssFile(ext)) {
+      // Dialogue text only; styles, actors and override tags stay in the skeleton.
+      // Segments carry speaker (for dubbing context) and start/end, so they double as cues for /api/subtitles/fit
+      const raw = fs.readFileSync(absPath, 'utf8');
+      let parsed;
+      try {
+        parsed = ass.parseAss(raw);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ASS/SSA file: ${err.message}` });
+      }
+      const text = parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+      res.json({
+        ...basePayload,
+        text,
+        segments: ass.toSegments(parsed),
+        ass: {
+          version: parsed.version,
+          styles: parsed.styles.map(s => ({ name: s.Name, fontname: s.Fontname, fontsize: Number(s.Fontsize) || null })),
+          speakers: [...new Set(parsed.units.map(u => u.speaker).filter(Boolean))],
+          skeleton: raw
+        }
+      });
+    } else if (markdown.isMarkdownFile(ext) || html.isHtmlFile(ext)) {
+      // Text nodes and alt/title/meta attributes only: code, URLs and front matter keys never reach the model
+      const raw = fs.readFileSync(absPath, 'utf8');
+      const isMarkdown = markdown.isMarkdownFile(ext);
+      let parsed;
+      try {
+        parsed = isMarkdown ? markdown.parseMarkdown(raw) : html.parseHtmlDocument(raw);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ${isMarkdown ? 'Markdown' : 'HTML'} file: ${err.message}` });
+      }
+      const segments = isMarkdown ? markdown.toSegments(parsed) : html.toSegments(parsed);
+      const text = parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+      res.json({
+        ...basePayload,
+        text,
+        segments,
+        markup: isMarkdown
+          ? { format: 'markdown', frontMatter: parsed.frontMatter, ext: ext.slice(1), skeleton: raw }
+          : { format: 'html', lang: parsed.lang, ext: ext.slice(1), skeleton: raw }
+      });
+    } else if (xliff.isXliffFile(ext)) {
+      // Units go through /api/translate-batch; the raw document travels back as the skeleton
+      const raw = fs.readFileSync(absPath, 'utf8');
+      let parsed;
+      try {
+        parsed = xliff.parseXliff(raw);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid XLIFF file: ${err.message}` });
+      }
+      const segments = xliff.toSegments(parsed);
+      const text = segments.map(s => s.text).join('\n').trim();
+      res.json({
+        ...basePayload,
+        text,
+        segments,
+        xliff: { version: parsed.version, srcLang: parsed.srcLang, tgtLang: parsed.tgtLang, skeleton: raw }
+      });
+    } else if (po.isPoFile(ext)) {
+      // Untranslated entries only; plural entries get one segment per plural form of targetLanguage
+      const raw = fs.readFileSync(absPath, 'utf8');
+      const targetLanguage = (req.body && req.body.targetLanguage) || null;
+      let parsed;
+      try {
+        parsed = po.parsePo(raw);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid PO file: ${err.message}` });
+      }
+      const segments = po.toSegments(parsed, { targetLang: targetLanguage });
+      // Same TM pre-fill as queued PO jobs: matches come back as tgt, inexact ones with fuzzy: true
+      if (targetLanguage) {
+        const srcLang = langId.resolve(req.body?.sourceLanguage, segments);
+        try {
+          await po.prefillFromMemory(segments, async (text) => (await translationMemory.findFuzzyMatches(
+            text, srcLang, targetLanguage, req.body?.mode || 'formal', req.body?.subStyle || 'general', 1
+          ))[0]);
+        } catch (err) {
+          log.warn('PO translation memory lookup failed', { error: err.message });
+        }
+      }
+      const text = segments.map(s => s.text).join('\n').trim();
+      res.json({
+        ...basePayload,
+        text,
+        segments,
+        po: { language: parsed.language, pluralForms: parsed.pluralForms, targetLanguage, ext: ext.slice(1), skeleton: raw }
+      });
+    } else if (resourceBundle.isBundleFile(ext)) {
+      // Same round-trip as XLIFF: tokenized strings out, original file back as the skeleton
+      const raw = fs.readFileSync(absPath, 'utf8');
+      const format = resourceBundle.formatFor(ext);
+      let parsed;
+      try {
+        parsed = resourceBundle.parseBundle(raw, { format });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ${format.toUpperCase()} resource file: ${err.message}` });
+      }
+      const segments = resourceBundle.toSegments(parsed);
+      const text = parsed.units.map(u => u.value).join('\n').trim();
+      res.json({
+        ...basePayload,
+        text,
+        segments,
+        bundle: { format, layout: parsed.layout, rootLocale: parsed.rootLocale, ext: ext.slice(1), skeleton: raw }
+      });
+    } else if (mobileFormat) {
+      // Android/iOS strings: plural units follow the target's CLDR categories when targetLanguage is sent
+      const { text: raw, encoding } = mobile;
+      const format = mobileFormat;
+      const targetLanguage = (req.body && req.body.targetLanguage) || null;
+      let parsed;
+      try {
+        parsed = mobileStrings.parseMobile(raw, { format, targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ${format} string file: ${err.message}` });
+      }
+      const segments = mobileStrings.toSegments(parsed);
+      const text = parsed.units.map(u => u.value).join('\n').trim();
+      res.json({
+        ...basePayload,
+        text,
+        segments,
+        mobile: { format, encoding, targetLanguage, skeleton: raw }
+      });
+    } else if (ext === '.docx') {
+      // Paragraph segments with run formatting as tokens; the package travels back base64-encoded
+      const buf = fs.readFileSync(absPath);
+      let parsed;
+      try {
+        parsed = await docx.parseDocx(buf);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid DOCX file: ${err.message}` });
+      }
+      const text = await fileToText(absPath, req.file.originalname);
+      // Larger packages would not fit the 8 MB JSON body of /api/download; clients fall back to text
+      const skeleton = buf.length <= 5 * 1024 * 1024 ? buf.toString('base64') : null;
+      res.json({
+        ...basePayload,
+        text,
+        segments: docx.toSegments(parsed),
+        docx: { parts: parsed.parts, skeleton }
+      });
+    } else if (epub.isEpubFile(ext)) {
+      // Segment ids are "<chapter path>#<unit>", so clients can translate and report progress chapter by chapter
+      const buf = fs.readFileSync(absPath);
+      let parsed;
+      try {
+        parsed = await epub.parseEpub(buf);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid EPUB file: ${err.message}` });
+      }
+      const text = parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+      const skeleton = buf.length <= 5 * 1024 * 1024 ? buf.toString('base64') : null;
+      res.json({
+        ...basePayload,
+        text,
+        segments: epub.toSegments(parsed),
+        epub: {
+          version: parsed.version,
+          lang: parsed.lang,
+          title: parsed.title,
+          chapters: parsed.chapters.map(c => ({ path: c.path, title: c.title, nav: c.nav, segments: c.units.length })),
+          skeleton
+        }
+      });
+    } else if (ext === '.xlsx') {
+      // Optional column spec as a JSON form field: { sheets, headerRow, columns: [{ source, targets }] }
+      let spec = {};
+      try { spec = typeof req.body?.xlsx === 'string' ? JSON.parse(req.body.xlsx) : (req.body?.xlsx || {}); } catch {
+        return res.status(400).json({ ok: false, error: 'Invalid xlsx column spec (expected JSON).' });
+      }
+      const buf = fs.readFileSync(absPath);
+      let parsed;
+      try {
+        parsed = await xlsx.parseXlsx(buf, spec);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid XLSX file: ${err.message}` });
+      }
+      const text = parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+      const skeleton = buf.length <= 5 * 1024 * 1024 ? buf.toString('base64') : null;
+      res.json({
+        ...basePayload,
+        text,
+        segments: xlsx.toSegments(parsed),
+        xlsx: { sheets: parsed.sheets, spec, skeleton }
+      });
+    } else if (ext === '.pptx') {
+      // Same round-trip as DOCX; frames let the client show which text boxes may overflow
+      const buf = fs.readFileSync(absPath);
+      let parsed;
+      try {
+        parsed = await pptx.parsePptx(buf);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid PPTX file: ${err.message}` });
+      }
+      const text = parsed.units.map(u => u.text.replace(/\[\[\/?[gx]\d+\]\]/g, '')).join('\n').trim();
+      const skeleton = buf.length <= 5 * 1024 * 1024 ? buf.toString('base64') : null;
+      res.json({
+        ...basePayload,
+        text,
+        segments: pptx.toSegments(parsed),
+        pptx: {
+          parts: parsed.parts,
+          frames: parsed.frames.map(f => ({ id: f.id, slide: f.slide, name: f.name, widthPt: f.widthPt, heightPt: f.heightPt })),
+          skeleton
+        }
+      });
+    } else if (ext === '.pdf') {
+      // Positioned text blocks for the overlay download; scanned or unreadable PDFs stay text-only
+      const buf = fs.readFileSync(absPath);
+      const text = await fileToText(absPath, req.file.originalname);
+      let parsed = null;
+      try {
+        parsed = await pdf.parsePdf(buf);
+      } catch (err) {
+        log.warn('PDF block extraction failed, returning text only', { error: err.message });
+      }
+      if (!parsed || !parsed.units.length) return res.json({ ...basePayload, text });
+      const skeleton = buf.length <= 5 * 1024 * 1024 ? buf.toString('base64') : null;
+      res.json({
+        ...basePayload,
+        text,
+        segments: pdf.toSegments(parsed),
+        pdf: {
+          pages: parsed.pages,
+          blocks: parsed.units.map(u => ({ id: u.key, page: u.page, rect: u.rect })),
+          skeleton
+        }
+      });
     } else {
       const text = await fileToText(absPath, req.file.originalname);
       res.json({ ...basePayload, text });
@@ -3315,6 +3853,348 @@ app.post('/api/upload',
   }
 });
 
+/** ------------------------- API: translation memory TMX ------------------------- */
+// The TM is shared by every account, so reading it in bulk and rewriting it (TMX import/export,
+// the maintenance routes and leverage analysis below) is a Business-tier feature, gated like the
+// brand kit editor
+const requireTmManager = (req, res, next) => {
+  const tierNow = String(req.user?.tier||'free').toLowerCase();
+  if (tierNow !== 'business') {
+    try { res.set('X-Tier', tierNow); res.set('X-Feature-Locked', 'tm-manager'); } catch {}
+    return res.status(403).json({ ok:false, error:'Translation memory management is available on Business tier', code:'feature_locked', upgradeMessage:'Upgrade to Business to manage the translation memory', helpUrl:'https://example.com/pricing' });
+  }
+  next();
+};
+
+/**
+ * POST /api/tm/import (multipart): file=<.tmx>, optional mode, subStyle, sourceLanguage,
+ * targetLanguage (only import those pairs) and overwrite=true to replace existing entries.
+ * The upload is streamed into the TM unit by unit.
+ */
+app.post('/api/tm/import',
+  requireAuth,
+  requireTmManager,
+  rateLimiters.upload,
+  upload.single('file'),
+  async (req, res) => {
+  let absPath = null;
+  try {
+    if (!req.file) return res.status(400).json({ ok: false, error: 'No file uploaded.' });
+    absPath = req.file.path;
+    if (!tmx.isTmxFile(req.file.originalname)) {
+      return res.status(400).json({ ok: false, error: 'Upload a .tmx file.' });
+    }
+
+    const result = await translationMemory.importTMX(fs.createReadStream(absPath), {
+      mode: req.body?.mode || undefined,
+      subStyle: req.body?.subStyle || undefined,
+      sourceLang: req.body?.sourceLanguage || null,
+      targetLang: req.body?.targetLanguage || null,
+      overwrite: String(req.body?.overwrite) === 'true',
+      createdBy: req.user?.id ?? null
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('tm import error:', e?.message || e);
+    const invalid = /TMX/.test(e?.message || '');
+    res.status(invalid ? 400 : 500).json({ ok: false, error: invalid ? e.message : 'Failed to import the translation memory.' });
+  } finally {
+    if (absPath) {
+      fs.unlink(absPath, () => {}); // best-effort delete
+    }
+  }
+});
+
+/**
+ * GET /api/tm/export?sourceLanguage=&targetLanguage=&mode=&subStyle=&minQuality=&since=&until=
+ * Streams TMX 1.4b batch by batch; since/until filter on the entry's creation date.
+ */
+app.get('/api/tm/export', requireAuth, requireTmManager, async (req, res) => {
+  const { sourceLanguage, targetLanguage, mode, subStyle, minQuality, since, until } = req.query;
+  const chunks = translationMemory.streamTMX({
+    sourceLang: sourceLanguage,
+    targetLang: targetLanguage,
+    mode,
+    subStyle,
+    minQuality,
+    since,
+    until
+  });
+  try {
+    // Filters are checked before the first chunk, so bad dates still get a JSON error
+    const first = await chunks.next();
+    const pair = [sourceLanguage, targetLanguage].filter(Boolean).join('-').replace(/[^\w-]+/g, '');
+    res.setHeader('Content-Type', 'application/x-tmx+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="translation-memory${pair ? `.${pair}` : ''}.tmx"`);
+    if (!first.done) res.write(first.value);
+
+    for await (const chunk of chunks) {
+      if (res.destroyed) break;
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    res.end();
+  } catch (e) {
+    console.error('tm export error:', e?.message || e);
+    if (res.headersSent) return res.destroy(e);
+    const invalid = /^Invalid (since|until) date/.test(e?.message || '');
+    res.status(invalid ? 400 : 500).json({ ok: false, error: invalid ? e.message : 'Failed to export the translation memory.' });
+  }
+});
+
+/** ------------------------- API: translation memory maintenance ------------------------- */
+// Errors raised with a status (bad input, missing entry, duplicate) are the client's to see
+const tmFail = (res, label, e) => {
+  if (!e?.status) console.error(`tm ${label} error:`, e?.message || e);
+  res.status(e?.status || 500).json({ ok: false, error: e?.status ? e.message : `Failed to ${label} translation memory entries.`, ...(e?.duplicateId ? { duplicateId: e.duplicateId } : {}) });
+};
+const tmFlag = (v) => v === true || String(v) === 'true' || String(v) === '1';
+
+/**
+ * GET /api/tm/concordance?q=&field=source|target|both&caseSensitive=&wholeWord=&sourceLanguage=
+ *   &targetLanguage=&mode=&subStyle=&includeDeprecated=&limit=&cursor=
+ * Every entry containing the text, newest first, with match offsets for highlighting.
+ */
+app.get('/api/tm/concordance', requireAuth, requireTmManager, async (req, res) => {
+  try {
+    const q = req.query;
+    const result = await translationMemory.concordanceSearch(q.q, {
+      field: q.field || 'both',
+      caseSensitive: tmFlag(q.caseSensitive),
+      wholeWord: tmFlag(q.wholeWord),
+      sourceLang: q.sourceLanguage,
+      targetLang: q.targetLanguage,
+      mode: q.mode,
+      subStyle: q.subStyle,
+      includeDeprecated: tmFlag(q.includeDeprecated),
+      limit: q.limit,
+      cursor: q.cursor
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) { tmFail(res, 'search', e); }
+});
+
+app.get('/api/tm/entries/:id', requireAuth, requireTmManager, async (req, res) => {
+  try {
+    const entry = await translationMemory.getEntry(req.params.id);
+    if (!entry) return res.status(404).json({ ok: false, error: 'Translation memory entry not found' });
+    const history = await translationMemory.getAuditTrail({ tmId: entry.id, limit: 50 });
+    res.json({ ok: true, entry, history });
+  } catch (e) { tmFail(res, 'load', e); }
+});
+
+/** PATCH /api/tm/entries/:id { sourceText?, targetText?, sourceLang?, targetLang?, mode?, subStyle?, qualityScore?, note? } */
+app.patch('/api/tm/entries/:id', requireAuth, requireTmManager, express.json(), async (req, res) => {
+  try {
+    const { note = null, ...changes } = req.body || {};
+    const result = await translationMemory.updateEntry(req.params.id, changes, { userId: req.user?.id ?? null, note });
+    res.json({ ok: true, ...result });
+  } catch (e) { tmFail(res, 'edit', e); }
+});
+
+/** POST /api/tm/entries/deprecate { ids: [], restore?: true, note? } */
+app.post('/api/tm/entries/deprecate', requireAuth, requireTmManager, express.json(), async (req, res) => {
+  try {
+    const { ids = [], restore = false, note = null } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ ok: false, error: 'Missing ids.' });
+    const result = await translationMemory.setDeprecated(ids, { deprecated: !restore, userId: req.user?.id ?? null, note });
+    res.json({ ok: true, ...result });
+  } catch (e) { tmFail(res, 'deprecate', e); }
+});
+
+/** GET /api/tm/duplicates?sourceLanguage=&targetLanguage=&mode=&limit= - groups of entries to merge */
+app.get('/api/tm/duplicates', requireAuth, requireTmManager, async (req, res) => {
+  try {
+    const { sourceLanguage, targetLanguage, mode, limit } = req.query;
+    const groups = await translationMemory.findDuplicates({ sourceLang: sourceLanguage, targetLang: targetLanguage, mode, limit });
+    res.json({ ok: true, groups });
+  } catch (e) { tmFail(res, 'list duplicate', e); }
+});
+
+/** POST /api/tm/entries/merge { keepId, ids: [], targetText?, note? } */
+app.post('/api/tm/entries/merge', requireAuth, requireTmManager, express.json(), async (req, res) => {
+  try {
+    const { keepId, ids = [], targetText = null, note = null } = req.body || {};
+    if (keepId == null) return res.status(400).json({ ok: false, error: 'Missing keepId.' });
+    const result = await translationMemory.mergeEntries(keepId, Array.isArray(ids) ? ids : [], { targetText, userId: req.user?.id ?? null, note });
+    res.json({ ok: true, ...result });
+  } catch (e) { tmFail(res, 'merge', e); }
+});
+
+/**
+ * POST /api/tm/entries/bulk-delete { ids: [] } or { filters: { sourceLanguage, targetLanguage, mode,
+ * subStyle, deprecatedOnly, maxQuality, before } }, plus dryRun? and note?
+ */
+app.post('/api/tm/entries/bulk-delete', requireAuth, requireTmManager, express.json(), async (req, res) => {
+  try {
+    const { ids = null, filters = {}, dryRun = false, note = null } = req.body || {};
+    const result = await translationMemory.deleteEntries({
+      ids: Array.isArray(ids) ? ids : null,
+      filters: {
+        sourceLang: filters.sourceLanguage,
+        targetLang: filters.targetLanguage,
+        mode: filters.mode,
+        subStyle: filters.subStyle,
+        deprecatedOnly: tmFlag(filters.deprecatedOnly),
+        maxQuality: filters.maxQuality,
+        before: filters.before
+      },
+      dryRun: tmFlag(dryRun)
+    }, { userId: req.user?.id ?? null, note });
+    res.json({ ok: true, ...result });
+  } catch (e) { tmFail(res, 'delete', e); }
+});
+
+/** GET /api/tm/audit?tmId=&userId=&action=&before=&limit= - who changed what, newest first */
+app.get('/api/tm/audit', requireAuth, requireTmManager, async (req, res) => {
+  try {
+    const { tmId, userId, action, before, limit } = req.query;
+    const items = await translationMemory.getAuditTrail({ tmId, userId, action, before, limit });
+    res.json({ ok: true, items, nextBefore: items.length ? items[items.length - 1].id : null });
+  } catch (e) { tmFail(res, 'load audit for', e); }
+});
+
+/** ------------------------- API: leverage analysis ------------------------- */
+/**
+ * Translatable segments of an uploaded file in document order, as /api/upload extracts them,
+ * for analyses that never reach a model. Formats without a segment model (plain text, PDFs
+ * without positioned blocks) fall back to sentences, segmented with the SRX rules for `lang`.
+ */
+async function fileToSegments(absPath, originalName, lang = 'auto') {
+  const ext = path.extname(originalName || absPath).toLowerCase();
+  const read = () => fs.readFileSync(absPath, 'utf8');
+  let units = null;
+
+  const mobile = mobileStrings.mobileFormatFor(ext) ? mobileStrings.decodeBuffer(fs.readFileSync(absPath)).text : null;
+  const mobileFormat = mobile ? mobileStrings.mobileFormatFor(ext, mobile) : null;
+  const subtitleFormat = subtitles.subtitleFormatFor(ext, mobile);
+  if (subtitleFormat) {
+    units = subtitles.parseSubtitles(mobile || read(), subtitleFormat).cues.map((c, i) => ({ id: String(c.index ?? i), text: c.text }));
+  } else if (mobileFormat) {
+    units = mobileStrings.toSegments(mobileStrings.parseMobile(mobile, { format: mobileFormat }));
+  } else if (ass.isAssFile(ext)) {
+    units = ass.toSegments(ass.parseAss(read()));
+  } else if (markdown.isMarkdownFile(ext)) {
+    units = markdown.toSegments(markdown.parseMarkdown(read()));
+  } else if (html.isHtmlFile(ext)) {
+    units = html.toSegments(html.parseHtmlDocument(read()));
+  } else if (xliff.isXliffFile(ext)) {
+    units = xliff.toSegments(xliff.parseXliff(read()));
+  } else if (po.isPoFile(ext)) {
+    units = po.toSegments(po.parsePo(read()));
+  } else if (resourceBundle.isBundleFile(ext)) {
+    units = resourceBundle.toSegments(resourceBundle.parseBundle(read(), { format: resourceBundle.formatFor(ext) }));
+  } else if (ext === '.docx') {
+    units = docx.toSegments(await docx.parseDocx(fs.readFileSync(absPath)));
+  } else if (ext === '.pptx') {
+    units = pptx.toSegments(await pptx.parsePptx(fs.readFileSync(absPath)));
+  } else if (epub.isEpubFile(ext)) {
+    units = epub.toSegments(await epub.parseEpub(fs.readFileSync(absPath)));
+  } else if (ext === '.xlsx') {
+    units = xlsx.toSegments(await xlsx.parseXlsx(fs.readFileSync(absPath)));
+  } else if (ext === '.pdf') {
+    try {
+      const parsed = await pdf.parsePdf(fs.readFileSync(absPath));
+      if (parsed.units.length) units = pdf.toSegments(parsed);
+    } catch (err) {
+      log.warn('PDF block extraction failed, analysing text lines', { error: err.message });
+    }
+  }
+  if (units) return units.map(u => ({ id: u.id, text: u.text }));
+
+  const text = await fileToText(absPath, originalName);
+  return segmentation.segment(text, lang).map((t, i) => ({ id: String(i), text: t }));
+}
+
+/**
+ * POST /api/tm/analyze: word-count breakdown and quote before translating, no model involved.
+ * Multipart file=<document> or JSON { segments: ["...", ...] | [{ text }] }, plus targetLanguage,
+ * optional sourceLanguage, mode, subStyle, engine, injections, brandKitId/brandKitVersion (so
+ * the cache is checked under the keys a translation would use), weights ({ band: 0..1 } or its
+ * JSON), ratePerWord and currency.
+ */
+app.post('/api/tm/analyze',
+  requireAuth,
+  requireTmManager,
+  rateLimiters.upload,
+  upload.single('file'),
+  async (req, res) => {
+  let absPath = null;
+  try {
+    const body = req.body || {};
+    const targetLanguage = String(body.targetLanguage || '').trim();
+    if (!targetLanguage) return res.status(400).json({ ok: false, error: 'Missing targetLanguage.' });
+
+    let segments;
+    if (req.file) {
+      absPath = req.file.path;
+      try {
+        segments = await fileToSegments(absPath, req.file.originalname, body.sourceLanguage || 'auto');
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Could not read ${req.file.originalname}: ${err.message}` });
+      }
+    } else if (Array.isArray(body.segments)) {
+      segments = body.segments.map(s => (typeof s === 'string' ? s : String(s?.text ?? '')));
+    } else {
+      return res.status(400).json({ ok: false, error: 'Upload a file or send segments.' });
+    }
+    const maxSegments = Number(process.env.ANALYZE_MAX_SEGMENTS || 20000);
+    if (segments.length > maxSegments) {
+      return res.status(413).json({ ok: false, error: `Too many segments to analyse (${segments.length} > ${maxSegments}).` });
+    }
+    // Same source language a file job resolves "auto" to, so the quote matches its leverage
+    const sourceLanguage = langId.resolve(body.sourceLanguage, segments);
+
+    let weights = body.weights || undefined;
+    if (typeof weights === 'string') {
+      try { weights = JSON.parse(weights); } catch {
+        return res.status(400).json({ ok: false, error: 'Invalid weights (expected JSON).' });
+      }
+    }
+
+    // Same injection and cache key a brand-kit translation would be cached under
+    const brandKitRow = body.brandKitId ? await loadBrandKit(req, body.brandKitId, body.brandKitVersion ?? null) : null;
+    if (body.brandKitId && !brandKitRow) return res.status(404).json({ ok: false, error: 'Brand kit not found.' });
+    const brandKit = brandKits.resolveForLanguage(brandKitRow, targetLanguage);
+    const injections = [brandKits.brandInjection(brandKit), body.injections || ''].filter(Boolean).join('\n\n');
+
+    const report = await translationMemory.analyzeLeverage(segments, {
+      sourceLang: sourceLanguage,
+      targetLang: targetLanguage,
+      mode: body.mode || 'formal',
+      subStyle: body.subStyle || 'general',
+      cache: {
+        injections,
+        engine: body.engine || process.env.ROUTER_DEFAULT || 'auto',
+        brandKitVersion: brandKit ? `${brandKit.id}@${brandKit.version}` : ''
+      },
+      weights,
+      ratePerWord: body.ratePerWord ?? null,
+      currency: body.currency || 'USD'
+    });
+    const ids = req.file ? segments.map(s => s.id) : null;
+    res.json({
+      ok: true,
+      file: req.file ? { originalName: req.file.originalname, size: req.file.size } : null,
+      sourceLanguage,
+      targetLanguage,
+      ...report,
+      segments: ids ? report.segments.map(s => ({ ...s, id: ids[s.index] })) : report.segments
+    });
+  } catch (e) {
+    console.error('tm analyze error:', e?.message || e);
+    res.status(500).json({ ok: false, error: 'Failed to analyse the document.' });
+  } finally {
+    if (absPath) {
+      fs.unlink(absPath, () => {}); // best-effort delete
+    }
+  }
+});
+
 /** ------------------------- API: Gemini generate ------------------------- */
 app.post('/api/gemini/generate',
   allowGuests,
@@ -3364,63 +4244,295 @@ app.post('/api/gemini/generate',
 /** ------------------------- API: download ------------------------- */
 app.post('/api/download', async (req, res) => {
   try {
-    const { text = '', filename = 'translation', format = 'txt', type, cues = [] } = req.body || {};
+    const { text = '', filename = 'translation', format = 'txt', type, cues = [], targetLanguage: outputLanguage = null } = req.body || {};
     const safeName = String(filename || 'translation').replace(/[^\w.-]+/g, '_').slice(0, 80);
 
-    const isSrt = (type || format || '').toString().toLowerCase() === 'srt';
-    if (isSrt && Array.isArray(cues) && cues.length) {
-      const srt = cues.map((c, i) => {
-        const n = (c.index ? Number(c.index) : (i + 1));
-        const start = c.start || '00:00:00,000';
-        const end = c.end || '00:00:00,000';
-        const body = (c.text || '').toString().replace(/\r/g, '').trim();
-        return `${n}\n${start} --> ${end}\n${body}\n`;
-      }).join('\n');
+    // Cues from any subtitle upload can be written as srt, vtt, ttml, dfxp, ebu-tt, sbv or smi
+    const subtitleFormat = subtitles.subtitleFormatFor(String(format || '')) || subtitles.subtitleFormatFor(String(type || ''));
+    const isSubtitle = !!subtitleFormat && Array.isArray(cues) && cues.length > 0;
+    if (isSubtitle) {
+      // RTL subtitles: RLM per line, LRM around Latin runs (TTML: tts:direction), so players keep punctuation in place
+      const rtl = bidi.direction(outputLanguage, cues.map(c => c.text || '').join('\n')) === 'rtl';
+      let body;
+      try {
+        body = subtitles.writeSubtitles(cues, subtitleFormat, { targetLang: outputLanguage, rtl, title: safeName });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid subtitle cues: ${err.message}` });
+      }
+
+      // Readability is reported, not enforced: /api/subtitles/fit is where cues get fixed
+      try {
+        const qa = subtitleFit.checkCues(cues, { targetLang: outputLanguage });
+        const over = qa.cues.filter(c => c.issues.length);
+        res.set('X-Subtitle-Over-Limit', String(over.length));
+        if (over.length) res.set('X-Subtitle-Over-Limit-Cues', over.slice(0, 50).map(c => c.index).join(','));
+      } catch {}
+
+      res.setHeader('Content-Type', subtitles.contentTypeFor(subtitleFormat));
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${subtitles.extensionFor(subtitleFormat)}"`);
+      return res.send(body);
+    }
+
+    const fmtLower = String(format || '').toLowerCase();
+    if (ass.isAssFile(`.${fmtLower}`)) {
+      const { skeleton = '', segments = [] } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing ASS/SSA skeleton or segments.' });
+      }
+      let out;
+      try {
+        out = ass.buildAss(skeleton, segments);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ASS/SSA skeleton: ${err.message}` });
+      }
+      res.setHeader('Content-Type', 'text/x-ssa; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${fmtLower}"`);
+      return res.send(out);
+    }
+
+    if (markdown.isMarkdownFile(`.${fmtLower}`) || html.isHtmlFile(`.${fmtLower}`)) {
+      const { skeleton = '', segments = [], targetLanguage = null } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing HTML/Markdown skeleton or segments.' });
+      }
+      const isMarkdown = markdown.isMarkdownFile(`.${fmtLower}`);
+      const handler = isMarkdown ? markdown : html;
+      let problems, out, balance;
+      try {
+        const parsed = isMarkdown ? markdown.parseMarkdown(skeleton) : html.parseHtmlDocument(skeleton);
+        problems = handler.checkTags(parsed, segments);
+        out = isMarkdown ? markdown.buildMarkdown(skeleton, segments) : html.buildHtml(skeleton, segments, { targetLang: targetLanguage });
+        // Tokens are repaired on build; the balance check is what tells the client the document still nests the same way
+        balance = handler.checkBalance(skeleton, out);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ${isMarkdown ? 'Markdown' : 'HTML'} skeleton: ${err.message}` });
+      }
+      try { res.set('X-Placeholder-Errors', String(problems.length)); } catch {}
+      try { if (problems.length) res.set('X-Placeholder-Error-Keys', problems.slice(0, 20).map(p => encodeURIComponent(p.key)).join(',')); } catch {}
+      try { res.set('X-Markup-Balance-Errors', String(balance.problems.length)); } catch {}
+      try { if (!balance.ok) res.set('X-Markup-Balance-Tags', balance.problems.slice(0, 20).map(p => p.tag || p.type).join(',')); } catch {}
+      res.setHeader('Content-Type', isMarkdown ? 'text/markdown; charset=utf-8' : 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${fmtLower}"`);
+      return res.send(out);
+    }
+
+    if (fmtLower === 'xliff' || fmtLower === 'xlf') {
+      const { skeleton = '', segments = [], targetLanguage = null } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing XLIFF skeleton or segments.' });
+      }
+      let out;
+      try {
+        out = xliff.buildXliff(skeleton, segments, { targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid XLIFF skeleton: ${err.message}` });
+      }
+      res.setHeader('Content-Type', 'application/x-xliff+xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${fmtLower}"`);
+      return res.send(out);
+    }
+
+    if (po.isPoFile(`.${fmtLower}`)) {
+      const { skeleton = '', segments = [], targetLanguage = null } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing PO skeleton or segments.' });
+      }
+      // A translated template is a catalog: .pot comes back as .po; segments sent back with fuzzy: true stay fuzzy
+      let out;
+      try {
+        out = po.buildPo(skeleton, segments, { targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid PO skeleton: ${err.message}` });
+      }
+      res.setHeader('Content-Type', 'text/x-gettext-translation; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.po"`);
+      return res.send(out);
+    }
+
+    if (resourceBundle.isBundleFile(`.${fmtLower}`)) {
+      const { skeleton = '', segments = [], targetLanguage = null } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing resource skeleton or segments.' });
+      }
+      const bundleFormat = resourceBundle.formatFor(`.${fmtLower}`);
+      let problems, out;
+      try {
+        const parsed = resourceBundle.parseBundle(skeleton, { format: bundleFormat });
+        // Strings whose placeholders did not survive keep the source text; tell the client which
+        problems = resourceBundle.checkPlaceholders(parsed, segments);
+        out = resourceBundle.buildBundle(skeleton, segments, { format: bundleFormat, targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ${bundleFormat.toUpperCase()} skeleton: ${err.message}` });
+      }
+      try { res.set('X-Placeholder-Errors', String(problems.length)); } catch {}
+      try { if (problems.length) res.set('X-Placeholder-Error-Keys', problems.slice(0, 20).map(p => encodeURIComponent(p.key)).join(',')); } catch {}
+      res.setHeader('Content-Type', bundleFormat === 'yaml' ? 'text/yaml; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${fmtLower}"`);
+      return res.send(out);
+    }
+
+    if (fmtLower === 'android' || fmtLower === 'strings' || fmtLower === 'stringsdict') {
+      const { skeleton = '', segments = [], targetLanguage = null, encoding = 'utf8' } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing string resource skeleton or segments.' });
+      }
+      let problems, out;
+      try {
+        const parsed = mobileStrings.parseMobile(skeleton, { format: fmtLower, targetLang: targetLanguage });
+        problems = mobileStrings.checkPlaceholders(parsed, segments);
+        out = mobileStrings.buildMobile(skeleton, segments, { format: fmtLower, targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid ${fmtLower} string skeleton: ${err.message}` });
+      }
+      const ext = fmtLower === 'android' ? 'xml' : fmtLower;
+      try { res.set('X-Placeholder-Errors', String(problems.length)); } catch {}
+      try { if (problems.length) res.set('X-Placeholder-Error-Keys', problems.slice(0, 20).map(p => encodeURIComponent(p.key)).join(',')); } catch {}
+      try { if (targetLanguage) res.set('X-Localized-Path', encodeURIComponent(mobileStrings.localizedPath(fmtLower, null, targetLanguage))); } catch {}
+      res.setHeader('Content-Type', fmtLower === 'strings' ? 'text/plain; charset=utf-8' : 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${ext}"`);
+      return res.send(mobileStrings.encodeText(out, encoding));
+    }
+
+    if (fmtLower === 'docx' && req.body?.skeleton) {
+      const { skeleton, segments = [], targetLanguage = null } = req.body || {};
+      if (!Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing DOCX segments.' });
+      }
+      const original = Buffer.from(String(skeleton), 'base64');
+      let problems, buffer;
+      try {
+        const parsed = await docx.parseDocx(original);
+        // Paragraphs with broken codes are repaired (lost breaks/links re-appended); tell the client which
+        problems = docx.checkPlaceholders(parsed, segments);
+        buffer = await docx.buildDocx(original, segments, { targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid DOCX skeleton: ${err.message}` });
+      }
+      try { res.set('X-Placeholder-Errors', String(problems.length)); } catch {}
+      try { if (problems.length) res.set('X-Placeholder-Error-Keys', problems.slice(0, 20).map(p => encodeURIComponent(p.key)).join(',')); } catch {}
+      res.setHeader('Content-Type', mime.lookup('docx') || 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.docx"`);
+      return res.send(buffer);
+    }
+
+    if (fmtLower === 'epub') {
+      const { skeleton = '', segments = [], targetLanguage = null } = req.body || {};
+      if (!skeleton || !Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing EPUB skeleton or segments.' });
+      }
+      const original = Buffer.from(String(skeleton), 'base64');
+      let problems, buffer;
+      try {
+        const parsed = await epub.parseEpub(original);
+        // Units with broken codes are repaired (lost emphasis/links re-appended); tell the client which
+        problems = epub.checkTags(parsed, segments);
+        buffer = await epub.buildEpub(original, segments, { targetLang: targetLanguage });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid EPUB skeleton: ${err.message}` });
+      }
+      try { res.set('X-Placeholder-Errors', String(problems.length)); } catch {}
+      try { if (problems.length) res.set('X-Placeholder-Error-Keys', problems.slice(0, 20).map(p => encodeURIComponent(p.key)).join(',')); } catch {}
+      res.setHeader('Content-Type', 'application/epub+zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.epub"`);
+      return res.send(buffer);
+    }
+
+    if (fmtLower === 'xlsx' && req.body?.skeleton) {
+      const { skeleton, segments = [], targetLanguage = null, locales = null, xlsx: spec = {} } = req.body || {};
+      // Several target languages can land in one workbook, each in its own column
+      const list = Array.isArray(locales) && locales.length ? locales : [{ targetLanguage, segments }];
+      if (!list.some(l => Array.isArray(l.segments) && l.segments.length)) {
+        return res.status(400).json({ ok: false, error: 'Missing XLSX segments.' });
+      }
+      let buffer, skipped;
+      try {
+        ({ buffer, skipped } = await xlsx.buildXlsx(
+          Buffer.from(String(skeleton), 'base64'),
+          list.map(l => ({ targetLang: l.targetLanguage || null, translations: Array.isArray(l.segments) ? l.segments : [] })),
+          spec || {}
+        ));
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid XLSX skeleton: ${err.message}` });
+      }
+      try { res.set('X-Skipped-Cells', String(skipped.length)); } catch {}
+      try { if (skipped.length) res.set('X-Skipped-Cell-Refs', skipped.slice(0, 20).map(s => `${encodeURIComponent(s.cell)}:${s.reason}`).join(',')); } catch {}
+      res.setHeader('Content-Type', mime.lookup('xlsx') || 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.xlsx"`);
+      return res.send(buffer);
+    }
+
+    if (fmtLower === 'pptx' && req.body?.skeleton) {
+      const { skeleton, segments = [], targetLanguage = null, autoFit = false } = req.body || {};
+      if (!Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing PPTX segments.' });
+      }
+      const original = Buffer.from(String(skeleton), 'base64');
+      let problems, fit, buffer;
+      try {
+        const parsed = await pptx.parsePptx(original);
+        problems = pptx.checkPlaceholders(parsed, segments);
+        // Frames the translation overflows (after auto-fit, when requested)
+        fit = pptx.checkFit(parsed.frames, segments, { autoFit: !!autoFit });
+        buffer = await pptx.buildPptx(original, segments, { targetLang: targetLanguage, autoFit: !!autoFit });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid PPTX skeleton: ${err.message}` });
+      }
+      try { res.set('X-Placeholder-Errors', String(problems.length)); } catch {}
+      try { res.set('X-Overflow-Frames', String(fit.overflowCount)); } catch {}
+      try { if (fit.overflowCount) res.set('X-Overflow-Slides', [...new Set(fit.frames.filter(f => f.overflow).map(f => f.slide))].join(',')); } catch {}
+      res.setHeader('Content-Type', mime.lookup('pptx') || 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.pptx"`);
+      return res.send(buffer);
+    }
 
-      res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.srt"`);
-      return res.send(srt);
+    if (fmtLower === 'pdf' && req.body?.skeleton) {
+      const { skeleton, segments = [], targetLanguage = null } = req.body || {};
+      if (!Array.isArray(segments) || !segments.length) {
+        return res.status(400).json({ ok: false, error: 'Missing PDF segments.' });
+      }
+      // Original pages kept; blocks that overflow or lack glyphs in every font are reported
+      let buffer, unfitted;
+      try {
+        ({ buffer, unfitted } = await pdf.buildPdf(Buffer.from(String(skeleton), 'base64'), segments, { targetLang: targetLanguage }));
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: `Invalid PDF skeleton: ${err.message}` });
+      }
+      try { res.set('X-Unfitted-Blocks', String(unfitted.length)); } catch {}
+      try { if (unfitted.length) res.set('X-Unfitted-Block-Ids', unfitted.slice(0, 20).map(b => `${encodeURIComponent(b.key)}:${b.reason}`).join(',')); } catch {}
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}.pdf"`);
+      return res.send(buffer);
     }
 
-    if (!text.trim() && !isSrt) {
+    if (!text.trim() && !isSubtitle) {
       return res.status(400).json({ ok: false, error: 'Missing text.' });
     }
 
+    // Target language (or, without one, the text itself) decides right-to-left output
+    const rtl = bidi.direction(outputLanguage, text) === 'rtl';
+
     if (format === 'txt') {
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
       res.setHeader('Content-Disposition', `attachment; filename="${safeName}.txt"`);
-      return res.send(text);
+      return res.send(rtl ? bidi.addDirectionMarks(text) : text);
     }
 
     if (format === 'docx') {
-      const { Document, Packer, Paragraph, TextRun } = require('docx');
-      const blocks = String(text).split(/\r?\n\r?\n/);
-      const paragraphs = blocks.map(block => {
-        const lines = block.split(/\r?\n/);
-        const children = lines.map((line, i) =>
-          i === 0 ? new TextRun(line) : new TextRun({ text: line, break: true })
-        );
-        return new Paragraph({ children });
-      });
-      const doc = new Document({ sections: [{ properties: {}, children: paragraphs }] });
-      const buffer = await Packer.toBuffer(doc);
+      const buffer = await docx.renderTextDocx(text, { targetLang: outputLanguage });
       res.setHeader('Content-Type', mime.lookup('docx') || 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
       res.setHeader('Content-Disposition', `attachment; filename="${safeName}.docx"`);
       return res.send(buffer);
     }
 
     if (format === 'pdf') {
-      const PDFDocument = require('pdfkit');
+      // Font follows the script of the text; RTL lines are shaped and reordered
+      const buffer = await pdf.renderTextPdf(text, { targetLang: outputLanguage });
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${safeName}.pdf"`);
-      const pdf = new PDFDocument({ size: 'A4', margin: 50 });
-      pdf.pipe(res);
-      pdf.fontSize(12).text(text, { align: 'left' });
-      pdf.end();
-      return;
+      return res.send(buffer);
     }
 
-    return res.status(400).json({ ok: false, error: 'Unsupported format. Use txt, docx, or pdf (or type: "srt" with cues).' });
+    return res.status(400).json({ ok: false, error: 'Unsupported format. Use txt, docx, pdf, pptx/xlsx/xliff/po/epub/json/yaml/android/strings/stringsdict (with skeleton + segments), or type: "srt" with cues.' });
   } catch (e) {
     console.error('download error:', e);
     res.status(500).json({ ok: false, error: 'Failed to generate file.' });
@@ -3433,10 +4545,27 @@ app.post('/api/download', async (req, res) => {
  * {
  *   zipname: "localized_bundle",
  *   files: [
- *     { filename: "doc1.localized", format: "txt"|"docx"|"pdf", text: "..." },
- *     { filename: "video.localized", type: "srt", format: "srt", cues: [{start,end,text}, ...] }
+ *     { filename: "doc1.localized", format: "txt"|"docx"|"pdf", text: "...", targetLanguage: "ar" },
+ *     { filename: "report.fr", format: "docx", skeleton: "<base64 .docx>", segments: [{id,text}, ...], targetLanguage: "fr" },
+ *     { filename: "deck.de", format: "pptx", skeleton: "<base64 .pptx>", segments: [...], targetLanguage: "de", autoFit: true },
+ *     { filename: "brochure.ja", format: "pdf", skeleton: "<base64 .pdf>", segments: [{id,text}, ...], targetLanguage: "ja" },
+ *     { filename: "novel.es", format: "epub", skeleton: "<base64 .epub>", segments: [{id,text}, ...], targetLanguage: "es" },
+ *     { filename: "catalog", format: "xlsx", skeleton: "<base64 .xlsx>", xlsx: { headerRow: 1, columns: [{ source: "B", targets: { fr: "C" } }] },
+ *       locales: [{ targetLanguage: "fr", segments: [...] }] },
+ *     { filename: "video.localized", type: "srt", format: "srt", cues: [{start,end,text}, ...], targetLanguage: "he" },
+ *     { filename: "video.fr", format: "vtt"|"ttml"|"dfxp"|"ebu-tt"|"sbv"|"smi", cues: [{start,end,text,speaker,region,style}, ...] },
+ *     { filename: "episode01.es", format: "ass"|"ssa", skeleton: "[Script Info]...", segments: [{id,text}, ...] },
+ *     { filename: "strings.fr", format: "xliff", skeleton: "<xliff ...>", segments: [{id,text}, ...], targetLanguage: "fr" }
+ *     { filename: "messages.fr", format: "po"|"pot", skeleton: "msgid \"\" ...", segments: [{id,text}, ...], targetLanguage: "fr" }
+ *     { filename: "README.fr", format: "md"|"html", skeleton: "# Title ...", segments: [{id,text}, ...], targetLanguage: "fr" }
+ *     { filename: "messages.fr", format: "json"|"yaml", skeleton: "{...}", segments: [{id,text}, ...], targetLanguage: "fr" }
+ *     { filename: "strings.xml", format: "android"|"strings"|"stringsdict", skeleton: "...", encoding: "utf8",
+ *       locales: [{ targetLanguage: "pt-BR", segments: [{id,text}, ...] }, ...] }
  *   ]
  * }
+ * targetLanguage on text/subtitle entries selects RTL output (bidi paragraphs, shaped PDF, RLM/LRM marks).
+ * String resources are packed at their project path per locale (values-pt-rBR/strings.xml, pt-BR.lproj/...);
+ * a single locale may also be sent as top-level targetLanguage + segments.
  * Returns: ZIP (no compression, store) without external deps.
  */
 app.post('/api/download-zip',
@@ -3457,46 +4586,19 @@ app.post('/api/download-zip',
     }
 
     // helpers
-    const toSrtBuffer = (spec) => {
+    const toSubtitleBuffer = (spec, subtitleFormat, title) => {
       const cues = Array.isArray(spec.cues) ? spec.cues : [];
-      const srt = cues.map((c, i) => {
-        const n = (c.index ? Number(c.index) : (i + 1));
-        const start = (c.start || '00:00:00,000');
-        const end = (c.end || '00:00:00,000');
-        const body = (c.text || '').toString().replace(/\r/g, '').trim();
-        return `${n}\n${start} --> ${end}\n${body}\n`;
-      }).join('\n');
-      return Buffer.from(srt, 'utf8');
+      const rtl = bidi.direction(spec.targetLanguage || null, cues.map(c => c.text || '').join('\n')) === 'rtl';
+      return Buffer.from(subtitles.writeSubtitles(cues, subtitleFormat, { targetLang: spec.targetLanguage || null, rtl, title }), 'utf8');
     };
 
-    const toDocxBuffer = async (text) => {
-      const { Document, Packer, Paragraph, TextRun } = require('docx');
-      const blocks = String(text || '').split(/\r?\n\r?\n/);
-      const paragraphs = blocks.map(block => {
-        const lines = block.split(/\r?\n/);
-        const children = lines.map((line, i) =>
-          i === 0 ? new TextRun(line) : new TextRun({ text: line, break: true })
-        );
-        return new Paragraph({ children });
-      });
-      const doc = new Document({ sections: [{ properties: {}, children: paragraphs }] });
-      return await Packer.toBuffer(doc);
-    };
+    const toDocxBuffer = async (text, targetLang) => docx.renderTextDocx(String(text || ''), { targetLang: targetLang || null });
 
-    const toPdfBuffer = async (text) => {
-      const PDFDocument = require('pdfkit');
-      const { PassThrough } = require('stream');
-      const chunks = [];
-      return await new Promise((resolve) => {
-        const stream = new PassThrough();
-        stream.on('data', (c) => chunks.push(c));
-        stream.on('end', () => resolve(Buffer.concat(chunks)));
-
-        const pdf = new PDFDocument({ size: 'A4', margin: 50 });
-        pdf.pipe(stream);
-        pdf.fontSize(12).text(String(text || ''), { align: 'left' });
-        pdf.end();
-      });
+    const toPdfBuffer = async (text, targetLang) => pdf.renderTextPdf(String(text || ''), { targetLang: targetLang || null });
+
+    const toTxtBuffer = (text, targetLang) => {
+      const rtl = bidi.direction(targetLang || null, text) === 'rtl';
+      return Buffer.from(rtl ? bidi.addDirectionMarks(text) : text, 'utf8');
     };
 
     // --- Minimal ZIP (store, no compression), no external deps ---
@@ -3624,21 +4726,83 @@ app.post('/api/download-zip',
       try {
         const base = String(f.filename || 'file').replace(/[^\w.-]+/g,'_').slice(0,80);
         const kind = (f.type || f.format || '').toString().toLowerCase();
-        if (kind === 'srt') {
-          out.push({ name: `${base}.srt`, data: toSrtBuffer(f) });
+        const subtitleFormat = subtitles.subtitleFormatFor(String(f.format || '')) || subtitles.subtitleFormatFor(kind);
+        if (subtitleFormat) {
+          out.push({ name: `${base}.${subtitles.extensionFor(subtitleFormat)}`, data: toSubtitleBuffer(f, subtitleFormat, base) });
           continue;
         }
 
         const fmt = (f.format || 'txt').toLowerCase();
         const text = (f.text || '').toString();
-        if (fmt === 'txt') {
-          out.push({ name: `${base}.txt`, data: Buffer.from(text, 'utf8') });
+        if (ass.isAssFile(`.${fmt}`) && f.skeleton) {
+          const subs = ass.buildAss(String(f.skeleton), Array.isArray(f.segments) ? f.segments : []);
+          out.push({ name: `${base}.${fmt}`, data: Buffer.from(subs, 'utf8') });
+        } else if (markdown.isMarkdownFile(`.${fmt}`) && f.skeleton) {
+          const doc = markdown.buildMarkdown(String(f.skeleton), Array.isArray(f.segments) ? f.segments : []);
+          out.push({ name: `${base}.${fmt}`, data: Buffer.from(doc, 'utf8') });
+        } else if (html.isHtmlFile(`.${fmt}`) && f.skeleton) {
+          const doc = html.buildHtml(String(f.skeleton), Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null });
+          out.push({ name: `${base}.${fmt}`, data: Buffer.from(doc, 'utf8') });
+        } else if ((fmt === 'xliff' || fmt === 'xlf') && f.skeleton) {
+          const xml = xliff.buildXliff(String(f.skeleton), Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null });
+          out.push({ name: `${base}.${fmt}`, data: Buffer.from(xml, 'utf8') });
+        } else if (po.isPoFile(`.${fmt}`) && f.skeleton) {
+          const catalog = po.buildPo(String(f.skeleton), Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null });
+          out.push({ name: `${base}.po`, data: Buffer.from(catalog, 'utf8') });
+        } else if (resourceBundle.isBundleFile(`.${fmt}`) && f.skeleton) {
+          const bundle = resourceBundle.buildBundle(String(f.skeleton), Array.isArray(f.segments) ? f.segments : [], {
+            format: resourceBundle.formatFor(`.${fmt}`),
+            targetLang: f.targetLanguage || null
+          });
+          out.push({ name: `${base}.${fmt}`, data: Buffer.from(bundle, 'utf8') });
+        } else if ((fmt === 'android' || fmt === 'strings' || fmt === 'stringsdict') && f.skeleton) {
+          const locales = Array.isArray(f.locales) && f.locales.length
+            ? f.locales
+            : [{ targetLanguage: f.targetLanguage || null, segments: f.segments }];
+          // Keep the real resource name (strings.xml, InfoPlist.strings) when the client sent one
+          const resourceName = mobileStrings.mobileFormatFor(base) ? base : null;
+          for (const loc of locales) {
+            try {
+              const localized = mobileStrings.buildMobile(String(f.skeleton), Array.isArray(loc.segments) ? loc.segments : [], {
+                format: fmt,
+                targetLang: loc.targetLanguage || null
+              });
+              const name = loc.targetLanguage
+                ? mobileStrings.localizedPath(fmt, resourceName, loc.targetLanguage).split('/').map(p => p.replace(/[^\w.+-]+/g, '_')).join('/')
+                : resourceName || `${base}.${fmt === 'android' ? 'xml' : fmt}`;
+              out.push({ name, data: mobileStrings.encodeText(localized, f.encoding || 'utf8') });
+            } catch (e) {
+              console.error('pack locale error:', e);
+            }
+          }
+        } else if (fmt === 'txt') {
+          out.push({ name: `${base}.txt`, data: toTxtBuffer(text, f.targetLanguage) });
+        } else if (fmt === 'xlsx' && f.skeleton) {
+          const list = Array.isArray(f.locales) && f.locales.length ? f.locales : [{ targetLanguage: f.targetLanguage, segments: f.segments }];
+          const { buffer } = await xlsx.buildXlsx(
+            Buffer.from(String(f.skeleton), 'base64'),
+            list.map(l => ({ targetLang: l.targetLanguage || null, translations: Array.isArray(l.segments) ? l.segments : [] })),
+            f.xlsx || {}
+          );
+          out.push({ name: `${base}.xlsx`, data: buffer });
+        } else if (fmt === 'pptx' && f.skeleton) {
+          const original = Buffer.from(String(f.skeleton), 'base64');
+          out.push({ name: `${base}.pptx`, data: await pptx.buildPptx(original, Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null, autoFit: !!f.autoFit }) });
+        } else if (fmt === 'docx' && f.skeleton) {
+          const original = Buffer.from(String(f.skeleton), 'base64');
+          out.push({ name: `${base}.docx`, data: await docx.buildDocx(original, Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null }) });
+        } else if (fmt === 'epub' && f.skeleton) {
+          const original = Buffer.from(String(f.skeleton), 'base64');
+          out.push({ name: `${base}.epub`, data: await epub.buildEpub(original, Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null }) });
+        } else if (fmt === 'pdf' && f.skeleton) {
+          const original = Buffer.from(String(f.skeleton), 'base64');
+          out.push({ name: `${base}.pdf`, data: (await pdf.buildPdf(original, Array.isArray(f.segments) ? f.segments : [], { targetLang: f.targetLanguage || null })).buffer });
         } else if (fmt === 'docx') {
-          out.push({ name: `${base}.docx`, data: await toDocxBuffer(text) });
+          out.push({ name: `${base}.docx`, data: await toDocxBuffer(text, f.targetLanguage) });
         } else if (fmt === 'pdf') {
-          out.push({ name: `${base}.pdf`, data: await toPdfBuffer(text) });
+          out.push({ name: `${base}.pdf`, data: await toPdfBuffer(text, f.targetLanguage) });
         } else {
-          out.push({ name: `${base}.txt`, data: Buffer.from(text, 'utf8') });
+          out.push({ name: `${base}.txt`, data: toTxtBuffer(text, f.targetLanguage) });
         }
       } catch (e) {
         console.error('pack item error:', e);
@@ -3688,9 +4852,17 @@ app.post('/api/translate',
   idempotencyMiddleware,
   async (req, res) => {
   try {
-    const { text = '', mode = '', targetLanguage = '', subStyle = '', rephrase = false, injections = '', engine = (process.env.ROUTER_DEFAULT || 'auto'), policy = {} } = req.body || {};
+    const { text = '', mode = '', targetLanguage = '', subStyle = '', rephrase = false, injections: requestInjections = '', engine = (process.env.ROUTER_DEFAULT || 'auto'), policy = {}, brandKitId = null, brandKitVersion = null } = req.body || {};
     if (!text || !mode) return res.status(400).json({ result: 'Missing text or mode.' });
 
+    // brandKitId (+ optional brandKitVersion pin): the kit's BRAND VOICE block, with the target
+    // language's overrides applied, is built here and leads the injections
+    const brandKitRow = brandKitId ? await loadBrandKit(req, brandKitId, brandKitVersion) : null;
+    if (brandKitId && !brandKitRow) return res.status(404).json({ result: brandKitVersion != null ? 'Brand kit version not found.' : 'Brand kit not found.' });
+    const brandKit = brandKits.resolveForLanguage(brandKitRow, targetLanguage);
+    const brandCacheKey = brandKit ? `${brandKit.id}@${brandKit.version}` : '';
+    const injections = [brandKits.brandInjection(brandKit), requestInjections].filter(Boolean).join('\n\n');
+
     // Avoid any intermediary/proxy mixing idempotent and non-idempotent responses
     try {
       res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -3730,13 +4902,20 @@ app.post('/api/translate',
     const substyleLock = await enforceSubstyleAndMark(req, res);
     // Prepare Max-mode remaining headers (counts applied after success)
     const maxMeta = await prepareMaxModeHeaders(req, res);
+    // Glossary terms for the post-translation compliance check (cached results are checked too)
+    const glossaryTerms = await loadGlossaryForRequest(req, targetLanguage);
+    const complianceFor = (sources, outputs, extra = {}) => enforceTranslationCompliance({
+      req, res, sources, outputs, brandKit, glossaryTerms, targetLanguage,
+      temperature: pickTemperature(mode, subStyle, rephrase), ...extra
+    });
 
     // Fast-path: exact or semantic cache hit (Redis/Memory or Redis LangCache)
     try {
       if (translationCache && translationCache.getTranslation) {
-        const cached = await translationCache.getTranslation(text, mode, targetLanguage, subStyle, injections, engine);
+        const cached = await translationCache.getTranslation(text, mode, targetLanguage, subStyle, injections, engine, brandCacheKey);
         if (cached && cached.result) {
-          const clean = String(cached.result || '');
+          const qa = await complianceFor([text], [String(cached.result || '')]);
+          const clean = qa.outputs[0];
           try {
             res.set('X-Cache', 'hit');
             if (cached.provider) res.set('X-Cache-Provider', cached.provider);
@@ -3760,9 +4939,9 @@ app.post('/api/translate',
           });
 
           if (String(req.headers['x-route-explain'] || '').toLowerCase() === 'true') {
-            return res.json({ result: clean, meta: { engine: 'cache', model: 'cache', reason: 'langcache_or_local', risk: 0 } });
+            return res.json({ result: clean, ...qa.extras, meta: { engine: 'cache', model: 'cache', reason: 'langcache_or_local', risk: 0 } });
           }
-          return res.json({ result: clean });
+          return res.json({ result: clean, ...qa.extras });
         }
       }
     } catch {}
@@ -3840,8 +5019,8 @@ app.post('/api/translate',
           arr[i] = sanitizeWithSource(arr[i] || '', chunk[i] || '', targetLanguage);
           // Language lock QA: ensure translated output is in target language when applicable
           if (!rephrase && targetLanguage && (process.env.STRICT_LANGUAGE_LOCK ?? 'true') === 'true') {
-            const det = detectLanguageSimple(arr[i]);
-      const want = normalizeLangTag2(targetLanguage);
+            const want = normalizeLangTag2(targetLanguage);
+            const det = detectLanguageCode(arr[i], want);
             if (det !== 'unknown' && want && det !== want) {
               // If mismatch, force minimal correction via a tiny prompt pass
               try {
@@ -3884,7 +5063,11 @@ app.post('/api/translate',
         results.push(...arr);
       }
 
-      const clean = results.join('\n');
+      // Check per item when the split lined up with the input, otherwise as one text
+      const flatItems = chunks.flat();
+      const aligned = flatItems.length === results.length;
+      const qa = await complianceFor(aligned ? flatItems : [text], aligned ? results : [results.join('\n')], { allowPro });
+      const clean = qa.outputs.join('\n');
       const usedCharsTotal = text.length + clean.length;
       res.once('finish', async () => {
         try {
@@ -3900,7 +5083,7 @@ app.post('/api/translate',
         } catch {}
       });
 
-      return res.json({ result: clean });
+      return res.json({ result: clean, ...qa.extras });
     }
 
     const prompt = buildPrompt({ text, mode, subStyle, targetLanguage, rephrase, injections });
@@ -3971,7 +5154,7 @@ app.post('/api/translate',
     // Best-effort: write to cache (exact + semantic)
     try {
       if (translationCache && translationCache.setTranslation) {
-        translationCache.setTranslation(text, mode, targetLanguage, clean, subStyle, injections, null, engineUsed);
+        translationCache.setTranslation(text, mode, targetLanguage, clean, subStyle, injections, null, engineUsed, brandCacheKey);
       }
       // Best-effort write indicator
       const lcConf = !!(translationCache && translationCache.config && translationCache.config.useLangCache);
@@ -3981,8 +5164,8 @@ app.post('/api/translate',
     } catch {}
     // Language lock QA for single translation
     if (!rephrase && targetLanguage && (process.env.STRICT_LANGUAGE_LOCK ?? 'true') === 'true') {
-      const det = detectLanguageSimple(clean);
       const want = normalizeLangTag2(targetLanguage);
+      const det = detectLanguageCode(clean, want);
       if (det !== 'unknown' && want && det !== want) {
         try {
           const fixPrompt = `Convert the following text into strictly ${targetLanguage} without adding or removing information. Keep punctuation and structure. Return only the corrected text between <result> tags.\n\nText:\n${clean}\n\n<result>`;
@@ -3995,8 +5178,8 @@ app.post('/api/translate',
     }
     // Rephrase mode: ensure language remains the same as input
     if (rephrase && (process.env.STRICT_LANGUAGE_LOCK ?? 'true') === 'true') {
-      const srcLang = detectLanguageSimple(text);
-      const outLang = detectLanguageSimple(clean);
+      const srcLang = detectLanguageCode(text);
+      const outLang = detectLanguageCode(clean, srcLang !== 'unknown' ? srcLang : null);
       if (srcLang !== 'unknown' && outLang !== 'unknown' && srcLang !== outLang) {
         try {
           const fixPrompt = `Rephrase the following text in the EXACT SAME LANGUAGE as the input (do not translate). Keep punctuation and structure. Return only the corrected text between <result> tags.\n\nText:\n${clean}\n\n<result>`;
@@ -4027,6 +5210,9 @@ app.post('/api/translate',
       clean = termQA.text;
       try { metrics.escalationsTotal.inc({ from: engineUsed, to: termQA.engineUsed || engineUsed, reason: 'terminology_guard' }); } catch {}
     }
+
+    const qa = await complianceFor([text], [clean], { allowPro, preferEngine: engineUsed });
+    clean = qa.outputs[0];
     
     // Defer usage accounting until response finishes successfully
     const usedCharsTotal = text.length + clean.length;
@@ -4045,9 +5231,9 @@ app.post('/api/translate',
     });
 
     if (String(req.headers['x-route-explain'] || '').toLowerCase() === 'true') {
-      return res.json({ result: clean, meta: { engine: engineUsed, model: modelUsed, reason: decision.reason, risk: decision.risk } });
+      return res.json({ result: clean, ...qa.extras, meta: { engine: engineUsed, model: modelUsed, reason: decision.reason, risk: decision.risk } });
     }
-    return res.json({ result: clean });
+    return res.json({ result: clean, ...qa.extras });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ result: 'Something went wrong!' });
@@ -4134,7 +5320,7 @@ function normalizeObfuscatedProfanity(input, srcLangHint) {
  * Build one prompt that instructs the model to translate N items and return a JSON array
  * of N strings. We keep your style guard + subtitle overrides + QA checklist.
  */
-function buildBatchPrompt({ items, mode, subStyle, targetLanguage, rephrase, injections }) {
+function buildBatchPrompt({ items, mode, subStyle, targetLanguage, rephrase, injections, speakers = null }) {
   const modeKey = safeSlugify(mode);
   const subKey = subStyle ? safeSlugify(subStyle) : 'general';
   const byMode = PROMPTS[modeKey] || {};
@@ -4146,6 +5332,15 @@ function buildBatchPrompt({ items, mode, subStyle, targetLanguage, rephrase, inj
   const needsSubtitleRules =
     modeKey === 'dubbing' || subKey === 'subtitling' || subKey === 'dialogue';
 
+  // Who says each line (ASS actor field): voice, gender agreement and kinship/honorific choices
+  const speakerBlock = needsSubtitleRules && Array.isArray(speakers) && speakers.some(Boolean) ? `
+SPEAKERS:
+- SPEAKERS is a JSON array parallel to ITEMS naming the character who says each line ("" when unknown).
+- Use it for each character's voice and register, gender agreement, and who is addressing whom; keep each character consistent across lines.
+- Never add speaker names to the output.
+${JSON.stringify(items.map((_, i) => String(speakers[i] || '')))}
+` : '';
+
   const OBFUSCATION_NORMALIZATION = `
 CENSORSHIP PRESERVATION RULES (ALL LANGUAGES):
 - CRITICAL: Analyze the input censorship state first. If input contains asterisk-masked words (e.g., "b*tch", "f*ck", "sh*t"), the output MUST preserve this censorship.
@@ -4202,6 +5397,7 @@ ${safeRenderTemplate(QA_BLOCK, {
 })}
 
 ${REPHRASE_GUARD}
+${items.some(it => INLINE_TAG_TOKEN_RE.test(String(it || ''))) ? INLINE_TAG_RULES : ''}
 
 ${renderedBase}
 
@@ -4213,7 +5409,7 @@ BATCH INSTRUCTIONS:
 - Do NOT merge or split lines. Do NOT add indices, speakers, or extra punctuation.
 - CRITICAL: Keep each item in its own output index. If the source has a standalone cue like "di nascosto", the output must be exactly the adverb equivalent in the SAME index (e.g., "secretly"). Never move it to the previous line.
 - The ONLY thing in your final output must be the JSON array inside <result> tags.
-
+${speakerBlock}
 ITEMS:
 ${JSON.stringify(items, null, 2)}
 
@@ -4225,6 +5421,47 @@ Return only the JSON array strictly between <result> and </result>.
   return header;
 }
 
+/**
+ * Prompt that shortens translated subtitle cues to a character budget. Uses the same
+ * per-mode template and subtitle/dubbing overrides as buildBatchPrompt, so condensed
+ * lines keep the voice of the translation.
+ */
+function buildCondensePrompt({ items, mode, subStyle, targetLanguage, injections }) {
+  const modeKey = safeSlugify(mode);
+  const subKey = subStyle ? safeSlugify(subStyle) : 'general';
+  const byMode = PROMPTS[modeKey] || {};
+  const baseTmpl = byMode[subKey] || byMode['general'] || '';
+  const lang = targetLanguage || 'the same language as the input';
+  const injBlock = renderInjections(injections);
+
+  return `
+You are a subtitle editor. The cues in ITEMS are already translated into ${lang} but are too long to read in the time they are on screen.
+${STYLE_GUARD}
+${SUBTITLE_OVERRIDES}
+
+${injBlock ? '[FOLLOW BRAND VOICE EXACTLY — Tone, Audience, MUST DO, DO NOT, and Examples apply.]\n' + injBlock + '\n' : ''}
+
+${safeRenderTemplate(LANGUAGE_LOCK_RULES, { TARGET_LANG: lang })}
+${CENSORSHIP_RULES}
+
+${baseTmpl ? safeRenderTemplate(baseTmpl, { TARGET_LANG: lang, TEXT: 'Apply the same style rules to every element of ITEMS.' }) : ''}
+
+CONDENSING INSTRUCTIONS (these override "do not add or remove content" for these cues only):
+- ITEMS is a JSON array of ${items.length} objects {"index", "text", "maxChars"}.
+- Rewrite each text in ${lang} using at most maxChars characters (spaces count, line breaks do not).
+- Keep the meaning, speaker intent, tone and sentence-ending punctuation. Drop only what viewers do not need: fillers, hesitations, repetitions, redundant vocatives, wordy phrasing.
+- Keep names, numbers and locked glossary terms. Keep dialogue dashes with one line per speaker, and keep inline tags such as <i>...</i> or {\\i1} exactly.
+- Return ONLY a JSON array of ${items.length} strings, in the SAME order, 1-to-1 with ITEMS.
+
+ITEMS:
+${JSON.stringify(items, null, 2)}
+
+Return only the JSON array strictly between <result> and </result>.
+
+<result>
+`.trim();
+}
+
 /**
  * Chunk items to keep each request under a safe token budget.
  */
@@ -4472,9 +5709,14 @@ app.post('/api/translate-batch',
       targetLanguage = '',
       subStyle = '',
       rephrase = false,
-      injections = ''
+      injections: requestInjections = '',
+      brandKitId = null,
+      brandKitVersion = null
     } = req.body || {};
 
+    // Optional speaker per item (ASS actor field); the cache is keyed on text alone, so skip it then
+    const speakers = Array.isArray(req.body?.speakers) && req.body.speakers.some(Boolean) ? req.body.speakers : null;
+
     const engineReq = String(req.body?.engine || process.env.ROUTER_DEFAULT || 'auto');
     const tnow3 = String(req.user?.tier||'free').toLowerCase();
     const allowPro = Boolean(req.body?.allowPro) && (tnow3==='business' || tnow3==='pro');
@@ -4486,6 +5728,14 @@ app.post('/api/translate-batch',
       return res.status(400).json({ items: [], error: 'Missing items or mode.' });
     }
 
+    // brandKitId (+ optional brandKitVersion pin): the kit's BRAND VOICE block, with the target
+    // language's overrides applied, is built here and leads the injections
+    const brandKitRow = brandKitId ? await loadBrandKit(req, brandKitId, brandKitVersion) : null;
+    if (brandKitId && !brandKitRow) return res.status(404).json({ items: [], error: brandKitVersion != null ? 'Brand kit version not found.' : 'Brand kit not found.' });
+    const brandKit = brandKits.resolveForLanguage(brandKitRow, targetLanguage);
+    const brandCacheKey = brandKit ? `${brandKit.id}@${brandKit.version}` : '';
+    const injections = [brandKits.brandInjection(brandKit), requestInjections].filter(Boolean).join('\n\n');
+
     // Avoid any intermediary/proxy mixing idempotent and non-idempotent responses
     try {
       res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -4499,14 +5749,19 @@ app.post('/api/translate-batch',
     const substyleLock = await enforceSubstyleAndMark(req, res);
     // Prepare Max-mode remaining headers (counts applied after success)
     const maxMeta = await prepareMaxModeHeaders(req, res);
+    const glossaryTerms = await loadGlossaryForRequest(req, targetLanguage);
+    const complianceFor = (sources, outputs, extra = {}) => enforceTranslationCompliance({
+      req, res, sources, outputs, brandKit, glossaryTerms, targetLanguage,
+      temperature: pickTemperature(mode, subStyle, rephrase), allowPro, ...extra
+    });
 
     // Optional cache read-through when Max is OFF (GPT-4o)
     const BATCH_CACHE_ENABLED = (process.env.BATCH_CACHE_ENABLED === 'true');
     const BATCH_ALL_HIT_FASTPATH = (process.env.BATCH_ALL_HIT_FASTPATH === 'true');
     try {
       const engineForCache = allowPro ? 'gemini-2.5-pro' : 'gemini-fl';
-      if (BATCH_CACHE_ENABLED && !allowPro && translationCache && translationCache.getBatchTranslation) {
-        const cached = await translationCache.getBatchTranslation(items, mode, targetLanguage, subStyle || '', injections || '', engineForCache);
+      if (BATCH_CACHE_ENABLED && !allowPro && !speakers && translationCache && translationCache.getBatchTranslation) {
+        const cached = await translationCache.getBatchTranslation(items, mode, targetLanguage, subStyle || '', injections || '', engineForCache, brandCacheKey);
         if (cached && Array.isArray(cached.results) && cached.results.length === items.length) {
           try {
             res.set('X-Cache', 'hit');
@@ -4522,13 +5777,14 @@ app.post('/api/translate-batch',
             res.set('X-Models-Used', 'cache');
             res.set('X-Router-Reasons', 'batch_cache');
           } catch {}
-          return res.json({ items: cached.results, fromCache: true });
+          const qa = await complianceFor(items, cached.results);
+          return res.json({ items: qa.outputs, fromCache: true, ...qa.extras });
         }
       }
 
       // Conservative semantic fast-path: only if ALL items hit via single-item lookups
-      if (!allowPro && BATCH_ALL_HIT_FASTPATH && translationCache && translationCache.getTranslation) {
-        const checks = await Promise.all(items.map(it => translationCache.getTranslation(it, mode, targetLanguage, subStyle || '', injections || '', 'gemini-fl')));
+      if (!allowPro && !speakers && BATCH_ALL_HIT_FASTPATH && translationCache && translationCache.getTranslation) {
+        const checks = await Promise.all(items.map(it => translationCache.getTranslation(it, mode, targetLanguage, subStyle || '', injections || '', 'gemini-fl', brandCacheKey)));
         if (checks.every(Boolean)) {
           try {
             res.set('X-Cache', 'hit');
@@ -4545,7 +5801,8 @@ app.post('/api/translate-batch',
             res.set('X-Router-Reasons', 'batch_semantic_all_hit');
           } catch {}
           const out = checks.map((c, i) => sanitizeWithSource(String(c.result || ''), String(items[i] || ''), targetLanguage));
-          return res.json({ items: out, fromCache: true });
+          const qa = await complianceFor(items, out);
+          return res.json({ items: qa.outputs, fromCache: true, ...qa.extras });
         }
       }
     } catch {}
@@ -4578,8 +5835,8 @@ app.post('/api/translate-batch',
       const bodySingle = extractResultTagged(rawSingle) || '(no output)';
       let cleanSingle = sanitizeWithSource(bodySingle, combined, targetLanguage);
       if (!rephrase && targetLanguage && (process.env.STRICT_LANGUAGE_LOCK ?? 'true') === 'true') {
-        const det = detectLanguageSimple(cleanSingle);
         const want = normalizeLangTag(targetLanguage);
+        const det = detectLanguageCode(cleanSingle, want);
         if (det !== 'unknown' && want && det !== want) {
           try {
             const fixPrompt = `Convert the following text into strictly ${targetLanguage} without adding or removing information. Keep punctuation and structure. Return only the corrected text between <result> tags.\n\nText:\n${cleanSingle}\n\n<result>`;
@@ -4597,6 +5854,9 @@ app.post('/api/translate-batch',
         }
       }
 
+      const qaSingle = await complianceFor([combined], [cleanSingle]);
+      cleanSingle = qaSingle.outputs[0];
+
       // Usage accounting
       const totalCharsSingle = combined.length + cleanSingle.length;
       res.once('finish', async () => {
@@ -4613,7 +5873,7 @@ app.post('/api/translate-batch',
         } catch {}
       });
 
-      return res.json({ result: cleanSingle });
+      return res.json({ result: cleanSingle, ...qaSingle.extras });
     }
     const strict1to1 = process.env.STRICT_SUBTITLE_1TO1 === 'true';
     const useMicroBatch = isSubtitleLike && strict1to1;
@@ -4648,10 +5908,17 @@ app.post('/api/translate-batch',
     async function worker(){
       while(queue.length){
         const job = queue.shift();
-        // Pre-normalize obfuscated profanity per item using a rough srcLang hint from context
-        const srcLangHint = undefined; // can be enhanced by lightweight detector later
-        const normalizedItems = job.items.map(it => normalizeObfuscatedProfanity(it, srcLangHint));
-        const prompt = buildBatchPrompt({ items: normalizedItems, mode, subStyle, targetLanguage, rephrase, injections });
+        // Pre-normalize obfuscated profanity per item, limited to the item's language when it is
+        // detected and the lexicon covers it
+        const normalizedItems = job.items.map(it => {
+          const code = detectLanguageCode(it);
+          const srcLangHint = PROFANITY_LEXICON.some(x => x.lang === code) ? code : undefined;
+          return normalizeObfuscatedProfanity(it, srcLangHint);
+        });
+        const prompt = buildBatchPrompt({
+          items: normalizedItems, mode, subStyle, targetLanguage, rephrase, injections,
+          speakers: speakers ? speakers.slice(job.start, job.start + job.items.length) : null
+        });
 
         // Router decision per chunk
         const joined = normalizedItems.join('\n');
@@ -4686,8 +5953,8 @@ app.post('/api/translate-batch',
             if (req.cache && req.cache.delete) {
               try {
                 // Clear cache for the original engine AND the fallback engine for this specific prompt
-                const clearedOrig = await req.cache.delete(prompt, mode, targetLanguage, subStyle, injections, decision.engine);
-                const clearedFallback = await req.cache.delete(prompt, mode, targetLanguage, subStyle, injections, 'gpt-4o');
+                const clearedOrig = await req.cache.delete(prompt, mode, targetLanguage, subStyle, injections, decision.engine, brandCacheKey);
+                const clearedFallback = await req.cache.delete(prompt, mode, targetLanguage, subStyle, injections, 'gpt-4o', brandCacheKey);
                 console.log(`[Batch Worker] Cache clear attempt for engines ${decision.engine} (found: ${clearedOrig}) and gpt-4o (found: ${clearedFallback})`);
               } catch (cacheErr) {
                 console.log(`[Batch Worker] Cache clear failed: ${cacheErr.message}`);
@@ -4761,8 +6028,8 @@ app.post('/api/translate-batch',
           let sanitized = sanitizeWithSource(withNoFp, job.items[i] || '', targetLanguage);
           // Rephrase: enforce same-language as input
           if (rephrase && (process.env.STRICT_LANGUAGE_LOCK ?? 'true') === 'true') {
-            const srcLang = detectLanguageSimple(job.items[i] || '');
-            const outLang = detectLanguageSimple(sanitized);
+            const srcLang = detectLanguageCode(job.items[i] || '');
+            const outLang = detectLanguageCode(sanitized, srcLang !== 'unknown' ? srcLang : null);
             if (srcLang !== 'unknown' && outLang !== 'unknown' && srcLang !== outLang) {
               try {
                 const fixPrompt = `Rephrase the following text in the EXACT SAME LANGUAGE as the input (do not translate). Keep punctuation and structure. Return only the corrected text between <result> tags.\n\nText:\n${sanitized}\n\n<result>`;
@@ -4776,8 +6043,8 @@ app.post('/api/translate-batch',
           // Translation: enforce target language strictly (including short unknown-but-English lines)
           if (!rephrase && targetLanguage && (process.env.STRICT_LANGUAGE_LOCK ?? 'true') === 'true') {
             const want = normalizeLangTag2(targetLanguage);
-            const outLang = detectLanguageSimple(sanitized);
-            const looksEng = isLikelyEnglishShort(sanitized);
+            const outLang = detectLanguageCode(sanitized, want);
+            const looksEng = looksLikeEnglish(sanitized, want);
             if (want && ((outLang !== 'unknown' && outLang !== want) || (outLang === 'unknown' && looksEng && want !== 'en'))) {
               try {
                 const fixPrompt = `Convert the following text into strictly ${targetLanguage} without adding or removing information. Keep punctuation and structure. Return only the corrected text between <result> tags.\n\nText:\n${sanitized}\n\n<result>`;
@@ -4835,8 +6102,8 @@ app.post('/api/translate-batch',
           const fixed = [];
           for (let i = 0; i < resultsOut.length; i++) {
             let outLine = resultsOut[i] || '';
-            const outLang = detectLanguageSimple(outLine);
-            const looksEng = isLikelyEnglishShort(outLine);
+            const outLang = detectLanguageCode(outLine, want);
+            const looksEng = looksLikeEnglish(outLine, want);
             if ((outLang !== 'unknown' && outLang !== want) || (outLang === 'unknown' && looksEng && want !== 'en')) {
               try {
                 const fixPrompt = `Convert the following text into strictly ${targetLanguage} without adding or removing information. Keep punctuation and structure. Return only the corrected text between <result> tags.\n\nText:\n${outLine}\n\n<result>`;
@@ -4853,6 +6120,10 @@ app.post('/api/translate-batch',
       }
     } catch {}
 
+    // Brand and glossary compliance run last so the repaired items are what gets cached
+    const qa = await complianceFor(items, resultsOut, { preferEngine: enginesUsed.has('gemini-2p') ? 'gemini-2p' : undefined });
+    resultsOut = qa.outputs;
+
     // Set summary headers
     try {
       res.set('X-Engines-Used', Array.from(enginesUsed).join(','));
@@ -4864,8 +6135,8 @@ app.post('/api/translate-batch',
 
     // Write-through cache when shapes match (TTL ~5 min)
     try {
-      if (BATCH_CACHE_ENABLED && !allowPro && translationCache && translationCache.setBatchTranslation && Array.isArray(resultsOut) && resultsOut.length === items.length) {
-        await translationCache.setBatchTranslation(items, mode, targetLanguage, resultsOut, subStyle || '', injections || '', 300, 'gemini-fl');
+      if (BATCH_CACHE_ENABLED && !allowPro && !speakers && translationCache && translationCache.setBatchTranslation && Array.isArray(resultsOut) && resultsOut.length === items.length) {
+        await translationCache.setBatchTranslation(items, mode, targetLanguage, resultsOut, subStyle || '', injections || '', 300, 'gemini-fl', brandCacheKey);
         // Signal semantic write attempt (translation-cache will also write to LangCache per item)
         const lcConf = !!(translationCache && translationCache.config && translationCache.config.useLangCache);
         const lcSvc = !!(langCache && langCache.isEnabled && langCache.isEnabled());
@@ -4908,21 +6179,138 @@ app.post('/api/translate-batch',
         allowPro,
         concurrency: CONCURRENCY
       };
-      return res.json({ items: resultsOut, meta: batchMeta });
+      return res.json({ items: resultsOut, ...qa.extras, meta: batchMeta });
     }
 
-    return res.json({ items: resultsOut });
+    return res.json({ items: resultsOut, ...qa.extras });
   } catch (e) {
     console.error('translate-batch error (final):', e);
     return res.status(500).json({ items: [], error: 'Batch translation failed.' });
   }
 });
 
+/** ------------------------- API: subtitle fit ------------------------- */
+/**
+ * Readability QA for translated cues ({ start, end, text } as returned by /api/upload):
+ * CPS and characters per line against the target language's limits, lines re-broken at
+ * natural boundaries, and cues still over the limits condensed by the engine
+ * (condense:false skips that step). `limits` may override maxCps / maxCharsPerLine / maxLines.
+ */
+app.post('/api/subtitles/fit',
+  allowGuests,
+  rateLimiters.translation,
+  quotaMiddleware,
+  async (req, res) => {
+  try {
+    const {
+      cues = [],
+      targetLanguage = '',
+      mode = 'dubbing',
+      subStyle = '',
+      injections = '',
+      limits = {},
+      condense = true
+    } = req.body || {};
+    if (!Array.isArray(cues) || !cues.length) {
+      return res.status(400).json({ ok: false, error: 'Missing cues.' });
+    }
+
+    const run = runWithEngine.bind(makeEngineCtx(req));
+    let inputChars = 0;
+    let outputChars = 0;
+    const condenseWithEngine = async (items) => {
+      const out = [];
+      const chunks = chunkByTokenBudget(items.map(it => it.text), { maxItemsPerChunk: 60 });
+      let start = 0;
+      for (const chunk of chunks) {
+        const batch = items.slice(start, start + chunk.length);
+        try {
+          const prompt = buildCondensePrompt({ items: batch, mode, subStyle, targetLanguage, injections });
+          const r = await run('gemini-fl', prompt, 0.2);
+          parseJsonArrayStrict(r.text || '', batch.length).forEach((t, k) => {
+            out[start + k] = sanitizeWithSource(stripFpTokens(t), batch[k].text, targetLanguage);
+            inputChars += batch[k].text.length;
+            outputChars += out[start + k].length;
+          });
+        } catch (e) {
+          // Cues in a failed chunk keep their text and stay flagged in the report
+          log.error('Subtitle condense failed', { error: e.message, cues: batch.length });
+        }
+        start += chunk.length;
+      }
+      return out;
+    };
+
+    const fitted = await subtitleFit.fitCues(cues, {
+      targetLang: targetLanguage,
+      limits,
+      condense: condense ? condenseWithEngine : null
+    });
+    try { res.set('X-Subtitle-Over-Limit', String(fitted.report.summary.overLimit)); } catch {}
+
+    if (inputChars) {
+      res.once('finish', async () => {
+        try {
+          if (res.statusCode < 400) {
+            await recordUsage(req, 'subtitles-fit', 0, inputChars + outputChars);
+            try { updateMonthlyUsage({ userId: req.user?.id, requests: 1, inputChars, outputChars }); } catch {}
+          }
+        } catch {}
+      });
+    }
+
+    return res.json({ ok: true, cues: fitted.cues, report: fitted.report });
+  } catch (e) {
+    log.error('Subtitle fit failed', { error: e.message });
+    return res.status(500).json({ ok: false, error: 'Subtitle fit failed.' });
+  }
+});
+
+/** ------------------------- API: language detection ------------------------- */
+/**
+ * POST /api/detect-language: offline language identification (formats/language-id.js).
+ * JSON { text } or { texts: [...] } for a batch, optional candidates (codes or names to choose
+ * from) and spans=true for the stretches of each language in mixed-language text.
+ */
+app.post('/api/detect-language',
+  allowGuests,
+  rateLimiters.translation,
+  (req, res) => {
+  try {
+    const body = req.body || {};
+    const batch = Array.isArray(body.texts);
+    const texts = batch ? body.texts.map(t => String(t ?? '')) : [String(body.text ?? '')];
+    if (!batch && !texts[0].trim()) return res.status(400).json({ ok: false, error: 'Missing text.' });
+    const maxChars = Number(process.env.LANGID_MAX_CHARS || 5000);
+    const total = texts.reduce((n, t) => n + t.length, 0);
+    if (total > maxChars) {
+      return res.status(413).json({ ok: false, error: `Text too long to analyse (${total} > ${maxChars} characters).` });
+    }
+    const candidates = Array.isArray(body.candidates) ? body.candidates.map(c => langId.codeFor(c)).filter(Boolean) : null;
+    const withSpans = body.spans === true || body.spans === 'true';
+
+    const results = texts.map(text => {
+      const r = langId.detect(text, { candidates });
+      const out = { language: r.lang, name: r.name, script: r.script, confidence: r.confidence, reliable: r.reliable, candidates: r.candidates };
+      if (withSpans) {
+        out.spans = langId.detectSpans(text, { candidates });
+        out.mixed = new Set(out.spans.map(s => s.lang).filter(l => l !== 'unknown')).size > 1;
+      }
+      return out;
+    });
+    res.json(batch ? { ok: true, results } : { ok: true, ...results[0] });
+  } catch (e) {
+    log.error('Language detection failed', { error: e.message });
+    res.status(500).json({ ok: false, error: 'Language detection failed.' });
+  }
+});
+
 /** ------------------------- API: align ------------------------- */
 app.post('/api/align', async (req, res) => {
   try {
-    const { src = '', tgt = '', srcLang = 'auto', tgtLang = '' } = req.body || {};
+    const { src = '', tgt = '', tgtLang = '' } = req.body || {};
     if (!src.trim() || !tgt.trim()) return res.json([]);
+    const srcLang = langId.resolve(req.body.srcLang, src);
 
     const sys = `You align source and target texts at the word/short-phrase level.
 - Output ONLY compact JSON: [{"src":"<exact span from source>","tgt":"<exact span from target>"}...]
@@ -4975,6 +6363,124 @@ Return ONLY the JSON array.`;
   }
 });
 
+/** Source and target sides of an alignment request: uploaded files or JSON text / paragraph arrays */
+async function alignmentSides(req) {
+  const sides = {};
+  for (const side of ['source', 'target']) {
+    const file = req.files?.[side]?.[0];
+    const value = req.body?.[side];
+    const lang = (side === 'source' ? req.body?.sourceLanguage : req.body?.targetLanguage) || 'auto';
+    if (file) sides[side] = await fileToSegments(file.path, file.originalname, lang);
+    else if (Array.isArray(value)) sides[side] = value.map(v => (typeof v === 'string' ? v : String(v?.text ?? '')));
+    else if (typeof value === 'string' && value.trim()) sides[side] = value;
+    else return null;
+  }
+  return sides;
+}
+
+/**
+ * POST /api/align/sentences: sentence-level alignment of a document and its existing translation,
+ * no model involved. Multipart source=<file> and target=<file>, or JSON { source, target } as text
+ * or paragraph arrays; optional sourceLanguage, targetLanguage (the user's glossary terms for it
+ * become anchors), reviewBelow (default ALIGN_REVIEW_THRESHOLD). With store=true (plus mode,
+ * subStyle, overwrite, documentId) pairs at or above minConfidence (default ALIGN_AUTO_ACCEPT)
+ * go straight into the TM; the rest come back for review and POST /api/align/accept.
+ */
+app.post('/api/align/sentences',
+  requireAuth,
+  rateLimiters.upload,
+  upload.fields([{ name: 'source', maxCount: 1 }, { name: 'target', maxCount: 1 }]),
+  async (req, res) => {
+  try {
+    const body = req.body || {};
+    let sides;
+    try {
+      sides = await alignmentSides(req);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: `Could not read the documents: ${err.message}` });
+    }
+    if (!sides) return res.status(400).json({ ok: false, error: 'Send a source and a target document.' });
+
+    const targetLanguage = String(body.targetLanguage || '').trim();
+    const store = tmFlag(body.store);
+    if (store && !targetLanguage) return res.status(400).json({ ok: false, error: 'Missing targetLanguage.' });
+
+    const reviewBelow = Number(body.reviewBelow ?? process.env.ALIGN_REVIEW_THRESHOLD ?? 0.6);
+    const terms = targetLanguage ? await loadGlossaryForRequest(req, targetLanguage) : [];
+    // Codes for the SRX rules and term matching; a side without one is identified from its text
+    const sourceLang = langId.codeFor(body.sourceLanguage) || langId.resolve(body.sourceLanguage, sides.source, null);
+    const targetLang = langId.codeFor(targetLanguage) || langId.resolve(targetLanguage, sides.target, null);
+    const source = aligner.toSentences(sides.source, sourceLang || 'auto');
+    const target = aligner.toSentences(sides.target, targetLang || 'auto');
+    const maxSentences = Number(process.env.ALIGN_MAX_SENTENCES || 20000);
+    if (source.length > maxSentences || target.length > maxSentences) {
+      return res.status(413).json({ ok: false, error: `Too many sentences to align (max ${maxSentences} per side).` });
+    }
+
+    const result = aligner.align(source, target, {
+      terms,
+      srcLang: sourceLang,
+      tgtLang: targetLang,
+      reviewBelow: Number.isFinite(reviewBelow) ? reviewBelow : 0.6
+    });
+
+    let stored = null;
+    if (store) {
+      // Never auto-accept a pair that is flagged for review
+      const minConfidence = Math.max(Number(body.minConfidence ?? process.env.ALIGN_AUTO_ACCEPT ?? 0.8) || 0, reviewBelow || 0);
+      stored = await translationMemory.importAlignedPairs(result.pairs, {
+        sourceLang: body.sourceLanguage || 'auto',
+        targetLang: targetLanguage,
+        mode: body.mode || 'formal',
+        subStyle: body.subStyle || 'general',
+        overwrite: tmFlag(body.overwrite),
+        minConfidence,
+        createdBy: req.user?.id ?? null,
+        documentId: body.documentId || req.files?.source?.[0]?.originalname || null
+      });
+      stored.minConfidence = minConfidence;
+    }
+
+    res.json({ ok: true, languages: { source: sourceLang, target: targetLang }, summary: result.summary, pairs: result.pairs, stored });
+  } catch (e) {
+    console.error('align sentences error:', e?.message || e);
+    res.status(500).json({ ok: false, error: 'Failed to align the documents.' });
+  } finally {
+    for (const file of Object.values(req.files || {}).flat()) {
+      fs.unlink(file.path, () => {}); // best-effort delete
+    }
+  }
+});
+
+/**
+ * POST /api/align/accept: store reviewed pairs in the TM.
+ * JSON { pairs: [{ src, tgt, confidence? }], targetLanguage, sourceLanguage?, mode?, subStyle?,
+ * overwrite?, documentId? }. Pairs keep document order so neighbours become TM context; a pair's
+ * confidence becomes its quality score, and pairs without one (checked by hand) score 1.
+ */
+app.post('/api/align/accept', requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!Array.isArray(body.pairs) || !body.pairs.length) return res.status(400).json({ ok: false, error: 'Missing pairs.' });
+    const maxSentences = Number(process.env.ALIGN_MAX_SENTENCES || 20000);
+    if (body.pairs.length > maxSentences) {
+      return res.status(413).json({ ok: false, error: `Too many pairs (${body.pairs.length} > ${maxSentences}).` });
+    }
+    const result = await translationMemory.importAlignedPairs(body.pairs, {
+      sourceLang: body.sourceLanguage || 'auto',
+      targetLang: String(body.targetLanguage || '').trim() || null,
+      mode: body.mode || 'formal',
+      subStyle: body.subStyle || 'general',
+      overwrite: tmFlag(body.overwrite),
+      createdBy: req.user?.id ?? null,
+      documentId: body.documentId || null
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    tmFail(res, 'store aligned', e);
+  }
+});
+
 /** ------------------------- API: Phrasebook (server-backed) ------------------------- */
 /** Simple per-user storage keyed by X-UID header. */
 const DATA_DIR = path.join(__dirname, 'userdb');
@@ -5197,21 +6703,32 @@ app.post('/api/brand-kits', requireAuth, ensureProfile, express.json(), async (r
       console.log(`Brand Kits POST: Converting legacy user ID ${userId} to UUID format: ${userIdForDb}`);
     }
     
-    const { name = 'My Brand', tone = [], forbidden_words = [], style_notes = '' } = req.body || {};
+    const { name = 'My Brand', tone = [], forbidden_words = [], style_notes = '', overrides = {}, change_note = null } = req.body || {};
+    let overridesNorm;
+    try { overridesNorm = brandKits.normalizeOverrides(overrides); }
+    catch (e) { return res.status(400).json({ ok:false, error: e.message }); }
+    // Version 1 is stored as a snapshot too, so history and pinning work from the start
+    const first = { version: 1, name, tone, forbidden_words, style_notes, overrides: overridesNorm, change_note: change_note ? String(change_note).slice(0, 500) : null };
     if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
       const url = `${process.env.SUPABASE_URL}/rest/v1/brand_kits`;
       const r = await fetch(url, {
         method:'POST',
         headers:{ 'apikey': process.env.SUPABASE_SERVICE_ROLE_KEY, 'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`, 'Content-Type':'application/json', 'Prefer':'return=representation' },
-        body: JSON.stringify({ user_id: userIdForDb, name, tone, forbidden_words, style_notes })
+        body: JSON.stringify({ user_id: userIdForDb, name, tone, forbidden_words, style_notes, overrides: overridesNorm, version: 1 })
       });
       if (!r.ok) throw new Error(`supabase rest create ${r.status}`);
       const rows = await r.json();
-      return res.json({ ok:true, item: Array.isArray(rows)&&rows[0]?rows[0]:rows });
+      const item = Array.isArray(rows)&&rows[0]?rows[0]:rows;
+      // History falls back to the kit row when this insert fails
+      try { await brandRest('brand_kit_versions', { method:'POST', body: { kit_id: item.id, user_id: userIdForDb, ...first } }); }
+      catch (e) { console.warn('brand version create', e?.message||e); }
+      return res.json({ ok:true, item, version: 1 });
     }
     if (!prisma) return res.status(503).json({ ok:false, error:'DB unavailable' });
-    const row = await prisma.brand_kits.create({ data: { user_id: userId, name, tone, forbidden_words, style_notes } });
-    res.json({ ok:true, item: row });
+    const row = await prisma.brand_kits.create({
+      data: { user_id: userId, name, tone, forbidden_words, style_notes, overrides: overridesNorm, version: 1, versions: { create: { user_id: userId, ...first } } }
+    });
+    res.json({ ok:true, item: row, version: 1 });
   } catch (e) { console.error('brand create', e); res.status(500).json({ ok:false }); }
 });
 
@@ -5231,26 +6748,68 @@ app.put('/api/brand-kits/:id', requireAuth, ensureProfile, express.json(), async
       console.log(`Brand Kits PUT: Converting legacy user ID ${userId} to UUID format: ${userIdForDb}`);
     }
     
-    const { name, tone, forbidden_words, style_notes } = req.body || {};
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
-      const url = new URL(`${process.env.SUPABASE_URL}/rest/v1/brand_kits`);
-      url.searchParams.set('id', `eq.${id}`);
-      url.searchParams.set('user_id', `eq.${userIdForDb}`);
-      const r = await fetch(url.toString(), {
-        method:'PATCH',
-        headers:{ 'apikey': process.env.SUPABASE_SERVICE_ROLE_KEY, 'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`, 'Content-Type':'application/json', 'Prefer':'return=representation' },
-        body: JSON.stringify({ name, tone, forbidden_words, style_notes })
-      });
-      if (!r.ok) throw new Error(`supabase rest update ${r.status}`);
-      const rows = await r.json();
-      return res.json({ ok:true, item: Array.isArray(rows)&&rows[0]?rows[0]:rows });
+    if (!brandRestEnabled() && !prisma) return res.status(503).json({ ok:false });
+    const kit = await loadBrandKit(req, id);
+    if (!kit) return res.status(404).json({ ok:false, error:'Brand kit not found' });
+
+    // Every saved edit becomes a new immutable version; fields left out keep their value
+    const body = req.body || {};
+    const current = brandKits.snapshotOf(kit);
+    let next;
+    try {
+      next = brandKits.snapshotOf({ ...current, ...Object.fromEntries(brandKits.KIT_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]])) });
+    } catch (e) { return res.status(400).json({ ok:false, error: e.message }); }
+    const changes = brandKits.diffVersions(current, next);
+    if (!changes.length) return res.json({ ok:true, item: kit, version: kit.version, unchanged: true, changes });
+
+    try {
+      const item = await saveBrandKitVersion(req, kit, next, body.change_note);
+      log.info('Brand kit version saved', { id, userId: userIdForDb, from: kit.version, to: kit.version + 1, changes: changes.length });
+      res.json({ ok:true, item, version: kit.version + 1, changes });
+    } catch (e) {
+      if (e && e.status === 409) return res.status(409).json({ ok:false, error:'Brand kit was changed concurrently; reload and retry', code:'version_conflict' });
+      throw e;
     }
-    if (!prisma) return res.status(503).json({ ok:false });
-    const row = await prisma.brand_kits.update({ where: { id }, data: { name, tone, forbidden_words, style_notes } });
-    res.json({ ok:true, item: row });
   } catch (e) { console.error('brand update', e); res.status(500).json({ ok:false }); }
 });
 
+app.get('/api/brand-kits/:id/versions', requireAuth, ensureProfile, async (req, res) => {
+  try {
+    const kit = await loadBrandKit(req, req.params.id);
+    if (!kit) return res.status(404).json({ ok:false, error:'Brand kit not found' });
+    const history = await brandKitHistory(req, kit);
+    // Newest first; the full rules of one version come from /versions/:version
+    const items = history.map(({ version, change_note, created_at, changes }) => ({ version, change_note, created_at, changes })).reverse();
+    res.json({ ok:true, kitId: kit.id, current: kit.version, items });
+  } catch (e) { console.error('brand versions', e); res.status(500).json({ ok:false }); }
+});
+
+app.get('/api/brand-kits/:id/versions/:version', requireAuth, ensureProfile, async (req, res) => {
+  try {
+    const kit = await loadBrandKit(req, req.params.id);
+    if (!kit) return res.status(404).json({ ok:false, error:'Brand kit not found' });
+    const history = await brandKitHistory(req, kit);
+    const item = history.find(v => String(v.version) === String(req.params.version));
+    if (!item) return res.status(404).json({ ok:false, error:'Version not found' });
+    res.json({ ok:true, kitId: kit.id, current: kit.version, item });
+  } catch (e) { console.error('brand version', e); res.status(500).json({ ok:false }); }
+});
+
+// ?from=&to= (defaults: the current version against the one before it)
+app.get('/api/brand-kits/:id/diff', requireAuth, ensureProfile, async (req, res) => {
+  try {
+    const kit = await loadBrandKit(req, req.params.id);
+    if (!kit) return res.status(404).json({ ok:false, error:'Brand kit not found' });
+    const history = await brandKitHistory(req, kit);
+    const to = req.query.to != null ? Number(req.query.to) : kit.version;
+    const from = req.query.from != null ? Number(req.query.from) : to - 1;
+    const a = history.find(v => v.version === from);
+    const b = history.find(v => v.version === to);
+    if (!a || !b) return res.status(404).json({ ok:false, error:`Version ${!a ? req.query.from ?? from : req.query.to ?? to} not found` });
+    res.json({ ok:true, kitId: kit.id, from, to, changes: brandKits.diffVersions(a, b) });
+  } catch (e) { console.error('brand diff', e); res.status(500).json({ ok:false }); }
+});
+
 app.delete('/api/brand-kits/:id', requireAuth, ensureProfile, async (req, res) => {
   try {
     const tierNow = String(req.user?.tier||'free').toLowerCase();
@@ -5290,14 +6849,14 @@ app.get('/api/glossary', requireAuth, ensureProfile, async (req, res) => {
 app.post('/api/glossary', requireAuth, ensureProfile, express.json(), async (req, res) => {
   try {
     if (!prisma) return res.status(503).json({ ok:false });
-    const userId = req.user?.id; const { src = '', tgt = '', lock = false, case_hint = null } = req.body || {};
-    const row = await prisma.glossary_terms.create({ data: { user_id: userId, src, tgt, lock, case_hint } });
+    const userId = req.user?.id; const { src = '', tgt = '', lock = false, case_hint = null, src_lang = null, tgt_lang = null, pos = null, definition = null, forbidden = [] } = req.body || {};
+    const row = await prisma.glossary_terms.create({ data: { user_id: userId, src, tgt, lock, case_hint, src_lang, tgt_lang, pos, definition, forbidden } });
     res.json({ ok:true, item: row });
   } catch (e) { console.error('gloss create', e); res.status(500).json({ ok:false }); }
 });
 
 app.put('/api/glossary/:id', requireAuth, ensureProfile, express.json(), async (req, res) => {
-  try { if (!prisma) return res.status(503).json({ ok:false }); const { src, tgt, lock, case_hint } = req.body || {}; const row = await prisma.glossary_terms.update({ where: { id: req.params.id }, data: { src, tgt, lock, case_hint } }); res.json({ ok:true, item: row }); }
+  try { if (!prisma) return res.status(503).json({ ok:false }); const { src, tgt, lock, case_hint, src_lang, tgt_lang, pos, definition, forbidden } = req.body || {}; const row = await prisma.glossary_terms.update({ where: { id: req.params.id }, data: { src, tgt, lock, case_hint, src_lang, tgt_lang, pos, definition, forbidden, updated_at: new Date() } }); res.json({ ok:true, item: row }); }
   catch (e) { console.error('gloss update', e); res.status(500).json({ ok:false }); }
 });
 
@@ -5306,6 +6865,106 @@ app.delete('/api/glossary/:id', requireAuth, ensureProfile, async (req, res) =>
   catch (e) { console.error('gloss delete', e); res.status(500).json({ ok:false }); }
 });
 
+/**
+ * POST /api/glossary/import — bulk import from TBX-Basic or CSV: multipart `file`, or JSON
+ * { content, format }. Options (body or query): srcLang, tgtLangs (comma list), dryRun=true,
+ * onConflict=skip|overwrite|merge, overrideLocked=true. A dry run returns the same diff
+ * without writing anything.
+ */
+app.post('/api/glossary/import', requireAuth, ensureProfile, upload.single('file'), async (req, res) => {
+  let absPath = null;
+  try {
+    const opts = { ...req.query, ...(req.body || {}) };
+    let content = typeof opts.content === 'string' ? opts.content : null;
+    let name = opts.format || '';
+    if (req.file) {
+      absPath = req.file.path;
+      content = mobileStrings.decodeBuffer(fs.readFileSync(absPath)).text;
+      name = opts.format || req.file.originalname;
+    }
+    if (!content || !content.trim()) {
+      return res.status(400).json({ ok:false, error:'Upload a .tbx or .csv termbase, or send { content, format }.' });
+    }
+
+    const format = termbase.termbaseFormatFor(name, content);
+    const onConflict = String(opts.onConflict || 'skip');
+    if (!['skip', 'overwrite', 'merge'].includes(onConflict)) {
+      return res.status(400).json({ ok:false, error:'onConflict must be skip, overwrite or merge.' });
+    }
+    let parsed;
+    try {
+      parsed = format === 'tbx' ? termbase.parseTbx(content) : termbase.parseTermCsv(content, { srcLang: opts.srcLang || 'en' });
+    } catch (e) {
+      return res.status(400).json({ ok:false, error: e.message });
+    }
+    const srcLang = opts.srcLang || parsed.lang || 'en';
+    const tgtLangs = String(opts.tgtLangs || '').split(',').map(s => s.trim()).filter(Boolean);
+    const { terms, errors } = termbase.conceptsToTerms(parsed.concepts, { srcLang, tgtLangs });
+
+    if (!prisma) return res.status(503).json({ ok:false });
+    const userId = req.user?.id;
+    const existing = await prisma.glossary_terms.findMany({ where: { user_id: userId } });
+    const plan = termbase.planImport(existing, terms, { onConflict, overrideLocked: String(opts.overrideLocked) === 'true' });
+    const dryRun = String(opts.dryRun) === 'true';
+
+    if (!dryRun && (plan.create.length || plan.update.length)) {
+      const now = new Date();
+      await prisma.$transaction([
+        ...(plan.create.length ? [prisma.glossary_terms.createMany({ data: plan.create.map(t => ({ ...t, user_id: userId })) })] : []),
+        ...plan.update.map(u => prisma.glossary_terms.update({ where: { id: u.id }, data: { ...u.data, updated_at: now } }))
+      ]);
+    }
+
+    res.json({
+      ok:true,
+      dryRun,
+      format,
+      srcLang,
+      summary: {
+        concepts: parsed.concepts.length,
+        terms: terms.length,
+        created: plan.create.length,
+        updated: plan.update.length,
+        unchanged: plan.unchanged,
+        duplicates: plan.duplicates,
+        conflicts: plan.conflicts.length,
+        errors: [...(parsed.errors || []), ...errors].length
+      },
+      diff: {
+        create: plan.create,
+        update: plan.update.map(({ id, src, tgt_lang, changes }) => ({ id, src, tgt_lang, changes })),
+        conflicts: plan.conflicts
+      },
+      errors: [...(parsed.errors || []), ...errors]
+    });
+  } catch (e) { console.error('gloss import', e); res.status(500).json({ ok:false, error:'Failed to import the termbase.' }); }
+  finally {
+    if (absPath) {
+      fs.unlink(absPath, () => {}); // best-effort delete
+    }
+  }
+});
+
+/** GET /api/glossary/export?format=tbx|csv&srcLang=en&tgtLang=de — TBX-Basic or CSV download */
+app.get('/api/glossary/export', requireAuth, ensureProfile, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'tbx').toLowerCase();
+    if (format !== 'tbx' && format !== 'csv') return res.status(400).json({ ok:false, error:'format must be tbx or csv.' });
+    if (!prisma) return res.status(503).json({ ok:false });
+    const { srcLang = 'en', tgtLang = null } = req.query;
+    const rows = (await prisma.glossary_terms.findMany({ where: { user_id: req.user?.id }, orderBy: { created_at: 'asc' } }))
+      // Terms saved without a language apply to every target, so they stay in filtered exports
+      .filter(r => !tgtLang || !r.tgt_lang || termbase.langMatches(r.tgt_lang, tgtLang));
+    const body = format === 'tbx'
+      ? termbase.writeTbx(rows, { srcLang, tgtLang })
+      : termbase.writeTermCsv(rows, { srcLang, tgtLang });
+    const suffix = tgtLang ? `.${String(tgtLang).replace(/[^\w-]+/g, '')}` : '';
+    res.setHeader('Content-Type', format === 'tbx' ? 'application/x-tbx+xml; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="glossary${suffix}.${format}"`);
+    res.send(body);
+  } catch (e) { console.error('gloss export', e); res.status(500).json({ ok:false, error:'Failed to export the glossary.' }); }
+});
+
 /** ------------------------- API: Usage (monthly) ------------------------- */
 app.get('/api/usage/monthly', requireAuth, ensureProfile, async (req, res) => {
   try {
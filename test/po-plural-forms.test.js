@@ -0,0 +1,68 @@
+// test/po-plural-forms.test.js - Plural-Forms parsing and the expression evaluator behind PO plural segments
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const po = require('../formats/po');
+
+const catalog = (pluralForms) => [
+  'msgid ""',
+  'msgstr ""',
+  '"Content-Type: text/plain; charset=UTF-8\\n"',
+  `"Plural-Forms: ${pluralForms}\\n"`,
+  '',
+  'msgid "One file"',
+  'msgid_plural "%d files"',
+  'msgstr[0] ""',
+  'msgstr[1] ""',
+  ''
+].join('\n');
+
+test('plural expressions: gettext manual rules evaluate like C', () => {
+  const slavic = po.compilePluralExpression(po.pluralRuleFor('ru').plural);
+  assert.deepEqual([1, 2, 5, 11, 21, 22, 25, 111].map(slavic), [0, 1, 2, 2, 0, 1, 2, 2]);
+  const arabic = po.compilePluralExpression(po.pluralRuleFor('Arabic (Egypt)').plural);
+  assert.deepEqual([0, 1, 2, 3, 11, 100].map(arabic), [0, 1, 2, 3, 4, 5]);
+  assert.deepEqual([0, 1, 2].map(po.compilePluralExpression('n > 1')), [0, 0, 1]);
+  assert.deepEqual([0, 1].map(po.compilePluralExpression('!n')), [1, 0]);
+  // Division and modulo by zero give 0 rather than Infinity or NaN
+  assert.equal(po.compilePluralExpression('n / 0 + n % 0')(7), 0);
+});
+
+test('plural expressions: anything but n, integers and C operators is rejected', () => {
+  for (const expr of [
+    'alert(n)',
+    'process.exit(1)',
+    'require("fs") ? 0 : 1',
+    'this.constructor',
+    'n; while (1) {}',
+    'n => n',
+    'nn',
+    'n != 1.5'
+  ]) {
+    assert.throws(() => po.compilePluralExpression(expr), /Invalid plural expression/, expr);
+  }
+});
+
+test('plural expressions: malformed and oversized input throws instead of compiling', () => {
+  for (const expr of ['', 'n ?', 'n ? 0', '(n', 'n)', 'n != ', '1 2', 'n ? 0 : 1 : 2']) {
+    assert.throws(() => po.compilePluralExpression(expr), /Invalid plural expression/, JSON.stringify(expr));
+  }
+  assert.throws(() => po.compilePluralExpression(`${'('.repeat(5000)}n${')'.repeat(5000)}`), /Invalid plural expression/);
+});
+
+test('Plural-Forms header: nplurals outside 1..6 is ignored', () => {
+  assert.deepEqual(po.parsePluralForms('nplurals=3; plural=(n==1 ? 0 : n<5 ? 1 : 2);'), { nplurals: 3, plural: '(n==1 ? 0 : n<5 ? 1 : 2)' });
+  assert.equal(po.parsePluralForms('nplurals=0; plural=0;'), null);
+  assert.equal(po.parsePluralForms('nplurals=1000000; plural=n;'), null);
+  assert.equal(po.parsePluralForms('plural=n;'), null);
+});
+
+test('segments: a catalog with a hostile or broken Plural-Forms falls back to a known rule', () => {
+  for (const header of ['nplurals=2; plural=alert(n);', 'nplurals=100000; plural=n;', 'nplurals=2; plural=(n;']) {
+    const parsed = po.parsePo(catalog(header));
+    assert.deepEqual(po.toSegments(parsed).map(s => s.id), ['1[0]', '1[1]'], header);
+    // The target language's own rule wins over whatever the header says
+    assert.deepEqual(po.toSegments(parsed, { targetLang: 'pl' }).map(s => s.id), ['1[0]', '1[1]', '1[2]'], header);
+  }
+  const custom = po.toSegments(po.parsePo(catalog('nplurals=3; plural=(n==1 ? 0 : n<5 ? 1 : 2);')));
+  assert.deepEqual(custom.map(s => [s.id, s.text]), [['1[0]', 'One file'], ['1[1]', '%d files'], ['1[2]', '%d files']]);
+});
@@ -0,0 +1,108 @@
+// test/rtl-output.test.js - right-to-left output for txt, docx, pdf and srt downloads
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const bidi = require('../formats/bidi');
+const docx = require('../formats/docx');
+const pdf = require('../formats/pdf');
+const subtitles = require('../formats/subtitles');
+
+const { RLM, LRM } = bidi;
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'rtl', name), 'utf8');
+const arabic = fixture('arabic.txt').trimEnd();
+
+test('direction: language names with a region qualifier', () => {
+  assert.equal(bidi.direction('Arabic (Egypt)'), 'rtl');
+  assert.equal(bidi.direction('Hebrew (Israel)'), 'rtl');
+  assert.equal(bidi.direction('ar-EG'), 'rtl');
+  assert.equal(bidi.direction('az-Arab'), 'rtl');
+  assert.equal(bidi.direction('English (US)'), 'ltr');
+  assert.equal(bidi.direction(null, arabic.split('\n')[0]), 'rtl');
+});
+
+test('txt: RLM starts every RTL line, LRM wraps Latin runs, punctuation stays outside', () => {
+  const lines = bidi.addDirectionMarks(arabic).split('\n');
+  assert.deepEqual(lines, [
+    `${RLM}مرحبا بكم في ${LRM}Gemini 2.5${LRM} اليوم.`,
+    'This line is English only.',
+    `${RLM}اقرأ الدليل (${LRM}User Guide${LRM}) ثم ابدأ!`
+  ]);
+  // Existing marks are replaced, not doubled
+  assert.equal(bidi.addDirectionMarks(lines.join('\n')), lines.join('\n'));
+});
+
+test('srt: marks per cue line, inline tags and timings untouched', () => {
+  const { cues } = subtitles.parseSubtitles(fixture('hebrew.srt'), 'srt');
+  const out = subtitles.writeSubtitles(cues, 'srt', { targetLang: 'he', rtl: true });
+  const blocks = out.trim().split(/\n\n/).map(b => b.split('\n'));
+  assert.deepEqual(blocks.map(b => b[1]), [
+    '00:00:01,000 --> 00:00:03,000',
+    '00:00:03,500 --> 00:00:05,000',
+    '00:00:05,500 --> 00:00:07,000'
+  ]);
+  assert.equal(blocks[0][2], `${RLM}ברוכים הבאים ל-${LRM}Netflix${LRM}!`);
+  assert.equal(blocks[1][2], `${RLM}<i>שלום</i> ${LRM}world${LRM}, מה נשמע?`);
+  assert.equal(blocks[2][2], 'The end.');
+});
+
+test('docx: bidi paragraphs, rtl runs with the bidi language, Latin runs in logical order', async () => {
+  const buffer = await docx.renderTextDocx(arabic, { targetLang: 'Arabic (Egypt)' });
+  const xml = await (await JSZip.loadAsync(buffer)).file('word/document.xml').async('string');
+  const paragraphs = xml.match(/<w:p>[\s\S]*?<\/w:p>/g);
+  assert.equal(paragraphs.length, 1);
+  assert.match(paragraphs[0], /^<w:p><w:pPr><w:bidi\/><\/w:pPr>/);
+
+  const runs = [...paragraphs[0].matchAll(/<w:r>([\s\S]*?)<\/w:r>/g)].map(([, inner]) => ({
+    text: (inner.match(/<w:t[^>]*>([^<]*)<\/w:t>/) || [])[1],
+    rtl: inner.includes('<w:rtl/>'),
+    lang: (inner.match(/<w:lang w:bidi="([^"]*)"\/>/) || [])[1] || null
+  }));
+  assert.deepEqual(runs.slice(0, 3), [
+    { text: 'مرحبا بكم في ', rtl: true, lang: 'ar' },
+    { text: 'Gemini 2.5', rtl: false, lang: null },
+    { text: ' اليوم.', rtl: true, lang: 'ar' }
+  ]);
+  assert.deepEqual(runs.filter(r => !r.rtl).map(r => r.text), ['Gemini 2.5', 'This line is English only', 'User Guide']);
+});
+
+test('docx: LTR targets get no bidi markup', async () => {
+  const buffer = await docx.renderTextDocx('Hello Gemini 2.5.', { targetLang: 'French (Canada)' });
+  const xml = await (await JSZip.loadAsync(buffer)).file('word/document.xml').async('string');
+  assert.doesNotMatch(xml, /<w:bidi\/>|<w:rtl\/>/);
+});
+
+test('pdf: visual run order of a mixed line', () => {
+  const [first, english] = arabic.split('\n');
+  assert.deepEqual(bidi.visualRuns(first, true), [
+    { text: ' اليوم.', rtl: true },
+    { text: 'Gemini 2.5', rtl: false },
+    { text: 'مرحبا بكم في ', rtl: true }
+  ]);
+  // An English line in an RTL document keeps its words; the full stop moves to the left edge
+  assert.deepEqual(bidi.visualRuns(english, true), [
+    { text: '.', rtl: true },
+    { text: 'This line is English only', rtl: false }
+  ]);
+});
+
+test('pdf: RTL lines are right-aligned with runs drawn right to left', {
+  skip: !pdf.findFontFile('arabic', 'ar') && 'no font covering Arabic installed'
+}, async () => {
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  const buffer = await pdf.renderTextPdf(arabic, { targetLang: 'ar' });
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer), disableFontFace: true, verbosity: 0 }).promise;
+  const page = await doc.getPage(1);
+  const { items } = await page.getTextContent();
+  const top = Math.max(...items.map(i => i.transform[5]));
+  const line = items.filter(i => i.transform[5] === top && i.str.trim());
+  const x = (re) => line.find(i => re.test(i.str)).transform[4];
+
+  // Logical order: مرحبا ... Gemini 2.5 ... اليوم; drawn from the right margin leftwards
+  assert.ok(x(/اليوم/) < x(/Gemini 2\.5/));
+  assert.ok(x(/Gemini 2\.5/) < x(/مرحبا/));
+  const right = Math.max(...line.map(i => i.transform[4] + i.width));
+  const { view } = page;
+  assert.ok(Math.abs(view[2] - 50 - right) < 2, `line ends at ${right}, expected the right margin`);
+});
@@ -0,0 +1,59 @@
+// test/segmentation.test.js - sentence breaks from the bundled SRX rules: abbreviations, CJK, scripts without spaces
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { segment, segmentSpans, chunk } = require('../formats/segmentation');
+
+test('segment: English abbreviations and initials do not end a sentence', () => {
+  assert.deepEqual(segment('Dr. Smith arrived. He sat down.', 'en'), ['Dr. Smith arrived.', 'He sat down.']);
+  assert.deepEqual(segment('Use e.g. apples, i.e. fruit. Then stop.', 'en'), ['Use e.g. apples, i.e. fruit.', 'Then stop.']);
+  assert.deepEqual(segment('J. R. R. Tolkien wrote it. Done.', 'en'), ['J. R. R. Tolkien wrote it.', 'Done.']);
+  assert.deepEqual(segment('Mr. Brown left at 5 p.m. yesterday. Fine.', 'en'), ['Mr. Brown left at 5 p.m. yesterday.', 'Fine.']);
+  assert.deepEqual(segment('It costs 3.50 dollars. Is it? Yes! "Really." Sure.', 'en'),
+    ['It costs 3.50 dollars.', 'Is it?', 'Yes!', '"Really."', 'Sure.']);
+});
+
+test('segment: German abbreviations, sentence-initial ones included, and ordinal dates', () => {
+  assert.deepEqual(segment('Das ist z.B. gut. Und bzw. so. Ende.', 'de'), ['Das ist z.B. gut.', 'Und bzw. so.', 'Ende.']);
+  assert.deepEqual(segment('Vgl. S. 5 und ff. Danach.', 'de'), ['Vgl. S. 5 und ff.', 'Danach.']);
+  assert.deepEqual(segment('Er kam am 3. Mai. Am 14. des Monats. Nr. 5 ist hier.', 'de'),
+    ['Er kam am 3. Mai.', 'Am 14. des Monats.', 'Nr. 5 ist hier.']);
+});
+
+test('segment: French and Spanish abbreviations and spaced closing quotes', () => {
+  assert.deepEqual(segment('M. Dupont est là. Il dit « Bonjour. » Puis part.', 'fr'),
+    ['M. Dupont est là.', 'Il dit « Bonjour. »', 'Puis part.']);
+  assert.deepEqual(segment('Il a dit : « Oui ! » Ensuite il est parti.', 'fr'), ['Il a dit : « Oui ! »', 'Ensuite il est parti.']);
+  assert.deepEqual(segment('El Sr. García llegó. Bien.', 'es'), ['El Sr. García llegó.', 'Bien.']);
+});
+
+test('segment: CJK full-width terminators break without spaces and keep closing quotes', () => {
+  assert.deepEqual(segment('今日は晴れです。明日は雨でしょう！本当？', 'ja'), ['今日は晴れです。', '明日は雨でしょう！', '本当？']);
+  assert.deepEqual(segment('他说：“你好。”然后走了。', 'zh'), ['他说：“你好。”', '然后走了。']);
+  assert.deepEqual(segment('「はい。」「いいえ。」', 'ja'), ['「はい。」', '「いいえ。」']);
+  // A quote followed by the quotative particle belongs to the sentence around it
+  assert.deepEqual(segment('「はい。」と言った。次に行く。', 'ja'), ['「はい。」と言った。', '次に行く。']);
+  assert.deepEqual(segment('「行こう！」って言った。', 'ja'), ['「行こう！」って言った。']);
+});
+
+test('segment: Thai spaces and other scripts\' terminators', () => {
+  assert.deepEqual(segment('สวัสดี ครับ', 'th'), ['สวัสดี', 'ครับ']);
+  assert.deepEqual(segment('यह अच्छा है। वह भी।', 'hi'), ['यह अच्छा है।', 'वह भी।']);
+  assert.deepEqual(segment('مرحبا. كيف حالك؟ جيد', 'ar'), ['مرحبا.', 'كيف حالك؟', 'جيد']);
+});
+
+test('segmentSpans: line breaks always end a segment unless disabled, and spans point into the text', () => {
+  const text = 'One. Two\nThree';
+  const spans = segmentSpans(text, 'en');
+  assert.deepEqual(spans.map(s => s.text), ['One.', 'Two', 'Three']);
+  for (const s of spans) assert.equal(text.slice(s.start, s.end), s.text);
+  assert.deepEqual(segment('One\nTwo', 'en', { newlines: false }), ['One\nTwo']);
+  assert.deepEqual(segment('   ', 'en'), []);
+});
+
+test('chunk: pieces end at sentence boundaries and concatenate back to the text', () => {
+  const text = 'Dr. Who came. He left. She stayed here.';
+  const pieces = chunk(text, 25, 'en');
+  assert.deepEqual(pieces, ['Dr. Who came. He left. ', 'She stayed here.']);
+  assert.equal(pieces.join(''), text);
+  assert.ok(chunk('x'.repeat(50), 20).every(p => p.length <= 20));
+});
@@ -0,0 +1,81 @@
+// test/tmx-reader.test.js - streaming TMX reader: chunk boundaries, encodings and source variant selection
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tmx = require('../formats/tmx');
+
+const doc = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<tmx version="1.4">',
+  '<header srclang="*all*" creationtool="Tööl" creationdate="20240115T093000Z" adminlang="en" datatype="plaintext" segtype="sentence" o-tmf="x">',
+  '<prop type="x-domain">UI</prop>',
+  '</header>',
+  '<body>',
+  '<tu tuid="1"><tuv xml:lang="en-US"><seg>Save <bpt i="1">&lt;b&gt;</bpt>all<ept i="1">&lt;/b&gt;</ept> files</seg></tuv>',
+  '<tuv xml:lang="de-DE"><seg>Alle <bpt i="1">&lt;b&gt;</bpt>Dateien<ept i="1">&lt;/b&gt;</ept> speichern</seg></tuv></tu>',
+  '<tu tuid="2" srclang="fr"><tuv xml:lang="de"><seg>Größe</seg></tuv><tuv xml:lang="fr"><seg>Taille</seg></tuv></tu>',
+  '<tu tuid="3"><tuv xml:lang="ja"><seg>保存</seg></tuv><tuv xml:lang="en"><seg>Save</seg></tuv></tu>',
+  '</body>',
+  '</tmx>'
+].join('\n');
+
+async function* chunks(buf, size) {
+  for (let i = 0; i < buf.length; i += size) yield buf.subarray(i, i + size);
+}
+
+async function readAll(input) {
+  const items = [];
+  for await (const item of tmx.readTmx(input)) items.push(item);
+  return items;
+}
+
+const pairsOf = (items) => items.slice(1)
+  .flatMap(tu => tmx.unitPairs(tu, items[0].srclang))
+  .map(p => [p.sourceLang, p.targetLang, p.source.text, p.target.text]);
+
+const expected = [
+  ['en-US', 'de-DE', 'Save [[g1]]all[[/g1]] files', 'Alle [[g1]]Dateien[[/g1]] speichern'],
+  ['fr', 'de', 'Taille', 'Größe'],
+  ['ja', 'en', '保存', 'Save']
+];
+
+test('readTmx: header and units survive any chunk boundary, including inside multi-byte characters', async () => {
+  const utf8 = Buffer.from(doc);
+  for (const size of [1, 2, 3, 5, 7, 64, utf8.length]) {
+    const items = await readAll(chunks(utf8, size));
+    assert.equal(items[0].type, 'header', `chunk size ${size}`);
+    assert.equal(items[0].srclang, '*all*');
+    assert.equal(items[0].creationtool, 'Tööl');
+    assert.equal(items[0].creationDate, '2024-01-15 09:30:00');
+    assert.deepEqual(items[0].props, { 'x-domain': 'UI' });
+    assert.deepEqual(items.slice(1).map(tu => tu.tuid), ['1', '2', '3'], `chunk size ${size}`);
+    assert.deepEqual(pairsOf(items), expected, `chunk size ${size}`);
+  }
+});
+
+test('readTmx: UTF-16 documents are detected from their BOM even when it arrives a byte at a time', async () => {
+  const le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(doc, 'utf16le')]);
+  const be = Buffer.from(le);
+  be.swap16();
+  for (const buf of [le, be]) {
+    for (const size of [1, 3, buf.length]) {
+      assert.deepEqual(pairsOf(await readAll(chunks(buf, size))), expected, `chunk size ${size}`);
+    }
+  }
+  assert.deepEqual(pairsOf(await readAll(le)), expected);
+});
+
+test('unitPairs: *all* takes the first variant as source unless the unit names its own srclang', async () => {
+  const [header, first, second] = await readAll(doc);
+  assert.deepEqual(tmx.unitPairs(first, header.srclang).map(p => p.sourceLang), ['en-US']);
+  assert.deepEqual(tmx.unitPairs(second, header.srclang).map(p => p.sourceLang), ['fr']);
+  // A concrete header srclang picks the matching variant wherever it sits
+  assert.deepEqual(tmx.unitPairs(first, 'de-DE').map(p => [p.sourceLang, p.targetLang]), [['de-DE', 'en-US']]);
+});
+
+test('readTmx: non-TMX and truncated input is rejected', async () => {
+  await assert.rejects(readAll('<html><body>hi</body></html>'), /Not a TMX document/);
+  await assert.rejects(readAll('<tmx version="1.4"><body><tu><tuv xml:lang="en"><seg>a</seg></tuv></tu></body></tmx>'), /<header> is missing/);
+  await assert.rejects(readAll(chunks(Buffer.from('<tmx version="1.4"><head'), 4)), /<header> is missing/);
+  await assert.rejects(readAll(''), /Empty TMX document/);
+  assert.equal((await readAll('<tmx version="1.4"><header srclang="en"/><body></body></tmx>')).length, 1);
+});
@@ -146,11 +146,14 @@ class TranslationCacheManager {
   }
 
   /**
-   * Generate cache key for translation
+   * Generate cache key for translation. brandKitVersion ("<kitId>@<version>") keeps results of
+   * an edited or differently pinned brand kit apart; keys without one are unchanged.
    */
-  generateCacheKey(text, mode, targetLanguage, subStyle = '', injections = '', engine = '') {
+  generateCacheKey(text, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '') {
     // Create deterministic hash of translation parameters including engine
-    const content = [text, mode, targetLanguage, subStyle, injections, engine].join('::');
+    const parts = [text, mode, targetLanguage, subStyle, injections, engine];
+    if (brandKitVersion) parts.push(`brand:${brandKitVersion}`);
+    const content = parts.join('::');
     const hash = crypto.createHash('sha256').update(content).digest('hex');
     
     // Truncate if too long
@@ -162,13 +165,13 @@ class TranslationCacheManager {
   /**
    * Generate cache key for batch translation
    */
-  generateBatchCacheKey(items, mode, targetLanguage, subStyle = '', injections = '', engine = '') {
+  generateBatchCacheKey(items, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '') {
     try {
       const m = String(mode || '').toLowerCase().trim();
       const t = String(targetLanguage || '').toLowerCase().trim();
       const s = String(subStyle || '').toLowerCase().trim();
       const e = String(engine || '').toLowerCase().trim();
-      const body = JSON.stringify({ items, injections });
+      const body = JSON.stringify(brandKitVersion ? { items, injections, brandKitVersion } : { items, injections });
       const hash = crypto.createHash('sha1').update(body).digest('hex');
       return `batch:${m}:${t}:${s}:${e}:${hash}`;
     } catch (err) {
@@ -180,9 +183,9 @@ class TranslationCacheManager {
   /**
    * Get translation from cache
    */
-  async getTranslation(text, mode, targetLanguage, subStyle = '', injections = '', engine = '') {
+  async getTranslation(text, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '') {
     try {
-      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine);
+      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
       
       // Try Redis first
       if (this.isRedisAvailable) {
@@ -229,6 +232,7 @@ class TranslationCacheManager {
             targetLanguage: String(targetLanguage || ''),
             subStyle: String(subStyle || ''),
             engine: String(engine || ''),
+            ...(brandKitVersion ? { brandKit: String(brandKitVersion) } : {}),
             app: 'localization-app'
           });
           if (entry && entry.response && this._acceptSemanticHit(text, entry.prompt)) {
@@ -288,12 +292,30 @@ class TranslationCacheManager {
     }
   }
 
+  /**
+   * Whether an exact entry exists (Redis or memory), without counting a hit or miss and without
+   * the semantic LangCache search; for estimates that must not disturb the cache
+   */
+  async hasTranslation(text, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '') {
+    try {
+      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
+      if (this.memoryCache.has(key)) return true;
+      if (this.isRedisAvailable) {
+        return Number(await this.redisClient.exists(key)) > 0;
+      }
+      return false;
+    } catch (error) {
+      log.warn('Cache peek error', { error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Delete translation from cache
    */
-  async deleteTranslation(text, mode, targetLanguage, subStyle = '', injections = '', engine = '') {
+  async deleteTranslation(text, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '') {
     try {
-      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine);
+      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
       
       let deleted = false;
       
@@ -326,9 +348,9 @@ class TranslationCacheManager {
   /**
    * Store translation in cache
    */
-  async setTranslation(text, mode, targetLanguage, result, subStyle = '', injections = '', ttl = null, engine = '') {
+  async setTranslation(text, mode, targetLanguage, result, subStyle = '', injections = '', ttl = null, engine = '', brandKitVersion = '') {
     try {
-      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine);
+      const key = this.generateCacheKey(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
       const cacheData = {
         text,
         mode,
@@ -382,6 +404,7 @@ class TranslationCacheManager {
             targetLanguage: String(targetLanguage || ''),
             subStyle: String(subStyle || ''),
             engine: String(engine || ''),
+            ...(brandKitVersion ? { brandKit: String(brandKitVersion) } : {}),
             app: 'localization-app'
           });
         } catch (e) {
@@ -404,9 +427,9 @@ class TranslationCacheManager {
   /**
    * Get batch translation from cache
    */
-  async getBatchTranslation(items, mode, targetLanguage, subStyle = '', injections = '', engine = '') {
+  async getBatchTranslation(items, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '') {
     try {
-      const key = this.generateBatchCacheKey(items, mode, targetLanguage, subStyle, injections, engine);
+      const key = this.generateBatchCacheKey(items, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
       
       // Try Redis first
       if (this.isRedisAvailable) {
@@ -442,9 +465,9 @@ class TranslationCacheManager {
   /**
    * Store batch translation in cache
    */
-  async setBatchTranslation(items, mode, targetLanguage, results, subStyle = '', injections = '', ttl = null, engine = '') {
+  async setBatchTranslation(items, mode, targetLanguage, results, subStyle = '', injections = '', ttl = null, engine = '', brandKitVersion = '') {
     try {
-      const key = this.generateBatchCacheKey(items, mode, targetLanguage, subStyle, injections, engine);
+      const key = this.generateBatchCacheKey(items, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
       const cacheData = {
         items,
         mode,
@@ -490,6 +513,7 @@ class TranslationCacheManager {
             targetLanguage: String(targetLanguage || ''),
             subStyle: String(subStyle || ''),
             engine: String(engine || ''),
+            ...(brandKitVersion ? { brandKit: String(brandKitVersion) } : {}),
             app: 'localization-app'
           };
           const n = Math.min(Array.isArray(items)?items.length:0, Array.isArray(results)?results.length:0);
@@ -782,16 +806,16 @@ const translationCache = new TranslationCacheManager();
  */
 function cacheMiddleware(req, res, next) {
   req.cache = {
-    get: (text, mode, targetLanguage, subStyle, injections, engine) => 
-      translationCache.getTranslation(text, mode, targetLanguage, subStyle, injections, engine),
-    set: (text, mode, targetLanguage, result, subStyle, injections, ttl, engine) => 
-      translationCache.setTranslation(text, mode, targetLanguage, result, subStyle, injections, ttl, engine),
-    delete: (text, mode, targetLanguage, subStyle, injections, engine) => 
-      translationCache.deleteTranslation(text, mode, targetLanguage, subStyle, injections, engine),
-    getBatch: (items, mode, targetLanguage, subStyle, injections, engine) => 
-      translationCache.getBatchTranslation(items, mode, targetLanguage, subStyle, injections, engine),
-    setBatch: (items, mode, targetLanguage, results, subStyle, injections, ttl, engine) => 
-      translationCache.setBatchTranslation(items, mode, targetLanguage, results, subStyle, injections, ttl, engine),
+    get: (text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion) => 
+      translationCache.getTranslation(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion),
+    set: (text, mode, targetLanguage, result, subStyle, injections, ttl, engine, brandKitVersion) => 
+      translationCache.setTranslation(text, mode, targetLanguage, result, subStyle, injections, ttl, engine, brandKitVersion),
+    delete: (text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion) => 
+      translationCache.deleteTranslation(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion),
+    getBatch: (items, mode, targetLanguage, subStyle, injections, engine, brandKitVersion) => 
+      translationCache.getBatchTranslation(items, mode, targetLanguage, subStyle, injections, engine, brandKitVersion),
+    setBatch: (items, mode, targetLanguage, results, subStyle, injections, ttl, engine, brandKitVersion) => 
+      translationCache.setBatchTranslation(items, mode, targetLanguage, results, subStyle, injections, ttl, engine, brandKitVersion),
     findSimilar: (text, mode, targetLanguage, limit) => 
       translationCache.findSimilarTranslations(text, mode, targetLanguage, limit),
     invalidate: (pattern) => translationCache.invalidateCache(pattern),
@@ -805,10 +829,10 @@ function cacheMiddleware(req, res, next) {
  * Cache-aware translation wrapper
  */
 async function cacheAwareTranslation(translationFunction, cacheParams, translationParams) {
-  const { text, mode, targetLanguage, subStyle = '', injections = '', engine = '' } = cacheParams;
+  const { text, mode, targetLanguage, subStyle = '', injections = '', engine = '', brandKitVersion = '' } = cacheParams;
   
   // Check cache first
-  const cached = await translationCache.getTranslation(text, mode, targetLanguage, subStyle, injections, engine);
+  const cached = await translationCache.getTranslation(text, mode, targetLanguage, subStyle, injections, engine, brandKitVersion);
   if (cached) {
     // Update hit count
     cached.hits = (cached.hits || 0) + 1;
@@ -819,7 +843,7 @@ async function cacheAwareTranslation(translationFunction, cacheParams, translati
   const result = await translationFunction(translationParams);
   
   // Cache the result
-  await translationCache.setTranslation(text, mode, targetLanguage, result, subStyle, injections, null, engine);
+  await translationCache.setTranslation(text, mode, targetLanguage, result, subStyle, injections, null, engine, brandKitVersion);
   
   return result;
 }
@@ -2,6 +2,29 @@
 const crypto = require('crypto');
 const log = require('./logger');
 const { recordMetrics } = require('./metrics');
+const tmx = require('./formats/tmx');
+const leverage = require('./formats/leverage');
+const segmentation = require('./formats/segmentation');
+const { officeLang } = require('./formats/ooxml');
+
+// Fields a maintenance edit may change, mapped to their columns
+const EDITABLE = {
+  sourceText: 'source_text',
+  targetText: 'target_text',
+  sourceLang: 'source_lang',
+  targetLang: 'target_lang',
+  mode: 'mode',
+  subStyle: 'sub_style',
+  qualityScore: 'quality_score'
+};
+
+/** Error carrying the HTTP status the API should answer with */
+function tmError(message, status, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeLike = (s) => s.replace(/[\\%_]/g, '\\$&');
 
 /**
  * Translation Memory System
@@ -16,6 +39,7 @@ class TranslationMemoryManager {
       minSegmentLength: Number(process.env.TM_MIN_SEGMENT_LENGTH || 3),
       maxSegmentLength: Number(process.env.TM_MAX_SEGMENT_LENGTH || 500),
       fuzzyMatchThreshold: Number(process.env.TM_FUZZY_THRESHOLD || 0.75),
+      referenceThreshold: Number(process.env.TM_REFERENCE_THRESHOLD || 0.85),
       exactMatchBonus: Number(process.env.TM_EXACT_MATCH_BONUS || 0.1),
       contextWindow: Number(process.env.TM_CONTEXT_WINDOW || 2),
       enableLeveraging: process.env.TM_ENABLE_LEVERAGING !== 'false',
@@ -68,7 +92,8 @@ class TranslationMemoryManager {
         created_by INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        metadata TEXT DEFAULT '{}'
+        metadata TEXT DEFAULT '{}',
+        deprecated INTEGER DEFAULT 0
       )`,
       
       `CREATE TABLE IF NOT EXISTS tm_segments (
@@ -99,6 +124,18 @@ class TranslationMemoryManager {
         score REAL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (tm_id) REFERENCES translation_memory (id) ON DELETE CASCADE
+      )`,
+
+      // Who changed what; kept after the entry itself is deleted or merged away
+      `CREATE TABLE IF NOT EXISTS tm_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tm_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        user_id TEXT,
+        before_json TEXT,
+        after_json TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`
     ];
 
@@ -106,6 +143,12 @@ class TranslationMemoryManager {
       await this.db.run(query);
     }
 
+    // Memories created before deprecation existed
+    const columns = await this.db.all('PRAGMA table_info(translation_memory)');
+    if (!columns.some(c => c.name === 'deprecated')) {
+      await this.db.run('ALTER TABLE translation_memory ADD COLUMN deprecated INTEGER DEFAULT 0');
+    }
+
     const indexQueries = [
       `CREATE INDEX IF NOT EXISTS idx_tm_hash ON translation_memory (source_hash)`,
       `CREATE INDEX IF NOT EXISTS idx_tm_langs ON translation_memory (source_lang, target_lang)`,
@@ -114,7 +157,9 @@ class TranslationMemoryManager {
       `CREATE INDEX IF NOT EXISTS idx_segments_hash ON tm_segments (segment_hash)`,
       `CREATE INDEX IF NOT EXISTS idx_segments_tm ON tm_segments (tm_id)`,
       `CREATE INDEX IF NOT EXISTS idx_context_tm ON tm_context (tm_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_context_doc ON tm_context (document_id)`
+      `CREATE INDEX IF NOT EXISTS idx_context_doc ON tm_context (document_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_audit_tm ON tm_audit (tm_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_audit_user ON tm_audit (user_id)`
     ];
 
     for (const idx of indexQueries) {
@@ -150,10 +195,10 @@ class TranslationMemoryManager {
       let tmId;
       
       if (existing) {
-        // Update existing entry
+        // Update existing entry; a fresh translation revives a deprecated one
         await this.db.run(
           `UPDATE translation_memory 
-           SET target_text = ?, usage_count = usage_count + 1, updated_at = CURRENT_TIMESTAMP 
+           SET target_text = ?, usage_count = usage_count + 1, deprecated = 0, updated_at = CURRENT_TIMESTAMP 
            WHERE id = ?`,
           [targetText, existing.id]
         );
@@ -179,12 +224,12 @@ class TranslationMemoryManager {
             JSON.stringify(metadata)
           ]
         );
-        tmId = result.lastID;
+        tmId = result.id;
         this.stats.newSegments++;
       }
 
       // Store segments for fuzzy matching
-      await this.storeSegments(tmId, sourceText);
+      await this.storeSegments(tmId, sourceText, sourceLang);
       
       // Store context if provided
       if (context.preceding || context.following || documentId) {
@@ -273,21 +318,21 @@ class TranslationMemoryManager {
   }
 
   /**
-   * Find exact translation match
+   * Find exact translation match; `countUsage: false` looks without counting a use
    */
-  async findExactMatch(sourceText, sourceLang, targetLang, mode, subStyle) {
+  async findExactMatch(sourceText, sourceLang, targetLang, mode, subStyle, { countUsage = true } = {}) {
     try {
       const sourceHash = this.generateSegmentHash(sourceText, sourceLang, targetLang, mode, subStyle);
       
       const match = await this.db.get(
         `SELECT * FROM translation_memory 
-         WHERE source_hash = ? AND target_lang = ? AND mode = ? AND sub_style = ?
+         WHERE source_hash = ? AND target_lang = ? AND mode = ? AND sub_style = ? AND deprecated = 0
          ORDER BY quality_score DESC, usage_count DESC
          LIMIT 1`,
         [sourceHash, targetLang, mode, subStyle]
       );
 
-      if (match) {
+      if (match && countUsage) {
         // Update usage count
         await this.db.run(
           'UPDATE translation_memory SET usage_count = usage_count + 1 WHERE id = ?',
@@ -307,23 +352,37 @@ class TranslationMemoryManager {
    */
   async findFuzzyMatches(sourceText, sourceLang, targetLang, mode, subStyle, limit = 5) {
     try {
+      // Candidates share the source's longest words; ranking by how many they share keeps the
+      // few entries scored below from being arbitrary ones of a similar length
+      const words = [...new Set(sourceText.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || [])]
+        .sort((a, b) => b.length - a.length)
+        .slice(0, 4);
+      const likes = words.map(w => `%${w.replace(/[\\%_]/g, '\\$&')}%`);
+      const wordHits = words.length
+        ? words.map(() => `(CASE WHEN tm.source_text LIKE ? ESCAPE '\\' THEN 1 ELSE 0 END)`).join(' + ')
+        : '0';
+      const wordFilter = words.length
+        ? `AND (${words.map(() => `tm.source_text LIKE ? ESCAPE '\\'`).join(' OR ')})`
+        : '';
+
       // Get potential matches with same language pair and mode
       const candidates = await this.db.all(
-        `SELECT tm.*, COUNT(s.id) as segment_matches
+        `SELECT tm.*, ${wordHits} as word_hits
          FROM translation_memory tm
-         LEFT JOIN tm_segments s ON tm.id = s.tm_id
-         WHERE tm.target_lang = ? AND tm.mode = ? 
+         WHERE tm.target_lang = ? AND tm.mode = ? AND tm.deprecated = 0
          AND tm.source_lang IN (?, 'auto')
          AND LENGTH(tm.source_text) BETWEEN ? AND ?
-         GROUP BY tm.id
-         ORDER BY segment_matches DESC, quality_score DESC, usage_count DESC
+         ${wordFilter}
+         ORDER BY word_hits DESC, quality_score DESC, usage_count DESC
          LIMIT ?`,
         [
+          ...likes,
           targetLang,
           mode,
           sourceLang,
           Math.max(1, sourceText.length * 0.5),
           sourceText.length * 2,
+          ...likes,
           limit * 2 // Get more candidates for better filtering
         ]
       );
@@ -371,7 +430,7 @@ class TranslationMemoryManager {
                 END as context_bonus
          FROM translation_memory tm
          JOIN tm_context ctx ON tm.id = ctx.tm_id
-         WHERE tm.target_lang = ? AND tm.mode = ?
+         WHERE tm.target_lang = ? AND tm.mode = ? AND tm.deprecated = 0
          AND (ctx.preceding_text LIKE ? OR ctx.following_text LIKE ?)
          ORDER BY context_bonus DESC, quality_score DESC
          LIMIT 3`,
@@ -398,12 +457,153 @@ class TranslationMemoryManager {
     }
   }
 
+  /** Whether an entry was stored between exactly these neighbouring segments */
+  async hasContextMatch(tmId, preceding, following) {
+    const row = await this.db.get(
+      `SELECT id FROM tm_context 
+       WHERE tm_id = ? AND COALESCE(preceding_text, '') = ? AND COALESCE(following_text, '') = ? 
+       LIMIT 1`,
+      [tmId, preceding || '', following || '']
+    );
+    return !!row;
+  }
+
+  /**
+   * Leverage analysis for a quote: puts every segment in a band (formats/leverage.js) without
+   * calling a model, counting TM usage or touching the cache. `segments` are strings or
+   * { text } in document order, so neighbours give the context for ICE matches.
+   * Options: sourceLang, targetLang, mode, subStyle; cache ({ injections, engine,
+   * brandKitVersion }, the key parts a translation would be cached under); weights,
+   * ratePerWord and currency for the quote.
+   * @returns {Promise<{ bands: object[], totals: object, quote: object|null, segments: object[] }>}
+   */
+  async analyzeLeverage(segments, options = {}) {
+    const { sourceLang = 'auto', targetLang, mode = 'formal', subStyle = 'general', cache = {} } = options;
+    const texts = (segments || []).map(s => String(typeof s === 'string' ? s : (s && s.text) ?? ''));
+    const seen = new Set();
+    const analysed = [];
+
+    try {
+      for (let i = 0; i < texts.length; i++) {
+        const text = texts[i];
+        const key = text.toLowerCase().replace(/\s+/g, ' ').trim();
+        if (!key) continue;
+        const entry = { index: i, text, band: 'new', similarity: 0, tmId: null, reference: null };
+
+        const exact = await this.findExactMatch(text, sourceLang, targetLang, mode, subStyle, { countUsage: false });
+        if (exact) {
+          entry.tmId = exact.id;
+          entry.similarity = 1;
+          entry.band = await this.hasContextMatch(exact.id, texts[i - 1], texts[i + 1]) ? 'context' : 'exact';
+        } else if (seen.has(key)) {
+          entry.band = 'repetition';
+        } else if (this.cache && typeof this.cache.hasTranslation === 'function'
+          && await this.cache.hasTranslation(text, mode, targetLang, subStyle, cache.injections || '', cache.engine || '', cache.brandKitVersion || '')) {
+          entry.band = 'cached';
+        } else {
+          const [best] = await this.findFuzzyMatches(text, sourceLang, targetLang, mode, subStyle, 3);
+          if (best) {
+            entry.band = leverage.bandFor(best.similarity);
+            entry.similarity = best.similarity;
+            entry.tmId = best.id;
+            entry.reference = `${best.source_text}\n${best.target_text}`;
+          }
+        }
+        seen.add(key);
+        analysed.push(entry);
+      }
+    } catch (error) {
+      log.error('Leverage analysis failed', { error: error.message, analysed: analysed.length });
+      throw error;
+    }
+
+    const summary = leverage.summarize(analysed, { weights: options.weights, ratePerWord: options.ratePerWord, currency: options.currency });
+    log.info('Leverage analysis', { segments: analysed.length, words: summary.totals.words, leverage: summary.totals.leverage, targetLang });
+    return {
+      ...summary,
+      segments: analysed.map(({ index, band, similarity, tmId, text }) => ({ index, band, similarity, tmId, words: leverage.countWords(text) }))
+    };
+  }
+
+  /**
+   * Leverage-first pre-translation: where each segment's translation comes from. Exact TM
+   * matches (flagged `context` when the neighbours match too) and translation-cache hits come
+   * back with `tgt` to apply as-is; the best fuzzy match at or above `referenceThreshold`
+   * (default TM_REFERENCE_THRESHOLD) comes back as a `reference` for the prompt; the rest are
+   * left to the engine. Unlike analyzeLeverage these are real uses, so TM usage and cache hits
+   * are counted. `segments` and the other options are as for analyzeLeverage; a segment's
+   * `context` note joins its cache key the way FileTranslationSystem caches noted segments.
+   * @returns {Promise<object[]>} per segment { index, origin: 'tm-exact'|'cache'|'tm-fuzzy'|'mt',
+   *   tgt, tmId, similarity, context, reference: { source, target, similarity }|null }
+   */
+  async pretranslate(segments, options = {}) {
+    const { sourceLang = 'auto', targetLang, mode = 'formal', subStyle = 'general', cache = {} } = options;
+    const threshold = Number(options.referenceThreshold ?? this.config.referenceThreshold);
+    const texts = (segments || []).map(s => String(typeof s === 'string' ? s : (s && s.text) ?? ''));
+    const notes = (segments || []).map(s => (s && typeof s === 'object' && s.context ? `\n${s.context}` : ''));
+    const plans = [];
+
+    for (let i = 0; i < texts.length; i++) {
+      const text = texts[i];
+      const plan = { index: i, origin: 'mt', tgt: null, tmId: null, similarity: 0, context: false, reference: null };
+      plans.push(plan);
+      if (!text.trim()) continue;
+
+      try {
+        const exact = this.config.enableLeveraging
+          ? await this.findExactMatch(text, sourceLang, targetLang, mode, subStyle)
+          : null;
+        if (exact) {
+          Object.assign(plan, {
+            origin: 'tm-exact',
+            tgt: exact.target_text,
+            tmId: exact.id,
+            similarity: 1,
+            context: await this.hasContextMatch(exact.id, texts[i - 1], texts[i + 1])
+          });
+          this.stats.exactMatches++;
+          continue;
+        }
+
+        const cached = this.cache
+          ? await this.cache.getTranslation(text, mode, targetLang, subStyle, (cache.injections || '') + notes[i], cache.engine || '', cache.brandKitVersion || '')
+          : null;
+        if (cached && typeof cached.result === 'string' && cached.result.trim()) {
+          Object.assign(plan, { origin: 'cache', tgt: cached.result });
+          continue;
+        }
+
+        const [best] = this.config.enableLeveraging
+          ? await this.findFuzzyMatches(text, sourceLang, targetLang, mode, subStyle, 3)
+          : [];
+        if (best && best.similarity >= threshold) {
+          Object.assign(plan, {
+            origin: 'tm-fuzzy',
+            tmId: best.id,
+            similarity: best.similarity,
+            reference: { source: best.source_text, target: best.target_text, similarity: best.similarity }
+          });
+          this.stats.fuzzyMatches++;
+        } else {
+          this.stats.noMatches++;
+        }
+      } catch (error) {
+        // A failed lookup only costs leverage: the segment goes to the engine
+        log.warn('Pre-translation lookup failed', { index: i, error: error.message });
+      }
+    }
+
+    const origins = plans.reduce((acc, p) => ({ ...acc, [p.origin]: (acc[p.origin] || 0) + 1 }), {});
+    log.info('Pre-translation from TM and cache', { segments: plans.length, origins, targetLang });
+    return plans;
+  }
+
   /**
    * Store text segments for fuzzy matching
    */
-  async storeSegments(tmId, sourceText) {
+  async storeSegments(tmId, sourceText, lang = 'auto') {
     try {
-      const segments = this.segmentText(sourceText);
+      const segments = this.segmentText(sourceText, lang);
       
       for (let i = 0; i < segments.length; i++) {
         const segment = segments[i];
@@ -413,7 +613,7 @@ class TranslationMemoryManager {
           `INSERT OR IGNORE INTO tm_segments 
            (tm_id, segment_text, segment_hash, position, word_count) 
            VALUES (?, ?, ?, ?, ?)`,
-          [tmId, segment, segmentHash, i, segment.split(/\s+/).length]
+          [tmId, segment, segmentHash, i, leverage.countWords(segment)]
         );
       }
     } catch (error) {
@@ -444,32 +644,19 @@ class TranslationMemoryManager {
   }
 
   /**
-   * Segment text into meaningful units
+   * Segment text into sentences with the shared SRX rules for its language
+   * (formats/segmentation.js), keeping those within the configured length range
    */
-  segmentText(text) {
-    // Split by sentences and paragraphs
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const segments = [];
-    
-    for (const sentence of sentences) {
-      const trimmed = sentence.trim();
-      if (trimmed.length >= this.config.minSegmentLength && 
-          trimmed.length <= this.config.maxSegmentLength) {
-        segments.push(trimmed);
-      }
-    }
+  segmentText(text, lang = 'auto') {
+    const { minSegmentLength, maxSegmentLength } = this.config;
+    const segments = segmentation.segment(text, lang)
+      .filter(s => s.length >= minSegmentLength && s.length <= maxSegmentLength);
     
-    // If no good segments found, use word-based chunking
+    // If no good segments found, fall back to pieces of at most maxSegmentLength characters
     if (segments.length === 0) {
-      const words = text.split(/\s+/);
-      const chunkSize = 10; // 10 words per segment
-      
-      for (let i = 0; i < words.length; i += chunkSize) {
-        const chunk = words.slice(i, i + chunkSize).join(' ');
-        if (chunk.length >= this.config.minSegmentLength) {
-          segments.push(chunk);
-        }
-      }
+      return segmentation.chunk(text, maxSegmentLength, lang)
+        .map(s => s.trim())
+        .filter(s => s.length >= minSegmentLength);
     }
     
     return segments;
@@ -748,6 +935,687 @@ class TranslationMemoryManager {
     }
   }
 
+  /**
+   * Import a TMX 1.4b memory from a string, Buffer or readable stream.
+   * Each target <tuv> becomes one entry against the source <tuv> (unit srclang, header
+   * srclang, or the first variant for "*all*"). x-mode / x-subStyle / x-quality props
+   * override the option defaults and creation/change dates are kept. Existing entries are
+   * skipped unless `overwrite` is set.
+   */
+  async importTMX(input, options = {}) {
+    const {
+      mode = 'formal',
+      subStyle = 'general',
+      sourceLang = null,
+      targetLang = null,
+      overwrite = false,
+      createdBy = null
+    } = options;
+    const result = { units: 0, imported: 0, updated: 0, skipped: 0, failed: 0, languages: {} };
+    const wanted = (lang, filter) => !filter || this.langMatches(lang, filter);
+    let header = null;
+
+    try {
+      for await (const item of tmx.readTmx(input)) {
+        if (item.type === 'header') {
+          header = item;
+          continue;
+        }
+        result.units++;
+        for (const pair of tmx.unitPairs(item, header.srclang)) {
+          if (!wanted(pair.sourceLang, sourceLang) || !wanted(pair.targetLang, targetLang)) {
+            result.skipped++;
+            continue;
+          }
+          try {
+            const outcome = await this.importEntry(pair, item, { mode, subStyle, overwrite, createdBy });
+            result[outcome]++;
+            if (outcome !== 'skipped') {
+              const key = `${officeLang(pair.sourceLang) || pair.sourceLang}>${officeLang(pair.targetLang) || pair.targetLang}`;
+              result.languages[key] = (result.languages[key] || 0) + 1;
+            }
+          } catch (error) {
+            result.failed++;
+            log.warn('TMX unit import failed', { tuid: item.tuid, error: error.message });
+          }
+        }
+      }
+
+      log.info('TMX imported into translation memory', { ...result, creationTool: header?.creationtool });
+      recordMetrics.circuitBreakerSuccess('translation_memory:import');
+      return result;
+    } catch (error) {
+      log.error('TMX import failed', { error: error.message, units: result.units });
+      recordMetrics.circuitBreakerFailure('translation_memory:import');
+      throw error;
+    }
+  }
+
+  /**
+   * Insert (or, with overwrite, replace) one imported pair; returns 'imported' | 'updated' | 'skipped'
+   */
+  async importEntry(pair, unit, { mode, subStyle, overwrite, createdBy }) {
+    const props = pair.props;
+    const sourceLang = officeLang(pair.sourceLang) || pair.sourceLang;
+    const targetLang = officeLang(pair.targetLang) || pair.targetLang;
+    const entryMode = props['x-mode'] || props.mode || mode;
+    const entrySubStyle = props['x-subStyle'] || props['x-substyle'] || props.subStyle || subStyle;
+    const quality = Number(props['x-quality']);
+    const qualityScore = Number.isFinite(quality) && quality >= 0 && quality <= 1 ? quality : 1.0;
+    const sourceHash = this.generateSegmentHash(pair.source.text, sourceLang, targetLang, entryMode, entrySubStyle);
+    const metadata = JSON.stringify({
+      origin: 'tmx',
+      tuid: unit.tuid,
+      creationId: unit.creationId,
+      notes: unit.notes.length ? unit.notes : undefined,
+      sourceTags: Object.keys(pair.source.tags).length ? pair.source.tags : undefined,
+      targetTags: Object.keys(pair.target.tags).length ? pair.target.tags : undefined
+    });
+
+    const existing = await this.db.get('SELECT id FROM translation_memory WHERE source_hash = ?', [sourceHash]);
+    if (existing) {
+      if (!overwrite) return 'skipped';
+      await this.db.run(
+        `UPDATE translation_memory 
+         SET target_text = ?, quality_score = ?, metadata = ?, updated_at = COALESCE(?, CURRENT_TIMESTAMP) 
+         WHERE id = ?`,
+        [pair.target.text, qualityScore, metadata, pair.changeDate, existing.id]
+      );
+      return 'updated';
+    }
+
+    const result = await this.db.run(
+      `INSERT INTO translation_memory 
+       (source_hash, source_text, target_text, source_lang, target_lang, mode, sub_style, 
+        quality_score, usage_count, created_by, created_at, updated_at, metadata) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, ?, CURRENT_TIMESTAMP), ?)`,
+      [
+        sourceHash,
+        pair.source.text,
+        pair.target.text,
+        sourceLang,
+        targetLang,
+        entryMode,
+        entrySubStyle,
+        qualityScore,
+        Math.max(1, unit.usageCount),
+        createdBy,
+        pair.creationDate,
+        pair.changeDate,
+        pair.creationDate,
+        metadata
+      ]
+    );
+    await this.storeSegments(result.id, pair.source.text, sourceLang);
+    return 'imported';
+  }
+
+  /**
+   * Store sentence pairs aligned from a legacy translation (formats/align.js, after review).
+   * `pairs` are { src, tgt, confidence? } in document order; neighbouring pairs are kept as
+   * context so the entries give in-context matches later. The quality score is the pair's
+   * confidence (1 for pairs without one, i.e. reviewed by hand). Pairs below `minConfidence`,
+   * empty or unaligned ones are skipped, and existing entries unless `overwrite` is set.
+   * @returns {Promise<{ pairs: number, imported: number, updated: number, skipped: number, failed: number }>}
+   */
+  async importAlignedPairs(pairs, options = {}) {
+    const {
+      sourceLang = 'auto',
+      targetLang,
+      mode = 'formal',
+      subStyle = 'general',
+      overwrite = false,
+      minConfidence = 0,
+      createdBy = null,
+      documentId = null
+    } = options;
+    if (!targetLang) throw tmError('targetLang is required', 400);
+    const list = (pairs || []).map(p => ({
+      src: String(p?.src ?? p?.source ?? '').trim(),
+      tgt: String(p?.tgt ?? p?.target ?? '').trim(),
+      confidence: p?.confidence == null || p.confidence === '' ? null : Number(p.confidence)
+    }));
+    const result = { pairs: list.length, imported: 0, updated: 0, skipped: 0, failed: 0 };
+
+    for (let i = 0; i < list.length; i++) {
+      const { src, tgt, confidence } = list[i];
+      const quality = Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 1.0;
+      if (!src || !tgt || quality < minConfidence) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        const sourceHash = this.generateSegmentHash(src, sourceLang, targetLang, mode, subStyle);
+        const metadata = JSON.stringify({ origin: 'alignment', documentId: documentId || undefined, confidence: confidence ?? undefined });
+        const existing = await this.db.get('SELECT id FROM translation_memory WHERE source_hash = ?', [sourceHash]);
+        let tmId;
+        if (existing) {
+          if (!overwrite) {
+            result.skipped++;
+            continue;
+          }
+          await this.db.run(
+            `UPDATE translation_memory 
+             SET target_text = ?, quality_score = ?, metadata = ?, deprecated = 0, updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ?`,
+            [tgt, quality, metadata, existing.id]
+          );
+          tmId = existing.id;
+          result.updated++;
+        } else {
+          const inserted = await this.db.run(
+            `INSERT INTO translation_memory 
+             (source_hash, source_text, target_text, source_lang, target_lang, mode, sub_style, 
+              quality_score, created_by, metadata) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [sourceHash, src, tgt, sourceLang, targetLang, mode, subStyle, quality, createdBy, metadata]
+          );
+          tmId = inserted.id;
+          await this.storeSegments(tmId, src, sourceLang);
+          result.imported++;
+        }
+        await this.storeContext(tmId, { preceding: list[i - 1]?.src || '', following: list[i + 1]?.src || '', fileType: 'alignment' }, documentId);
+      } catch (error) {
+        result.failed++;
+        log.warn('Aligned pair import failed', { index: i, error: error.message });
+      }
+    }
+
+    log.info('Aligned pairs imported into translation memory', { ...result, targetLang, documentId });
+    recordMetrics.circuitBreakerSuccess('translation_memory:import');
+    return result;
+  }
+
+  /**
+   * Stream the memory as TMX 1.4b, one chunk per batch of units, so backups of large
+   * memories never build the whole document. Filters: sourceLang, targetLang, mode,
+   * subStyle, minQuality, and since/until on the creation date (a date-only `until`
+   * includes that whole day).
+   */
+  async *streamTMX(filters = {}) {
+    // Languages, mode and sub-style; deprecated entries stay out unless includeDeprecated
+    const { clauses, params } = this.filterClauses(filters);
+    if (filters.minQuality) {
+      clauses.push('quality_score >= ?');
+      params.push(Number(filters.minQuality));
+    }
+    if (filters.since) {
+      const since = this.toDbTimestamp(filters.since);
+      if (!since) throw new Error(`Invalid since date: ${filters.since}`);
+      clauses.push('created_at >= ?');
+      params.push(since);
+    }
+    if (filters.until) {
+      const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(filters.until));
+      const until = new Date(dayOnly ? `${filters.until}T00:00:00Z` : filters.until);
+      if (dayOnly) until.setUTCDate(until.getUTCDate() + 1);
+      const bound = this.toDbTimestamp(until);
+      if (!bound) throw new Error(`Invalid until date: ${filters.until}`);
+      clauses.push(dayOnly ? 'created_at < ?' : 'created_at <= ?');
+      params.push(bound);
+    }
+
+    const where = clauses.length ? clauses.join(' AND ') : '1=1';
+    const batchSize = 500;
+    const srclang = filters.sourceLang ? officeLang(filters.sourceLang) || filters.sourceLang : '*all*';
+    let lastId = 0;
+    let count = 0;
+
+    yield tmx.writeHeader({ srclang, props: { 'x-filters': JSON.stringify(filters) } });
+    for (;;) {
+      const rows = await this.db.all(
+        `SELECT id, source_text, target_text, source_lang, target_lang, mode, sub_style,
+                quality_score, usage_count, created_by, created_at, updated_at, metadata, deprecated
+         FROM translation_memory 
+         WHERE ${where} AND id > ?
+         ORDER BY id
+         LIMIT ${batchSize}`,
+        [...params, lastId]
+      );
+      if (!rows.length) break;
+
+      let chunk = '';
+      for (const row of rows) {
+        let meta = {};
+        try { meta = JSON.parse(row.metadata || '{}'); } catch {}
+        // 'auto' sources were never detected; TMX has an explicit code for that
+        const sourceLang = row.source_lang === 'auto' ? 'und' : officeLang(row.source_lang) || row.source_lang;
+        chunk += tmx.writeTu({
+          tuid: row.id,
+          creationDate: row.created_at,
+          changeDate: row.updated_at,
+          creationId: meta.creationId || (row.created_by != null ? String(row.created_by) : null),
+          usageCount: row.usage_count,
+          props: {
+            'x-mode': row.mode,
+            'x-subStyle': row.sub_style,
+            'x-quality': row.quality_score,
+            'x-deprecated': row.deprecated ? 'true' : null,
+            // One multilingual <tu> imports as several entries, so its id can't stay the tuid
+            'x-source-tuid': meta.tuid
+          },
+          variants: [
+            { lang: sourceLang, text: row.source_text, tags: meta.sourceTags },
+            { lang: officeLang(row.target_lang) || row.target_lang, text: row.target_text, tags: meta.targetTags }
+          ]
+        });
+      }
+      count += rows.length;
+      lastId = rows[rows.length - 1].id;
+      yield chunk;
+    }
+    yield tmx.TMX_FOOTER;
+
+    log.info('Translation memory exported as TMX', { count, filters });
+  }
+
+  /** Lowercase, hyphenated spellings a language may be stored under ("pt_BR" -> pt-br) */
+  langVariants(lang) {
+    const raw = String(lang || '').toLowerCase().replace(/_/g, '-');
+    const code = (officeLang(lang) || '').toLowerCase();
+    return [...new Set([code || raw, raw])];
+  }
+
+  /** Same language, or a regional variant of a bare filter language ("de" takes "de-AT") */
+  langMatches(lang, filter) {
+    const [value] = this.langVariants(lang);
+    const wanted = this.langVariants(filter);
+    return wanted.includes(value) || (!wanted[0].includes('-') && value.split('-')[0] === wanted[0]);
+  }
+
+  /** Date/ISO string -> SQLite CURRENT_TIMESTAMP text, or null when unparseable */
+  toDbTimestamp(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+  }
+
+  /**
+   * SQL clauses for the language/mode filters shared by export, concordance, duplicates and bulk
+   * delete. Deprecated entries are left out unless `includeDeprecated`.
+   */
+  filterClauses(filters = {}, alias = '') {
+    const clauses = [];
+    const params = [];
+
+    // Stored languages come from callers ("pt-BR", "pt_BR", "es"...); compare them normalized,
+    // and let a bare language ("de") take in its regional variants ("de-DE", "de-AT")
+    for (const [column, value] of [['source_lang', filters.sourceLang], ['target_lang', filters.targetLang]]) {
+      if (!value) continue;
+      const variants = this.langVariants(value);
+      const normalized = `LOWER(REPLACE(${alias}${column}, '_', '-'))`;
+      let clause = `${normalized} IN (${variants.map(() => '?').join(', ')})`;
+      params.push(...variants);
+      if (!variants[0].includes('-')) {
+        clause = `(${clause} OR ${normalized} LIKE ?)`;
+        params.push(`${variants[0]}-%`);
+      }
+      clauses.push(clause);
+    }
+    if (filters.mode) {
+      clauses.push(`${alias}mode = ?`);
+      params.push(filters.mode);
+    }
+    if (filters.subStyle) {
+      clauses.push(`${alias}sub_style = ?`);
+      params.push(filters.subStyle);
+    }
+    if (!filters.includeDeprecated) clauses.push(`${alias}deprecated = 0`);
+    return { clauses, params };
+  }
+
+  /** API shape of a translation_memory row */
+  toEntry(row) {
+    let metadata = {};
+    try { metadata = JSON.parse(row.metadata || '{}'); } catch {}
+    return {
+      id: row.id,
+      sourceText: row.source_text,
+      targetText: row.target_text,
+      sourceLang: row.source_lang,
+      targetLang: row.target_lang,
+      mode: row.mode,
+      subStyle: row.sub_style,
+      qualityScore: row.quality_score,
+      usageCount: row.usage_count,
+      deprecated: !!row.deprecated,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      metadata
+    };
+  }
+
+  /**
+   * Concordance search: every entry whose source and/or target contains `query`, newest first,
+   * with the match offsets for highlighting ({ start, end } into sourceText / targetText).
+   * Options: field ('source' | 'target' | 'both'), caseSensitive, wholeWord, the language/mode
+   * filters, includeDeprecated, limit and cursor (the nextCursor of the previous page).
+   */
+  async concordanceSearch(query, options = {}) {
+    const text = String(query || '').trim();
+    if (!text) throw tmError('Missing search text', 400);
+    const { field = 'both', caseSensitive = false, wholeWord = false, cursor = null } = options;
+    if (!['source', 'target', 'both'].includes(field)) throw tmError(`Unknown field "${field}" (use source, target or both)`, 400);
+    const limit = Math.min(Math.max(Number(options.limit) || 50, 1), 200);
+
+    // Runs of whitespace match any whitespace; letters match whole words only when asked
+    const body = text.split(/\s+/).map(escapeRe).join('\\s+');
+    const pattern = new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])` : body, caseSensitive ? 'gu' : 'giu');
+    const highlight = (value) => [...String(value || '').matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+
+    // LIKE narrows the scan, the pattern decides. SQLite folds case for ASCII only, so common
+    // casings of the text are tried as well; whitespace variants are left to the pattern.
+    const { clauses, params } = this.filterClauses(options);
+    const first = text.split(/\s+/)[0];
+    const likes = caseSensitive ? [first] : [...new Set([first, first.toLowerCase(), first.toUpperCase(), first.charAt(0).toUpperCase() + first.slice(1).toLowerCase()])];
+    const columns = field === 'both' ? ['source_text', 'target_text'] : [`${field}_text`];
+    const likeClauses = columns.flatMap(c => likes.map(() => `${c} LIKE ? ESCAPE '\\'`));
+    clauses.push(`(${likeClauses.join(' OR ')})`);
+    params.push(...columns.flatMap(() => likes.map(l => `%${escapeLike(l)}%`)));
+
+    const items = [];
+    const batchSize = 500;
+    let lastId = cursor != null && Number(cursor) > 0 ? Number(cursor) : Number.MAX_SAFE_INTEGER;
+    let exhausted = false;
+    for (;;) {
+      const rows = await this.db.all(
+        `SELECT * FROM translation_memory 
+         WHERE ${clauses.join(' AND ')} AND id < ?
+         ORDER BY id DESC
+         LIMIT ${batchSize}`,
+        [...params, lastId]
+      );
+      for (const row of rows) {
+        lastId = row.id;
+        const source = field === 'target' ? [] : highlight(row.source_text);
+        const target = field === 'source' ? [] : highlight(row.target_text);
+        if (!source.length && !target.length) continue;
+        items.push({ ...this.toEntry(row), highlights: { source, target } });
+        if (items.length >= limit) break;
+      }
+      if (items.length >= limit) break;
+      if (rows.length < batchSize) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    return { query: text, field, items, nextCursor: exhausted ? null : lastId };
+  }
+
+  /** One entry by id (null when it does not exist) */
+  async getEntry(id) {
+    const row = await this.db.get('SELECT * FROM translation_memory WHERE id = ?', [Number(id)]);
+    return row ? this.toEntry(row) : null;
+  }
+
+  /** Append one audit record; before/after are the changed fields only */
+  async recordAudit(tmId, action, userId, before = null, after = null, note = null) {
+    await this.db.run(
+      `INSERT INTO tm_audit (tm_id, action, user_id, before_json, after_json, note) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        tmId,
+        action,
+        userId != null ? String(userId) : null,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        note ? String(note).slice(0, 1000) : null
+      ]
+    );
+  }
+
+  /**
+   * Edit an entry. `changes` takes sourceText, targetText, sourceLang, targetLang, mode, subStyle
+   * and qualityScore. Changing what the entry is keyed on re-hashes it; when that collides with
+   * another entry the edit is refused (409, `duplicateId`) so the two can be merged instead.
+   * @returns {Promise<{ entry: object, changed: string[] }>}
+   */
+  async updateEntry(id, changes = {}, { userId = null, note = null } = {}) {
+    const row = await this.db.get('SELECT * FROM translation_memory WHERE id = ?', [Number(id)]);
+    if (!row) throw tmError('Translation memory entry not found', 404);
+
+    const unknown = Object.keys(changes).filter(k => !EDITABLE[k] && changes[k] !== undefined);
+    if (unknown.length) throw tmError(`Cannot edit ${unknown.join(', ')}`, 400);
+    const next = { ...row };
+    for (const [key, column] of Object.entries(EDITABLE)) {
+      if (changes[key] === undefined) continue;
+      if (key === 'qualityScore') {
+        const score = Number(changes[key]);
+        if (!Number.isFinite(score) || score < 0 || score > 1) throw tmError('qualityScore must be between 0 and 1', 400);
+        next[column] = score;
+      } else {
+        const value = String(changes[key] ?? '');
+        if (!value.trim() && key !== 'subStyle') throw tmError(`${key} cannot be empty`, 400);
+        next[column] = key.endsWith('Lang') ? officeLang(value) || value : value;
+      }
+    }
+    const changed = Object.entries(EDITABLE).filter(([, column]) => next[column] !== row[column]).map(([key]) => key);
+    if (!changed.length) return { entry: this.toEntry(row), changed };
+
+    const sourceHash = this.generateSegmentHash(next.source_text, next.source_lang, next.target_lang, next.mode, next.sub_style);
+    if (sourceHash !== row.source_hash) {
+      const clash = await this.db.get('SELECT id FROM translation_memory WHERE source_hash = ? AND id != ?', [sourceHash, row.id]);
+      if (clash) throw tmError('Another entry already has this source for the same languages and mode; merge them instead', 409, { duplicateId: clash.id });
+    }
+
+    await this.db.run(
+      `UPDATE translation_memory 
+       SET source_hash = ?, source_text = ?, target_text = ?, source_lang = ?, target_lang = ?, mode = ?, 
+           sub_style = ?, quality_score = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [sourceHash, next.source_text, next.target_text, next.source_lang, next.target_lang, next.mode, next.sub_style, next.quality_score, row.id]
+    );
+    if (next.source_text !== row.source_text) {
+      await this.db.run('DELETE FROM tm_segments WHERE tm_id = ?', [row.id]);
+      await this.storeSegments(row.id, next.source_text, next.source_lang);
+    }
+    const pick = (r) => Object.fromEntries(changed.map(key => [key, r[EDITABLE[key]]]));
+    await this.recordAudit(row.id, 'edit', userId, pick(row), pick(next), note);
+
+    log.info('Translation memory entry edited', { tmId: row.id, changed, userId });
+    return { entry: await this.getEntry(row.id), changed };
+  }
+
+  /**
+   * Deprecate entries (or bring them back with `restore`). Deprecated entries stay searchable
+   * in the concordance but are no longer offered as matches or exported.
+   * @returns {Promise<{ updated: number[], missing: number[] }>}
+   */
+  async setDeprecated(ids, { deprecated = true, userId = null, note = null } = {}) {
+    const updated = [];
+    const missing = [];
+    for (const id of [...new Set((ids || []).map(Number))]) {
+      const row = await this.db.get('SELECT id, deprecated FROM translation_memory WHERE id = ?', [id]);
+      if (!row) {
+        missing.push(id);
+        continue;
+      }
+      if (!!row.deprecated === deprecated) continue;
+      await this.db.run('UPDATE translation_memory SET deprecated = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [deprecated ? 1 : 0, id]);
+      await this.recordAudit(id, deprecated ? 'deprecate' : 'restore', userId, { deprecated: !deprecated }, { deprecated }, note);
+      updated.push(id);
+    }
+    log.info('Translation memory deprecation changed', { deprecated, updated: updated.length, userId });
+    return { updated, missing };
+  }
+
+  /**
+   * Likely duplicates: entries whose source only differs in case or surrounding whitespace,
+   * for the same target language and mode (sub-style and source language may differ).
+   * @returns {Promise<Array<{ key: object, entries: object[] }>>}
+   */
+  async findDuplicates(filters = {}) {
+    const { clauses, params } = this.filterClauses(filters);
+    const limit = Math.min(Math.max(Number(filters.limit) || 50, 1), 500);
+    const groups = await this.db.all(
+      `SELECT LOWER(TRIM(source_text)) AS norm_source, LOWER(REPLACE(target_lang, '_', '-')) AS norm_target, mode, 
+              GROUP_CONCAT(id) AS ids
+       FROM translation_memory 
+       WHERE ${clauses.length ? clauses.join(' AND ') : '1=1'}
+       GROUP BY norm_source, norm_target, mode
+       HAVING COUNT(*) > 1
+       ORDER BY COUNT(*) DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+
+    const out = [];
+    for (const group of groups) {
+      const ids = String(group.ids).split(',').map(Number);
+      const rows = await this.db.all(
+        `SELECT * FROM translation_memory WHERE id IN (${ids.map(() => '?').join(', ')}) 
+         ORDER BY quality_score DESC, usage_count DESC, id`,
+        ids
+      );
+      out.push({ key: { source: group.norm_source, targetLang: group.norm_target, mode: group.mode }, entries: rows.map(r => this.toEntry(r)) });
+    }
+    return out;
+  }
+
+  /**
+   * Merge entries into `keepId`: usage counts add up, the best quality score wins, context and
+   * feedback move over, and the merged entries are deleted. `targetText` optionally replaces
+   * the surviving translation.
+   * @returns {Promise<{ entry: object, merged: number[] }>}
+   */
+  async mergeEntries(keepId, ids, { targetText = null, userId = null, note = null } = {}) {
+    const keep = await this.db.get('SELECT * FROM translation_memory WHERE id = ?', [Number(keepId)]);
+    if (!keep) throw tmError('Translation memory entry to keep not found', 404);
+    const mergeIds = [...new Set((ids || []).map(Number))].filter(id => id !== keep.id);
+    if (!mergeIds.length) throw tmError('Nothing to merge', 400);
+    const rows = await this.db.all(
+      `SELECT * FROM translation_memory WHERE id IN (${mergeIds.map(() => '?').join(', ')})`,
+      mergeIds
+    );
+    const missing = mergeIds.filter(id => !rows.some(r => r.id === id));
+    if (missing.length) throw tmError(`Translation memory entries not found: ${missing.join(', ')}`, 404);
+    if (targetText != null && !String(targetText).trim()) throw tmError('targetText cannot be empty', 400);
+
+    const after = {
+      targetText: targetText != null ? String(targetText) : keep.target_text,
+      usageCount: rows.reduce((sum, r) => sum + (r.usage_count || 0), keep.usage_count || 0),
+      qualityScore: Math.max(keep.quality_score, ...rows.map(r => r.quality_score))
+    };
+    await this.db.run(
+      `UPDATE translation_memory 
+       SET target_text = ?, usage_count = ?, quality_score = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [after.targetText, after.usageCount, after.qualityScore, keep.id]
+    );
+    for (const row of rows) {
+      await this.db.run('UPDATE tm_context SET tm_id = ? WHERE tm_id = ?', [keep.id, row.id]);
+      await this.db.run('UPDATE tm_feedback SET tm_id = ? WHERE tm_id = ?', [keep.id, row.id]);
+      await this.deleteRow(row.id);
+      await this.recordAudit(row.id, 'merged', userId, this.toEntry(row), { mergedInto: keep.id }, note);
+    }
+    await this.recordAudit(
+      keep.id,
+      'merge',
+      userId,
+      { targetText: keep.target_text, usageCount: keep.usage_count, qualityScore: keep.quality_score },
+      { ...after, merged: mergeIds },
+      note
+    );
+
+    log.info('Translation memory entries merged', { keepId: keep.id, merged: mergeIds, userId });
+    return { entry: await this.getEntry(keep.id), merged: mergeIds };
+  }
+
+  /** Delete one entry and its segments, context and feedback (SQLite does not enforce the cascades) */
+  async deleteRow(id) {
+    await this.db.run('DELETE FROM tm_segments WHERE tm_id = ?', [id]);
+    await this.db.run('DELETE FROM tm_context WHERE tm_id = ?', [id]);
+    await this.db.run('DELETE FROM tm_feedback WHERE tm_id = ?', [id]);
+    await this.db.run('DELETE FROM translation_memory WHERE id = ?', [id]);
+  }
+
+  /**
+   * Bulk delete by `ids`, or by filters (sourceLang, targetLang, mode, subStyle, deprecatedOnly,
+   * maxQuality, before = last update earlier than this date). Filters must narrow the memory;
+   * deleting everything is not offered. `dryRun` only counts. Every deleted entry is audited
+   * with its last content.
+   * @returns {Promise<{ dryRun: boolean, matched: number, deleted: number, ids: number[] }>}
+   */
+  async deleteEntries({ ids = null, filters = {}, dryRun = false }, { userId = null, note = null } = {}) {
+    let clauses;
+    let params;
+    if (Array.isArray(ids) && ids.length) {
+      const list = [...new Set(ids.map(Number).filter(Number.isInteger))];
+      clauses = [`id IN (${list.map(() => '?').join(', ')})`];
+      params = list;
+    } else {
+      ({ clauses, params } = this.filterClauses({ ...filters, includeDeprecated: true }));
+      if (filters.deprecatedOnly) clauses.push('deprecated = 1');
+      if (filters.maxQuality != null && filters.maxQuality !== '') {
+        const max = Number(filters.maxQuality);
+        if (!Number.isFinite(max)) throw tmError(`Invalid maxQuality: ${filters.maxQuality}`, 400);
+        clauses.push('quality_score <= ?');
+        params.push(max);
+      }
+      if (filters.before) {
+        const before = this.toDbTimestamp(filters.before);
+        if (!before) throw tmError(`Invalid before date: ${filters.before}`, 400);
+        clauses.push('updated_at < ?');
+        params.push(before);
+      }
+      if (!clauses.length) throw tmError('Give ids or at least one filter', 400);
+    }
+
+    const rows = await this.db.all(`SELECT * FROM translation_memory WHERE ${clauses.join(' AND ')} ORDER BY id`, params);
+    if (dryRun) return { dryRun: true, matched: rows.length, deleted: 0, ids: rows.map(r => r.id) };
+
+    for (const row of rows) {
+      await this.deleteRow(row.id);
+      await this.recordAudit(row.id, 'delete', userId, this.toEntry(row), null, note);
+    }
+    log.info('Translation memory entries deleted', { deleted: rows.length, userId, byIds: !!(ids && ids.length) });
+    return { dryRun: false, matched: rows.length, deleted: rows.length, ids: rows.map(r => r.id) };
+  }
+
+  /**
+   * Audit trail, newest first. Filters: tmId, userId, action; page with `before` (an audit id).
+   */
+  async getAuditTrail({ tmId = null, userId = null, action = null, before = null, limit = 100 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (tmId != null && tmId !== '') {
+      clauses.push('tm_id = ?');
+      params.push(Number(tmId));
+    }
+    if (userId != null && userId !== '') {
+      clauses.push('user_id = ?');
+      params.push(String(userId));
+    }
+    if (action) {
+      clauses.push('action = ?');
+      params.push(String(action));
+    }
+    if (before != null && before !== '') {
+      clauses.push('id < ?');
+      params.push(Number(before));
+    }
+    const rows = await this.db.all(
+      `SELECT * FROM tm_audit WHERE ${clauses.length ? clauses.join(' AND ') : '1=1'} 
+       ORDER BY id DESC LIMIT ?`,
+      [...params, Math.min(Math.max(Number(limit) || 100, 1), 500)]
+    );
+    const parse = (value) => {
+      try { return value ? JSON.parse(value) : null; } catch { return null; }
+    };
+    return rows.map(r => ({
+      id: r.id,
+      tmId: r.tm_id,
+      action: r.action,
+      userId: r.user_id,
+      before: parse(r.before_json),
+      after: parse(r.after_json),
+      note: r.note,
+      createdAt: r.created_at
+    }));
+  }
+
   /**
    * Health check for translation memory system
    */
@@ -788,6 +1656,12 @@ function translationMemoryMiddleware(req, res, next) {
     updateQuality: (tmId, score, feedback) => translationMemory.updateQualityScore(tmId, score, feedback),
     getStats: () => translationMemory.getTMStatistics(),
     export: (filters) => translationMemory.exportTM(filters),
+    importTMX: (input, options) => translationMemory.importTMX(input, options),
+    importAlignedPairs: (pairs, options) => translationMemory.importAlignedPairs(pairs, options),
+    exportTMX: (filters) => translationMemory.streamTMX(filters),
+    concordance: (query, options) => translationMemory.concordanceSearch(query, options),
+    analyzeLeverage: (segments, options) => translationMemory.analyzeLeverage(segments, options),
+    pretranslate: (segments, options) => translationMemory.pretranslate(segments, options),
     healthCheck: () => translationMemory.healthCheck()
   };
   next();